@@ -8,6 +8,9 @@ module.exports = {
     es6: true,
     'shared-node-browser': true
   },
+  globals: {
+    BigInt: 'readonly'
+  },
 
   overrides: [
     {
@@ -6,10 +6,14 @@
  * To use it: `require('avsc/etc/browser/avsc-types')`.
  */
 
-let types = require('../../lib/types');
+let types = require('../../lib/types'),
+    utils = require('../../lib/utils');
 
 
 module.exports = {
+  DecodeError: utils.DecodeError,
+  LimitExceededError: utils.LimitExceededError,
   Type: types.Type,
+  logicalTypes: types.logicalTypes,
   types: types.builtins,
 };
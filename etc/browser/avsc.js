@@ -8,6 +8,7 @@
  */
 
 let containers = require('../../lib/containers'),
+    framing = require('../../lib/framing'),
     utils = require('../../lib/utils'),
     stream = require('stream');
 
@@ -104,6 +105,10 @@ function createBlobEncoder(schema, opts) {
 
 
 module.exports = {
+  MemoryRegistry: framing.MemoryRegistry,
+  RegistryDeserializer: framing.RegistryDeserializer,
+  RegistrySerializer: framing.RegistrySerializer,
+  SingleObjectDecoder: framing.SingleObjectDecoder,
   createBlobDecoder,
   createBlobEncoder,
   streams: containers.streams
@@ -9,6 +9,7 @@ let md5 = require('./md5');
 function getHash(str, algorithm) {
   algorithm = algorithm || 'md5';
   if (algorithm !== 'md5') {
+    // CRC-64-AVRO fingerprints are handled directly in `utils.getHash`.
     throw new Error('only md5 is supported in the browser');
   }
   return md5.md5(str);
@@ -0,0 +1,682 @@
+'use strict';
+
+/**
+ * Ahead-of-time generation of standalone encoding and decoding functions.
+ *
+ * The generated code is a CommonJS module exporting `decode`, `encode`,
+ * `isValid`, and `skip` functions specialized for a single schema. It doesn't
+ * depend on this library at runtime, which makes it cheap to load (no schema
+ * parsing nor code compilation) and easy to step through in a debugger.
+ *
+ * Values are represented as plain objects (no record constructors) and longs
+ * as numbers. Logical types aren't supported: their underlying types' values
+ * are used instead.
+ */
+
+let types = require('./types'),
+    utils = require('./utils');
+
+
+let Type = types.Type;
+let j = utils.printJSON;
+
+// Source of the helpers included in all generated modules. They only rely on
+// each other and on the global `Buffer`. Taps are plain objects holding a
+// buffer and a position, writers grow their buffer as needed. We keep them as
+// source rather than serializing functions, since the latter's code can be
+// rewritten by instrumentation (e.g. coverage) or minification.
+let RUNTIME = [
+  'function throwInvalid(label, val) {',
+  '  throw new Error(\'invalid \' + label + \': \' + JSON.stringify(val));',
+  '}',
+  '',
+  'function tapEnsure(t, len) {',
+  '  let buf = t.buf;',
+  '  if (t.pos + len > buf.length) {',
+  '    let copy = Buffer.alloc(Math.max(2 * buf.length, t.pos + len));',
+  '    buf.copy(copy, 0, 0, t.pos);',
+  '    t.buf = copy;',
+  '  }',
+  '}',
+  '',
+  'function tapReadLong(t) {',
+  '  let buf = t.buf;',
+  '  let n = 0;',
+  '  let k = 0;',
+  '  let b, h, f, fk;',
+  '  do {',
+  '    b = buf[t.pos++];',
+  '    h = b & 0x80;',
+  '    n |= (b & 0x7f) << k;',
+  '    k += 7;',
+  '  } while (h && k < 28);',
+  '  if (h) {',
+  '    // Switch to float arithmetic, otherwise we might overflow.',
+  '    f = n;',
+  '    fk = 268435456;',
+  '    do {',
+  '      b = buf[t.pos++];',
+  '      f += (b & 0x7f) * fk;',
+  '      fk *= 128;',
+  '    } while (b & 0x80);',
+  '    return (f % 2 ? -(f + 1) : f) / 2;',
+  '  }',
+  '  return (n >> 1) ^ -(n & 1);',
+  '}',
+  '',
+  'function tapSkipLong(t) {',
+  '  let buf = t.buf;',
+  '  while (buf[t.pos++] & 0x80) {}',
+  '}',
+  '',
+  'function tapWriteLong(t, n) {',
+  '  tapEnsure(t, 10);',
+  '  let buf = t.buf;',
+  '  let f, m;',
+  '  if (n >= -1073741824 && n < 1073741824) {',
+  '    m = n >= 0 ? n << 1 : (~n << 1) | 1;',
+  '    do {',
+  '      buf[t.pos] = m & 0x7f;',
+  '      m >>= 7;',
+  '    } while (m && (buf[t.pos++] |= 0x80));',
+  '  } else {',
+  '    f = n >= 0 ? n * 2 : (-n * 2) - 1;',
+  '    do {',
+  '      buf[t.pos] = f & 0x7f;',
+  '      f /= 128;',
+  '    } while (f >= 1 && (buf[t.pos++] |= 0x80));',
+  '  }',
+  '  t.pos++;',
+  '}',
+  '',
+  'function tapReadFloat(t) {',
+  '  let pos = t.pos;',
+  '  t.pos += 4;',
+  '  return t.pos > t.buf.length ? 0 : t.buf.readFloatLE(pos);',
+  '}',
+  '',
+  'function tapWriteFloat(t, f) {',
+  '  tapEnsure(t, 4);',
+  '  t.buf.writeFloatLE(f, t.pos);',
+  '  t.pos += 4;',
+  '}',
+  '',
+  'function tapReadDouble(t) {',
+  '  let pos = t.pos;',
+  '  t.pos += 8;',
+  '  return t.pos > t.buf.length ? 0 : t.buf.readDoubleLE(pos);',
+  '}',
+  '',
+  'function tapWriteDouble(t, d) {',
+  '  tapEnsure(t, 8);',
+  '  t.buf.writeDoubleLE(d, t.pos);',
+  '  t.pos += 8;',
+  '}',
+  '',
+  'function tapReadFixed(t, len) {',
+  '  let pos = t.pos;',
+  '  t.pos += len;',
+  '  if (t.pos > t.buf.length) {',
+  '    return undefined;',
+  '  }',
+  '  let buf = Buffer.alloc(len);',
+  '  t.buf.copy(buf, 0, pos, t.pos);',
+  '  return buf;',
+  '}',
+  '',
+  'function tapWriteFixed(t, buf) {',
+  '  tapEnsure(t, buf.length);',
+  '  buf.copy(t.buf, t.pos);',
+  '  t.pos += buf.length;',
+  '}',
+  '',
+  'function tapReadBytes(t) {',
+  '  let len = tapReadLong(t);',
+  '  if (len < 0) {',
+  '    throw new Error(\'invalid length: \' + len);',
+  '  }',
+  '  return tapReadFixed(t, len);',
+  '}',
+  '',
+  'function tapSkipBytes(t) {',
+  '  let len = tapReadLong(t);',
+  '  if (len < 0) {',
+  '    throw new Error(\'invalid length: \' + len);',
+  '  }',
+  '  t.pos += len;',
+  '}',
+  '',
+  'function tapWriteBytes(t, buf) {',
+  '  tapWriteLong(t, buf.length);',
+  '  tapWriteFixed(t, buf);',
+  '}',
+  '',
+  'function tapReadString(t) {',
+  '  let len = tapReadLong(t);',
+  '  if (len < 0) {',
+  '    throw new Error(\'invalid length: \' + len);',
+  '  }',
+  '  let pos = t.pos;',
+  '  t.pos += len;',
+  '  return t.buf.toString(\'utf8\', pos, Math.min(t.pos, t.buf.length));',
+  '}',
+  '',
+  'function tapWriteString(t, s) {',
+  '  let len = Buffer.byteLength(s);',
+  '  tapWriteLong(t, len);',
+  '  tapEnsure(t, len);',
+  '  t.buf.write(s, t.pos, len, \'utf8\');',
+  '  t.pos += len;',
+  '}',
+  '',
+  'function tapReadBlockSize(t) {',
+  '  let n = tapReadLong(t);',
+  '  if (n < 0) {',
+  '    // Negative counts are followed by the block\'s size in bytes.',
+  '    n = -n;',
+  '    tapSkipLong(t);',
+  '  }',
+  '  return n;',
+  '}',
+  '',
+  'function tapSkipBlocks(t, skipItem) {',
+  '  let n;',
+  '  while ((n = tapReadLong(t))) {',
+  '    if (n < 0) {',
+  '      t.pos += tapReadLong(t);',
+  '    } else {',
+  '      while (n--) {',
+  '        skipItem(t);',
+  '      }',
+  '    }',
+  '  }',
+  '}'
+].join('\n');
+
+
+/**
+ * Generate a standalone module's source code.
+ *
+ * @param schema {Object|Type} Schema (or type) to generate code for.
+ * @param opts {Object} Options passed to `Type.forSchema`, for example to
+ * control how unions are represented (`wrapUnions`).
+ */
+function generateModule(schema, opts) {
+  let type = Type.forSchema(schema, opts);
+  let generator = new ModuleGenerator();
+  let name = generator.getName(type);
+  let lines = [
+    '\'use strict\';',
+    '',
+    '// Generated by avsc, do not edit. Schema:',
+    `// ${type.name || type.typeName}`,
+    ''
+  ];
+  lines.push(RUNTIME, '');
+  generator.constants.forEach((s) => { lines.push(s); });
+  lines.push('');
+  generator.functions.forEach((s) => { lines.push(s, ''); });
+  lines.push(
+    'function decode(buf) {',
+    '  let t = {buf: buf, pos: 0};',
+    `  let val = read${name}(t);`,
+    '  if (t.pos > buf.length) {',
+    '    throw new Error(\'truncated buffer\');',
+    '  }',
+    '  if (t.pos < buf.length) {',
+    '    throw new Error(\'trailing data\');',
+    '  }',
+    '  return val;',
+    '}',
+    '',
+    'function encode(val) {',
+    '  let t = {buf: Buffer.alloc(1024), pos: 0};',
+    `  write${name}(t, val);`,
+    '  return t.buf.slice(0, t.pos);',
+    '}',
+    '',
+    'function isValid(val) {',
+    `  return check${name}(val);`,
+    '}',
+    '',
+    'function skip(buf, pos) {',
+    '  let t = {buf: buf, pos: pos | 0};',
+    `  skip${name}(t);`,
+    '  return t.pos > buf.length ? -1 : t.pos;',
+    '}',
+    '',
+    'module.exports = {decode, encode, isValid, skip};',
+    ''
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Helper to generate the functions for each type.
+ *
+ * Each type gets four functions (`check`, `read`, `skip`, `write`) suffixed
+ * by the same name. Names are assigned before the functions are generated so
+ * that recursive types can reference themselves.
+ */
+class ModuleGenerator {
+  constructor () {
+    this.constants = [];
+    this.functions = [];
+    this._names = new Map(); // Function name suffixes, keyed by type.
+    this._usedNames = new Set();
+  }
+
+  getName (type) {
+    if (Type.isType(type, 'logical')) {
+      type = type.underlyingType;
+    }
+    // Primitives are identified by their type name to avoid generating
+    // duplicate functions.
+    let key = types.isPrimitive(type.typeName) ? type.typeName : type;
+    let name = this._names.get(key);
+    if (name === undefined) {
+      name = this._createName(type);
+      this._names.set(key, name);
+      this._generate(type, name);
+    }
+    return name;
+  }
+
+  _createName (type) {
+    let base = utils.capitalize(
+      type.name ? utils.unqualify(type.name) : type.typeName.split(':')[0]
+    );
+    let name = base;
+    let i = 1;
+    while (this._usedNames.has(name)) {
+      name = base + (i++);
+    }
+    this._usedNames.add(name);
+    return name;
+  }
+
+  _constant (prefix, val) {
+    let name = `${prefix}${this.constants.length}`;
+    this.constants.push(`let ${name} = ${val};`);
+    return name;
+  }
+
+  _generate (type, name) {
+    let label = quote(type.name || type.typeName);
+    let code; // Bodies of the check, read, skip, and write functions.
+    switch (type.typeName) {
+      case 'null':
+        code = {
+          check: 'return v === null;',
+          read: 'return null;',
+          skip: '',
+          write: [
+            'if (v !== null) {',
+            `  throwInvalid(${label}, v);`,
+            '}'
+          ].join('\n  ')
+        };
+        break;
+      case 'boolean':
+        code = {
+          check: 'return typeof v == \'boolean\';',
+          read: 'return !!t.buf[t.pos++];',
+          skip: 't.pos++;',
+          write: [
+            'if (typeof v != \'boolean\') {',
+            `  throwInvalid(${label}, v);`,
+            '}',
+            'tapEnsure(t, 1);',
+            't.buf[t.pos++] = v ? 1 : 0;'
+          ].join('\n  ')
+        };
+        break;
+      case 'int':
+        code = primitive('v === (v | 0)', 'Long');
+        break;
+      case 'long':
+        code = primitive([
+          'typeof v == \'number\' &&',
+          '    v % 1 === 0 &&',
+          '    v >= -4503599627370496 &&',
+          '    v <= 4503599627370496'
+        ].join('\n  '), 'Long');
+        break;
+      case 'float':
+        code = primitive('typeof v == \'number\'', 'Float', 't.pos += 4;');
+        break;
+      case 'double':
+        code = primitive('typeof v == \'number\'', 'Double', 't.pos += 8;');
+        break;
+      case 'string':
+        code = primitive(
+          'typeof v == \'string\'',
+          'String',
+          'tapSkipBytes(t);'
+        );
+        break;
+      case 'bytes':
+        code = primitive('Buffer.isBuffer(v)', 'Bytes');
+        break;
+      case 'fixed':
+        code = {
+          check: `return Buffer.isBuffer(v) && v.length === ${type.size};`,
+          read: `return tapReadFixed(t, ${type.size});`,
+          skip: `t.pos += ${type.size};`,
+          write: [
+            `if (!check${name}(v)) {`,
+            `  throwInvalid(${label}, v);`,
+            '}',
+            'tapWriteFixed(t, v);'
+          ].join('\n  ')
+        };
+        break;
+      case 'enum': {
+        let symbols = this._constant('SYMBOLS', JSON.stringify(type.symbols));
+        code = {
+          check: `return ${symbols}.indexOf(v) !== -1;`,
+          read: [
+            `let s = ${symbols}[tapReadLong(t)];`,
+            'if (s === undefined) {',
+            `  throw new Error('invalid ${type.name} enum index');`,
+            '}',
+            'return s;'
+          ].join('\n  '),
+          skip: 'tapSkipLong(t);',
+          write: [
+            `let i = ${symbols}.indexOf(v);`,
+            'if (i === -1) {',
+            `  throwInvalid(${label}, v);`,
+            '}',
+            'tapWriteLong(t, i);'
+          ].join('\n  ')
+        };
+        break;
+      }
+      case 'array': {
+        let items = this.getName(type.itemsType);
+        code = {
+          check: [
+            'if (!Array.isArray(v)) {',
+            '  return false;',
+            '}',
+            'for (let i = 0, l = v.length; i < l; i++) {',
+            `  if (!check${items}(v[i])) {`,
+            '    return false;',
+            '  }',
+            '}',
+            'return true;'
+          ].join('\n  '),
+          read: [
+            'let a = [];',
+            'let n;',
+            'while ((n = tapReadBlockSize(t))) {',
+            '  while (n--) {',
+            `    a.push(read${items}(t));`,
+            '  }',
+            '}',
+            'return a;'
+          ].join('\n  '),
+          skip: `tapSkipBlocks(t, skip${items});`,
+          write: [
+            'if (!Array.isArray(v)) {',
+            `  throwInvalid(${label}, v);`,
+            '}',
+            'let n = v.length;',
+            'if (n) {',
+            '  tapWriteLong(t, n);',
+            '  for (let i = 0; i < n; i++) {',
+            `    write${items}(t, v[i]);`,
+            '  }',
+            '}',
+            'tapWriteLong(t, 0);'
+          ].join('\n  ')
+        };
+        break;
+      }
+      case 'map': {
+        let values = this.getName(type.valuesType);
+        code = {
+          check: [
+            'if (!v || typeof v != \'object\' || Array.isArray(v)) {',
+            '  return false;',
+            '}',
+            'let keys = Object.keys(v);',
+            'for (let i = 0, l = keys.length; i < l; i++) {',
+            `  if (!check${values}(v[keys[i]])) {`,
+            '    return false;',
+            '  }',
+            '}',
+            'return true;'
+          ].join('\n  '),
+          read: [
+            'let o = {};',
+            'let n;',
+            'while ((n = tapReadBlockSize(t))) {',
+            '  while (n--) {',
+            '    let k = tapReadString(t);',
+            `    o[k] = read${values}(t);`,
+            '  }',
+            '}',
+            'return o;'
+          ].join('\n  '),
+          skip: [
+            'tapSkipBlocks(t, function (t) {',
+            '  tapSkipBytes(t);',
+            `  skip${values}(t);`,
+            '});'
+          ].join('\n  '),
+          write: [
+            'if (!v || typeof v != \'object\' || Array.isArray(v)) {',
+            `  throwInvalid(${label}, v);`,
+            '}',
+            'let keys = Object.keys(v);',
+            'let n = keys.length;',
+            'if (n) {',
+            '  tapWriteLong(t, n);',
+            '  for (let i = 0; i < n; i++) {',
+            '    tapWriteString(t, keys[i]);',
+            `    write${values}(t, v[keys[i]]);`,
+            '  }',
+            '}',
+            'tapWriteLong(t, 0);'
+          ].join('\n  ')
+        };
+        break;
+      }
+      case 'union:unwrapped':
+        code = this._unwrappedUnion(type, label);
+        break;
+      case 'union:wrapped':
+        code = this._wrappedUnion(type, label);
+        break;
+      case 'record':
+      case 'error':
+        code = this._record(type, label);
+        break;
+      default:
+        throw new Error(`unsupported type: ${j(type.typeName)}`);
+    }
+
+    this.functions.push(
+      declareFunction(`check${name}(v)`, code.check),
+      declareFunction(`read${name}(t)`, code.read),
+      declareFunction(`skip${name}(t)`, code.skip),
+      declareFunction(`write${name}(t, v)`, code.write)
+    );
+
+    function primitive(check, method, skip) {
+      return {
+        check: `return ${check};`,
+        read: `return tapRead${method}(t);`,
+        skip: skip || `tapSkip${method}(t);`,
+        write: [
+          `if (!check${name}(v)) {`,
+          `  throwInvalid(${label}, v);`,
+          '}',
+          `tapWrite${method}(t, v);`
+        ].join('\n  ')
+      };
+    }
+  }
+
+  _unwrappedUnion (type, label) {
+    let names = type.types.map((t) => { return this.getName(t); });
+    return {
+      check: `return ${names.map((s) => { return `check${s}(v)`; })
+        .join(' ||\n    ')};`,
+      read: unionRead(names, (s) => { return `read${s}(t)`; }),
+      skip: unionRead(names, (s) => { return `skip${s}(t)`; }),
+      write: names.map((s, i) => {
+        return [
+          `if (check${s}(v)) {`,
+          `  tapWriteLong(t, ${i});`,
+          `  write${s}(t, v);`,
+          '  return;',
+          '}'
+        ].join('\n  ');
+      }).concat(`throwInvalid(${label}, v);`).join('\n  ')
+    };
+  }
+
+  _wrappedUnion (type, label) {
+    let names = type.types.map((t) => { return this.getName(t); });
+    let keys = type.types.map((t) => { return quote(t.branchName); });
+    let nullIndex = type.types.findIndex((t) => {
+      return t.typeName === 'null';
+    });
+    let check = ['if (v === null) {', `  return ${nullIndex !== -1};`, '}'];
+    let write = ['if (v === null) {'];
+    if (~nullIndex) {
+      write.push(`  tapWriteLong(t, ${nullIndex});`, '  return;');
+    } else {
+      write.push(`  throwInvalid(${label}, v);`);
+    }
+    write.push('}');
+    let prelude = [
+      'if (typeof v != \'object\') {',
+      '  return false;',
+      '}',
+      'let keys = Object.keys(v);',
+      'if (keys.length !== 1) {',
+      '  return false;',
+      '}',
+      'switch (keys[0]) {'
+    ];
+    check = check.concat(prelude);
+    write = write.concat(prelude.map((s) => {
+      return s === '  return false;' ? `  throwInvalid(${label}, v);` : s;
+    }));
+    names.forEach((s, i) => {
+      if (i === nullIndex) {
+        return;
+      }
+      check.push(`  case ${keys[i]}:`, `    return check${s}(v[${keys[i]}]);`);
+      write.push(
+        `  case ${keys[i]}:`,
+        `    tapWriteLong(t, ${i});`,
+        `    write${s}(t, v[${keys[i]}]);`,
+        '    return;'
+      );
+    });
+    check.push('  default:', '    return false;', '}');
+    write.push('  default:', `    throwInvalid(${label}, v);`, '}');
+    return {
+      check: check.join('\n  '),
+      read: unionRead(names, (s, i) => {
+        return i === nullIndex ? 'null' : `{${keys[i]}: read${s}(t)}`;
+      }),
+      skip: unionRead(names, (s) => { return `skip${s}(t)`; }),
+      write: write.join('\n  ')
+    };
+  }
+
+  _record (type, label) {
+    let fields = type.fields.map((field) => {
+      let defaultValue = field.defaultValue();
+      return {
+        name: field.name,
+        type: this.getName(field.type),
+        // Encoded default value, written when the field is missing.
+        defaultBytes: defaultValue === undefined ?
+          undefined :
+          this._constant(
+            'DEFAULT',
+            `Buffer.from(${quote(field.type.toBuffer(defaultValue)
+              .toString('hex'))}, 'hex')`
+          )
+      };
+    });
+    let check = [
+      'if (v === null || typeof v != \'object\') {',
+      '  return false;',
+      '}'
+    ];
+    let write = [
+      'if (v === null || typeof v != \'object\') {',
+      `  throwInvalid(${label}, v);`,
+      '}'
+    ];
+    fields.forEach((field, i) => {
+      let val = `v.${field.name}`;
+      if (field.defaultBytes) {
+        check.push(`let v${i} = ${val};`);
+        check.push(`if (v${i} !== undefined && !check${field.type}(v${i})) {`);
+        write.push(
+          `let v${i} = ${val};`,
+          `if (v${i} === undefined) {`,
+          `  tapWriteFixed(t, ${field.defaultBytes});`,
+          '} else {',
+          `  write${field.type}(t, v${i});`,
+          '}'
+        );
+      } else {
+        check.push(`if (!check${field.type}(${val})) {`);
+        write.push(`write${field.type}(t, ${val});`);
+      }
+      check.push('  return false;', '}');
+    });
+    check.push('return true;');
+    let read = fields.map((field) => {
+      return `  ${field.name}: read${field.type}(t)`;
+    });
+    return {
+      check: check.join('\n  '),
+      // Object literals' values are evaluated in order.
+      read: read.length ?
+        `return {\n  ${read.join(',\n  ')}\n  };` :
+        'return {};',
+      skip: fields.map((field) => {
+        return `skip${field.type}(t);`;
+      }).join('\n  '),
+      write: write.join('\n  ')
+    };
+  }
+}
+
+/** Single-quoted string literal, only valid for names. */
+function quote(s) {
+  return `'${s}'`;
+}
+
+/** Function declaration, `body` is expected to be indented by two spaces. */
+function declareFunction(signature, body) {
+  return body ?
+    `function ${signature} {\n  ${body}\n}` :
+    `function ${signature} {}`;
+}
+
+/** Body of a function dispatching on a union's branch index. */
+function unionRead(names, getExpression) {
+  let lines = ['switch (tapReadLong(t)) {'];
+  names.forEach((s, i) => {
+    lines.push(`  case ${i}:`, `    return ${getExpression(s, i)};`);
+  });
+  lines.push('  default:', '    throw new Error(\'invalid union index\');', '}');
+  return lines.join('\n  ');
+}
+
+
+module.exports = {
+  generateModule
+};
@@ -14,9 +14,11 @@
 let types = require('./types'),
     utils = require('./utils'),
     buffer = require('buffer'),
-    stream = require('stream');
+    stream = require('stream'),
+    stringDecoder = require('string_decoder');
 
 let Buffer = buffer.Buffer;
+let StringDecoder = stringDecoder.StringDecoder;
 let OPTS = {namespace: 'org.apache.avro.file', registry: {}};
 
 let LONG_TYPE = types.Type.forSchema('long', OPTS);
@@ -62,11 +64,25 @@ class RawDecoder extends stream.Duplex {
     });
 
     this._type = types.Type.forSchema(schema);
-    this._tap = new Tap(utils.newBuffer(0));
+    this._tap = createTap(opts);
     this._writeCb = null;
     this._needPush = false;
-    this._readValue = createReader(noDecode, this._type);
+    // An optional reader type (e.g. a projection) can be used to resolve
+    // binary values written with the above type.
+    this._readValue = createReader(
+      noDecode,
+      this._type,
+      opts.readerSchema !== undefined ?
+        types.Type.forSchema(opts.readerSchema) :
+        undefined
+    );
     this._finished = false;
+    // In JSON mode, the input is a sequence of Avro JSON encoded values
+    // (typically separated by newlines) which we accumulate as a string.
+    this._json = !!opts.json;
+    this._noDecode = noDecode;
+    this._str = '';
+    this._stringDecoder = this._json ? new StringDecoder('utf8') : null;
 
     this.on('finish', function () {
       this._finished = true;
@@ -82,9 +98,13 @@ class RawDecoder extends stream.Duplex {
     // call the previous.
     this._writeCb = cb;
 
-    let tap = this._tap;
-    tap.buf = Buffer.concat([tap.buf.slice(tap.pos), chunk]);
-    tap.pos = 0;
+    if (this._json) {
+      this._str += this._stringDecoder.write(chunk);
+    } else {
+      let tap = this._tap;
+      tap.buf = Buffer.concat([tap.buf.slice(tap.pos), chunk]);
+      tap.pos = 0;
+    }
     if (this._needPush) {
       this._needPush = false;
       this._read();
@@ -94,23 +114,94 @@ class RawDecoder extends stream.Duplex {
   _read () {
     this._needPush = false;
 
+    if (this._json) {
+      this._readJson();
+      return;
+    }
+
     let tap = this._tap;
     let pos = tap.pos;
-    let val = this._readValue(tap);
+    let val;
+    tap.resetLimits();
+    try {
+      val = this._readValue(tap);
+    } catch (err) {
+      this._fail(err);
+      return;
+    }
     if (tap.isValid()) {
       this.push(val);
     } else if (!this._finished) {
       tap.pos = pos;
-      this._needPush = true;
-      if (this._writeCb) {
-        // This should only ever be false on the first read, and only if it
-        // happens before the first write.
-        this._writeCb();
-      }
+      this._needWrite();
     } else {
       this.push(null);
     }
   }
+
+  _readJson () {
+    let str = this._str;
+    let pos = 0;
+    while (/\s/.test(str.charAt(pos))) {
+      pos++;
+    }
+    let end = pos < str.length ? utils.jsonEnd(str, pos) : -1;
+    if (
+      !this._finished &&
+      (end < 0 || (end === str.length && /[\d-]/.test(str.charAt(pos))))
+    ) {
+      // Either the value is incomplete, or it is a number which might
+      // continue in the next chunk.
+      this._str = str.slice(pos);
+      this._needWrite();
+      return;
+    }
+    if (end < 0) {
+      if (pos < str.length) {
+        this._fail(new Error('truncated json value'));
+      } else {
+        this.push(null);
+      }
+      return;
+    }
+    this._str = str.slice(end);
+    let text = str.slice(pos, end);
+    if (this._noDecode) {
+      this.push(utils.bufferFrom(text));
+      return;
+    }
+    let val;
+    try {
+      val = this._type.fromAvroJSON(text);
+    } catch (err) {
+      this._fail(err);
+      return;
+    }
+    this.push(val);
+  }
+
+  _needWrite () {
+    this._needPush = true;
+    let cb = this._writeCb;
+    if (cb) {
+      // This should only be null on the first read if it happens before the
+      // first write, or if the latest write's callback was already called.
+      this._writeCb = null;
+      cb();
+    }
+  }
+
+  _fail (err) {
+    let cb = this._writeCb;
+    if (cb) {
+      // Failing the pending write (rather than just emitting the error)
+      // releases it, otherwise piped streams would stall.
+      this._writeCb = null;
+      cb(err);
+    } else {
+      this.emit('error', err);
+    }
+  }
 }
 
 
@@ -133,13 +224,15 @@ class BlockDecoder extends stream.Duplex {
     this._codec = undefined;
     this._parseHook = opts.parseHook;
     this._tap = new Tap(utils.newBuffer(0));
-    this._blockTap = new Tap(utils.newBuffer(0));
+    this._blockTap = createTap(opts);
     this._syncMarker = null;
     this._readValue = null;
     this._noDecode = noDecode;
     this._queue = new utils.OrderedQueue();
     this._decompress = null; // Decompression function.
     this._index = 0; // Next block index.
+    this._offset = 0; // Position of `_tap`'s buffer within the file.
+    this._block = null; // Current block's data.
     this._remaining = undefined; // In the current block.
     this._needPush = false;
     this._finished = false;
@@ -229,10 +322,12 @@ class BlockDecoder extends stream.Duplex {
 
   _writeChunk (chunk, encoding, cb) {
     let tap = this._tap;
+    this._offset += tap.pos;
     tap.buf = Buffer.concat([tap.buf.slice(tap.pos), chunk]);
     tap.pos = 0;
 
     let nBlocks = 1;
+    let offset = this._offset;
     let block;
     while ((block = tryReadBlock(tap))) {
       if (!this._syncMarker.equals(block.sync)) {
@@ -242,8 +337,14 @@ class BlockDecoder extends stream.Duplex {
       nBlocks++;
       this._decompress(
         block.data,
-        this._createBlockCallback(block.data.length, block.count, chunkCb)
+        this._createBlockCallback(
+          block.data.length,
+          block.count,
+          offset,
+          chunkCb
+        )
       );
+      offset = this._offset + tap.pos;
     }
     chunkCb();
 
@@ -254,7 +355,7 @@ class BlockDecoder extends stream.Duplex {
     }
   }
 
-  _createBlockCallback (size, count, cb) {
+  _createBlockCallback (size, count, offset, cb) {
     let self = this;
     let index = this._index++;
 
@@ -266,7 +367,7 @@ class BlockDecoder extends stream.Duplex {
         cb();
       } else {
         self.emit('block', new BlockInfo(count, data.length, size));
-        self._queue.push(new BlockData(index, data, cb, count));
+        self._queue.push(new BlockData(index, data, cb, count, offset));
         if (self._needPush) {
           self._read();
         }
@@ -293,24 +394,41 @@ class BlockDecoder extends stream.Duplex {
       }
       data.cb();
       this._remaining = data.count;
+      this._block = data;
       tap.buf = data.buf;
       tap.pos = 0;
     }
 
     this._remaining--;
-    let val;
+    let pos = tap.pos;
+    let val, cause;
+    tap.resetLimits();
     try {
       val = this._readValue(tap);
-      if (!tap.isValid()) {
-        throw new Error('truncated block');
-      }
     } catch (err) {
+      cause = err;
+    }
+    if (cause || !tap.isValid()) { // Corrupt data.
       this._remaining = 0;
-      this.emit('error', err); // Corrupt data.
+      this.emit('error', this._createDecodeError(pos, cause));
       return;
     }
     this.push(val);
   }
+
+  _createDecodeError (pos, cause) {
+    if (cause instanceof utils.LimitExceededError) {
+      return cause;
+    }
+    let block = this._block;
+    return types.createDecodeError(
+      cause ? cause.message : 'truncated block',
+      this._wType,
+      block.buf,
+      pos,
+      {cause, blockIndex: block.index, fileOffset: block.offset}
+    );
+  }
 }
 
 
@@ -325,19 +443,39 @@ class RawEncoder extends stream.Transform {
     });
 
     this._type = types.Type.forSchema(schema);
+    this._fillDefaults = !!opts.fillDefaults;
     this._writeValue = function (tap, val) {
       try {
+        if (this._fillDefaults) {
+          val = this._type._fillDefaults(val);
+        }
         this._type._write(tap, val);
       } catch (err) {
         this.emit('typeError', err, val, this._type);
       }
     };
     this._tap = new Tap(utils.newBuffer(opts.batchSize || 65536));
+    this._json = !!opts.json;
 
     this.on('typeError', function (err) { this.emit('error', err); });
   }
 
   _transform (val, encoding, cb) {
+    if (this._json) {
+      // Values are newline-delimited, similar to other implementations.
+      let str;
+      try {
+        str = this._type.toAvroJSON(val);
+      } catch (err) {
+        this.emit('typeError', err, val, this._type);
+      }
+      if (str !== undefined) {
+        this.push(utils.bufferFrom(str + '\n'));
+      }
+      cb();
+      return;
+    }
+
     let tap = this._tap;
     let buf = tap.buf;
     let pos = tap.pos;
@@ -381,6 +519,8 @@ class RawEncoder extends stream.Transform {
  *  + `blockSize`, uncompressed.
  *  + `codec`
  *  + `codecs`
+ *  + `fillDefaults`, populate missing nested records with their defaults
+ *    (see `Type#createDefault`).
  *  + `metadata``
  *  + `noCheck`
  *  + `omitHeader`, useful to append to an existing block file.
@@ -405,8 +545,12 @@ class BlockEncoder extends stream.Duplex {
 
     this._schema = schema;
     this._type = type;
+    this._fillDefaults = !!opts.fillDefaults;
     this._writeValue = function (tap, val) {
       try {
+        if (this._fillDefaults) {
+          val = this._type._fillDefaults(val);
+        }
         this._type._write(tap, val);
       } catch (err) {
         this.emit('typeError', err, val, this._type);
@@ -601,11 +745,12 @@ class BlockInfo {
  * can cause some some blocks to be returned out of order.
  */
 class BlockData {
-  constructor (index, buf, cb, count) {
+  constructor (index, buf, cb, count, offset) {
     this.index = index;
     this.buf = buf;
     this.cb = cb;
     this.count = count | 0;
+    this.offset = offset; // Of the block within the file.
   }
 }
 
@@ -638,6 +783,23 @@ function createReader(noDecode, writerType, readerType) {
   }
 }
 
+/**
+ * Create a tap to decode values, enforcing limits if any.
+ *
+ * Limits only apply to decoded values (not to container files' headers, and
+ * not when the `noDecode` option is set since values are only skipped). The
+ * tap's buffer is always replaced rather than modified, so values decoded
+ * with `noCopy` remain valid.
+ */
+function createTap(opts) {
+  let buf = utils.newBuffer(0);
+  let tap = opts.limits ?
+    new utils.LimitedTap(buf, 0, opts.limits) :
+    new Tap(buf);
+  tap.noCopy = !!opts.noCopy;
+  return tap;
+}
+
 /** Copy a buffer. This avoids creating a slice of the original buffer. */
 function copyBuffer(buf, pos, len) {
   let copy = utils.newBuffer(len);
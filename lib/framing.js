@@ -0,0 +1,290 @@
+'use strict';
+
+/**
+ * This module contains helpers to encode and decode individually framed Avro
+ * values.
+ *
+ * Contrary to container files, these formats only include a reference to the
+ * writer's schema (e.g. a fingerprint or registry ID) alongside each value.
+ * Writer schemas are then retrieved from a store and resolved against the
+ * reader's type.
+ */
+
+let types = require('./types'),
+    utils = require('./utils'),
+    buffer = require('buffer');
+
+let Buffer = buffer.Buffer;
+let Type = types.Type;
+
+// Schema registry wire format: a zero magic byte followed by the writer
+// schema's 4-byte ID.
+const REGISTRY_MAGIC_BYTE = 0;
+const REGISTRY_HEADER_LENGTH = 5;
+
+/**
+ * Decoder for values using Avro's single-object encoding.
+ *
+ * @param type {Type} The reader's type (or schema).
+ * @param store {Object} Writer schemas (or types), keyed by the hex encoding
+ * of their CRC-64-AVRO fingerprint. Either a plain object or any object with a
+ * `get` method (e.g. a `Map`). It is consulted each time an unknown
+ * fingerprint is encountered, so new schemas can be added at any time.
+ * @param opts {Object} Options passed to `Type.forSchema` when parsing the
+ * reader and writer schemas.
+ *
+ * Writer types and their resolvers are cached by fingerprint.
+ */
+class SingleObjectDecoder {
+  constructor (type, store, opts) {
+    if (!store || typeof store != 'object') {
+      throw new Error(`invalid schema store: ${utils.printJSON(store)}`);
+    }
+    this.type = Type.forSchema(type, opts);
+    this._store = store;
+    this._opts = opts;
+    this._resolvers = new Map(); // Resolvers (or null) keyed by fingerprint.
+    this._fingerprint = this.type.fingerprint('CRC-64-AVRO').toString('hex');
+  }
+
+  decode (buf) {
+    let fingerprint = types.readSingleObjectFingerprint(buf).toString('hex');
+    return this.type.fromBuffer(
+      buf.slice(types.SINGLE_OBJECT_HEADER_LENGTH),
+      this._getResolver(fingerprint)
+    );
+  }
+
+  _getResolver (fingerprint) {
+    if (fingerprint === this._fingerprint) {
+      return undefined; // Same schema, no resolution necessary.
+    }
+    let resolver = this._resolvers.get(fingerprint);
+    if (resolver === undefined) {
+      let store = this._store;
+      let schema = typeof store.get == 'function' ?
+        store.get(fingerprint) :
+        Object.prototype.hasOwnProperty.call(store, fingerprint) ?
+          store[fingerprint] :
+          undefined;
+      if (schema === undefined) {
+        throw new Error(`unknown fingerprint: ${fingerprint}`);
+      }
+      resolver = this.type.createResolver(Type.forSchema(schema, this._opts));
+      this._resolvers.set(fingerprint, resolver);
+    }
+    return resolver;
+  }
+}
+
+/**
+ * Serializer for the schema registry wire format.
+ *
+ * @param type {Type} The writer's type (or schema).
+ * @param id {Number} The writer schema's ID in the registry.
+ * @param opts {Object} Options passed to `Type.forSchema`.
+ *
+ * Each value is prefixed by a zero magic byte and the writer schema's ID, as a
+ * 4-byte big-endian integer.
+ */
+class RegistrySerializer {
+  constructor (type, id, opts) {
+    if (!isValidSchemaId(id)) {
+      throw new Error(`invalid schema id: ${utils.printJSON(id)}`);
+    }
+    this.type = Type.forSchema(type, opts);
+    this.id = id;
+    this._header = utils.newBuffer(REGISTRY_HEADER_LENGTH);
+    this._header[0] = REGISTRY_MAGIC_BYTE;
+    this._header.writeUInt32BE(id, 1);
+  }
+
+  serialize (val) {
+    return Buffer.concat([this._header, this.type.toBuffer(val)]);
+  }
+}
+
+/**
+ * Deserializer for the schema registry wire format.
+ *
+ * @param type {Type} The reader's type (or schema). If `null`, values are
+ * decoded using the writer's type directly.
+ * @param lookup {Function} Asynchronous function to retrieve the writer's
+ * schema from its ID. It is called with the ID and a node-style callback, and
+ * may also return a promise instead of using the callback. The schema can be
+ * returned as an object, a JSON string, or a type.
+ * @param opts {Object} Options passed to `Type.forSchema` when parsing the
+ * reader and writer schemas.
+ *
+ * Writer types and their resolvers are cached by ID, and concurrent lookups of
+ * the same ID are batched. Failed lookups aren't cached.
+ */
+class RegistryDeserializer {
+  constructor (type, lookup, opts) {
+    if (typeof lookup != 'function') {
+      throw new Error(`invalid lookup function: ${utils.printJSON(lookup)}`);
+    }
+    this.type = type === null || type === undefined ?
+      null :
+      Type.forSchema(type, opts);
+    this._lookup = lookup;
+    this._opts = opts;
+    this._entries = new Map(); // Decoding information, keyed by ID.
+    this._pending = new Map(); // Callbacks waiting for a lookup, keyed by ID.
+  }
+
+  /**
+   * Decode a value.
+   *
+   * The callback is always called asynchronously, even when the writer's
+   * schema was already retrieved.
+   */
+  deserialize (buf, cb) {
+    if (
+      buf.length < REGISTRY_HEADER_LENGTH ||
+      buf[0] !== REGISTRY_MAGIC_BYTE
+    ) {
+      process.nextTick(() => {
+        cb(new Error('invalid registry wire format header'));
+      });
+      return;
+    }
+    let id = buf.readUInt32BE(1);
+    this._getEntry(id, (err, entry) => {
+      if (err) {
+        cb(err);
+        return;
+      }
+      let val;
+      try {
+        val = entry.type.fromBuffer(
+          buf.slice(REGISTRY_HEADER_LENGTH),
+          entry.resolver
+        );
+      } catch (err) {
+        cb(err);
+        return;
+      }
+      cb(null, val);
+    });
+  }
+
+  _getEntry (id, cb) {
+    let entry = this._entries.get(id);
+    if (entry) {
+      process.nextTick(() => { cb(null, entry); });
+      return;
+    }
+    let cbs = this._pending.get(id);
+    if (cbs) {
+      cbs.push(cb);
+      return;
+    }
+    this._pending.set(id, [cb]);
+    let self = this;
+    let done = false;
+    let ret;
+    try {
+      ret = this._lookup(id, onSchema);
+    } catch (err) {
+      onSchema(err);
+      return;
+    }
+    if (ret && typeof ret.then == 'function') {
+      ret.then((schema) => { onSchema(null, schema); }, onSchema);
+    }
+
+    function onSchema(err, schema) {
+      if (done) {
+        return; // Ignore duplicate calls (e.g. callback and promise).
+      }
+      done = true;
+      if (!err) {
+        if (schema === undefined || schema === null) {
+          err = new Error(`unknown schema id: ${id}`);
+        } else {
+          try {
+            entry = self._createEntry(schema);
+            self._entries.set(id, entry);
+          } catch (cause) {
+            err = cause;
+          }
+        }
+      }
+      let cbs = self._pending.get(id);
+      self._pending.delete(id);
+      // Callbacks are called outside of the lookup (which might catch their
+      // exceptions, e.g. inside a promise), and separately so that one
+      // throwing doesn't prevent the others from being called.
+      cbs.forEach((cb) => {
+        process.nextTick(() => { cb(err, entry); });
+      });
+    }
+  }
+
+  _createEntry (schema) {
+    if (typeof schema == 'string') {
+      // Registries typically return schemas as JSON strings. We also support
+      // primitive type names which aren't valid JSON (e.g. `'int'`).
+      try {
+        schema = JSON.parse(schema);
+      } catch (err) {
+        // Not JSON, try parsing it as is.
+      }
+    }
+    let writerType = Type.forSchema(schema, this._opts);
+    if (!this.type) {
+      return {type: writerType, resolver: undefined};
+    }
+    return {type: this.type, resolver: this.type.createResolver(writerType)};
+  }
+}
+
+/**
+ * Simple in-memory schema registry, mostly useful for testing.
+ *
+ * Schemas are assigned incrementing IDs (starting from 1), identical schemas
+ * get the same ID.
+ */
+class MemoryRegistry {
+  constructor () {
+    this._schemas = [];
+    this._ids = new Map(); // IDs, keyed by schema string.
+  }
+
+  register (schema) {
+    let type = Type.forSchema(schema);
+    let str = JSON.stringify(type.schema({exportAttrs: true}));
+    let id = this._ids.get(str);
+    if (id === undefined) {
+      this._schemas.push(str);
+      id = this._schemas.length;
+      this._ids.set(str, id);
+    }
+    return id;
+  }
+
+  getSchema (id, cb) {
+    let str = this._schemas[id - 1];
+    process.nextTick(() => {
+      if (str === undefined) {
+        cb(new Error(`unknown schema id: ${id}`));
+      } else {
+        cb(null, str);
+      }
+    });
+  }
+}
+
+/** Check that a schema ID can be written as an unsigned 32-bit integer. */
+function isValidSchemaId(id) {
+  return id === (id >>> 0);
+}
+
+
+module.exports = {
+  MemoryRegistry,
+  RegistryDeserializer,
+  RegistrySerializer,
+  SingleObjectDecoder
+};
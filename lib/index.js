@@ -7,9 +7,13 @@
  * functions to read Avro files from the local filesystem).
  */
 
-let containers = require('./containers'),
+let codegen = require('./codegen'),
+    containers = require('./containers'),
+    framing = require('./framing'),
+    inference = require('./inference'),
     specs = require('./specs'),
     types = require('./types'),
+    typescript = require('./typescript'),
     utils = require('./utils'),
     buffer = require('buffer'),
     fs = require('fs');
@@ -77,11 +81,21 @@ function createFileEncoder(path, schema, opts) {
 
 
 module.exports = {
+  DecodeError: utils.DecodeError,
+  LimitExceededError: utils.LimitExceededError,
+  MemoryRegistry: framing.MemoryRegistry,
+  RegistryDeserializer: framing.RegistryDeserializer,
+  RegistrySerializer: framing.RegistrySerializer,
+  SchemaInferrer: inference.SchemaInferrer,
+  SingleObjectDecoder: framing.SingleObjectDecoder,
   Type: types.Type,
   assembleProtocol: specs.assembleProtocol,
   createFileDecoder,
   createFileEncoder,
   extractFileHeader,
+  generateDeclarations: typescript.generateDeclarations,
+  generateModule: codegen.generateModule,
+  logicalTypes: types.logicalTypes,
   readProtocol: specs.readProtocol,
   readSchema: specs.readSchema,
   streams: containers.streams,
@@ -0,0 +1,381 @@
+'use strict';
+
+/**
+ * Schema inference from many sample values.
+ *
+ * Unlike `Type.forValue`, which infers a type from a single value's structure,
+ * this module accumulates statistics about each position inside the samples
+ * (e.g. the distinct strings seen, whether all of them look like timestamps,
+ * or how often a field was missing). These are then used to pick the most
+ * specific schema compatible with all samples.
+ */
+
+let utils = require('./utils');
+
+
+let j = utils.printJSON;
+
+const MIN_INT = -2147483648;
+const MAX_INT = 2147483647;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP_PATTERN =
+  /^\d{4}-\d\d-\d\d[T ]\d\d:\d\d(?::\d\d(?:\.\d+)?)?(Z|[+-]\d\d:?\d\d)?$/;
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Accumulator of sample values.
+ *
+ * Options:
+ *
+ * + `maxEnumSymbols`, largest number of distinct strings which can be turned
+ *   into an enum. Defaults to 16, use 0 to disable enum detection.
+ * + `inferLogicalTypes`, detect dates, timestamps, and UUIDs. Values of the
+ *   detected date and timestamp types are `Date`s, so samples must then be
+ *   converted before they are valid.
+ */
+class SchemaInferrer {
+  constructor (opts) {
+    opts = opts || {};
+    this._maxEnumSymbols = opts.maxEnumSymbols === undefined ?
+      16 :
+      opts.maxEnumSymbols;
+    this._inferLogicalTypes = !!opts.inferLogicalTypes;
+    this._root = new ValueStats(this._maxEnumSymbols);
+  }
+
+  /** Add a sample value. */
+  add (val) {
+    this._root.add(val);
+    return this;
+  }
+
+  /**
+   * Generate a schema compatible with all samples added so far.
+   *
+   * When the `inferLogicalTypes` option is set, detected dates and timestamps
+   * are emitted as standard logical types (their values must then be
+   * `Date`s), so the returned schema should be passed to `Type.forSchema` with
+   * the `standardLogicalTypes` option. Otherwise the schema is always valid
+   * for all samples.
+   */
+  getSchema () {
+    if (!this._root.count) {
+      throw new Error('no values to infer from');
+    }
+    return this._root.getSchema('', this._createContext());
+  }
+
+  /**
+   * Explain the non-structural decisions made when generating the schema.
+   *
+   * Each decision (e.g. turning strings into an enum) comes with a confidence
+   * between 0 and 1: the share of repeated values for enums and `n / (n + 1)`
+   * for logical types matched by all `n` values. The report's confidence is
+   * the lowest of its decisions'.
+   */
+  getReport () {
+    let ctx = this._createContext();
+    if (this._root.count) {
+      this._root.getSchema('', ctx);
+    }
+    let decisions = ctx.decisions;
+    return {
+      count: this._root.count,
+      confidence: decisions.reduce((min, obj) => {
+        return Math.min(min, obj.confidence);
+      }, 1),
+      decisions
+    };
+  }
+
+  _createContext () {
+    return {
+      inferLogicalTypes: this._inferLogicalTypes,
+      decisions: [],
+      names: new Set() // Enum names, which must be unique.
+    };
+  }
+}
+
+/** Statistics about all the values seen at a given position. */
+class ValueStats {
+  constructor (maxEnumSymbols) {
+    this._maxEnumSymbols = maxEnumSymbols;
+    this.count = 0;
+    this._nulls = 0;
+    this._booleans = 0;
+    this._ints = 0;
+    this._longs = 0;
+    this._doubles = 0;
+    this._buffers = 0;
+    this._strings = null;
+    this._arrays = null;
+    this._objects = null;
+  }
+
+  add (val) {
+    this.count++;
+    switch (typeof val) {
+      case 'boolean':
+        this._booleans++;
+        return;
+      case 'bigint':
+        this._longs++;
+        return;
+      case 'number':
+        if (val % 1 !== 0 || !isFinite(val)) {
+          this._doubles++;
+        } else if (val >= MIN_INT && val <= MAX_INT) {
+          this._ints++;
+        } else {
+          this._longs++;
+        }
+        return;
+      case 'string':
+        if (!this._strings) {
+          this._strings = new StringStats(this._maxEnumSymbols);
+        }
+        this._strings.add(val);
+        return;
+      case 'object':
+        if (val === null) {
+          this._nulls++;
+        } else if (Array.isArray(val)) {
+          if (!this._arrays) {
+            this._arrays = {
+              count: 0,
+              items: new ValueStats(this._maxEnumSymbols)
+            };
+          }
+          this._arrays.count++;
+          val.forEach((item) => { this._arrays.items.add(item); });
+        } else if (Buffer.isBuffer(val)) {
+          this._buffers++;
+        } else {
+          if (!this._objects) {
+            this._objects = new ObjectStats(this._maxEnumSymbols);
+          }
+          this._objects.add(val);
+        }
+        return;
+      default:
+        throw new Error(`cannot infer type from: ${j(val)}`);
+    }
+  }
+
+  /**
+   * Whether `null` is one of the values seen.
+   *
+   * The corresponding union branch is always listed first, to allow using
+   * `null` as default.
+   */
+  isNullable () { return this._nulls > 0; }
+
+  getSchema (path, ctx) {
+    let hasNumbers = this._ints + this._longs + this._doubles > 0;
+    let branches = [];
+    if (this._nulls) {
+      branches.push('null');
+    }
+    if (this._booleans) {
+      branches.push('boolean');
+    }
+    if (this._doubles) {
+      branches.push('double');
+    } else if (this._longs) {
+      branches.push('long');
+    } else if (this._ints) {
+      branches.push('int');
+    }
+    if (this._strings) {
+      // Temporal logical types' underlying numbers would clash with any
+      // other numeric branch.
+      branches.push(this._strings.getSchema(path, hasNumbers, ctx));
+    }
+    if (this._buffers) {
+      branches.push('bytes');
+    }
+    if (this._arrays) {
+      let items = this._arrays.items;
+      branches.push({
+        type: 'array',
+        items: items.count ?
+          items.getSchema(`${path}[]`, ctx) :
+          'null'
+      });
+    }
+    if (this._objects) {
+      branches.push(this._objects.getSchema(path, ctx));
+    }
+    return branches.length === 1 ? branches[0] : branches;
+  }
+}
+
+/** Strings, tracking their distinct values and recognizable formats. */
+class StringStats {
+  constructor (maxEnumSymbols) {
+    this._maxEnumSymbols = maxEnumSymbols;
+    this._count = 0;
+    this._symbols = new Set(); // Set to `null` once too many are seen.
+    this._dates = 0;
+    this._timestamps = 0;
+    this._localTimestamps = 0;
+    this._uuids = 0;
+  }
+
+  add (str) {
+    this._count++;
+    if (this._symbols) {
+      if (!utils.isValidName(str)) {
+        this._symbols = null;
+      } else {
+        this._symbols.add(str);
+        if (this._symbols.size > this._maxEnumSymbols) {
+          this._symbols = null;
+        }
+      }
+    }
+    let match;
+    if (UUID_PATTERN.test(str)) {
+      this._uuids++;
+    } else if (DATE_PATTERN.test(str)) {
+      if (!isNaN(Date.parse(str))) {
+        this._dates++;
+      }
+    } else if ((match = TIMESTAMP_PATTERN.exec(str))) {
+      if (!isNaN(Date.parse(str))) {
+        if (match[1]) {
+          this._timestamps++;
+        } else {
+          this._localTimestamps++;
+        }
+      }
+    }
+  }
+
+  getSchema (path, hasNumbers, ctx) {
+    let decisions = ctx.decisions;
+    let n = this._count;
+    let confidence = n / (n + 1);
+    if (ctx.inferLogicalTypes) {
+      if (this._uuids === n) {
+        decisions.push({path, kind: 'uuid', confidence});
+        return {type: 'string', logicalType: 'uuid'};
+      }
+      if (!hasNumbers) {
+        if (this._dates === n) {
+          decisions.push({path, kind: 'date', confidence});
+          return {type: 'int', logicalType: 'date'};
+        }
+        if (this._timestamps === n) {
+          decisions.push({path, kind: 'timestamp-millis', confidence});
+          return {type: 'long', logicalType: 'timestamp-millis'};
+        }
+        if (this._localTimestamps === n) {
+          decisions.push({
+            path,
+            kind: 'local-timestamp-millis',
+            confidence
+          });
+          return {type: 'long', logicalType: 'local-timestamp-millis'};
+        }
+      }
+    }
+    let symbols = this._symbols;
+    // We require each symbol to appear at least twice on average, otherwise
+    // there isn't enough evidence that the set of values is closed.
+    if (symbols && symbols.size && 2 * symbols.size <= n) {
+      decisions.push({path, kind: 'enum', confidence: 1 - symbols.size / n});
+      return {
+        type: 'enum',
+        name: getEnumName(path, ctx.names),
+        symbols: Array.from(symbols).sort()
+      };
+    }
+    return 'string';
+  }
+}
+
+/**
+ * Objects, inferred as records (or maps if any of their keys isn't a valid
+ * field name).
+ */
+class ObjectStats {
+  constructor (maxEnumSymbols) {
+    this._maxEnumSymbols = maxEnumSymbols;
+    this._count = 0;
+    this._fields = new Map();
+    this._values = new ValueStats(maxEnumSymbols); // All values, for maps.
+  }
+
+  add (obj) {
+    this._count++;
+    Object.keys(obj).forEach((key) => {
+      let stats = this._fields.get(key);
+      if (!stats) {
+        stats = new ValueStats(this._maxEnumSymbols);
+        this._fields.set(key, stats);
+      }
+      stats.add(obj[key]);
+      this._values.add(obj[key]);
+    });
+  }
+
+  getSchema (path, ctx) {
+    let names = Array.from(this._fields.keys());
+    if (names.some((s) => { return !utils.isValidName(s); })) {
+      return {
+        type: 'map',
+        values: this._values.count ?
+          this._values.getSchema(`${path}{}`, ctx) :
+          'null'
+      };
+    }
+    return {
+      type: 'record',
+      fields: names.map((name) => {
+        let stats = this._fields.get(name);
+        let fieldPath = path ? `${path}.${name}` : name;
+        let type = stats.getSchema(fieldPath, ctx);
+        if (stats.count === this._count) {
+          return {name, type};
+        }
+        // The field is missing from some samples.
+        ctx.decisions.push({
+          path: fieldPath,
+          kind: 'optional',
+          confidence: 1 // Adding `null` never rejects any sample.
+        });
+        if (!stats.isNullable()) {
+          type = ['null'].concat(type);
+        }
+        return {name, type, 'default': null};
+      })
+    };
+  }
+}
+
+/**
+ * Derive a unique enum name from its position (e.g. `'user.kind'` to `Kind`).
+ */
+function getEnumName(path, names) {
+  let parts = path.split(/[.[\]{}]+/).filter((s) => { return s; });
+  let base = parts.length ? utils.capitalize(parts[parts.length - 1]) : 'Enum';
+  if (!utils.isValidName(base)) {
+    base = 'Enum';
+  }
+  let name = base;
+  let i = 1;
+  while (names.has(name)) {
+    name = base + i++;
+  }
+  names.add(name);
+  return name;
+}
+
+
+module.exports = {
+  SchemaInferrer
+};
@@ -0,0 +1,501 @@
+'use strict';
+
+/**
+ * Conversion between Avro types and JSON Schema documents.
+ *
+ * Generated JSON schemas describe values' JSON representation: bytes are
+ * encoded as strings, as in `Type#toString`, but union values are wrapped or
+ * not according to the type's `wrapUnions` setting (whereas `toString` always
+ * wraps them). Named types are emitted under `$defs`, keyed by their fully
+ * qualified name.
+ *
+ * The reverse conversion supports a practical subset of JSON Schema (`type`,
+ * `properties`, `required`, `enum`, `oneOf`/`anyOf`, `$ref`/`$defs`, and a
+ * few `format`s), and throws on constructs which Avro can't represent.
+ * Validation-only keywords (e.g. `pattern`, `maxItems`) are ignored.
+ */
+
+let utils = require('./utils');
+
+
+let j = utils.printJSON;
+
+const DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+// Bounds used to tell `int`s and `long`s apart.
+const MIN_INT = -2147483648;
+const MAX_INT = 2147483647;
+
+// Keywords which can't be ignored without changing the meaning of a schema.
+const UNSUPPORTED_KEYWORDS = [
+  '$dynamicRef',
+  'allOf',
+  'dependentSchemas',
+  'if',
+  'not',
+  'patternProperties',
+  'prefixItems'
+];
+
+/**
+ * Generate a JSON Schema document from a type.
+ *
+ * @param type {Type} The type to convert.
+ */
+function toJSONSchema(type) {
+  let defs = {};
+  let doc = Object.assign({$schema: DIALECT}, getJSONSchema(type, defs));
+  if (Object.keys(defs).length) {
+    doc.$defs = defs;
+  }
+  return doc;
+}
+
+function getJSONSchema(type, defs) {
+  if (type.typeName.indexOf('logical:') === 0) {
+    // Logical types' values are represented as their underlying type's.
+    let schema = getJSONSchema(type.underlyingType, defs);
+    if (type._logicalTypeName === 'uuid' && schema.type === 'string') {
+      schema.format = 'uuid';
+    }
+    return schema;
+  }
+  switch (type.typeName) {
+    case 'null':
+    case 'boolean':
+    case 'string':
+      return {type: type.typeName};
+    case 'int':
+      return {type: 'integer', minimum: MIN_INT, maximum: MAX_INT};
+    case 'long':
+      return {type: 'integer'};
+    case 'abstract:long':
+      return {}; // Custom long representations are opaque.
+    case 'float':
+      return {type: 'number', format: 'float'};
+    case 'double':
+      return {type: 'number'};
+    case 'bytes':
+      return {type: 'string', format: 'binary'};
+    case 'array':
+      return {type: 'array', items: getJSONSchema(type.itemsType, defs)};
+    case 'map':
+      return {
+        type: 'object',
+        additionalProperties: getJSONSchema(type.valuesType, defs)
+      };
+    case 'union:unwrapped':
+      return {
+        oneOf: type.types.map((t) => { return getJSONSchema(t, defs); })
+      };
+    case 'union:wrapped':
+      return {
+        oneOf: type.types.map((t) => {
+          if (t.typeName === 'null') {
+            return {type: 'null'};
+          }
+          let properties = {};
+          properties[t.branchName] = getJSONSchema(t, defs);
+          return {
+            type: 'object',
+            properties,
+            required: [t.branchName],
+            additionalProperties: false
+          };
+        })
+      };
+    case 'enum':
+    case 'fixed':
+    case 'record':
+    case 'error':
+      return getNamedJSONSchema(type, defs);
+    default:
+      throw new Error(`unsupported type: ${j(type.typeName)}`);
+  }
+}
+
+function getNamedJSONSchema(type, defs) {
+  let ref = {$ref: `#/$defs/${type.name}`};
+  if (defs[type.name]) {
+    return ref;
+  }
+  let schema = {title: type.name};
+  defs[type.name] = schema; // Added before the fields, for recursive types.
+  if (type.doc !== undefined) {
+    schema.description = type.doc;
+  }
+  switch (type.typeName) {
+    case 'enum':
+      schema.type = 'string';
+      schema.enum = type.symbols.slice();
+      break;
+    case 'fixed':
+      schema.type = 'string';
+      schema.format = 'binary';
+      schema.minLength = type.size;
+      schema.maxLength = type.size;
+      break;
+    default: {
+      let properties = {};
+      let required = [];
+      type.fields.forEach((field) => {
+        let fieldSchema = getJSONSchema(field.type, defs);
+        if (field.doc !== undefined) {
+          fieldSchema.description = field.doc;
+        }
+        let val = field.defaultValue();
+        if (val === undefined) {
+          required.push(field.name);
+        } else {
+          fieldSchema.default = getJSONValue(field.type, val);
+        }
+        properties[field.name] = fieldSchema;
+      });
+      schema.type = 'object';
+      schema.properties = properties;
+      if (required.length) {
+        schema.required = required;
+      }
+      schema.additionalProperties = false;
+    }
+  }
+  return ref;
+}
+
+/**
+ * Get a value's JSON representation, matching its generated JSON schema.
+ *
+ * @param type {Type} The value's type.
+ * @param val {...} The value.
+ */
+function getJSONValue(type, val) {
+  return unwrapUnions(type, JSON.parse(type.toString(val)));
+}
+
+/**
+ * Unwrap the values of unwrapped unions in a `toString` representation.
+ *
+ * @param type {Type} The value's type.
+ * @param any {...} The parsed output of `type.toString`.
+ */
+function unwrapUnions(type, any) {
+  if (type.typeName.indexOf('logical:') === 0) {
+    return unwrapUnions(type.underlyingType, any);
+  }
+  switch (type.typeName) {
+    case 'union:unwrapped':
+    case 'union:wrapped': {
+      if (any === null) {
+        return null;
+      }
+      let name = Object.keys(any)[0];
+      let branchType = type.types[type._branchIndices[name]];
+      let val = unwrapUnions(branchType, any[name]);
+      if (type.typeName === 'union:unwrapped') {
+        return val;
+      }
+      let obj = {};
+      obj[name] = val;
+      return obj;
+    }
+    case 'array':
+      return any.map((item) => { return unwrapUnions(type.itemsType, item); });
+    case 'map': {
+      let obj = {};
+      Object.keys(any).forEach((key) => {
+        obj[key] = unwrapUnions(type.valuesType, any[key]);
+      });
+      return obj;
+    }
+    case 'record':
+    case 'error': {
+      let obj = {};
+      type.fields.forEach((field) => {
+        if (any[field.name] !== undefined) {
+          obj[field.name] = unwrapUnions(field.type, any[field.name]);
+        }
+      });
+      return obj;
+    }
+    default:
+      return any;
+  }
+}
+
+/**
+ * Generate an Avro schema from a JSON Schema document.
+ *
+ * @param doc {Object} JSON Schema document.
+ * @param opts {Object} Options:
+ *
+ * + `namespace`, namespace the generated type names will be qualified with (it
+ *   should match the one passed to `Type.forSchema`, if any).
+ *
+ * Records and enums are named after their `title` when present, otherwise
+ * after their `$defs` key or the property they are declared under. Properties
+ * which aren't required become nullable fields defaulting to `null` (unless
+ * they have a default already).
+ */
+function fromJSONSchema(doc, opts) {
+  let converter = new SchemaConverter(doc);
+  return converter.convert(doc, '#', 'Root', opts && opts.namespace);
+}
+
+/** Helper holding the state of a single JSON Schema conversion. */
+class SchemaConverter {
+  constructor (doc) {
+    this._doc = doc;
+    this._names = new Map(); // Full names of named types, keyed by node.
+    this._usedNames = new Set();
+    this._references = new Set(); // Nodes currently being dereferenced.
+  }
+
+  convert (node, path, hint, ns) {
+    if (!node || typeof node != 'object' || Array.isArray(node)) {
+      throw createError('unsupported schema', path, node);
+    }
+    UNSUPPORTED_KEYWORDS.forEach((key) => {
+      if (node[key] !== undefined) {
+        throw createError('unsupported keyword', path, key);
+      }
+    });
+    if (node.$ref !== undefined) {
+      return this._convertReference(node.$ref, path, ns);
+    }
+    let key = node.oneOf !== undefined ? 'oneOf' : 'anyOf';
+    let branches = node[key];
+    if (branches !== undefined) {
+      if (!Array.isArray(branches) || !branches.length) {
+        throw createError(`invalid ${key}`, path, branches);
+      }
+      return flattenUnion(branches.map((branch, i) => {
+        return this.convert(branch, `${path}/${key}/${i}`, hint, ns);
+      }));
+    }
+    let type = node.type;
+    if (type === undefined) {
+      if (node.enum !== undefined) {
+        type = 'string';
+      } else if (node.properties !== undefined) {
+        type = 'object';
+      } else if (node.items !== undefined) {
+        type = 'array';
+      } else {
+        throw createError('missing type', path, node);
+      }
+    }
+    if (Array.isArray(type)) {
+      return flattenUnion(type.map((name) => {
+        return this._convertType(node, name, path, hint, ns);
+      }));
+    }
+    return this._convertType(node, type, path, hint, ns);
+  }
+
+  _convertType (node, type, path, hint, ns) {
+    if (node.enum !== undefined && type !== 'string') {
+      throw createError('unsupported non-string enum', path, node.enum);
+    }
+    switch (type) {
+      case 'null':
+      case 'boolean':
+        return type;
+      case 'integer':
+        if (
+          node.format === 'int32' ||
+          (node.minimum >= MIN_INT && node.maximum <= MAX_INT)
+        ) {
+          return 'int';
+        }
+        return 'long';
+      case 'number':
+        return node.format === 'float' ? 'float' : 'double';
+      case 'string':
+        return this._convertString(node, path, hint, ns);
+      case 'array': {
+        let items = node.items;
+        if (!items || typeof items != 'object' || Array.isArray(items)) {
+          throw createError('unsupported items', path, items);
+        }
+        return {
+          type: 'array',
+          items: this.convert(items, `${path}/items`, `${hint}Item`, ns)
+        };
+      }
+      case 'object':
+        return this._convertObject(node, path, hint, ns);
+      default:
+        throw createError('unsupported type', path, type);
+    }
+  }
+
+  _convertString (node, path, hint, ns) {
+    if (node.enum !== undefined) {
+      let symbols = node.enum;
+      if (
+        !Array.isArray(symbols) ||
+        !symbols.every((s) => {
+          return typeof s == 'string' && utils.isValidName(s);
+        })
+      ) {
+        throw createError('unsupported enum symbols', path, symbols);
+      }
+      let schema = this._createNamedSchema('enum', node, hint, ns);
+      schema.symbols = symbols.slice();
+      return schema;
+    }
+    switch (node.format) {
+      case 'uuid':
+        return {type: 'string', logicalType: 'uuid'};
+      case 'binary':
+        if (node.minLength !== undefined && node.minLength === node.maxLength) {
+          let schema = this._createNamedSchema('fixed', node, hint, ns);
+          schema.size = node.minLength;
+          return schema;
+        }
+        return 'bytes';
+      default:
+        return 'string';
+    }
+  }
+
+  _convertObject (node, path, hint, ns) {
+    let properties = node.properties;
+    let additional = node.additionalProperties;
+    let hasAdditional = !!additional && typeof additional == 'object';
+    if (properties === undefined) {
+      if (!hasAdditional) {
+        throw createError('unsupported free-form object', path, node);
+      }
+      return {
+        type: 'map',
+        values: this.convert(
+          additional,
+          `${path}/additionalProperties`,
+          `${hint}Value`,
+          ns
+        )
+      };
+    }
+    if (!properties || typeof properties != 'object') {
+      throw createError('invalid properties', path, properties);
+    }
+    if (hasAdditional) {
+      throw createError(
+        'unsupported additionalProperties alongside properties',
+        path,
+        additional
+      );
+    }
+    let required = Array.isArray(node.required) ? node.required : [];
+    let schema = this._createNamedSchema('record', node, hint, ns);
+    let fieldNs = utils.impliedNamespace(this._names.get(node));
+    schema.fields = Object.keys(properties).map((name) => {
+      let prop = properties[name];
+      let propPath = `${path}/properties/${escapePointer(name)}`;
+      if (!utils.isValidName(name)) {
+        throw createError('invalid field name', propPath, name);
+      }
+      let field = {
+        name,
+        type: this.convert(prop, propPath, utils.capitalize(name), fieldNs)
+      };
+      if (prop.description !== undefined) {
+        field.doc = '' + prop.description;
+      }
+      if (prop.default !== undefined) {
+        field['default'] = prop['default'];
+      } else if (!~required.indexOf(name)) {
+        // Missing values are represented as nulls.
+        field.type = prependNull(field.type);
+        field['default'] = null;
+      }
+      return field;
+    });
+    return schema;
+  }
+
+  _convertReference (ref, path, ns) {
+    if (typeof ref != 'string' || !/^#(\/|$)/.test(ref)) {
+      throw createError('unsupported reference', path, ref);
+    }
+    let target = this._doc;
+    let hint;
+    ref.split('/').slice(1).forEach((part) => {
+      hint = part.replace(/~1/g, '/').replace(/~0/g, '~');
+      target = target && typeof target == 'object' ? target[hint] : undefined;
+    });
+    if (target === undefined) {
+      throw createError('missing reference', path, ref);
+    }
+    let name = this._names.get(target);
+    if (name !== undefined) {
+      // Already defined (or being defined), we can refer to it by name.
+      return (!~name.indexOf('.') && ns) ? `.${name}` : name;
+    }
+    if (this._references.has(target)) {
+      throw createError('unsupported recursive reference', path, ref);
+    }
+    this._references.add(target);
+    let schema = this.convert(target, ref, hint || 'Root', ns);
+    this._references.delete(target);
+    return schema;
+  }
+
+  _createNamedSchema (type, node, hint, ns) {
+    let base = sanitizeName(node.title !== undefined ? '' + node.title : hint);
+    let name = base;
+    let i = 1;
+    while (this._usedNames.has(utils.qualify(name, ns))) {
+      name = base + i++;
+    }
+    let fullName = utils.qualify(name, ns);
+    this._usedNames.add(fullName);
+    this._names.set(node, fullName);
+    let schema = {type, name};
+    if (node.description !== undefined) {
+      schema.doc = '' + node.description;
+    }
+    return schema;
+  }
+}
+
+function createError(reason, path, any) {
+  return new Error(`${reason} at ${path}: ${j(any)}`);
+}
+
+/** Combine branches into a single union, flattening any nested ones. */
+function flattenUnion(schemas) {
+  let branches = [];
+  schemas.forEach((schema) => {
+    if (Array.isArray(schema)) {
+      branches.push.apply(branches, schema);
+    } else {
+      branches.push(schema);
+    }
+  });
+  return branches.length === 1 ? branches[0] : branches;
+}
+
+function prependNull(schema) {
+  let branches = Array.isArray(schema) ? schema : [schema];
+  return ['null'].concat(branches.filter((s) => { return s !== 'null'; }));
+}
+
+/** Turn an arbitrary title into a valid (possibly qualified) Avro name. */
+function sanitizeName(str) {
+  return str.split('.').map((part) => {
+    part = part.replace(/[^A-Za-z0-9_]/g, '_');
+    return /^[A-Za-z_]/.test(part) ? part : `_${part}`;
+  }).join('.');
+}
+
+function escapePointer(str) {
+  return str.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+
+module.exports = {
+  fromJSONSchema,
+  toJSONSchema
+};
@@ -12,7 +12,9 @@
  *
  */
 
-let utils = require('./utils'),
+let inference = require('./inference'),
+    jsonschema = require('./jsonschema'),
+    utils = require('./utils'),
     platform = require('./platform');
 
 // Convenience imports.
@@ -24,7 +26,7 @@ let j = utils.printJSON;
 // Defined after all the type classes are defined.
 let TYPES;
 
-// Random generator.
+// Random generator, used when no seed is specified.
 let RANDOM = new utils.Lcg();
 
 // Encoding tap (shared for performance).
@@ -37,6 +39,54 @@ let LOGICAL_TYPE = null;
 // to be able to reference names (i.e. for branches) during instantiation.
 let UNDERLYING_TYPES = [];
 
+// Whether `new Function` can be used, detected on first use. Failures are
+// cached too since retrying can be costly (e.g. each attempt triggers a
+// violation report under a strict Content Security Policy).
+let CODEGEN_AVAILABLE;
+
+// Standard logical types, keyed by logical type name. Defined after all the
+// logical type classes are defined.
+let LOGICAL_TYPES;
+
+// Valid UUID and decimal string representations.
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DECIMAL_PATTERN = /^([+-])?(\d+)(?:\.(\d+))?$/;
+
+// Single-object encoding marker, followed by the writer schema's 8-byte
+// CRC-64-AVRO fingerprint.
+const SINGLE_OBJECT_MAGIC = utils.bufferFrom([0xc3, 0x01]);
+const SINGLE_OBJECT_HEADER_LENGTH = 10;
+
+// Initial state of value hashes.
+const HASH_SEED = 0x2f1b3c5d;
+
+// Views used to hash the bits of floating point numbers.
+const FLOAT64_VIEW = new Float64Array(1);
+const INT32_VIEW = new Int32Array(FLOAT64_VIEW.buffer);
+
+// Length of the "large" strings, buffers, arrays, and maps generated as
+// boundary values.
+const BOUNDARY_LENGTH = 1024;
+
+// Number of bytes shown on each line of a hex dump, see `Span#toHexDump`.
+const HEX_DUMP_WIDTH = 8;
+
+// Largest finite and smallest positive single-precision floats.
+const MAX_FLOAT = 3.4028234663852886e38;
+const MIN_FLOAT = 1.401298464324817e-45;
+
+// Key of the (non-enumerable) encoding state of lazily decoded records.
+const LAZY_STATE = Symbol('lazy');
+
+// Bounds of valid `BigInt` longs (undefined if not supported).
+const MIN_LONG = typeof BigInt == 'function' ?
+  -BigInt('9223372036854775808') :
+  undefined;
+const MAX_LONG = typeof BigInt == 'function' ?
+  BigInt('9223372036854775807') :
+  undefined;
+
 /**
  * "Abstract" base Avro type.
  *
@@ -124,6 +174,19 @@ class Type {
       }
     })(opts.wrapUnions);
 
+    let LongClass = (function (longs) {
+      switch (longs) {
+        case undefined:
+        case 'number':
+          return LongType;
+        case 'auto':
+        case 'bigint':
+          return BigIntLongType;
+        default:
+          throw new Error(`invalid longs option: ${j(longs)}`);
+      }
+    })(opts.longs);
+
     if (schema === null) {
       // Let's be helpful for this common error.
       throw new Error('invalid type: null (did you mean "null"?)');
@@ -159,8 +222,8 @@ class Type {
       throw new Error(`undefined type name: ${schema}`);
     }
 
-    if (schema.logicalType && opts.logicalTypes && !LOGICAL_TYPE) {
-      let DerivedType = opts.logicalTypes[schema.logicalType];
+    if (schema.logicalType && !LOGICAL_TYPE) {
+      let DerivedType = getLogicalTypeClass(schema.logicalType, opts);
       // TODO: check to ensure DerivedType was derived from LogicalType via ES6
       // subclassing; otherwise it will not work properly
       if (DerivedType) {
@@ -203,7 +266,7 @@ class Type {
       type = new UnionType(types, opts);
     } else { // New type definition.
       type = (function (typeName) {
-        let Type = TYPES[typeName];
+        let Type = typeName === 'long' ? LongClass : TYPES[typeName];
         if (Type === undefined) {
           throw new Error(`unknown type: ${j(typeName)}`);
         }
@@ -238,6 +301,15 @@ class Type {
         return Type.forSchema('string', opts);
       case 'boolean':
         return Type.forSchema('boolean', opts);
+      case 'bigint': {
+        // We don't use a reference to avoid matching any number-backed long
+        // already present in the registry.
+        let longs = opts.longs === 'auto' ? 'auto' : 'bigint';
+        return Type.forSchema(
+          {type: 'long'},
+          Object.assign({}, opts, {longs})
+        );
+      }
       case 'number':
         if ((val | 0) === val) {
           return Type.forSchema('int', opts);
@@ -284,6 +356,23 @@ class Type {
     }
   }
 
+  /**
+   * Infer a type from many sample values.
+   *
+   * Contrary to `forValue`, this looks at all the values seen at each position
+   * to detect enums (and optionally logical types: dates, timestamps, UUIDs),
+   * and makes fields which are missing from some samples nullable. See
+   * `SchemaInferrer` for the supported options.
+   */
+  static forValues (vals, opts) {
+    let inferrer = new inference.SchemaInferrer(opts);
+    vals.forEach((val) => { inferrer.add(val); });
+    return Type.forSchema(
+      inferrer.getSchema(),
+      Object.assign({standardLogicalTypes: true}, opts)
+    );
+  }
+
   static forTypes (types, opts) {
     if (!types.length) {
       throw new Error('no types to combine');
@@ -293,6 +382,11 @@ class Type {
     }
     opts = Object.assign({}, opts);
 
+    if (opts.merge) {
+      // Evolve the types into a single one, rather than combining them.
+      return new TypeMerger(opts).merge(types);
+    }
+
     // Extract any union types, with special care for wrapped unions (see
     // below).
     let expanded = [];
@@ -406,6 +500,54 @@ class Type {
     }
   }
 
+  static checkCompatibility (reader, writers, opts) {
+    opts = Object.assign({}, opts);
+    let mode = opts.mode === undefined ? 'BACKWARD' : opts.mode;
+    let match = typeof mode == 'string' &&
+      /^(BACKWARD|FORWARD|FULL)(_TRANSITIVE)?$/.exec(mode.toUpperCase());
+    if (!match) {
+      throw new Error(`invalid compatibility mode: ${j(mode)}`);
+    }
+
+    // Writers are ordered from oldest to newest, non-transitive modes only
+    // check against the latest one.
+    reader = Type.forSchema(reader, opts);
+    writers = (Array.isArray(writers) ? writers : [writers]).map((w) => {
+      return Type.forSchema(w, opts);
+    });
+    let offset = match[2] ? 0 : Math.max(writers.length - 1, 0);
+    let incompatibilities = [];
+    for (let i = offset; i < writers.length; i++) {
+      if (match[1] !== 'FORWARD') {
+        // The new type must be able to read data written by previous ones.
+        check(reader, writers[i], i, 'backward');
+      }
+      if (match[1] !== 'BACKWARD') {
+        // Previous types must be able to read data written by the new one.
+        check(writers[i], reader, i, 'forward');
+      }
+    }
+    return {compatible: !incompatibilities.length, incompatibilities};
+
+    function check(readerType, writerType, version, direction) {
+      let ctx = {
+        ignoreNamespaces: !!opts.ignoreNamespaces,
+        visited: new Map(),
+        incompatibilities: []
+      };
+      findIncompatibilities(readerType, writerType, '', ctx);
+      ctx.incompatibilities.forEach((obj) => {
+        obj.version = version;
+        obj.direction = direction;
+        incompatibilities.push(obj);
+      });
+    }
+  }
+
+  static fromJSONSchema (doc, opts) {
+    return Type.forSchema(jsonschema.fromJSONSchema(doc, opts), opts);
+  }
+
   static isType (/* any, [prefix] ... */) {
     let l = arguments.length;
     if (!l) {
@@ -453,6 +595,20 @@ class Type {
     return Type.isType(type, 'union') ? undefined : type.typeName;
   }
 
+  /**
+   * Enumerate edge case values of this type.
+   *
+   * These include extreme numbers (including non-finite ones for floating
+   * point types), empty and large strings, buffers, arrays, and maps, every
+   * enum symbol, and values of every union branch. Records combine their
+   * fields' first boundary value with each other field's boundary values.
+   * Types without any finite value (e.g. records with a required recursive
+   * field) return an empty array.
+   */
+  boundaryValues () {
+    return this._boundaryValues(new Set());
+  }
+
   clone (val, opts) {
     if (opts) {
       opts = {
@@ -474,6 +630,48 @@ class Type {
     return this._match(new Tap(buf1), new Tap(buf2));
   }
 
+  /**
+   * Create a new value populated with defaults.
+   *
+   * Record fields take their default value if they have one. Otherwise nested
+   * records are themselves populated with defaults while other fields are left
+   * undefined. Non-record types return `undefined`.
+   */
+  createDefault () {
+    return this._createDefault(new Set());
+  }
+
+  /**
+   * Create a reader type which only contains the given field paths.
+   *
+   * Paths are dot-separated field names, with `[]` suffixes to select the
+   * items of arrays or the values of maps (e.g. `'events[].ts'`). Unions are
+   * traversed transparently. The returned type can be used as reader to
+   * decode data written with this type; everything else is skipped.
+   */
+  createProjection (paths) {
+    if (!Array.isArray(paths) || !paths.length) {
+      throw new Error(`invalid projection paths: ${j(paths)}`);
+    }
+    let selections = new Map();
+    paths.forEach((path) => {
+      selectProjectionPath(this, parseProjectionPath(path), 0, selections);
+    });
+    let unions = new Map(); // Union class, keyed by projected schema.
+    let schema = getProjectedSchema(this, selections, new Set(), unions);
+    return Type.forSchema(schema, {
+      typeHook: (schema, opts) => {
+        // Projected unions keep the original's representation.
+        let UnionType = unions.get(schema);
+        if (UnionType) {
+          return new UnionType(schema.map((obj) => {
+            return Type.forSchema(obj, opts);
+          }), opts);
+        }
+      }
+    });
+  }
+
   createResolver (type, opts) {
     if (!Type.isType(type)) {
       // More explicit error message than the "incompatible type" thrown
@@ -504,7 +702,7 @@ class Type {
       }
     }
 
-    resolver = new Resolver(this);
+    resolver = new Resolver(this, type, opts);
     if (key) { // Register resolver early for recursive schemas.
       opts.registry[key] = resolver;
     }
@@ -519,7 +717,10 @@ class Type {
         if (resolver === undefined) {
           throw new Error(`invalid union index: ${index}`);
         }
-        return resolvers[index]._read(tap);
+        tap.enterNested();
+        let val = resolvers[index]._read(tap);
+        tap.exitNested();
+        return val;
       };
     } else {
       this._update(resolver, type, opts);
@@ -531,8 +732,8 @@ class Type {
     return Object.freeze(resolver);
   }
 
-  decode (buf, pos, resolver) {
-    let tap = new Tap(buf, pos);
+  decode (buf, pos, resolver, opts) {
+    let tap = createTap(buf, pos, opts);
     let val = readValue(this, tap, resolver);
     if (!tap.isValid()) {
       return {value: undefined, offset: -1};
@@ -540,6 +741,41 @@ class Type {
     return {value: val, offset: tap.pos};
   }
 
+  /**
+   * Decode a buffer, reusing an existing value's objects where possible.
+   *
+   * Records (which aren't lazily decoded) of this type are updated in place,
+   * as are arrays and maps. Other values are decoded as new ones, so the
+   * returned value must always be used instead of `target`. This is meant to
+   * reduce allocations when decoding many values of the same type, at the
+   * cost of overwriting the previous one.
+   *
+   * Values are updated while decoding, so `target` may be left partially
+   * overwritten (and invalid) if decoding fails. It should then either be
+   * discarded or used as target of another successful decoding.
+   */
+  decodeInto (buf, target, opts) {
+    opts = opts || {};
+    let tap = createTap(buf, 0, opts);
+    return decodeBuffer(this, tap, !!opts.noCheck, () => {
+      return this._readInto(tap, target);
+    });
+  }
+
+  /**
+   * Compute the length of a value's encoding, without encoding it.
+   *
+   * This is always equal to `toBuffer(val, opts).length`, and throws on the
+   * same invalid values. It is useful for example to enforce size limits
+   * before encoding values.
+   */
+  encodedSize (val, opts) {
+    if (opts && opts.fillDefaults) {
+      val = this._fillDefaults(val);
+    }
+    return this._encodedSize(val);
+  }
+
   encode (val, buf, pos) {
     let tap = new Tap(buf, pos);
     this._write(tap, val);
@@ -565,32 +801,125 @@ class Type {
     );
   }
 
-  fingerprint (algorithm) {
-    if (!algorithm) {
+  /**
+   * Describe each part of an encoded value.
+   *
+   * The returned span covers the whole value. Its children recursively cover
+   * each nested value (e.g. record fields) along with the wire constructs
+   * which aren't values themselves (lengths, union indices, block counts,
+   * ...). If a resolver is passed, the spans still describe the writer's
+   * bytes, and each is annotated with the reader path it is decoded into (or
+   * `null` if it is ignored by the reader).
+   */
+  explain (buf, resolver) {
+    if (resolver && resolver._readerType !== this) {
+      throw new Error('invalid resolver');
+    }
+    let writerType = resolver ? resolver._writerType : this;
+    let tap = new Tap(buf);
+    let span;
+    try {
+      span = writerType._explain(tap, '');
+    } catch (err) {
+      throw createDecodeError(err.message, writerType, buf, 0, {cause: err});
+    }
+    if (!tap.isValid()) {
+      throw createDecodeError('truncated buffer', writerType, buf, 0);
+    }
+    if (tap.pos < buf.length) {
+      throw new utils.DecodeError('trailing data', {offset: tap.pos, path: ''});
+    }
+    if (resolver) {
+      annotateReaderPaths(span, this, '', resolver._opts);
+    }
+    return span;
+  }
+
+  fingerprint (algorithm, opts) {
+    // Fingerprints are computed from the schema's Parsing Canonical Form (so
+    // that they match other implementations') only when requested, to keep
+    // existing fingerprints stable. CRC-64-AVRO fingerprints are only defined
+    // over the canonical form so always use it.
+    let canonical = !!(opts && opts.canonical) ||
+      /^(crc-64-avro|rabin)$/i.test(algorithm || '');
+    if (!algorithm && !canonical) {
       if (!this._hash.str) {
         let schemaStr = JSON.stringify(this.schema());
         this._hash.str = utils.getHash(schemaStr).toString('binary');
       }
       return utils.bufferFrom(this._hash.str, 'binary');
     } else {
-      return utils.getHash(JSON.stringify(this.schema()), algorithm);
+      let schemaStr = JSON.stringify(this.schema({canonical}));
+      return utils.getHash(schemaStr, algorithm);
     }
   }
 
-  fromBuffer (buf, resolver, noCheck) {
-    let tap = new Tap(buf);
-    let val = readValue(this, tap, resolver, noCheck);
-    if (!tap.isValid()) {
-      throw new Error('truncated buffer');
+  fromBuffer (buf, resolver, opts) {
+    if (!opts || typeof opts != 'object') {
+      opts = {noCheck: !!opts}; // Legacy boolean argument.
     }
-    if (!noCheck && tap.pos < buf.length) {
+    let noCheck = !!opts.noCheck;
+    let tap = createTap(buf, 0, opts);
+    if (opts.lazy) {
+      if (resolver) {
+        throw new Error('lazy decoding does not support resolvers');
+      }
+      if (opts.limits) {
+        // Fields would be decoded later, without the limits' checks.
+        throw new Error('lazy decoding does not support limits');
+      }
+    } else if (resolver && resolver._readerType !== this) {
+      throw new Error('invalid resolver');
+    }
+    let writerType = resolver ? resolver._writerType : this;
+    return decodeBuffer(writerType, tap, noCheck, () => {
+      return opts.lazy ?
+        this._readLazy(tap) :
+        readValue(this, tap, resolver, noCheck);
+    });
+  }
+
+  fromAvroJSON (str) {
+    return this._copy(parseTypedJSON(this, str), {coerce: 2, avroJSON: true});
+  }
+
+  /**
+   * Decode a value encoded with `toKey`.
+   *
+   * Record fields with `order: 'ignore'` aren't part of keys, so they are set
+   * to their default (or left undefined if they don't have one).
+   */
+  fromKey (buf) {
+    let tap = new utils.KeyTap(buf);
+    let val = this._readKey(tap);
+    if (tap.pos < buf.length) {
       throw new Error('trailing data');
     }
     return val;
   }
 
+  fromSingleObject (buf) {
+    let fingerprint = readSingleObjectFingerprint(buf);
+    if (!fingerprint.equals(this._getRabinFingerprint())) {
+      throw new Error(`fingerprint mismatch: ${fingerprint.toString('hex')}`);
+    }
+    return this.fromBuffer(buf.slice(SINGLE_OBJECT_HEADER_LENGTH));
+  }
+
   fromString (str) {
-    return this._copy(JSON.parse(str), {coerce: 2});
+    return this._copy(parseTypedJSON(this, str), {coerce: 2});
+  }
+
+  /**
+   * Compute a 32-bit hash of a value, consistent with `compare`.
+   *
+   * Values which compare equal have the same hash (for example record fields
+   * with `order: 'ignore'` don't contribute to it and map entries are hashed
+   * independently of their order), making it suitable to index values (e.g.
+   * inside a `Map` keyed by hash). The value isn't encoded, nor validated.
+   */
+  hash (val) {
+    return finalizeHash(this._hashValue(HASH_SEED, val));
   }
 
   inspect () {
@@ -610,6 +939,9 @@ class Type {
   }
 
   isValid (val, opts) {
+    if (opts && opts.fillDefaults) {
+      val = this._fillDefaults(val);
+    }
     // We only have a single flag for now, so no need to complicate things.
     let flags = (opts && opts.noUndeclaredFields) | 0;
     let errorHook = opts && opts.errorHook;
@@ -623,16 +955,64 @@ class Type {
     return this._check(val, flags, hook, path);
   }
 
+  /**
+   * Generate a random value of this type.
+   *
+   * Options:
+   *
+   * + `seed`, integer used to make the generated values reproducible: two
+   *   calls with the same seed return the same value.
+   * + `depthLimit`, nesting depth of records, arrays, and maps past which
+   *   arrays and maps are generated empty and union branches which don't nest
+   *   are preferred (e.g. to keep recursive values small). Unlimited by
+   *   default.
+   * + `arrayLength`, maximum number of items in arrays and maps. Defaults to
+   *   10.
+   * + `stringLength`, maximum length of strings, bytes, and map keys. Defaults
+   *   to 32.
+   *
+   * Logical types can override this method to customize their values. It is
+   * then also called when nested inside other types, with these options (the
+   * seed, if any, being derived from the enclosing value's).
+   */
+  random (opts) {
+    opts = opts || {};
+    let seed = opts.seed;
+    if (seed !== undefined && (typeof seed != 'number' || seed % 1)) {
+      throw new Error(`invalid random seed: ${j(seed)}`);
+    }
+    let ctx = {
+      opts,
+      rng: seed === undefined ? RANDOM : new utils.Lcg(seed),
+      depth: 0,
+      depthLimit: getRandomLimit(opts, 'depthLimit', Infinity),
+      arrayLength: getRandomLimit(opts, 'arrayLength', 10),
+      stringLength: getRandomLimit(opts, 'stringLength', 32)
+    };
+    return this._random(ctx);
+  }
+
   schema (opts) {
     // Copy the options to avoid mutating the original options object when we
-    // add the registry of dereferenced types.
+    // add the registry of dereferenced types. The canonical form always omits
+    // extra attributes and dereferences all names.
+    let canonical = !!(opts && opts.canonical);
     return this._attrs({}, {
-      exportAttrs: !!(opts && opts.exportAttrs),
-      noDeref: !!(opts && opts.noDeref)
+      canonical,
+      exportAttrs: !canonical && !!(opts && opts.exportAttrs),
+      noDeref: !canonical && !!(opts && opts.noDeref)
     });
   }
 
-  toBuffer (val) {
+  toAvroJSON (val) {
+    return utils.stringifyJSON(this._copy(val, {coerce: 3, avroJSON: true}));
+  }
+
+  toBuffer (val, opts) {
+    if (opts && opts.fillDefaults) {
+      // Populate missing nested records which don't have a default themselves.
+      val = this._fillDefaults(val);
+    }
     TAP.pos = 0;
     this._write(TAP, val);
     if (TAP.isValid()) {
@@ -643,17 +1023,124 @@ class Type {
     return buf;
   }
 
+  /**
+   * Encode a value such that keys compare (bytewise, e.g. using
+   * `Buffer.compare`) like the values they encode.
+   *
+   * This is useful to store values as keys in sorted key-value stores. Record
+   * fields' `order` is honored: descending fields are encoded with their bytes
+   * inverted and ignored fields are omitted. Maps can't be encoded since they
+   * can't be compared. As with `toBuffer`, floats are rounded to single
+   * precision.
+   */
+  toKey (val) {
+    if (!this._check(val)) {
+      throwInvalidError(val, this);
+    }
+    let tap = new utils.KeyTap();
+    this._writeKey(tap, val);
+    return tap.getBuffer();
+  }
+
+  toSingleObject (val) {
+    return Buffer.concat([
+      SINGLE_OBJECT_MAGIC,
+      this._getRabinFingerprint(),
+      this.toBuffer(val)
+    ]);
+  }
+
   toJSON () {
     // Convenience to allow using `JSON.stringify(type)` to get a type's schema.
     return this.schema({exportAttrs: true});
   }
 
+  toJSONSchema () {
+    return jsonschema.toJSONSchema(this);
+  }
+
   toString (val) {
     if (val === undefined) {
       // Consistent behavior with standard `toString` expectations.
       return JSON.stringify(this.schema({noDeref: true}));
     }
-    return JSON.stringify(this._copy(val, {coerce: 3}));
+    return utils.stringifyJSON(this._copy(val, {coerce: 3}));
+  }
+
+  /**
+   * Collect all the reasons why a value isn't valid for this type.
+   *
+   * Unlike `isValid`, each violation is returned as an object containing its
+   * path, the name of the expected type, the offending value, and a message
+   * suitable to display. The returned array is empty if the value is valid.
+   */
+  validate (val, opts) {
+    if (opts && opts.fillDefaults) {
+      val = this._fillDefaults(val);
+    }
+    let flags = (opts && opts.noUndeclaredFields) | 0;
+    let stopAtFirstError = !!(opts && opts.stopAtFirstError);
+    let errors = [];
+    let path = [];
+    let stop = {}; // Sentinel thrown to interrupt the check.
+    try {
+      this._check(val, flags, hook, path);
+    } catch (err) {
+      if (err !== stop) {
+        throw err;
+      }
+    }
+    return errors;
+
+    function hook(any, type) {
+      if (
+        flags &&
+        Type.isType(type, 'record') &&
+        any !== null &&
+        typeof any == 'object'
+      ) {
+        // Records only reject objects when they have undeclared fields. We
+        // report each of them, then check the declared ones (which the record
+        // skips in this case).
+        Object.keys(any).forEach((key) => {
+          if (!type._fieldsByName[key]) {
+            path.push(key);
+            addError(any[key], type, 'undeclared field');
+            path.pop();
+          }
+        });
+        type.fields.forEach((field) => {
+          let fieldVal = any[field.name];
+          if (fieldVal !== undefined || field.defaultValue() === undefined) {
+            path.push(field.name);
+            field.type._check(fieldVal, flags, hook, path);
+            path.pop();
+          }
+        });
+        return;
+      }
+      addError(any, type);
+    }
+
+    function addError(any, type, reason) {
+      let name = getExpectedTypeName(type);
+      let message = reason || `expected ${name} but got ${j(any)}`;
+      if (path.length) {
+        message = `${path.join('.')}: ${message}`;
+      }
+      errors.push({path: path.slice(), type: name, value: any, message});
+      if (stopAtFirstError) {
+        throw stop;
+      }
+    }
+  }
+
+  _getRabinFingerprint () {
+    // Cached since it is used each time a single-object value is encoded.
+    if (!this._hash.rabin) {
+      this._hash.rabin = this.fingerprint('CRC-64-AVRO');
+    }
+    return this._hash.rabin;
   }
 
   wrap (val) {
@@ -699,11 +1186,63 @@ class Type {
     return schema;
   }
 
-  _createBranchConstructor () {
+  _readLazy (tap) {
+    // Only records are decoded lazily, see `RecordType`.
+    return this._read(tap);
+  }
+
+  _encodedSize (val) {
+    // Slow fallback for types which don't implement it (e.g. custom ones).
+    return this.toBuffer(val).length;
+  }
+
+  _readInto (tap /* , target */) {
+    // Only composite types can reuse their target, see `decodeInto`.
+    return this._read(tap);
+  }
+
+  /**
+   * Find where decoding a value fails.
+   *
+   * This returns the offset and path of the innermost value which can't be
+   * decoded, or `null` if decoding succeeds. Composite types override it to
+   * keep track of the path.
+   */
+  _locateError (tap, path) {
+    let pos = tap.pos;
+    try {
+      this._read(tap);
+    } catch (err) {
+      return {offset: pos, path};
+    }
+    return tap.isValid() ? null : {offset: pos, path};
+  }
+
+  _explain (tap, path) {
+    let span = new Span(tap.buf, tap.pos, this.typeName, path, this);
+    span.value = this._read(tap);
+    return span._end(tap);
+  }
+
+  _createDefault (/* visited */) {
+    // Only records have defaults (through their fields), see `RecordType`.
+    return undefined;
+  }
+
+  _fillDefaults (val) { return val; }
+
+  _createBranchConstructor (opts) {
     let name = this.branchName;
     if (name === 'null') {
       return null;
     }
+    if (!isCodegenEnabled(opts)) {
+      let Branch = function Branch$(val) { this[name] = val; };
+      Branch.type = this;
+      Branch.prototype.unwrap = function () { return this[name]; };
+      Branch.prototype.unwrapped = Branch.prototype.unwrap; // Deprecated.
+      return Branch;
+    }
     let attr = ~name.indexOf('.') ? 'this[\'' + name + '\']' : 'this.' + name;
     let body = 'return function Branch$(val) { ' + attr + ' = val; };';
     // eslint-disable-next-line no-new-func
@@ -723,15 +1262,19 @@ class Type {
   }
 
   compare () { utils.abstractFunction(); }
-  random () { utils.abstractFunction(); }
+  _boundaryValues () { utils.abstractFunction(); }
   _check () { utils.abstractFunction(); }
   _copy () { utils.abstractFunction(); }
   _deref () { utils.abstractFunction(); }
+  _hashValue () { utils.abstractFunction(); }
   _match () { utils.abstractFunction(); }
+  _random () { utils.abstractFunction(); }
   _read () { utils.abstractFunction(); }
+  _readKey () { utils.abstractFunction(); }
   _skip () { utils.abstractFunction(); }
   _update () { utils.abstractFunction(); }
   _write () { utils.abstractFunction(); }
+  _writeKey () { utils.abstractFunction(); }
 }
 
 // "Deprecated" getters (will be explicitly deprecated in 5.1).
@@ -758,9 +1301,9 @@ Type.prototype.getTypeName = function () { return this.typeName; };
  * check whether a type is a primitive using `instanceof`.
  */
 class PrimitiveType extends Type {
-  constructor (noFreeze) {
+  constructor (noFreeze, opts) {
     super();
-    this._branchConstructor = this._createBranchConstructor();
+    this._branchConstructor = this._createBranchConstructor(opts);
     if (!noFreeze) {
       // Abstract long types can't be frozen at this stage.
       Object.freeze(this);
@@ -805,14 +1348,29 @@ class NullType extends PrimitiveType {
     }
   }
 
+  _encodedSize (val) {
+    if (val !== null) {
+      throwInvalidError(val, this);
+    }
+    return 0;
+  }
+
   _match () { return 0; }
+
+  _boundaryValues () { return [null]; }
+
+  _hashValue (h) { return h; }
+
+  _readKey () { return null; }
+
+  _writeKey () {}
 }
 
 NullType.prototype.compare = NullType.prototype._match;
 
 NullType.prototype.typeName = 'null';
 
-NullType.prototype.random = NullType.prototype._read;
+NullType.prototype._random = NullType.prototype._read;
 
 /** Booleans. */
 class BooleanType extends PrimitiveType {
@@ -835,11 +1393,26 @@ class BooleanType extends PrimitiveType {
     tap.writeBoolean(val);
   }
 
+  _encodedSize (val) {
+    if (typeof val != 'boolean') {
+      throwInvalidError(val, this);
+    }
+    return 1;
+  }
+
   _match (tap1, tap2) {
     return tap1.matchBoolean(tap2);
   }
 
-  random () { return RANDOM.nextBoolean(); }
+  _random (ctx) { return ctx.rng.nextBoolean(); }
+
+  _boundaryValues () { return [false, true]; }
+
+  _hashValue (h, val) { return mixHash(h, val ? 1 : 0); }
+
+  _readKey (tap) { return !!tap.readByte(); }
+
+  _writeKey (tap, val) { tap.writeByte(val ? 1 : 0); }
 }
 
 BooleanType.prototype.typeName = 'boolean';
@@ -865,11 +1438,26 @@ class IntType extends PrimitiveType {
     tap.writeLong(val);
   }
 
+  _encodedSize (val) {
+    if (val !== (val | 0)) {
+      throwInvalidError(val, this);
+    }
+    return utils.getLongSize(val);
+  }
+
   _match (tap1, tap2) {
     return tap1.matchLong(tap2);
   }
 
-  random () { return RANDOM.nextInt(1000) | 0; }
+  _random (ctx) { return ctx.rng.nextInt(1000) | 0; }
+
+  _boundaryValues () { return [-2147483648, -1, 0, 1, 2147483647]; }
+
+  _hashValue (h, val) { return mixHash(h, val); }
+
+  _readKey (tap) { return tap.readInt(); }
+
+  _writeKey (tap, val) { tap.writeInt(val); }
 }
 
 IntType.prototype.typeName = 'int';
@@ -911,6 +1499,13 @@ class LongType extends PrimitiveType {
     tap.writeLong(val);
   }
 
+  _encodedSize (val) {
+    if (typeof val != 'number' || val % 1 || !isSafeLong(val)) {
+      throwInvalidError(val, this);
+    }
+    return utils.getLongSize(val);
+  }
+
   _match (tap1, tap2) {
     return tap1.matchLong(tap2);
   }
@@ -926,7 +1521,28 @@ class LongType extends PrimitiveType {
     }
   }
 
-  random () { return RANDOM.nextInt(); }
+  _random (ctx) { return ctx.rng.nextInt(); }
+
+  _boundaryValues () {
+    return [-4503599627370496, -1, 0, 1, 4503599627370496];
+  }
+
+  _hashValue (h, val) { return hashNumber(h, val); }
+
+  _readKey (tap) {
+    let n = tap.readInt() * 4294967296 + tap.readUInt(4);
+    if (!isSafeLong(n)) {
+      throw new Error('potential precision loss');
+    }
+    return n;
+  }
+
+  _writeKey (tap, val) {
+    // Safe longs' upper half always fits in a 32-bit integer.
+    let hi = Math.floor(val / 4294967296);
+    tap.writeInt(hi);
+    tap.writeUInt(val - hi * 4294967296, 4);
+  }
 
   static __with (methods, noUnpack) {
     methods = methods || {}; // Will give a more helpful error message.
@@ -954,52 +1570,136 @@ class LongType extends PrimitiveType {
 
 LongType.prototype.typeName = 'long';
 
-/** Floats. */
-class FloatType extends PrimitiveType {
+/**
+ * Longs, represented as `BigInt`s.
+ *
+ * Unlike the default implementation above, this type covers the entire range
+ * of longs. It is used when the `longs` option is set to `'bigint'` (decoded
+ * values are always `BigInt`s) or `'auto'` (only values outside of the safe
+ * integer range are decoded as `BigInt`s, others as numbers). In both cases,
+ * safe integer numbers are also accepted when writing.
+ */
+class BigIntLongType extends LongType {
+  constructor (schema, opts) {
+    super(true, opts);
+    this._auto = opts.longs === 'auto';
+    Object.freeze(this);
+  }
+
   _check (val, flags, hook) {
-    let b = typeof val == 'number';
+    let b = (
+      (typeof val == 'bigint' && val >= MIN_LONG && val <= MAX_LONG) ||
+      (typeof val == 'number' && val % 1 === 0 && isSafeInteger(val))
+    );
     if (!b && hook) {
       hook(val, this);
     }
     return b;
   }
 
-  _read (tap) { return tap.readFloat(); }
-
-  _skip (tap) { tap.skipFloat(); }
+  _read (tap) {
+    if (!this._auto) {
+      return tap.readBigLong();
+    }
+    let pos = tap.pos;
+    let n = tap.readLong();
+    if (isSafeLong(n)) {
+      return n;
+    }
+    // The value might have been rounded, we decode it again exactly.
+    tap.pos = pos;
+    return toAutoLong(tap.readBigLong());
+  }
 
   _write (tap, val) {
-    if (typeof val != 'number') {
+    if (!this._check(val)) {
       throwInvalidError(val, this);
     }
-    tap.writeFloat(val);
+    if (typeof val == 'number') {
+      if (isSafeLong(val)) {
+        tap.writeLong(val);
+      } else {
+        tap.writeBigLong(BigInt(val));
+      }
+    } else {
+      tap.writeBigLong(val);
+    }
+  }
+
+  _encodedSize (val) {
+    if (!this._check(val)) {
+      throwInvalidError(val, this);
+    }
+    if (typeof val == 'number') {
+      return isSafeLong(val) ?
+        utils.getLongSize(val) :
+        utils.getBigLongSize(BigInt(val));
+    }
+    return utils.getBigLongSize(val);
   }
 
   _match (tap1, tap2) {
-    return tap1.matchFloat(tap2);
+    return utils.compare(tap1.readBigLong(), tap2.readBigLong());
   }
 
   _update (resolver, type) {
     switch (type.typeName) {
-      case 'float':
       case 'int':
-        resolver._read = type._read;
+        resolver._read = this._auto ?
+          type._read :
+          function (tap) { return BigInt(tap.readLong()); };
         break;
       case 'abstract:long':
       case 'long':
-        // No need to worry about precision loss here since we're always
-        // rounding to float anyway.
-        resolver._read = function (tap) { return tap.readLong(); };
+        resolver._read = this._read;
     }
   }
 
-  random () { return RANDOM.nextFloat(1e3); }
-}
+  _copy (val, opts) {
+    this._check(val, undefined, throwInvalidError);
+    if (opts && opts.coerce === 2) {
+      // Decoding from JSON, we use the same representation as when reading.
+      val = this._auto ? toAutoLong(val) : BigInt(val);
+    }
+    return val;
+  }
 
-FloatType.prototype.typeName = 'float';
+  compare (a, b) {
+    // Values might be a mix of numbers and `BigInt`s, so we can't rely on
+    // strict equality.
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
 
-/** Doubles. */
-class DoubleType extends PrimitiveType {
+  _random (ctx) {
+    let n = ctx.rng.nextInt();
+    return this._auto ? n : BigInt(n);
+  }
+
+  _boundaryValues () {
+    let vals = [-1, 0, 1];
+    if (!this._auto) {
+      vals = vals.map(BigInt);
+    }
+    return [MIN_LONG].concat(vals, [MAX_LONG]);
+  }
+
+  _hashValue (h, val) { return hashLong(h, val); }
+
+  _readKey (tap) {
+    let n = BigInt(tap.readInt()) * BigInt(4294967296) +
+      BigInt(tap.readUInt(4));
+    return this._auto ? toAutoLong(n) : n;
+  }
+
+  _writeKey (tap, val) {
+    let n = BigInt(val);
+    tap.writeInt(Number(BigInt.asIntN(32, n >> BigInt(32))));
+    tap.writeUInt(Number(BigInt.asUintN(32, n)), 4);
+  }
+}
+
+/** Floats. */
+class FloatType extends PrimitiveType {
   _check (val, flags, hook) {
     let b = typeof val == 'number';
     if (!b && hook) {
@@ -1008,20 +1708,92 @@ class DoubleType extends PrimitiveType {
     return b;
   }
 
-  _read (tap) { return tap.readDouble(); }
+  _read (tap) { return tap.readFloat(); }
 
-  _skip (tap) { tap.skipDouble(); }
+  _skip (tap) { tap.skipFloat(); }
 
   _write (tap, val) {
     if (typeof val != 'number') {
       throwInvalidError(val, this);
     }
-    tap.writeDouble(val);
+    tap.writeFloat(val);
   }
 
-  _match (tap1, tap2) {
-    return tap1.matchDouble(tap2);
-  }
+  _encodedSize (val) {
+    if (typeof val != 'number') {
+      throwInvalidError(val, this);
+    }
+    return 4;
+  }
+
+  _match (tap1, tap2) {
+    return tap1.matchFloat(tap2);
+  }
+
+  _update (resolver, type) {
+    switch (type.typeName) {
+      case 'float':
+      case 'int':
+        resolver._read = type._read;
+        break;
+      case 'abstract:long':
+      case 'long':
+        // No need to worry about precision loss here since we're always
+        // rounding to float anyway.
+        resolver._read = function (tap) { return tap.readLong(); };
+    }
+  }
+
+  _copy (val, opts) { return copyFloatingPoint(this, val, opts); }
+
+  _random (ctx) { return ctx.rng.nextFloat(1e3); }
+
+  _boundaryValues () {
+    return [
+      0, -0, MIN_FLOAT, MAX_FLOAT, -MAX_FLOAT, Infinity, -Infinity, NaN
+    ];
+  }
+
+  _hashValue (h, val) { return hashNumber(h, val); }
+
+  _readKey (tap) { return tap.readFloat(); }
+
+  _writeKey (tap, val) { tap.writeFloat(val); }
+}
+
+FloatType.prototype.typeName = 'float';
+
+/** Doubles. */
+class DoubleType extends PrimitiveType {
+  _check (val, flags, hook) {
+    let b = typeof val == 'number';
+    if (!b && hook) {
+      hook(val, this);
+    }
+    return b;
+  }
+
+  _read (tap) { return tap.readDouble(); }
+
+  _skip (tap) { tap.skipDouble(); }
+
+  _write (tap, val) {
+    if (typeof val != 'number') {
+      throwInvalidError(val, this);
+    }
+    tap.writeDouble(val);
+  }
+
+  _encodedSize (val) {
+    if (typeof val != 'number') {
+      throwInvalidError(val, this);
+    }
+    return 8;
+  }
+
+  _match (tap1, tap2) {
+    return tap1.matchDouble(tap2);
+  }
 
   _update (resolver, type) {
     switch (type.typeName) {
@@ -1038,7 +1810,22 @@ class DoubleType extends PrimitiveType {
     }
   }
 
-  random () { return RANDOM.nextFloat(); }
+  _copy (val, opts) { return copyFloatingPoint(this, val, opts); }
+
+  _random (ctx) { return ctx.rng.nextFloat(); }
+
+  _boundaryValues () {
+    return [
+      0, -0, Number.MIN_VALUE, Number.MAX_VALUE, -Number.MAX_VALUE, Infinity,
+      -Infinity, NaN
+    ];
+  }
+
+  _hashValue (h, val) { return hashNumber(h, val); }
+
+  _readKey (tap) { return tap.readDouble(); }
+
+  _writeKey (tap, val) { tap.writeDouble(val); }
 }
 
 DoubleType.prototype.typeName = 'double';
@@ -1057,6 +1844,10 @@ class StringType extends PrimitiveType {
 
   _skip (tap) { tap.skipString(); }
 
+  _explain (tap, path) {
+    return explainLengthPrefixed(tap, 'string', path, this);
+  }
+
   _write (tap, val) {
     if (typeof val != 'string') {
       throwInvalidError(val, this);
@@ -1064,6 +1855,14 @@ class StringType extends PrimitiveType {
     tap.writeString(val);
   }
 
+  _encodedSize (val) {
+    if (typeof val != 'string') {
+      throwInvalidError(val, this);
+    }
+    let len = Buffer.byteLength(val);
+    return utils.getLongSize(len) + len;
+  }
+
   _match (tap1, tap2) {
     return tap1.matchBytes(tap2);
   }
@@ -1076,9 +1875,26 @@ class StringType extends PrimitiveType {
     }
   }
 
-  random () {
-    return RANDOM.nextString(RANDOM.nextInt(32));
+  _random (ctx) {
+    return ctx.rng.nextString(ctx.rng.nextInt(ctx.stringLength + 1));
+  }
+
+  _boundaryValues () {
+    // The last two strings have multi-byte encodings.
+    return ['', 'a'.repeat(BOUNDARY_LENGTH), '\u0000', '\ud83d\ude00'];
+  }
+
+  _hashValue (h, val) {
+    h = mixHash(h, val.length);
+    for (let i = 0, l = val.length; i < l; i++) {
+      h = mixHash(h, val.charCodeAt(i));
+    }
+    return h;
   }
+
+  _readKey (tap) { return tap.readString(); }
+
+  _writeKey (tap, val) { tap.writeString(val); }
 }
 
 StringType.prototype.typeName = 'string';
@@ -1105,6 +1921,10 @@ class BytesType extends PrimitiveType {
 
   _skip (tap) { tap.skipBytes(); }
 
+  _explain (tap, path) {
+    return explainLengthPrefixed(tap, 'bytes', path, this);
+  }
+
   _write (tap, val) {
     if (!Buffer.isBuffer(val)) {
       throwInvalidError(val, this);
@@ -1112,6 +1932,13 @@ class BytesType extends PrimitiveType {
     tap.writeBytes(val);
   }
 
+  _encodedSize (val) {
+    if (!Buffer.isBuffer(val)) {
+      throwInvalidError(val, this);
+    }
+    return utils.getLongSize(val.length) + val.length;
+  }
+
   _match (tap1, tap2) {
     return tap1.matchBytes(tap2);
   }
@@ -1150,9 +1977,30 @@ class BytesType extends PrimitiveType {
     }
   }
 
-  random () {
-    return RANDOM.nextBuffer(RANDOM.nextInt(32));
+  _random (ctx) {
+    return ctx.rng.nextBuffer(ctx.rng.nextInt(ctx.stringLength + 1));
+  }
+
+  _boundaryValues () {
+    return [
+      utils.newBuffer(0),
+      utils.bufferFrom([0]),
+      utils.bufferFrom([255]),
+      utils.newBuffer(BOUNDARY_LENGTH).fill(0)
+    ];
+  }
+
+  _hashValue (h, val) {
+    h = mixHash(h, val.length);
+    for (let i = 0, l = val.length; i < l; i++) {
+      h = mixHash(h, val[i]);
+    }
+    return h;
   }
+
+  _readKey (tap) { return tap.readBytes(); }
+
+  _writeKey (tap, val) { tap.writeBytes(val); }
 }
 
 BytesType.prototype.compare = Buffer.compare;
@@ -1188,7 +2036,36 @@ class UnionType extends Type {
   }
 
   _skip (tap) {
-    this.types[tap.readLong()]._skip(tap);
+    let branchType = this.types[tap.readLong()];
+    tap.enterNested();
+    branchType._skip(tap);
+    tap.exitNested();
+  }
+
+  _locateError (tap, path) {
+    let pos = tap.pos;
+    let type = this.types[tap.readLong()];
+    if (!type || !tap.isValid()) {
+      return {offset: pos, path};
+    }
+    return type._locateError(tap, path);
+  }
+
+  _explain (tap, path) {
+    let span = new Span(tap.buf, tap.pos, 'union', path, this);
+    let index = explainLong(tap, 'index', path);
+    let type = this.types[index.value];
+    if (!type) {
+      throw new Error(`invalid union index: ${index.value}`);
+    }
+    let branch = type._explain(tap, path);
+    span.children.push(index, branch);
+    // Values are built from their children's to avoid decoding them again.
+    let Branch = type._branchConstructor;
+    span.value = Type.isType(this, 'union:wrapped') && Branch !== null ?
+      new Branch(branch.value) :
+      branch.value;
+    return span._end(tap);
   }
 
   _match (tap1, tap2) {
@@ -1299,11 +2176,25 @@ class UnwrappedUnionType extends UnionType {
   _read (tap) {
     let index = tap.readLong();
     let branchType = this.types[index];
-    if (branchType) {
-      return branchType._read(tap);
-    } else {
+    if (!branchType) {
+      throw new Error(`invalid union index: ${index}`);
+    }
+    tap.enterNested();
+    let val = branchType._read(tap);
+    tap.exitNested();
+    return val;
+  }
+
+  _readInto (tap, target) {
+    let index = tap.readLong();
+    let branchType = this.types[index];
+    if (!branchType) {
       throw new Error(`invalid union index: ${index}`);
     }
+    tap.enterNested();
+    let val = branchType._readInto(tap, target);
+    tap.exitNested();
+    return val;
   }
 
   _write (tap, val) {
@@ -1317,6 +2208,15 @@ class UnwrappedUnionType extends UnionType {
     }
   }
 
+  _encodedSize (val) {
+    let index = this._getIndex(val);
+    if (index === undefined) {
+      throwInvalidError(val, this);
+    }
+    let size = utils.getLongSize(index);
+    return val === null ? size : size + this.types[index]._encodedSize(val);
+  }
+
   _update (resolver, type, opts) {
     for (let i = 0, l = this.types.length; i < l; i++) {
       let typeResolver;
@@ -1385,6 +2285,11 @@ class UnwrappedUnionType extends UnionType {
     }
   }
 
+  _fillDefaults (val) {
+    let index = this._getIndex(val);
+    return index === undefined ? val : this.types[index]._fillDefaults(val);
+  }
+
   compare (val1, val2) {
     let index1 = this._getIndex(val1);
     let index2 = this._getIndex(val2);
@@ -1399,9 +2304,34 @@ class UnwrappedUnionType extends UnionType {
     }
   }
 
-  random () {
-    let index = RANDOM.nextInt(this.types.length);
-    return this.types[index].random();
+  _random (ctx) {
+    return chooseRandomBranch(this.types, ctx)._random(ctx);
+  }
+
+  _boundaryValues (visited) {
+    let vals = [];
+    this.types.forEach((type) => {
+      vals = vals.concat(type._boundaryValues(visited));
+    });
+    return vals;
+  }
+
+  _hashValue (h, val) {
+    let index = this._getIndex(val);
+    if (index === undefined) {
+      throwInvalidError(val, this);
+    }
+    return this.types[index]._hashValue(mixHash(h, index), val);
+  }
+
+  _readKey (tap) {
+    return this.types[readKeyIndex(tap, this.types)]._readKey(tap);
+  }
+
+  _writeKey (tap, val) {
+    let index = this._getIndex(val);
+    tap.writeUInt(index, getKeyWidth(this.types.length));
+    this.types[index]._writeKey(tap, val);
   }
 }
 
@@ -1472,9 +2402,33 @@ class WrappedUnionType extends UnionType {
     let Branch = type._branchConstructor;
     if (Branch === null) {
       return null;
+    }
+    tap.enterNested();
+    let val = new Branch(type._read(tap));
+    tap.exitNested();
+    return val;
+  }
+
+  _readInto (tap, target) {
+    let type = this.types[tap.readLong()];
+    if (!type) {
+      throw new Error('invalid union index');
+    }
+    let Branch = type._branchConstructor;
+    if (Branch === null) {
+      return null;
+    }
+    tap.enterNested();
+    let val;
+    if (target instanceof Branch) {
+      let name = type.branchName;
+      target[name] = type._readInto(tap, target[name]);
+      val = target;
     } else {
-      return new Branch(type._read(tap));
+      val = new Branch(type._read(tap));
     }
+    tap.exitNested();
+    return val;
   }
 
   _write (tap, val) {
@@ -1499,6 +2453,26 @@ class WrappedUnionType extends UnionType {
     }
   }
 
+  _encodedSize (val) {
+    let index;
+    if (val === null) {
+      index = this._branchIndices['null'];
+      if (index === undefined) {
+        throwInvalidError(val, this);
+      }
+      return utils.getLongSize(index);
+    }
+    let keys = Object.keys(val), name;
+    if (keys.length === 1) {
+      name = keys[0];
+      index = this._branchIndices[name];
+    }
+    if (index === undefined) {
+      throwInvalidError(val, this);
+    }
+    return utils.getLongSize(index) + this.types[index]._encodedSize(val[name]);
+  }
+
   _update (resolver, type, opts) {
     for (let i = 0, l = this.types.length; i < l; i++) {
       let typeResolver;
@@ -1577,6 +2551,25 @@ class WrappedUnionType extends UnionType {
     throwInvalidError(val, this);
   }
 
+  _fillDefaults (val) {
+    if (val === null || typeof val != 'object') {
+      return val;
+    }
+    let keys = Object.keys(val);
+    let index = keys.length === 1 ? this._branchIndices[keys[0]] : undefined;
+    if (index === undefined) {
+      return val;
+    }
+    let branchVal = val[keys[0]];
+    let filled = this.types[index]._fillDefaults(branchVal);
+    if (filled === branchVal) {
+      return val;
+    }
+    let obj = {};
+    obj[keys[0]] = filled;
+    return obj;
+  }
+
   compare (val1, val2) {
     let name1 = val1 === null ? 'null' : Object.keys(val1)[0];
     let name2 = val2 === null ? 'null' : Object.keys(val2)[0];
@@ -1590,14 +2583,49 @@ class WrappedUnionType extends UnionType {
     }
   }
 
-  random () {
-    let index = RANDOM.nextInt(this.types.length);
-    let type = this.types[index];
+  _random (ctx) {
+    let type = chooseRandomBranch(this.types, ctx);
     let Branch = type._branchConstructor;
     if (!Branch) {
       return null;
     }
-    return new Branch(type.random());
+    return new Branch(type._random(ctx));
+  }
+
+  _boundaryValues (visited) {
+    let vals = [];
+    this.types.forEach((type) => {
+      let Branch = type._branchConstructor;
+      vals = vals.concat(type._boundaryValues(visited).map((val) => {
+        return Branch ? new Branch(val) : null;
+      }));
+    });
+    return vals;
+  }
+
+  _hashValue (h, val) {
+    let name = val === null ? 'null' : Object.keys(val)[0];
+    let index = this._branchIndices[name];
+    if (index === undefined) {
+      throwInvalidError(val, this);
+    }
+    h = mixHash(h, index);
+    return name === 'null' ? h : this.types[index]._hashValue(h, val[name]);
+  }
+
+  _readKey (tap) {
+    let type = this.types[readKeyIndex(tap, this.types)];
+    let Branch = type._branchConstructor;
+    return Branch ? new Branch(type._readKey(tap)) : null;
+  }
+
+  _writeKey (tap, val) {
+    let name = val === null ? 'null' : Object.keys(val)[0];
+    let index = this._branchIndices[name];
+    tap.writeUInt(index, getKeyWidth(this.types.length));
+    if (name !== 'null') {
+      this.types[index]._writeKey(tap, val[name]);
+    }
   }
 }
 
@@ -1639,7 +2667,7 @@ class EnumType extends Type {
     ) {
       throw new Error(`invalid ${this} default: ${j(this.default)}`);
     }
-    this._branchConstructor = this._createBranchConstructor();
+    this._branchConstructor = this._createBranchConstructor(opts);
     Object.freeze(this);
   }
 
@@ -1670,6 +2698,14 @@ class EnumType extends Type {
     tap.writeLong(index);
   }
 
+  _encodedSize (val) {
+    let index = this._indices[val];
+    if (index === undefined) {
+      throwInvalidError(val, this);
+    }
+    return utils.getLongSize(index);
+  }
+
   _match (tap1, tap2) {
     return tap1.matchLong(tap2);
   }
@@ -1706,8 +2742,20 @@ class EnumType extends Type {
 
   getSymbols () { return this.symbols; }
 
-  random () {
-    return RANDOM.choice(this.symbols);
+  _random (ctx) {
+    return ctx.rng.choice(this.symbols);
+  }
+
+  _boundaryValues () { return this.symbols.slice(); }
+
+  _hashValue (h, val) { return mixHash(h, this._indices[val]); }
+
+  _readKey (tap) {
+    return this.symbols[readKeyIndex(tap, this.symbols)];
+  }
+
+  _writeKey (tap, val) {
+    tap.writeUInt(this._indices[val], getKeyWidth(this.symbols.length));
   }
 }
 
@@ -1721,7 +2769,7 @@ class FixedType extends Type {
       throw new Error(`invalid ${this.branchName} size`);
     }
     this.size = schema.size | 0;
-    this._branchConstructor = this._createBranchConstructor();
+    this._branchConstructor = this._createBranchConstructor(opts);
     Object.freeze(this);
   }
 
@@ -1748,6 +2796,13 @@ class FixedType extends Type {
     tap.writeFixed(val, this.size);
   }
 
+  _encodedSize (val) {
+    if (!Buffer.isBuffer(val) || val.length !== this.size) {
+      throwInvalidError(val, this);
+    }
+    return this.size;
+  }
+
   _match (tap1, tap2) {
     return tap1.matchFixed(tap2, this.size);
   }
@@ -1767,9 +2822,23 @@ class FixedType extends Type {
 
   getSize () { return this.size; }
 
-  random () {
-    return RANDOM.nextBuffer(this.size);
+  _random (ctx) {
+    return ctx.rng.nextBuffer(this.size);
+  }
+
+  _boundaryValues () {
+    let vals = [utils.newBuffer(this.size).fill(0)];
+    if (this.size) {
+      vals.push(utils.newBuffer(this.size).fill(255));
+    }
+    return vals;
   }
+
+  _hashValue (h, val) { return BytesType.prototype._hashValue(h, val); }
+
+  _readKey (tap) { return tap.readFixed(this.size); }
+
+  _writeKey (tap, val) { tap.writeFixed(val); }
 }
 
 FixedType.prototype._copy = BytesType.prototype._copy;
@@ -1786,7 +2855,7 @@ class MapType extends Type {
       throw new Error(`missing map values: ${j(schema)}`);
     }
     this.valuesType = Type.forSchema(schema.values, opts);
-    this._branchConstructor = this._createBranchConstructor();
+    this._branchConstructor = this._createBranchConstructor(opts);
     Object.freeze(this);
   }
 
@@ -1824,30 +2893,103 @@ class MapType extends Type {
   _read (tap) {
     let values = this.valuesType;
     let val = {};
+    let total = 0;
     let n;
+    tap.enterNested();
     while ((n = readArraySize(tap))) {
+      tap.claimItems(n, total += n);
       while (n--) {
         let key = tap.readString();
         val[key] = values._read(tap);
       }
     }
+    tap.exitNested();
     return val;
   }
 
+  _readInto (tap, target) {
+    if (!isPlainObject(target)) {
+      return this._read(tap);
+    }
+    let values = this.valuesType;
+    let stale = new Set(Object.keys(target));
+    let total = 0;
+    let n;
+    tap.enterNested();
+    while ((n = readArraySize(tap))) {
+      tap.claimItems(n, total += n);
+      while (n--) {
+        let key = tap.readString();
+        stale.delete(key);
+        target[key] = values._readInto(tap, target[key]);
+      }
+    }
+    tap.exitNested();
+    stale.forEach((key) => { delete target[key]; });
+    return target;
+  }
+
   _skip (tap) {
     let values = this.valuesType;
+    let total = 0;
     let n;
+    tap.enterNested();
     while ((n = tap.readLong())) {
       if (n < 0) {
+        tap.claimItems(-n, total -= n);
         let len = tap.readLong();
         tap.pos += len;
       } else {
+        tap.claimItems(n, total += n);
         while (n--) {
           tap.skipString();
           values._skip(tap);
         }
       }
     }
+    tap.exitNested();
+  }
+
+  _locateError (tap, path) {
+    let values = this.valuesType;
+    for (;;) {
+      let pos = tap.pos;
+      let n = readArraySize(tap);
+      if (!tap.isValid()) {
+        return {offset: pos, path};
+      }
+      if (!n) {
+        return null;
+      }
+      while (n--) {
+        pos = tap.pos;
+        let key = tap.readString();
+        if (!tap.isValid()) {
+          return {offset: pos, path};
+        }
+        let loc = values._locateError(tap, `${path}[${j(key)}]`);
+        if (loc) {
+          return loc;
+        }
+      }
+    }
+  }
+
+  _explain (tap, path) {
+    let span = new Span(tap.buf, tap.pos, 'map', path, this);
+    let values = this.valuesType;
+    let val = {};
+    explainBlocks(tap, span, () => {
+      let key = explainLengthPrefixed(tap, 'key', path);
+      let keyPath = `${path}[${j(key.value)}]`;
+      key.path = keyPath;
+      key.children.forEach((child) => { child.path = keyPath; });
+      let value = values._explain(tap, keyPath);
+      span.children.push(key, value);
+      val[key.value] = value.value;
+    });
+    span.value = val;
+    return span._end(tap);
   }
 
   _write (tap, val) {
@@ -1869,6 +3011,25 @@ class MapType extends Type {
     tap.writeLong(0);
   }
 
+  _encodedSize (val) {
+    if (!val || typeof val != 'object' || Array.isArray(val)) {
+      throwInvalidError(val, this);
+    }
+    let values = this.valuesType;
+    let keys = Object.keys(val);
+    let n = keys.length;
+    let size = 1; // Final block's count.
+    if (n) {
+      size += utils.getLongSize(n);
+      for (let i = 0; i < n; i++) {
+        let key = keys[i];
+        let len = Buffer.byteLength(key);
+        size += utils.getLongSize(len) + len + values._encodedSize(val[key]);
+      }
+    }
+    return size;
+  }
+
   _match () {
     throw new Error('maps cannot be compared');
   }
@@ -1894,16 +3055,73 @@ class MapType extends Type {
     throwInvalidError(val, this);
   }
 
-  getValuesType () { return this.valuesType; }
-
-  random () {
-    let val = {};
-    for (let i = 0, l = RANDOM.nextInt(10); i < l; i++) {
-      val[RANDOM.nextString(RANDOM.nextInt(20))] = this.valuesType.random();
+  _fillDefaults (val) {
+    if (!val || typeof val != 'object') {
+      return val;
     }
+    let copy = val;
+    let keys = Object.keys(val);
+    for (let i = 0, l = keys.length; i < l; i++) {
+      let key = keys[i];
+      let filled = this.valuesType._fillDefaults(val[key]);
+      if (filled !== val[key]) {
+        if (copy === val) {
+          copy = Object.assign({}, val);
+        }
+        copy[key] = filled;
+      }
+    }
+    return copy;
+  }
+
+  getValuesType () { return this.valuesType; }
+
+  _random (ctx) {
+    let val = {};
+    if (ctx.depth >= ctx.depthLimit) {
+      return val;
+    }
+    let rng = ctx.rng;
+    ctx.depth++;
+    for (let i = 0, l = rng.nextInt(ctx.arrayLength + 1); i < l; i++) {
+      let key = rng.nextString(rng.nextInt(ctx.stringLength + 1));
+      val[key] = this.valuesType._random(ctx);
+    }
+    ctx.depth--;
     return val;
   }
 
+  _boundaryValues (visited) {
+    let vals = this.valuesType._boundaryValues(visited);
+    let maps = [{}].concat(vals.map((val) => { return {'': val}; }));
+    if (vals.length) {
+      let large = {};
+      for (let i = 0; i < BOUNDARY_LENGTH; i++) {
+        large[`k${i}`] = vals[0];
+      }
+      maps.push(large);
+    }
+    return maps;
+  }
+
+  _hashValue (h, val) {
+    // Entries are hashed separately then summed, so that the result doesn't
+    // depend on their order.
+    let keys = Object.keys(val);
+    let sum = 0;
+    for (let i = 0, l = keys.length; i < l; i++) {
+      let key = keys[i];
+      let entryHash = StringType.prototype._hashValue(HASH_SEED, key);
+      entryHash = this.valuesType._hashValue(entryHash, val[key]);
+      sum = (sum + finalizeHash(entryHash)) | 0;
+    }
+    return mixHash(mixHash(h, keys.length), sum);
+  }
+
+  _readKey () { throw new Error('maps cannot be compared'); }
+
+  _writeKey () { throw new Error('maps cannot be compared'); }
+
   _deref (schema, derefed, opts) {
     schema.values = this.valuesType._attrs(derefed, opts);
   }
@@ -1921,7 +3139,7 @@ class ArrayType extends Type {
       throw new Error(`missing array items: ${j(schema)}`);
     }
     this.itemsType = Type.forSchema(schema.items, opts);
-    this._branchConstructor = this._createBranchConstructor();
+    this._branchConstructor = this._createBranchConstructor(opts);
     Object.freeze(this);
   }
 
@@ -1959,11 +3177,13 @@ class ArrayType extends Type {
     let items = this.itemsType;
     let i = 0;
     let val, n;
+    tap.enterNested();
     while ((n = tap.readLong())) {
       if (n < 0) {
         n = -n;
         tap.skipLong(); // Skip size.
       }
+      tap.claimItems(n, i + n);
       // Initializing the array on the first batch gives a ~10% speedup. See
       // https://github.com/mtth/avsc/pull/338 for more context.
       val = val || new Array(n);
@@ -1971,22 +3191,97 @@ class ArrayType extends Type {
         val[i++] = items._read(tap);
       }
     }
+    tap.exitNested();
     return val || [];
   }
 
+  _readInto (tap, target) {
+    if (!Array.isArray(target)) {
+      return this._read(tap);
+    }
+    let items = this.itemsType;
+    let i = 0;
+    let n;
+    tap.enterNested();
+    while ((n = tap.readLong())) {
+      if (n < 0) {
+        n = -n;
+        tap.skipLong(); // Skip size.
+      }
+      tap.claimItems(n, i + n);
+      while (n--) {
+        target[i] = items._readInto(tap, target[i]);
+        i++;
+      }
+    }
+    tap.exitNested();
+    target.length = i;
+    return target;
+  }
+
   _skip (tap) {
     let items = this.itemsType;
+    let total = 0;
     let n;
+    tap.enterNested();
     while ((n = tap.readLong())) {
       if (n < 0) {
+        tap.claimItems(-n, total -= n);
         let len = tap.readLong();
         tap.pos += len;
       } else {
+        tap.claimItems(n, total += n);
         while (n--) {
           items._skip(tap);
         }
       }
     }
+    tap.exitNested();
+  }
+
+  _locateError (tap, path) {
+    let items = this.itemsType;
+    let i = 0;
+    for (;;) {
+      let pos = tap.pos;
+      let n = readArraySize(tap);
+      if (!tap.isValid()) {
+        return {offset: pos, path};
+      }
+      if (!n) {
+        return null;
+      }
+      while (n--) {
+        pos = tap.pos;
+        let loc = items._locateError(tap, `${path}[${i++}]`);
+        if (loc) {
+          return loc;
+        }
+        if (tap.pos === pos) {
+          // Items which don't take up any bytes (e.g. nulls) all decode the
+          // same way, so we skip the rest of the block: its count can be
+          // arbitrarily large.
+          i += n;
+          break;
+        }
+      }
+    }
+  }
+
+  _explain (tap, path) {
+    let span = new Span(tap.buf, tap.pos, 'array', path, this);
+    let items = this.itemsType;
+    let i = 0;
+    let val;
+    explainBlocks(tap, span, (index, n) => {
+      // Sized like when reading, which also rejects invalid counts.
+      val = val || new Array(n);
+      let item = items._explain(tap, `${path}[${i}]`);
+      span.children.push(item);
+      val[i++] = item.value;
+    });
+    span.value = val || [];
+    return span._end(tap);
   }
 
   _write (tap, val) {
@@ -2004,6 +3299,22 @@ class ArrayType extends Type {
     tap.writeLong(0);
   }
 
+  _encodedSize (val) {
+    if (!Array.isArray(val)) {
+      throwInvalidError(val, this);
+    }
+    let items = this.itemsType;
+    let n = val.length;
+    let size = 1; // Final block's count.
+    if (n) {
+      size += utils.getLongSize(n);
+      for (let i = 0; i < n; i++) {
+        size += items._encodedSize(val[i]);
+      }
+    }
+    return size;
+  }
+
   _match (tap1, tap2) {
     let n1 = tap1.readLong();
     let n2 = tap2.readLong();
@@ -2040,6 +3351,23 @@ class ArrayType extends Type {
     return items;
   }
 
+  _fillDefaults (val) {
+    if (!Array.isArray(val)) {
+      return val;
+    }
+    let copy = val;
+    for (let i = 0, l = val.length; i < l; i++) {
+      let filled = this.itemsType._fillDefaults(val[i]);
+      if (filled !== val[i]) {
+        if (copy === val) {
+          copy = val.slice();
+        }
+        copy[i] = filled;
+      }
+    }
+    return copy;
+  }
+
   _deref (schema, derefed, opts) {
     schema.items = this.itemsType._attrs(derefed, opts);
   }
@@ -2058,13 +3386,56 @@ class ArrayType extends Type {
 
   getItemsType () { return this.itemsType; }
 
-  random () {
+  _random (ctx) {
+    let arr = [];
+    if (ctx.depth >= ctx.depthLimit) {
+      return arr;
+    }
+    ctx.depth++;
+    for (let i = 0, l = ctx.rng.nextInt(ctx.arrayLength + 1); i < l; i++) {
+      arr.push(this.itemsType._random(ctx));
+    }
+    ctx.depth--;
+    return arr;
+  }
+
+  _boundaryValues (visited) {
+    let vals = this.itemsType._boundaryValues(visited);
+    let arrs = [[]].concat(vals.map((val) => { return [val]; }));
+    if (vals.length) {
+      let large = [];
+      for (let i = 0; i < BOUNDARY_LENGTH; i++) {
+        large.push(vals[0]);
+      }
+      arrs.push(large);
+    }
+    return arrs;
+  }
+
+  _hashValue (h, val) {
+    h = mixHash(h, val.length);
+    for (let i = 0, l = val.length; i < l; i++) {
+      h = this.itemsType._hashValue(h, val[i]);
+    }
+    return h;
+  }
+
+  _readKey (tap) {
+    // Each item is preceded by a non-zero byte, the end is marked by a zero.
     let arr = [];
-    for (let i = 0, l = RANDOM.nextInt(10); i < l; i++) {
-      arr.push(this.itemsType.random());
+    while (tap.readByte()) {
+      arr.push(this.itemsType._readKey(tap));
     }
     return arr;
   }
+
+  _writeKey (tap, val) {
+    for (let i = 0, l = val.length; i < l; i++) {
+      tap.writeByte(1);
+      this.itemsType._writeKey(tap, val[i]);
+    }
+    tap.writeByte(0);
+  }
 }
 
 ArrayType.prototype.typeName = 'array';
@@ -2112,18 +3483,27 @@ class RecordType extends Type {
       this._fieldsByName[field.name] = field;
       return field;
     }, this));
-    this._branchConstructor = this._createBranchConstructor();
+    this._branchConstructor = this._createBranchConstructor(opts);
     this._isError = schema.type === 'error';
+    this._codegen = isCodegenEnabled(opts);
     this.recordConstructor = this._createConstructor(
       opts.errorStackTraces,
       opts.omitRecordMethods
     );
     this._read = this._createReader();
+    this._readInto = this._createInPlaceReader();
     this._skip = this._createSkipper();
     this._write = this._createWriter();
+    this._encodedSize = this._createSizer();
     this._check = this._createChecker();
+    this._lazyFields = this._createLazyFields();
+    // Only set once values are lazily decoded, see `_readLazy`.
+    this._lazyWrites = false;
 
-    Object.freeze(this);
+    // The writer and sizer are replaced the first time a value is lazily
+    // decoded, so that types which are never used lazily don't pay for
+    // checking whether values are. All other properties are frozen.
+    freezeProperties(this, ['_encodedSize', '_lazyWrites', '_write']);
   }
 
   _getConstructorName () {
@@ -2176,10 +3556,15 @@ class RecordType extends Type {
       }
       innerBody += ' }\n';
     }
-    let outerBody = 'return function ' + this._getConstructorName() + '(';
-    outerBody += innerArgs.join() + ') {\n' + innerBody + '};';
-    // eslint-disable-next-line no-new-func
-    let Record = new Function(outerArgs.join(), outerBody).apply(undefined, ds);
+    let Record;
+    if (this._codegen) {
+      let outerBody = 'return function ' + this._getConstructorName() + '(';
+      outerBody += innerArgs.join() + ') {\n' + innerBody + '};';
+      // eslint-disable-next-line no-new-func
+      Record = new Function(outerArgs.join(), outerBody).apply(undefined, ds);
+    } else {
+      Record = this._interpretConstructor(stackField);
+    }
     if (plainRecords) {
       return Record;
     }
@@ -2208,7 +3593,56 @@ class RecordType extends Type {
     return Record;
   }
 
+  _createLazyFields () {
+    // Property descriptors of lazily decoded records. Each field is decoded
+    // on first access, then replaced by a plain data property.
+    let descriptors = {};
+    this.fields.forEach((field, i) => {
+      descriptors[field.name] = {
+        configurable: true,
+        enumerable: true,
+        get: function () {
+          let state = this[LAZY_STATE];
+          let tap = new Tap(state.buf, state.getOffsets()[i]);
+          let val = field.type._readLazy(tap);
+          state.setField(this, i, val);
+          return val;
+        },
+        set: function (val) { this[LAZY_STATE].setField(this, i, val); }
+      };
+    });
+    return descriptors;
+  }
+
+  _interpretConstructor (stackField) {
+    let fields = this.fields;
+    let Record = function () {
+      for (let i = 0, l = fields.length; i < l; i++) {
+        let field = fields[i];
+        let val = arguments[i];
+        if (val === undefined && field.defaultValue() !== undefined) {
+          val = field.defaultValue();
+        }
+        this[field.name] = val;
+      }
+      if (stackField && this.stack === undefined) {
+        /* istanbul ignore else */
+        if (typeof Error.captureStackTrace == 'function') {
+          Error.captureStackTrace(this, this.constructor);
+        } else {
+          this.stack = Error().stack;
+        }
+      }
+    };
+    // Match the generated constructor's name (used e.g. when inspecting).
+    Object.defineProperty(Record, 'name', {value: this._getConstructorName()});
+    return Record;
+  }
+
   _createChecker () {
+    if (!this._codegen) {
+      return this._interpretChecker();
+    }
     let names = [];
     let values = [];
     let name = this._getConstructorName();
@@ -2264,7 +3698,55 @@ class RecordType extends Type {
     return new Function(names.join(), body).apply(undefined, values);
   }
 
+  _interpretChecker () {
+    let self = this;
+    let fields = this.fields;
+    return function (v, f, h, p) {
+      if (v === null || typeof v != 'object' || (f && !self._checkFields(v))) {
+        if (h) {
+          h(v, self);
+        }
+        return false;
+      }
+      let b = true;
+      let j = h ? p.length : 0;
+      if (h) {
+        p.push('');
+      }
+      for (let i = 0, l = fields.length; i < l; i++) {
+        let field = fields[i];
+        let fieldVal = v[field.name];
+        if (fieldVal === undefined && field.defaultValue() !== undefined) {
+          continue;
+        }
+        if (h) {
+          p[j] = field.name;
+          if (!field.type._check(fieldVal, f, h, p)) {
+            b = false;
+          }
+        } else if (!field.type._check(fieldVal, f)) {
+          return false;
+        }
+      }
+      if (h) {
+        p.pop();
+      }
+      return b;
+    };
+  }
+
   _createReader () {
+    if (!this._codegen) {
+      let Record = this.recordConstructor;
+      let types = this.fields.map((f) => { return f.type; });
+      return function (tap) {
+        let vals = new Array(types.length);
+        for (let i = 0, l = types.length; i < l; i++) {
+          vals[i] = types[i]._read(tap);
+        }
+        return new Record(...vals);
+      };
+    }
     let names = [];
     let values = [this.recordConstructor];
     for (let i = 0, l = this.fields.length; i < l; i++) {
@@ -2283,7 +3765,54 @@ class RecordType extends Type {
     return new Function(names.join(), body).apply(undefined, values);
   }
 
+  _createInPlaceReader () {
+    // Lazy records are never reused: their state would be stale.
+    if (!this._codegen) {
+      return this._interpretInPlaceReader();
+    }
+    let args = ['R', 'r', 'L'];
+    let values = [this.recordConstructor, this._read, LAZY_STATE];
+    let name = this._getConstructorName();
+    let body = 'return function readInto' + name + '(t, v) {\n';
+    body += '  if (!(v instanceof R) || v[L] !== undefined) {\n';
+    body += '    return r(t);\n';
+    body += '  }\n';
+    for (let i = 0, l = this.fields.length; i < l; i++) {
+      let attr = 'v.' + this.fields[i].name;
+      args.push('t' + i);
+      values.push(this.fields[i].type);
+      body += '  ' + attr + ' = t' + i + '._readInto(t, ' + attr + ');\n';
+    }
+    body += '  return v;\n}';
+    // eslint-disable-next-line no-new-func
+    return new Function(args.join(), body).apply(undefined, values);
+  }
+
+  _interpretInPlaceReader () {
+    let Record = this.recordConstructor;
+    let read = this._read;
+    let fields = this.fields;
+    return function (tap, target) {
+      if (!(target instanceof Record) || target[LAZY_STATE] !== undefined) {
+        return read(tap);
+      }
+      for (let i = 0, l = fields.length; i < l; i++) {
+        let field = fields[i];
+        target[field.name] = field.type._readInto(tap, target[field.name]);
+      }
+      return target;
+    };
+  }
+
   _createSkipper () {
+    if (!this._codegen) {
+      let types = this.fields.map((f) => { return f.type; });
+      return function (tap) {
+        for (let i = 0, l = types.length; i < l; i++) {
+          types[i]._skip(tap);
+        }
+      };
+    }
     let args = [];
     let body = 'return function skip' + this._getConstructorName() + '(t) {\n';
     let values = [];
@@ -2297,12 +3826,49 @@ class RecordType extends Type {
     return new Function(args.join(), body).apply(undefined, values);
   }
 
-  _createWriter () {
+  _locateError (tap, path) {
+    for (let i = 0, l = this.fields.length; i < l; i++) {
+      let field = this.fields[i];
+      let fieldPath = path ? `${path}.${field.name}` : field.name;
+      let loc = field.type._locateError(tap, fieldPath);
+      if (loc) {
+        return loc;
+      }
+    }
+    return null;
+  }
+
+  _explain (tap, path) {
+    let span = new Span(tap.buf, tap.pos, 'record', path, this);
+    let vals = [];
+    for (let i = 0, l = this.fields.length; i < l; i++) {
+      let field = this.fields[i];
+      let fieldPath = path ? `${path}.${field.name}` : field.name;
+      let child = field.type._explain(tap, fieldPath);
+      span.children.push(child);
+      vals.push(child.value);
+    }
+    span.value = new this.recordConstructor(...vals);
+    return span._end(tap);
+  }
+
+  _createWriter (lazy) {
+    if (!this._codegen) {
+      return this._interpretWriter(lazy);
+    }
     // We still do default handling here, in case a normal JS object is passed.
-    let args = [];
+    let args = ['s', 'L'];
     let name = this._getConstructorName();
     let body = 'return function write' + name + '(t, v) {\n';
-    let values = [];
+    let values = [this, LAZY_STATE];
+    if (lazy) {
+      // Lazily decoded records are written from their original encoding.
+      body += '  var l = v[L];\n';
+      body += '  if (l !== undefined && l.type === s) {\n';
+      body += '    l.write(t, v);\n';
+      body += '    return;\n';
+      body += '  }\n';
+    }
     for (let i = 0, l = this.fields.length; i < l; i++) {
       let field = this.fields[i];
       args.push('t' + i);
@@ -2328,6 +3894,94 @@ class RecordType extends Type {
     return new Function(args.join(), body).apply(undefined, values);
   }
 
+  _interpretWriter (lazy) {
+    let self = this;
+    let fields = this.fields;
+    let defaults = fields.map((field) => {
+      let val = field.defaultValue();
+      return val === undefined ?
+        undefined :
+        field.type.toBuffer(val).toString('binary');
+    });
+    return function (tap, val) {
+      let state = lazy ? val[LAZY_STATE] : undefined;
+      if (state !== undefined && state.type === self) {
+        state.write(tap, val);
+        return;
+      }
+      for (let i = 0, l = fields.length; i < l; i++) {
+        let field = fields[i];
+        let fieldVal = val[field.name];
+        let str = defaults[i];
+        if (fieldVal === undefined && str !== undefined) {
+          tap.writeBinary(str, str.length);
+        } else {
+          field.type._write(tap, fieldVal);
+        }
+      }
+    };
+  }
+
+  _createSizer (lazy) {
+    if (!this._codegen) {
+      return this._interpretSizer(lazy);
+    }
+    let args = ['s', 'L'];
+    let name = this._getConstructorName();
+    let body = 'return function size' + name + '(v) {\n';
+    let values = [this, LAZY_STATE];
+    if (lazy) {
+      body += '  var l = v[L];\n';
+      body += '  if (l !== undefined && l.type === s) {\n';
+      body += '    return l.getSize(v);\n';
+      body += '  }\n';
+    }
+    body += '  var n = 0;\n';
+    for (let i = 0, l = this.fields.length; i < l; i++) {
+      let field = this.fields[i];
+      args.push('t' + i);
+      values.push(field.type);
+      if (field.defaultValue() === undefined) {
+        body += '  n += t' + i + '._encodedSize(v.' + field.name + ');\n';
+      } else {
+        // Defaults' sizes are computed ahead of time, similar to the writer.
+        let size = field.type.toBuffer(field.defaultValue()).length;
+        body += '  var v' + i + ' = v.' + field.name + ';\n';
+        body += '  n += v' + i + ' === undefined ? ' + size + ' : ';
+        body += 't' + i + '._encodedSize(v' + i + ');\n';
+      }
+    }
+    body += '  return n;\n}';
+    // eslint-disable-next-line no-new-func
+    return new Function(args.join(), body).apply(undefined, values);
+  }
+
+  _interpretSizer (lazy) {
+    let self = this;
+    let fields = this.fields;
+    let sizes = fields.map((field) => {
+      let val = field.defaultValue();
+      return val === undefined ? undefined : field.type.toBuffer(val).length;
+    });
+    return function (val) {
+      let state = lazy ? val[LAZY_STATE] : undefined;
+      if (state !== undefined && state.type === self) {
+        return state.getSize(val);
+      }
+      let size = 0;
+      for (let i = 0, l = fields.length; i < l; i++) {
+        let field = fields[i];
+        let fieldVal = val[field.name];
+        if (fieldVal === undefined && sizes[i] !== undefined) {
+          size += sizes[i];
+        } else {
+          size += field.type._encodedSize(fieldVal);
+        }
+      }
+      return size;
+    };
+  }
+
   _update (resolver, type, opts) {
     if (!hasCompatibleName(this, type, !opts.ignoreNamespaces)) {
       throw new Error(`no alias found for ${type.name}`);
@@ -2366,6 +4020,7 @@ class RecordType extends Type {
         let fieldResolver = {
           resolver: field.type.createResolver(wFieldsMap[name].type, opts),
           name: '_' + field.name, // Reader field name.
+          index: i
         };
         if (!resolvers[name]) {
           resolvers[name] = [fieldResolver];
@@ -2383,6 +4038,11 @@ class RecordType extends Type {
       lazyIndex = i;
     }
 
+    if (!this._codegen || !isCodegenEnabled(opts)) {
+      resolver._read = this._interpretResolver(resolvers, type, lazyIndex);
+      return;
+    }
+
     let uname = this._getConstructorName();
     let args = [uname];
     let values = [this.recordConstructor];
@@ -2419,6 +4079,36 @@ class RecordType extends Type {
     resolver._read = new Function(args.join(), body).apply(undefined, values);
   }
 
+  _interpretResolver (resolvers, type, lazyIndex) {
+    let Record = this.recordConstructor;
+    let numFields = this.fields.length;
+    let steps = type.fields.map((field) => {
+      return {type: field.type, fieldResolvers: resolvers[field.name]};
+    });
+    return function (tap, lazy) {
+      let vals = new Array(numFields);
+      for (let i = 0, l = steps.length; i < l; i++) {
+        if (i === lazyIndex && lazy) {
+          break;
+        }
+        let step = steps[i];
+        let fieldResolvers = step.fieldResolvers;
+        if (fieldResolvers === undefined) {
+          step.type._skip(tap);
+          continue;
+        }
+        let j = fieldResolvers.length;
+        while (j--) {
+          let fieldResolver = fieldResolvers[j];
+          vals[fieldResolver.index] = j ?
+            fieldResolver.resolver._peek(tap) :
+            fieldResolver.resolver._read(tap);
+        }
+      }
+      return new Record(...vals);
+    };
+  }
+
   _match (tap1, tap2) {
     let fields = this.fields;
     for (let i = 0, l = fields.length; i < l; i++) {
@@ -2438,6 +4128,21 @@ class RecordType extends Type {
     return 0;
   }
 
+  _readLazy (tap) {
+    if (!this._lazyWrites) {
+      this._write = this._createWriter(true);
+      this._encodedSize = this._createSizer(true);
+      this._lazyWrites = true;
+    }
+    let pos = tap.pos;
+    this._skip(tap);
+    let val = Object.create(this.recordConstructor.prototype, this._lazyFields);
+    Object.defineProperty(val, LAZY_STATE, {
+      value: new LazyRecordState(this, tap.buf.slice(pos, tap.pos))
+    });
+    return val;
+  }
+
   _checkFields (obj) {
     let keys = Object.keys(obj);
     for (let i = 0, l = keys.length; i < l; i++) {
@@ -2471,6 +4176,9 @@ class RecordType extends Type {
   }
 
   _deref (schema, derefed, opts) {
+    if (opts.canonical) {
+      schema.type = 'record'; // Errors aren't distinguished in canonical form.
+    }
     schema.fields = this.fields.map((field) => {
       let fieldType = field.type;
       let fieldSchema = {
@@ -2517,32 +4225,163 @@ class RecordType extends Type {
     return 0;
   }
 
-  random () {
-    let fields = this.fields.map((f) => { return f.type.random(); });
+  _random (ctx) {
+    ctx.depth++;
+    let fields = this.fields.map((f) => { return f.type._random(ctx); });
+    ctx.depth--;
     fields.unshift(undefined);
     let Record = this.recordConstructor;
     return new (Record.bind.apply(Record, fields))();
   }
 
-  field (name) {
-    return this._fieldsByName[name];
+  _boundaryValues (visited) {
+    if (visited.has(this)) {
+      return []; // Values are already being enumerated higher up.
+    }
+    visited.add(this);
+    let fieldVals = this.fields.map((f) => {
+      return f.type._boundaryValues(visited);
+    });
+    visited.delete(this);
+    if (fieldVals.some((vals) => { return !vals.length; })) {
+      return [];
+    }
+    let Record = this.recordConstructor;
+    let createRecord = (index, val) => {
+      let args = fieldVals.map((vals, i) => {
+        return i === index ? val : vals[0];
+      });
+      args.unshift(undefined);
+      return new (Record.bind.apply(Record, args))();
+    };
+    let records = [createRecord(-1)];
+    fieldVals.forEach((vals, i) => {
+      vals.slice(1).forEach((val) => { records.push(createRecord(i, val)); });
+    });
+    return records;
   }
 
-  getField (name) {
-    return this._fieldsByName[name];
+  _hashValue (h, val) {
+    let fields = this.fields;
+    for (let i = 0, l = fields.length; i < l; i++) {
+      let field = fields[i];
+      if (field._order) { // Ignored fields don't affect comparisons.
+        h = field.type._hashValue(h, val[field.name]);
+      }
+    }
+    return h;
   }
 
-  getFields () { return this.fields; }
-
-  getRecordConstructor () {
-    return this.recordConstructor;
+  _readKey (tap) {
+    let args = this.fields.map((field) => {
+      if (!field._order) {
+        return undefined; // Ignored, the constructor will use the default.
+      }
+      if (field._order < 0) {
+        tap.mask ^= 0xff;
+      }
+      let val = field.type._readKey(tap);
+      if (field._order < 0) {
+        tap.mask ^= 0xff;
+      }
+      return val;
+    });
+    args.unshift(undefined);
+    let Record = this.recordConstructor;
+    return new (Record.bind.apply(Record, args))();
   }
 
-  get typeName () { return this._isError ? 'error' : 'record'; }
-}
-
-/** Derived type abstract class. */
-class LogicalType extends Type {
+  _writeKey (tap, val) {
+    let fields = this.fields;
+    for (let i = 0, l = fields.length; i < l; i++) {
+      let field = fields[i];
+      if (!field._order) {
+        continue;
+      }
+      if (field._order < 0) {
+        tap.mask ^= 0xff; // Descending, all the field's bytes are inverted.
+      }
+      field.type._writeKey(tap, val[field.name]);
+      if (field._order < 0) {
+        tap.mask ^= 0xff;
+      }
+    }
+  }
+
+  _createDefault (visited) {
+    if (visited.has(this)) {
+      return undefined; // Required recursive field, there is no finite value.
+    }
+    visited.add(this);
+    let val = new this.recordConstructor();
+    let fields = this.fields;
+    for (let i = 0, l = fields.length; i < l; i++) {
+      let field = fields[i];
+      if (val[field.name] === undefined) {
+        val[field.name] = field.type._createDefault(visited);
+      }
+    }
+    visited.delete(this);
+    return val;
+  }
+
+  _fillDefaults (val) {
+    if (val === null || typeof val != 'object') {
+      return val; // Invalid, this will be caught when checking.
+    }
+    let copy = val;
+    let fields = this.fields;
+    for (let i = 0, l = fields.length; i < l; i++) {
+      let field = fields[i];
+      let fieldVal = val[field.name];
+      let filled;
+      if (fieldVal === undefined) {
+        filled = field.defaultValue();
+        if (filled === undefined) {
+          filled = field.type.createDefault();
+        }
+      } else {
+        filled = field.type._fillDefaults(fieldVal);
+      }
+      if (filled !== fieldVal) {
+        if (copy === val) {
+          copy = this._shallowCopy(val);
+        }
+        copy[field.name] = filled;
+      }
+    }
+    return copy;
+  }
+
+  _shallowCopy (val) {
+    let Record = this.recordConstructor;
+    if (!(val instanceof Record)) {
+      // Other objects are copied as is, to preserve any undeclared fields.
+      return Object.assign({}, val);
+    }
+    let vals = this.fields.map((field) => { return val[field.name]; });
+    return new Record(...vals);
+  }
+
+  field (name) {
+    return this._fieldsByName[name];
+  }
+
+  getField (name) {
+    return this._fieldsByName[name];
+  }
+
+  getFields () { return this.fields; }
+
+  getRecordConstructor () {
+    return this.recordConstructor;
+  }
+
+  get typeName () { return this._isError ? 'error' : 'record'; }
+}
+
+/** Derived type abstract class. */
+class LogicalType extends Type {
   constructor (schema, opts) {
     super();
     this._logicalTypeName = schema.logicalType;
@@ -2564,7 +4403,8 @@ class LogicalType extends Type {
     if (Type.isType(this.underlyingType, 'union')) {
       this._branchConstructor = this.underlyingType._branchConstructor;
     } else {
-      this._branchConstructor = this.underlyingType._createBranchConstructor();
+      this._branchConstructor =
+        this.underlyingType._createBranchConstructor(opts);
     }
     // We don't freeze derived types to allow arbitrary properties. Implementors
     // can still do so in the subclass' constructor at their convenience.
@@ -2600,6 +4440,10 @@ class LogicalType extends Type {
     this.underlyingType._write(tap, this._toValue(any));
   }
 
+  _encodedSize (any) {
+    return this.underlyingType._encodedSize(this._toValue(any));
+  }
+
   _check (any, flags, hook, path) {
     let val;
     try {
@@ -2641,8 +4485,49 @@ class LogicalType extends Type {
     return this.underlyingType.compare(val1, val2);
   }
 
-  random () {
-    return this._fromValue(this.underlyingType.random());
+  _random (ctx) {
+    if (this.random !== Type.prototype.random) {
+      // Subclasses can customize their values by overriding `random`, we
+      // delegate to it so that it also applies when nested inside other types.
+      // Seeds are derived from the context's generator, so that values are
+      // reproducible without repeating at each position.
+      let opts = Object.assign({}, ctx.opts, {
+        depthLimit: Math.max(0, ctx.depthLimit - ctx.depth)
+      });
+      if (opts.seed !== undefined) {
+        opts.seed = ctx.rng.nextInt();
+      }
+      return this.random(opts);
+    }
+    return this._fromValue(this.underlyingType._random(ctx));
+  }
+
+  _boundaryValues (visited) {
+    let vals = [];
+    this.underlyingType._boundaryValues(visited).forEach((val) => {
+      let any;
+      try {
+        any = this._fromValue(val);
+      } catch (err) {
+        return; // Not representable.
+      }
+      if (this._check(any)) { // E.g. dates out of range.
+        vals.push(any);
+      }
+    });
+    return vals;
+  }
+
+  _hashValue (h, any) {
+    return this.underlyingType._hashValue(h, this._toValue(any));
+  }
+
+  _readKey (tap) {
+    return this._fromValue(this.underlyingType._readKey(tap));
+  }
+
+  _writeKey (tap, any) {
+    this.underlyingType._writeKey(tap, this._toValue(any));
   }
 
   _deref (schema, derefed, opts) {
@@ -2663,6 +4548,24 @@ class LogicalType extends Type {
     this.underlyingType._skip(tap);
   }
 
+  _locateError (tap, path) {
+    let pos = tap.pos;
+    let loc = this.underlyingType._locateError(tap, path);
+    if (loc) {
+      return loc;
+    }
+    tap.pos = pos; // The conversion itself might fail.
+    return super._locateError(tap, path);
+  }
+
+  _explain (tap, path) {
+    // The wire constructs are the underlying type's, only the value differs.
+    let span = this.underlyingType._explain(tap, path);
+    span.type = this;
+    span.value = this._fromValue(span.value);
+    return span;
+  }
+
   // Unlike the other methods below, `_export` has a reasonable default which we
   // can provide (not exporting anything).
   _export (/* schema */) {}
@@ -2673,6 +4576,368 @@ class LogicalType extends Type {
   _resolve () { utils.abstractFunction(); }
 }
 
+// Standard logical types.
+//
+// These implement the logical types defined by the Avro specification. They
+// are opt-in, either via the `standardLogicalTypes` option or by passing them
+// explicitly inside the `logicalTypes` option. As mandated by the spec, any
+// schema which they can't represent (e.g. a `date` with an underlying `string`)
+// will fall back to its underlying type.
+
+/**
+ * Base class for logical types representing an amount of time.
+ *
+ * Each subclass declares its required underlying type, the unit its values are
+ * expressed in (in microseconds, to keep conversion factors integral), and its
+ * "family". Values can only be resolved within the same family (e.g. between
+ * `timestamp-millis` and `timestamp-micros`), converting units as necessary.
+ */
+class TemporalType extends LogicalType {
+  constructor (schema, opts) {
+    super(schema, opts);
+    let typeName = this.underlyingType.typeName;
+    if (typeName !== this._underlyingTypeName) {
+      throw new Error(
+        `invalid underlying ${this._logicalTypeName} type: ${j(typeName)}`
+      );
+    }
+  }
+
+  _resolve (type) {
+    let wUnit = type._unit;
+    let rUnit = this._unit;
+    return resolveStandardType(this, type, (t) => {
+      return t instanceof TemporalType && t._family === this._family;
+    }, (n) => {
+      // We round towards negative infinity when losing precision, consistent
+      // with how instants are truncated (e.g. by Java's `Instant`).
+      return wUnit >= rUnit ?
+        n * (wUnit / rUnit) :
+        Math.floor(n * wUnit / rUnit);
+    });
+  }
+}
+
+/** Dates (days since the epoch), represented as `Date`s at midnight UTC. */
+class DateType extends TemporalType {
+  _fromValue (val) { return new Date(val * 86400000); }
+
+  _toValue (date) {
+    return isValidDate(date) ? Math.floor(date / 86400000) : undefined;
+  }
+}
+
+DateType.prototype._family = 'date';
+DateType.prototype._underlyingTypeName = 'int';
+DateType.prototype._unit = 86400000000;
+
+/** Times of day with millisecond precision, represented as numbers. */
+class TimeMillisType extends TemporalType {
+  _fromValue (val) { return val; }
+
+  _toValue (val) {
+    return isTimeOfDay(val, 86400000) ? val : undefined;
+  }
+}
+
+TimeMillisType.prototype._family = 'time';
+TimeMillisType.prototype._underlyingTypeName = 'int';
+TimeMillisType.prototype._unit = 1000;
+
+/** Times of day with microsecond precision, represented as numbers. */
+class TimeMicrosType extends TemporalType {
+  _fromValue (val) { return Number(val); }
+
+  _toValue (val) {
+    return isTimeOfDay(val, 86400000000) ? val : undefined;
+  }
+}
+
+TimeMicrosType.prototype._family = 'time';
+TimeMicrosType.prototype._underlyingTypeName = 'long';
+TimeMicrosType.prototype._unit = 1;
+
+/** Instants with millisecond precision, represented as `Date`s. */
+class TimestampMillisType extends TemporalType {
+  _fromValue (val) { return new Date(Number(val)); }
+
+  _toValue (date) { return isValidDate(date) ? +date : undefined; }
+}
+
+TimestampMillisType.prototype._family = 'timestamp';
+TimestampMillisType.prototype._underlyingTypeName = 'long';
+TimestampMillisType.prototype._unit = 1000;
+
+/**
+ * Instants with microsecond precision, represented as `Date`s.
+ *
+ * Note that `Date`s only have millisecond precision, so any sub-millisecond
+ * part of decoded values is truncated.
+ */
+class TimestampMicrosType extends TemporalType {
+  _fromValue (val) { return new Date(Math.floor(Number(val) / 1000)); }
+
+  _toValue (date) { return isValidDate(date) ? date * 1000 : undefined; }
+}
+
+TimestampMicrosType.prototype._family = 'timestamp';
+TimestampMicrosType.prototype._underlyingTypeName = 'long';
+TimestampMicrosType.prototype._unit = 1;
+
+/**
+ * Local date-times with millisecond precision.
+ *
+ * These are also represented as `Date`s, whose UTC fields hold the local
+ * date-time (i.e. no timezone conversion is performed).
+ */
+class LocalTimestampMillisType extends TimestampMillisType {}
+
+LocalTimestampMillisType.prototype._family = 'local-timestamp';
+
+/** Local date-times with microsecond precision (see above). */
+class LocalTimestampMicrosType extends TimestampMicrosType {}
+
+LocalTimestampMicrosType.prototype._family = 'local-timestamp';
+
+/**
+ * UUIDs, represented as strings.
+ *
+ * Both underlying types allowed by the specification are supported: `string`
+ * and `fixed` (of size 16).
+ */
+class UuidType extends LogicalType {
+  constructor (schema, opts) {
+    super(schema, opts);
+    let type = this.underlyingType;
+    this._isFixed = Type.isType(type, 'fixed');
+    if (!Type.isType(type, 'string') && !(this._isFixed && type.size === 16)) {
+      throw new Error(`invalid underlying uuid type: ${j(type.schema())}`);
+    }
+  }
+
+  _fromValue (val) {
+    if (typeof val == 'string') {
+      return val;
+    }
+    let s = val.toString('hex');
+    return [
+      s.slice(0, 8), s.slice(8, 12), s.slice(12, 16), s.slice(16, 20),
+      s.slice(20)
+    ].join('-');
+  }
+
+  _toValue (any) {
+    if (typeof any != 'string' || !UUID_PATTERN.test(any)) {
+      return undefined;
+    }
+    return this._isFixed ? utils.bufferFrom(any.replace(/-/g, ''), 'hex') : any;
+  }
+
+  _resolve (type) {
+    return resolveStandardType(this, type, (t) => {
+      return Type.isType(t, 'logical:uuid');
+    });
+  }
+
+  _random (ctx) {
+    // Version 4 UUID.
+    let buf = ctx.rng.nextBuffer(16);
+    buf[6] = (buf[6] & 0x0f) | 0x40;
+    buf[8] = (buf[8] & 0x3f) | 0x80;
+    return this._fromValue(buf);
+  }
+
+  _boundaryValues () {
+    return [
+      '00000000-0000-0000-0000-000000000000',
+      'ffffffff-ffff-ffff-ffff-ffffffffffff'
+    ];
+  }
+}
+
+/**
+ * Arbitrary-precision decimals, represented as strings.
+ *
+ * Decoded values always contain exactly `scale` fractional digits (e.g.
+ * `'-12.30'` for a scale of 2). Strings with fewer fractional digits are
+ * accepted when encoding, but values requiring rounding are rejected rather
+ * than silently altered. Numbers are also rejected for the same reason.
+ */
+class DecimalType extends LogicalType {
+  constructor (schema, opts) {
+    super(schema, opts);
+    let precision = schema.precision;
+    if (precision !== (precision | 0) || precision <= 0) {
+      throw new Error(`invalid decimal precision: ${j(precision)}`);
+    }
+    let scale = schema.scale === undefined ? 0 : schema.scale;
+    if (scale !== (scale | 0) || scale < 0 || scale > precision) {
+      throw new Error(`invalid decimal scale: ${j(scale)}`);
+    }
+    let type = this.underlyingType;
+    if (Type.isType(type, 'fixed')) {
+      // Largest number of base 10 digits which fit in the fixed's size.
+      let maxPrecision = Math.floor((8 * type.size - 1) * Math.log10(2));
+      if (precision > maxPrecision) {
+        throw new Error(`decimal precision too large for ${type.branchName}`);
+      }
+      this._size = type.size;
+    } else if (Type.isType(type, 'bytes')) {
+      this._size = undefined;
+    } else {
+      throw new Error(`invalid underlying decimal type: ${j(type.schema())}`);
+    }
+    this.precision = precision;
+    this.scale = scale;
+  }
+
+  _fromValue (buf) {
+    return formatDecimal(readTwosComplement(buf), this.scale);
+  }
+
+  _toValue (any) {
+    let unscaled = this._parse(any);
+    return unscaled === undefined ?
+      undefined :
+      writeTwosComplement(unscaled, this._size);
+  }
+
+  _parse (any) {
+    let match = typeof any == 'string' && DECIMAL_PATTERN.exec(any);
+    if (!match) {
+      return undefined;
+    }
+    let fraction = match[3] || '';
+    if (fraction.length > this.scale) {
+      return undefined;
+    }
+    while (fraction.length < this.scale) {
+      fraction += '0';
+    }
+    let digits = (match[2] + fraction).replace(/^0+/, '');
+    if (digits.length > this.precision) {
+      return undefined;
+    }
+    let unscaled = BigInt(digits || 0);
+    return match[1] === '-' ? -unscaled : unscaled;
+  }
+
+  _resolve (type) {
+    return resolveStandardType(this, type, (t) => {
+      return (
+        Type.isType(t, 'logical:decimal') &&
+        t.precision === this.precision &&
+        t.scale === this.scale
+      );
+    });
+  }
+
+  _export (schema) {
+    schema.precision = this.precision;
+    schema.scale = this.scale;
+  }
+
+  compare (val1, val2) {
+    let n1 = this._parse(val1);
+    let n2 = this._parse(val2);
+    if (n1 === undefined) {
+      throwInvalidError(val1, this);
+    } else if (n2 === undefined) {
+      throwInvalidError(val2, this);
+    }
+    return utils.compare(n1, n2);
+  }
+
+  _random (ctx) {
+    let rng = ctx.rng;
+    let digits = '';
+    for (let i = 0, l = rng.nextInt(1, this.precision + 1); i < l; i++) {
+      digits += rng.nextInt(10);
+    }
+    let unscaled = BigInt(digits);
+    if (rng.nextBoolean()) {
+      unscaled = -unscaled;
+    }
+    return formatDecimal(unscaled, this.scale);
+  }
+
+  _boundaryValues () {
+    let max = BigInt('9'.repeat(this.precision));
+    return [BigInt(0), BigInt(1), max, -max].map((n) => {
+      return formatDecimal(n, this.scale);
+    });
+  }
+
+  _hashValue (h, val) {
+    let n = this._parse(val);
+    if (n === undefined) {
+      throwInvalidError(val, this);
+    }
+    return hashLong(h, n);
+  }
+
+  _readKey (tap) {
+    // Fixed-size two's complement with its sign bit flipped, which sorts like
+    // the unscaled values.
+    let buf = tap.readFixed(this._getKeySize());
+    buf[0] ^= 0x80;
+    return formatDecimal(readTwosComplement(buf), this.scale);
+  }
+
+  _writeKey (tap, val) {
+    let buf = writeTwosComplement(this._parse(val), this._getKeySize());
+    buf[0] ^= 0x80;
+    tap.writeFixed(buf);
+  }
+
+  _getKeySize () {
+    // Number of bytes needed to represent any value with this precision.
+    return this._size ||
+      Math.ceil((this.precision * Math.log2(10) + 1) / 8);
+  }
+}
+
+/**
+ * Durations, represented as objects with `months`, `days`, and `millis`
+ * properties (each an unsigned 32-bit integer).
+ */
+class DurationType extends LogicalType {
+  constructor (schema, opts) {
+    super(schema, opts);
+    let type = this.underlyingType;
+    if (!Type.isType(type, 'fixed') || type.size !== 12) {
+      throw new Error(`invalid underlying duration type: ${j(type.schema())}`);
+    }
+  }
+
+  _fromValue (buf) {
+    return {
+      months: buf.readUInt32LE(0),
+      days: buf.readUInt32LE(4),
+      millis: buf.readUInt32LE(8)
+    };
+  }
+
+  _toValue (any) {
+    if (
+      !any || typeof any != 'object' ||
+      !isUint32(any.months) || !isUint32(any.days) || !isUint32(any.millis)
+    ) {
+      return undefined;
+    }
+    let buf = utils.newBuffer(12);
+    buf.writeUInt32LE(any.months, 0);
+    buf.writeUInt32LE(any.days, 4);
+    buf.writeUInt32LE(any.millis, 8);
+    return buf;
+  }
+
+  _resolve (type) {
+    return resolveStandardType(this, type, (t) => {
+      return Type.isType(t, 'logical:duration');
+    });
+  }
+}
 
 
 // General helpers.
@@ -2713,6 +4978,12 @@ class AbstractLongType extends LongType {
     }
   }
 
+  _explain (tap, path) {
+    let span = super._explain(tap, path);
+    span.kind = 'long';
+    return span;
+  }
+
   _write (tap, val) {
     if (!this._isValid(val)) {
       throwInvalidError(val, this);
@@ -2725,6 +4996,19 @@ class AbstractLongType extends LongType {
     }
   }
 
+  _encodedSize (val) {
+    if (!this._isValid(val)) {
+      throwInvalidError(val, this);
+    }
+    let buf = this._toBuffer(val);
+    if (this._noUnpack) {
+      return buf.length;
+    }
+    let tap = new Tap(utils.newBuffer(10)); // Longs take at most 10 bytes.
+    tap.packLongBytes(buf);
+    return tap.pos;
+  }
+
   _copy (val, opts) {
     switch (opts && opts.coerce) {
       case 3: // To string.
@@ -2754,8 +5038,27 @@ class AbstractLongType extends LongType {
     }
   }
 
-  random () {
-    return this._fromJSON(LongType.prototype.random());
+  _random (ctx) {
+    return this._fromJSON(LongType.prototype._random(ctx));
+  }
+
+  _boundaryValues () {
+    return LongType.prototype._boundaryValues().map((n) => {
+      return this._fromJSON(n);
+    });
+  }
+
+  _hashValue (h, val) {
+    // Equal values are expected to have the same JSON representation.
+    return hashLong(h, this._toJSON(val));
+  }
+
+  _readKey () {
+    throw new Error('abstract longs do not support key encoding');
+  }
+
+  _writeKey () {
+    throw new Error('abstract longs do not support key encoding');
   }
 
   // Methods to be implemented by the user.
@@ -2848,11 +5151,15 @@ class Field {
  * Resolver to read a writer's schema as a new schema.
  *
  * @param readerType {Type} The type to convert to.
+ * @param writerType {Type} The type to convert from.
+ * @param opts {Object} Options the resolver was created with.
  */
 class Resolver {
-  constructor (readerType) {
+  constructor (readerType, writerType, opts) {
     // Add all fields here so that all resolvers share the same hidden class.
     this._readerType = readerType;
+    this._writerType = writerType; // To locate decoding errors.
+    this._opts = opts; // To annotate explained spans consistently.
     this._read = null;
     this.itemsType = null;
     this.size = 0;
@@ -2865,22 +5172,217 @@ class Resolver {
 
 Resolver.prototype._peek = Type.prototype._peek;
 
-/** Mutable hash container. */
-class Hash {
-  constructor () {
-    this.str = undefined;
+/**
+ * Part of an encoded value, see `Type#explain`.
+ *
+ * Spans either correspond to a value (their `type` is then set) or to one of
+ * the wire constructs used to encode it. Their `kind` is one of the type
+ * names for values (`'int'`, `'record'`, ...), using the underlying type's for
+ * logical types, and otherwise one of:
+ *
+ * + `'length'`, the varint prefix of strings, bytes, and map keys.
+ * + `'data'`, the contents of strings, bytes, and map keys.
+ * + `'key'`, a map key.
+ * + `'index'`, a union's branch index.
+ * + `'count'`, an array or map block's item count (zero for the last block).
+ * + `'size'`, an array or map block's size in bytes, present if the count is
+ *   negative.
+ */
+class Span {
+  constructor (buf, offset, kind, path, type) {
+    this._buf = buf;
+    this.offset = offset;
+    this.length = 0;
+    this.kind = kind;
+    this.path = path;
+    this.type = type;
+    this.value = undefined;
+    this.readerPath = undefined;
+    this.children = [];
+  }
+
+  /**
+   * Render the span as an annotated hex dump.
+   *
+   * Each line shows a span's offset, bytes (only for spans without children,
+   * wrapped every `HEX_DUMP_WIDTH` bytes), and description, indented by depth.
+   */
+  toHexDump () {
+    let lines = [];
+    let buf = this._buf;
+    (function addLines(span, depth) {
+      let label = '  '.repeat(depth) + span.kind;
+      if (span.path) {
+        label += ` ${span.path}`;
+      }
+      let readerPath = span.readerPath;
+      if (readerPath !== undefined) {
+        label += ' -> ';
+        if (readerPath === null) {
+          label += '(ignored)';
+        } else {
+          label += readerPath || '(root)';
+        }
+      }
+      if (span.children.length) {
+        lines.push(formatHexLine(span.offset, [], label));
+        span.children.forEach((child) => { addLines(child, depth + 1); });
+        return;
+      }
+      let type = span.type;
+      label += ` = ${type ? type.toString(span.value) : j(span.value)}`;
+      let end = span.offset + span.length;
+      let pos = span.offset;
+      do {
+        let bytes = buf.slice(pos, Math.min(pos + HEX_DUMP_WIDTH, end));
+        lines.push(formatHexLine(pos, bytes, pos === span.offset ? label : ''));
+        pos += HEX_DUMP_WIDTH;
+      } while (pos < end);
+    })(this, 0);
+    return lines.join('\n');
+  }
+
+  _end (tap) {
+    this.length = tap.pos - this.offset;
+    return this;
   }
 }
 
 /**
- * Read a value from a tap.
+ * Encoding of a lazily decoded record.
  *
- * @param type {Type} The type to decode.
- * @param tap {Tap} The tap to read from. No checks are performed here.
- * @param resolver {Resolver} Optional resolver. It must match the input type.
- * @param lazy {Boolean} Skip trailing fields when using a resolver.
+ * Fields which were never accessed (nor assigned) are written back by copying
+ * their original bytes.
  */
-function readValue(type, tap, resolver, lazy) {
+class LazyRecordState {
+  constructor (type, buf) {
+    this.type = type;
+    this.buf = buf;
+    this.offsets = null; // Position of each field, computed on first access.
+    this.decoded = []; // Flags, set for fields which were accessed.
+  }
+
+  getOffsets () {
+    if (!this.offsets) {
+      let tap = new Tap(this.buf);
+      let offsets = [];
+      this.type.fields.forEach((field) => {
+        offsets.push(tap.pos);
+        field.type._skip(tap);
+      });
+      offsets.push(tap.pos);
+      this.offsets = offsets;
+    }
+    return this.offsets;
+  }
+
+  setField (obj, index, val) {
+    this.decoded[index] = true;
+    Object.defineProperty(obj, this.type.fields[index].name, {
+      configurable: true,
+      enumerable: true,
+      value: val,
+      writable: true
+    });
+  }
+
+  /**
+   * Check whether a field still holds its original encoding.
+   *
+   * Fields which were neither accessed nor deleted are still backed by their
+   * lazy property.
+   */
+  isIntact (obj, index) {
+    return (
+      !this.decoded[index] &&
+      Object.prototype.hasOwnProperty.call(obj, this.type.fields[index].name)
+    );
+  }
+
+  isAllIntact (obj) {
+    if (this.decoded.length) {
+      return false;
+    }
+    for (let i = 0, l = this.type.fields.length; i < l; i++) {
+      if (!this.isIntact(obj, i)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  getSize (obj) {
+    if (this.isAllIntact(obj)) {
+      return this.buf.length;
+    }
+    let offsets = this.getOffsets();
+    let fields = this.type.fields;
+    let size = 0;
+    for (let i = 0, l = fields.length; i < l; i++) {
+      let field = fields[i];
+      if (this.isIntact(obj, i)) {
+        size += offsets[i + 1] - offsets[i];
+      } else {
+        let val = obj[field.name];
+        size += field.type._encodedSize(
+          val === undefined ? field.defaultValue() : val
+        );
+      }
+    }
+    return size;
+  }
+
+  write (tap, obj) {
+    if (this.isAllIntact(obj)) {
+      tap.writeFixed(this.buf);
+      return;
+    }
+    let offsets = this.getOffsets();
+    let fields = this.type.fields;
+    for (let i = 0, l = fields.length; i < l; i++) {
+      let field = fields[i];
+      if (this.isIntact(obj, i)) {
+        tap.writeFixed(this.buf.slice(offsets[i], offsets[i + 1]));
+      } else {
+        let val = obj[field.name];
+        field.type._write(tap, val === undefined ? field.defaultValue() : val);
+      }
+    }
+  }
+}
+
+/** Mutable hash container. */
+class Hash {
+  constructor () {
+    this.str = undefined;
+    this.rabin = undefined;
+  }
+}
+
+/**
+ * Freeze an object's properties, except for some which are left writable.
+ *
+ * @param obj {Object} The object to freeze.
+ * @param keys {Array} Names of the properties to leave writable.
+ */
+function freezeProperties(obj, keys) {
+  Object.keys(obj).forEach((key) => {
+    if (keys.indexOf(key) < 0) {
+      Object.defineProperty(obj, key, {configurable: false, writable: false});
+    }
+  });
+  Object.seal(obj);
+}
+
+/**
+ * Read a value from a tap.
+ *
+ * @param type {Type} The type to decode.
+ * @param tap {Tap} The tap to read from. No checks are performed here.
+ * @param resolver {Resolver} Optional resolver. It must match the input type.
+ * @param lazy {Boolean} Skip trailing fields when using a resolver.
+ */
+function readValue(type, tap, resolver, lazy) {
   if (resolver) {
     if (resolver._readerType !== type) {
       throw new Error('invalid resolver');
@@ -2891,91 +5393,896 @@ function readValue(type, tap, resolver, lazy) {
   }
 }
 
+/**
+ * Check whether types should compile their functions (e.g. record decoders).
+ *
+ * Compiled functions are significantly faster but require `new Function`,
+ * which is disallowed under strict Content-Security-Policies and in some
+ * runtimes. When it isn't available, an equivalent interpreter is used.
+ *
+ * @param opts {Object} Type options, `noCodegen` disables compilation.
+ */
+function isCodegenEnabled(opts) {
+  if (opts && opts.noCodegen) {
+    return false;
+  }
+  if (CODEGEN_AVAILABLE === undefined) {
+    try {
+      // eslint-disable-next-line no-new-func
+      new Function('');
+      CODEGEN_AVAILABLE = true;
+    } catch (err) {
+      CODEGEN_AVAILABLE = false;
+    }
+  }
+  return CODEGEN_AVAILABLE;
+}
+
+/**
+ * Split a projection path into field names and `'[]'` tokens.
+ *
+ * @param path {String} Projection path, e.g. `'events[].ts'`.
+ */
+function parseProjectionPath(path) {
+  if (typeof path != 'string') {
+    throw new Error(`invalid projection path: ${j(path)}`);
+  }
+  let tokens = [];
+  path.split('.').forEach((part, i) => {
+    let match = /^([A-Za-z_][A-Za-z0-9_]*)?((?:\[\])*)$/.exec(part);
+    if (!match || (!match[1] && (i || !match[2]))) {
+      // Only the first part (e.g. for top-level arrays) can omit its name.
+      throw new Error(`invalid projection path: ${j(path)}`);
+    }
+    if (match[1]) {
+      tokens.push(match[1]);
+    }
+    for (let k = 0, l = match[2].length / 2; k < l; k++) {
+      tokens.push('[]');
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Record the fields selected by a projection path.
+ *
+ * @param type {Type} The type the remaining tokens apply to.
+ * @param tokens {Array} Parsed projection path.
+ * @param pos {Number} Index of the next token.
+ * @param selections {Map} Set of selected field names for each record type
+ * (or `null` if all fields are selected).
+ */
+function selectProjectionPath(type, tokens, pos, selections) {
+  if (pos === tokens.length) {
+    selectAllFields(type, selections);
+    return;
+  }
+  let token = tokens[pos];
+  let branchTypes = type instanceof UnionType ? type.types : [type];
+  let matched = false;
+  branchTypes.forEach((branchType) => {
+    if (token === '[]') {
+      if (branchType instanceof ArrayType) {
+        matched = true;
+        selectProjectionPath(branchType.itemsType, tokens, pos + 1, selections);
+      } else if (branchType instanceof MapType) {
+        matched = true;
+        selectProjectionPath(
+          branchType.valuesType,
+          tokens,
+          pos + 1,
+          selections
+        );
+      }
+    } else if (
+      branchType instanceof RecordType &&
+      branchType._fieldsByName[token]
+    ) {
+      matched = true;
+      let names = selections.get(branchType);
+      if (names === undefined) {
+        names = new Set();
+        selections.set(branchType, names);
+      }
+      if (names !== null) {
+        names.add(token);
+      }
+      let fieldType = branchType._fieldsByName[token].type;
+      selectProjectionPath(fieldType, tokens, pos + 1, selections);
+    }
+  });
+  if (!matched) {
+    let path = tokens.slice(0, pos + 1).join('.').replace(/\.\[\]/g, '[]');
+    throw new Error(`no such projection path: ${path}`);
+  }
+}
+
+function selectAllFields(type, selections) {
+  if (type instanceof RecordType) {
+    if (selections.get(type) === null) {
+      return; // Already selected (this also handles recursive types).
+    }
+    selections.set(type, null);
+    type.fields.forEach((field) => {
+      selectAllFields(field.type, selections);
+    });
+  } else if (type instanceof ArrayType) {
+    selectAllFields(type.itemsType, selections);
+  } else if (type instanceof MapType) {
+    selectAllFields(type.valuesType, selections);
+  } else if (type instanceof UnionType) {
+    type.types.forEach((branchType) => {
+      selectAllFields(branchType, selections);
+    });
+  }
+}
+
+/**
+ * Generate the schema of a projected type.
+ *
+ * Records only keep their selected fields (records which weren't selected at
+ * all, e.g. other branches of a union, keep none). Names are fully qualified
+ * to be independent of their enclosing namespace, and other types are reused
+ * as is.
+ */
+function getProjectedSchema(type, selections, emitted, unions) {
+  if (type instanceof RecordType) {
+    let name = type.name && (~type.name.indexOf('.') ? '' : '.') + type.name;
+    if (emitted.has(type)) {
+      return name;
+    }
+    emitted.add(type);
+    let names = selections.get(type);
+    return {
+      type: type.typeName,
+      name,
+      fields: type.fields.filter((field) => {
+        return names === null || (names !== undefined && names.has(field.name));
+      }).map((field) => {
+        return {
+          name: field.name,
+          type: getProjectedSchema(field.type, selections, emitted, unions)
+        };
+      })
+    };
+  } else if (type instanceof ArrayType) {
+    return {
+      type: 'array',
+      items: getProjectedSchema(type.itemsType, selections, emitted, unions)
+    };
+  } else if (type instanceof MapType) {
+    return {
+      type: 'map',
+      values: getProjectedSchema(type.valuesType, selections, emitted, unions)
+    };
+  } else if (type instanceof UnionType) {
+    let schema = type.types.map((branchType) => {
+      return getProjectedSchema(branchType, selections, emitted, unions);
+    });
+    unions.set(schema, type.constructor);
+    return schema;
+  }
+  return type;
+}
+
 /**
  * Get all aliases for a type (including its name).
  *
  * @param obj {Type|Object} Typically a type or a field. Its aliases property
  * must exist and be an array.
  */
-function getAliases(obj) {
-  let names = {};
-  if (obj.name) {
-    names[obj.name] = true;
-  }
-  let aliases = obj.aliases;
-  for (let i = 0, l = aliases.length; i < l; i++) {
-    names[aliases[i]] = true;
+function getAliases(obj) {
+  let names = {};
+  if (obj.name) {
+    names[obj.name] = true;
+  }
+  let aliases = obj.aliases;
+  for (let i = 0, l = aliases.length; i < l; i++) {
+    names[aliases[i]] = true;
+  }
+  return Object.keys(names);
+}
+
+/** Checks if a type can be read as another based on name resolution rules. */
+function hasCompatibleName(reader, writer, strict) {
+  if (!writer.name) {
+    return true;
+  }
+  let name = strict ? writer.name : utils.unqualify(writer.name);
+  let aliases = getAliases(reader);
+  for (let i = 0, l = aliases.length; i < l; i++) {
+    let alias = aliases[i];
+    if (!strict) {
+      alias = utils.unqualify(alias);
+    }
+    if (alias === name) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Find all the reasons why a writer type's data can't be read by a reader type.
+ *
+ * @param reader {Type} Reader type.
+ * @param writer {Type} Writer type.
+ * @param path {String} Path to the reader type from its root schema (e.g.
+ * `'fields[2].type.items'`).
+ * @param ctx {Object} Context, holding the `ignoreNamespaces` option, pairs of
+ * records already visited (to support recursive schemas), and the array where
+ * incompatibilities found are added.
+ *
+ * This mirrors the logic of `createResolver` (and each type's `_update`
+ * method), but keeps going after the first incompatibility. Checks which depend
+ * on custom implementations (e.g. primitives and logical types) are delegated
+ * to `createResolver` directly.
+ */
+function findIncompatibilities(reader, writer, path, ctx) {
+  if (
+    !Type.isType(reader, 'union', 'logical') &&
+    Type.isType(writer, 'logical')
+  ) {
+    writer = writer.underlyingType;
+  }
+
+  if (Type.isType(writer, 'union')) {
+    // All of the writer's branches must be readable.
+    writer.types.forEach((type) => {
+      findIncompatibilities(reader, type, path, ctx);
+    });
+    return;
+  }
+
+  let strict = !ctx.ignoreNamespaces;
+  let typeName = reader.typeName;
+  switch (typeName) {
+    case 'union:unwrapped':
+    case 'union:wrapped': {
+      if (reader.types.some((type) => { return isReadable(type, writer); })) {
+        return;
+      }
+      // To be more helpful, we look for a branch which was most likely meant
+      // to match the writer's type and report the reasons why it doesn't.
+      let index = -1;
+      reader.types.forEach((type, i) => {
+        if (
+          index < 0 &&
+          type.typeName === writer.typeName &&
+          (!type.name || hasCompatibleName(type, writer, strict))
+        ) {
+          index = i;
+        }
+      });
+      let count = ctx.incompatibilities.length;
+      if (~index) {
+        let branchPath = `${path}[${index}]`;
+        findIncompatibilities(reader.types[index], writer, branchPath, ctx);
+      }
+      if (ctx.incompatibilities.length === count) {
+        addIncompatibility(
+          'MISSING_UNION_BRANCH',
+          `no branch can read ${getTypeLabel(writer)}`
+        );
+      }
+      return;
+    }
+    case 'error':
+    case 'record': {
+      if (!Type.isType(writer, 'record', 'error')) {
+        addTypeMismatch();
+        return;
+      }
+      let writers = ctx.visited.get(reader);
+      if (!writers) {
+        writers = new Set();
+        ctx.visited.set(reader, writers);
+      }
+      if (writers.has(writer)) {
+        return; // Recursive schema, already being checked.
+      }
+      writers.add(writer);
+      checkName();
+      let wFieldsMap = utils.toMap(writer.fields, (f) => { return f.name; });
+      reader.fields.forEach((field, i) => {
+        let fieldPath = joinPath(path, `fields[${i}]`);
+        let matches = getAliases(field).filter((name) => {
+          return !!wFieldsMap[name];
+        });
+        if (matches.length > 1) {
+          addIncompatibility(
+            'AMBIGUOUS_FIELD_ALIASES',
+            `ambiguous aliasing for ${field.name} (${matches.join(', ')})`,
+            fieldPath
+          );
+        } else if (!matches.length) {
+          if (field.defaultValue() === undefined) {
+            addIncompatibility(
+              'READER_FIELD_MISSING_DEFAULT_VALUE',
+              `no matching field for default-less ${field.name}`,
+              fieldPath
+            );
+          }
+        } else {
+          findIncompatibilities(
+            field.type,
+            wFieldsMap[matches[0]].type,
+            `${fieldPath}.type`,
+            ctx
+          );
+        }
+      });
+      return;
+    }
+    case 'enum': {
+      if (writer.typeName !== typeName) {
+        addTypeMismatch();
+        return;
+      }
+      checkName();
+      if (reader.default === undefined) {
+        let missing = writer.symbols.filter((s) => {
+          return reader.symbols.indexOf(s) < 0;
+        });
+        if (missing.length) {
+          addIncompatibility(
+            'MISSING_ENUM_SYMBOLS',
+            `missing symbols: ${missing.join(', ')}`
+          );
+        }
+      }
+      return;
+    }
+    case 'fixed':
+      if (writer.typeName !== typeName) {
+        addTypeMismatch();
+        return;
+      }
+      checkName();
+      if (writer.size !== reader.size) {
+        addIncompatibility(
+          'FIXED_SIZE_MISMATCH',
+          `expected size ${reader.size} but found ${writer.size}`,
+          joinPath(path, 'size')
+        );
+      }
+      return;
+    case 'map':
+      if (writer.typeName !== typeName) {
+        addTypeMismatch();
+        return;
+      }
+      findIncompatibilities(
+        reader.valuesType,
+        writer.valuesType,
+        joinPath(path, 'values'),
+        ctx
+      );
+      return;
+    case 'array':
+      if (writer.typeName !== typeName) {
+        addTypeMismatch();
+        return;
+      }
+      findIncompatibilities(
+        reader.itemsType,
+        writer.itemsType,
+        joinPath(path, 'items'),
+        ctx
+      );
+      return;
+    default:
+      if (!isReadable(reader, writer)) {
+        addTypeMismatch();
+      }
+  }
+
+  function isReadable(type, writerType) {
+    try {
+      type.createResolver(writerType, {ignoreNamespaces: ctx.ignoreNamespaces});
+    } catch (err) {
+      return false;
+    }
+    return true;
+  }
+
+  function checkName() {
+    if (!hasCompatibleName(reader, writer, strict)) {
+      addIncompatibility('NAME_MISMATCH', `no alias found for ${writer.name}`);
+    }
+  }
+
+  function addTypeMismatch() {
+    addIncompatibility(
+      'TYPE_MISMATCH',
+      `cannot read ${getTypeLabel(writer)} as ${getTypeLabel(reader)}`
+    );
+  }
+
+  function addIncompatibility(reason, message, incompatibilityPath) {
+    ctx.incompatibilities.push({
+      reason,
+      message,
+      path: incompatibilityPath === undefined ? path : incompatibilityPath,
+      reader: reader.schema({exportAttrs: true}),
+      writer: writer.schema({exportAttrs: true})
+    });
+  }
+}
+
+/** Append a segment to a schema path, omitting the separator at the root. */
+function joinPath(path, segment) {
+  return path ? `${path}.${segment}` : segment;
+}
+
+/** Short description of a type, used in incompatibility messages. */
+function getTypeLabel(type) {
+  return type.name ? `${type.typeName} ${type.name}` : type.typeName;
+}
+
+/** Name of a type, as shown to users in validation errors. */
+function getExpectedTypeName(type) {
+  if (type.name) {
+    return type.name;
+  }
+  if (type instanceof UnionType) {
+    return type.types.map(getExpectedTypeName).join(' | ');
+  }
+  if (type instanceof LogicalType) {
+    return type._logicalTypeName;
+  }
+  return type.typeName;
+}
+
+/**
+ * Check whether a type's name is a primitive.
+ *
+ * @param name {String} Type name (e.g. `'string'`, `'array'`).
+ */
+function isPrimitive(typeName) {
+  // Since we use this module's own `TYPES` object, we can use `instanceof`.
+  let type = TYPES[typeName];
+  return type && type.prototype instanceof PrimitiveType;
+}
+
+/**
+ * Get how a long type's values are represented.
+ *
+ * @param type {LongType} Long type.
+ *
+ * Returns the value of the `longs` option the type was created with:
+ * `'number'`, `'bigint'`, or `'auto'`.
+ */
+function getLongRepresentation(type) {
+  if (!(type instanceof BigIntLongType)) {
+    return 'number';
+  }
+  return type._auto ? 'auto' : 'bigint';
+}
+
+/**
+ * Return a type's class name from its Avro type name.
+ *
+ * We can't simply use `constructor.name` since it isn't supported in all
+ * browsers.
+ *
+ * @param typeName {String} Type name.
+ */
+function getClassName(typeName) {
+  if (typeName === 'error') {
+    typeName = 'record';
+  } else {
+    let match = /^([^:]+):(.*)$/.exec(typeName);
+    if (match) {
+      if (match[1] === 'union') {
+        typeName = match[2] + 'Union';
+      } else {
+        // Logical type.
+        typeName = match[1];
+      }
+    }
+  }
+  return utils.capitalize(typeName) + 'Type';
+}
+
+/**
+ * Decode a whole buffer.
+ *
+ * @param type {Type} The writer type, used to locate failures.
+ * @param tap {Tap} Tap wrapping the buffer, starting at position 0.
+ * @param noCheck {Boolean} Allow trailing data.
+ * @param fn {Function} Function decoding the value from the tap.
+ */
+function decodeBuffer(type, tap, noCheck, fn) {
+  let buf = tap.buf;
+  let val;
+  try {
+    val = fn();
+  } catch (err) {
+    if (err instanceof utils.LimitExceededError) {
+      throw err;
+    }
+    throw createDecodeError(err.message, type, buf, 0, {cause: err});
+  }
+  if (!tap.isValid()) {
+    throw createDecodeError('truncated buffer', type, buf, 0);
+  }
+  if (!noCheck && tap.pos < buf.length) {
+    throw new utils.DecodeError('trailing data', {offset: tap.pos, path: ''});
+  }
+  return val;
+}
+
+/**
+ * Create a tap to decode a buffer.
+ *
+ * @param buf {Buffer} The buffer to decode.
+ * @param pos {Number} Starting position.
+ * @param opts {Object} Decoding options. Only `limits` (see `LimitedTap`) and
+ * `noCopy` are used.
+ */
+function createTap(buf, pos, opts) {
+  let limits = opts && opts.limits;
+  let tap = limits ?
+    new utils.LimitedTap(buf, pos, limits) :
+    new Tap(buf, pos);
+  tap.noCopy = !!(opts && opts.noCopy);
+  return tap;
+}
+
+/**
+ * Create an error describing why a value couldn't be decoded.
+ *
+ * To keep decoding fast, paths aren't tracked while decoding. Instead, on
+ * failure, we walk the encoded value again to find where it went wrong.
+ *
+ * @param reason {String} Why decoding failed.
+ * @param type {Type} The value's writer type.
+ * @param buf {Buffer} Buffer containing the encoded value.
+ * @param pos {Number} The value's position inside `buf`.
+ * @param info {Object} Optional additional details (e.g. underlying `cause`),
+ * see `DecodeError`.
+ */
+function createDecodeError(reason, type, buf, pos, info) {
+  let loc;
+  try {
+    loc = type._locateError(new Tap(buf, pos), '');
+  } catch (err) {
+    loc = null; // E.g. the value is too deeply nested to walk.
+  }
+  return new utils.DecodeError(
+    reason,
+    Object.assign({offset: pos, path: ''}, info, loc)
+  );
+}
+
+/**
+ * Explain a long (e.g. a union index), see `Type#explain`.
+ *
+ * @param tap {Tap} Tap positioned at the long.
+ * @param kind {String} The span's kind.
+ * @param path {String} The span's path.
+ */
+function explainLong(tap, kind, path) {
+  let span = new Span(tap.buf, tap.pos, kind, path);
+  span.value = tap.readLong();
+  return span._end(tap);
+}
+
+/**
+ * Explain a length-prefixed value (strings, bytes, and map keys).
+ *
+ * @param tap {Tap} Tap positioned at the value.
+ * @param kind {String} The span's kind.
+ * @param path {String} The span's path.
+ * @param type {Type} The value's type, map keys don't have one.
+ */
+function explainLengthPrefixed(tap, kind, path, type) {
+  let span = new Span(tap.buf, tap.pos, kind, path, type);
+  let length = explainLong(tap, 'length', path);
+  let data = new Span(tap.buf, tap.pos, 'data', path, type);
+  tap.pos = span.offset;
+  span.value = data.value = type ? type._read(tap) : tap.readString();
+  span.children.push(length, data._end(tap));
+  return span._end(tap);
+}
+
+/**
+ * Explain the blocks of an array or map.
+ *
+ * @param tap {Tap} Tap positioned at the first block.
+ * @param span {Span} The array or map's span, block spans are added to its
+ * children.
+ * @param explainItem {Function} Function called for each item, which should
+ * add the corresponding spans. It is passed the item's index within its block
+ * and the block's item count.
+ */
+function explainBlocks(tap, span, explainItem) {
+  let count;
+  do {
+    count = explainLong(tap, 'count', span.path);
+    span.children.push(count);
+    let n = count.value;
+    if (n < 0) {
+      n = -n;
+      span.children.push(explainLong(tap, 'size', span.path));
+    }
+    for (let i = 0; i < n && tap.isValid(); i++) {
+      explainItem(i, n);
+    }
+  } while (count.value && tap.isValid());
+}
+
+/**
+ * Annotate spans with the reader path their bytes are decoded into.
+ *
+ * @param span {Span} Span of a value written with a type which the reader
+ * type can resolve.
+ * @param type {Type} The reader's type, `null` if the value is ignored.
+ * @param path {String} The value's path in the reader's type.
+ * @param opts {Object} Options the resolver was created with, used to find
+ * which union branch reads each value.
+ */
+function annotateReaderPaths(span, type, path, opts) {
+  if (!type) {
+    path = null;
+  } else if (Type.isType(type, 'union') && span.kind !== 'union') {
+    // The reader picks the first branch which can read the writer's type.
+    type = type.types.find((t) => {
+      try {
+        // We use a fresh registry, the resolver's can contain resolvers
+        // registered by failed resolutions.
+        t.createResolver(span.type, Object.assign({}, opts, {registry: {}}));
+      } catch (err) {
+        return false;
+      }
+      return true;
+    });
+  }
+  while (type && Type.isType(type, 'logical')) {
+    type = type.underlyingType;
+  }
+  span.readerPath = path;
+  let children = span.children;
+  switch (span.kind) {
+    case 'union':
+      children[0].readerPath = path;
+      annotateReaderPaths(children[1], type, path, opts);
+      return;
+    case 'record':
+      children.forEach((child, i) => {
+        let name = span.type.fields[i].name;
+        let field = type && type.fields.find((f) => {
+          return getAliases(f).indexOf(name) >= 0;
+        });
+        if (!field) {
+          annotateReaderPaths(child, null, null, opts);
+        } else {
+          let fieldPath = path ? `${path}.${field.name}` : field.name;
+          annotateReaderPaths(child, field.type, fieldPath, opts);
+        }
+      });
+      return;
+    case 'array': {
+      let i = 0;
+      children.forEach((child) => {
+        if (child.type) {
+          let itemPath = path === null ? null : `${path}[${i++}]`;
+          annotateReaderPaths(
+            child,
+            type && type.itemsType,
+            itemPath,
+            opts
+          );
+        } else {
+          child.readerPath = path;
+        }
+      });
+      return;
+    }
+    case 'map': {
+      let keyPath;
+      children.forEach((child) => {
+        if (child.kind === 'key') {
+          keyPath = path === null ? null : `${path}[${j(child.value)}]`;
+          child.readerPath = keyPath;
+          child.children.forEach((c) => { c.readerPath = keyPath; });
+        } else if (child.type) {
+          annotateReaderPaths(
+            child,
+            type && type.valuesType,
+            keyPath,
+            opts
+          );
+        } else {
+          child.readerPath = path;
+        }
+      });
+      return;
+    }
+    default:
+      children.forEach((child) => { child.readerPath = path; });
+  }
+}
+
+/**
+ * Format a line of a hex dump, see `Span#toHexDump`.
+ *
+ * @param pos {Number} Offset of the first byte.
+ * @param bytes {Buffer} Bytes shown on this line.
+ * @param label {String} Description.
+ */
+function formatHexLine(pos, bytes, label) {
+  let offset = ('0000000' + pos.toString(16)).slice(-8);
+  let hex = [];
+  for (let i = 0; i < HEX_DUMP_WIDTH; i++) {
+    hex.push(i < bytes.length ? ('0' + bytes[i].toString(16)).slice(-2) : '  ');
+  }
+  return `${offset}  ${hex.join(' ')}  ${label}`.replace(/\s+$/, '');
+}
+
+/** Check whether a value is a plain object, e.g. a decoded map. */
+function isPlainObject(any) {
+  return !!any && Object.getPrototypeOf(any) === Object.prototype;
+}
+
+/**
+ * Get the number of elements in an array block.
+ *
+ * @param tap {Tap} A tap positioned at the beginning of an array block.
+ */
+function readArraySize(tap) {
+  let n = tap.readLong();
+  if (n < 0) {
+    n = -n;
+    tap.skipLong(); // Skip size.
+  }
+  return n;
+}
+
+/**
+ * Extract the writer's fingerprint from a single-object encoded value.
+ *
+ * @param buf {Buffer} Single-object encoded value (header included).
+ */
+function readSingleObjectFingerprint(buf) {
+  if (
+    buf.length < SINGLE_OBJECT_HEADER_LENGTH ||
+    buf[0] !== SINGLE_OBJECT_MAGIC[0] ||
+    buf[1] !== SINGLE_OBJECT_MAGIC[1]
+  ) {
+    throw new Error('invalid single-object header');
+  }
+  return buf.slice(SINGLE_OBJECT_MAGIC.length, SINGLE_OBJECT_HEADER_LENGTH);
+}
+
+/**
+ * Get a non-negative integer option of `Type#random`.
+ *
+ * @param opts {Object} Options.
+ * @param key {String} The option's name.
+ * @param defaultVal {Number} Value used when the option isn't set.
+ */
+function getRandomLimit(opts, key, defaultVal) {
+  let val = opts[key];
+  if (val === undefined) {
+    return defaultVal;
+  }
+  if (val !== Infinity && (typeof val != 'number' || val % 1 || val < 0)) {
+    throw new Error(`invalid random ${key}: ${j(val)}`);
+  }
+  return val;
+}
+
+/**
+ * Pick a union branch to generate a random value from.
+ *
+ * Past the depth limit, branches which don't nest (e.g. `null`) are preferred
+ * so that recursive values terminate.
+ *
+ * @param types {Array} The union's branch types.
+ * @param ctx {Object} Random generation context.
+ */
+function chooseRandomBranch(types, ctx) {
+  if (ctx.depth >= ctx.depthLimit) {
+    let flatTypes = types.filter((type) => {
+      if (Type.isType(type, 'logical')) {
+        type = type.underlyingType;
+      }
+      return !Type.isType(type, 'array', 'map', 'record', 'error');
+    });
+    if (flatTypes.length) {
+      types = flatTypes;
+    }
+  }
+  return ctx.rng.choice(types);
+}
+
+/**
+ * Number of bytes used to encode an index inside keys.
+ *
+ * @param n {Number} Number of possible indices.
+ */
+function getKeyWidth(n) {
+  return n <= 256 ? 1 : (n <= 65536 ? 2 : 4);
+}
+
+/**
+ * Read an index from a key, checking that it is within bounds.
+ *
+ * @param tap {KeyTap} The key tap.
+ * @param arr {Array} Array being indexed (e.g. enum symbols).
+ */
+function readKeyIndex(tap, arr) {
+  let index = tap.readUInt(getKeyWidth(arr.length));
+  if (index >= arr.length) {
+    throw new Error(`invalid key index: ${index}`);
   }
-  return Object.keys(names);
+  return index;
 }
 
-/** Checks if a type can be read as another based on name resolution rules. */
-function hasCompatibleName(reader, writer, strict) {
-  if (!writer.name) {
-    return true;
-  }
-  let name = strict ? writer.name : utils.unqualify(writer.name);
-  let aliases = getAliases(reader);
-  for (let i = 0, l = aliases.length; i < l; i++) {
-    let alias = aliases[i];
-    if (!strict) {
-      alias = utils.unqualify(alias);
-    }
-    if (alias === name) {
-      return true;
-    }
-  }
-  return false;
+/**
+ * Mix a 32-bit integer into a hash (one round of MurmurHash3).
+ *
+ * @param h {Number} The current hash.
+ * @param n {Number} The integer to mix in.
+ */
+function mixHash(h, n) {
+  let k = Math.imul(n | 0, 0xcc9e2d51);
+  k = Math.imul((k << 15) | (k >>> 17), 0x1b873593);
+  h ^= k;
+  h = (h << 13) | (h >>> 19);
+  return (Math.imul(h, 5) + 0xe6546b64) | 0;
 }
 
 /**
- * Check whether a type's name is a primitive.
+ * Scramble a hash's bits, returning an unsigned 32-bit integer.
  *
- * @param name {String} Type name (e.g. `'string'`, `'array'`).
+ * @param h {Number} The hash.
  */
-function isPrimitive(typeName) {
-  // Since we use this module's own `TYPES` object, we can use `instanceof`.
-  let type = TYPES[typeName];
-  return type && type.prototype instanceof PrimitiveType;
+function finalizeHash(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
 }
 
 /**
- * Return a type's class name from its Avro type name.
+ * Mix a number into a hash.
  *
- * We can't simply use `constructor.name` since it isn't supported in all
- * browsers.
+ * Numbers which compare equal (e.g. `0` and `-0`) mix in identically.
  *
- * @param typeName {String} Type name.
+ * @param h {Number} The current hash.
+ * @param n {Number} The number.
  */
-function getClassName(typeName) {
-  if (typeName === 'error') {
-    typeName = 'record';
-  } else {
-    let match = /^([^:]+):(.*)$/.exec(typeName);
-    if (match) {
-      if (match[1] === 'union') {
-        typeName = match[2] + 'Union';
-      } else {
-        // Logical type.
-        typeName = match[1];
-      }
-    }
+function hashNumber(h, n) {
+  if (n === (n | 0)) {
+    return mixHash(h, n); // Fast path, also covers negative zero.
   }
-  return utils.capitalize(typeName) + 'Type';
+  FLOAT64_VIEW[0] = n;
+  return mixHash(mixHash(h, INT32_VIEW[0]), INT32_VIEW[1]);
 }
 
 /**
- * Get the number of elements in an array block.
+ * Mix a long into a hash.
  *
- * @param tap {Tap} A tap positioned at the beginning of an array block.
+ * @param h {Number} The current hash.
+ * @param n {Number|BigInt} The long. `BigInt`s mix in identically to equal
+ * numbers.
  */
-function readArraySize(tap) {
-  let n = tap.readLong();
-  if (n < 0) {
-    n = -n;
-    tap.skipLong(); // Skip size.
+function hashLong(h, n) {
+  if (typeof n != 'bigint') {
+    return hashNumber(h, n);
   }
-  return n;
+  if (isSafeInteger(n)) {
+    return hashNumber(h, Number(n));
+  }
+  let lo = Number(BigInt.asIntN(32, n));
+  let hi = Number(BigInt.asIntN(32, n >> BigInt(32)));
+  return mixHash(mixHash(h, lo), hi);
 }
 
 /**
@@ -2994,6 +6301,98 @@ function isSafeLong(n) {
   return n >= -4503599627370496 && n <= 4503599627370496;
 }
 
+/**
+ * Check whether a number is an integer which can be represented exactly.
+ *
+ * @param n {Number} The number.
+ */
+function isSafeInteger(n) {
+  return n >= -9007199254740991 && n <= 9007199254740991;
+}
+
+/**
+ * Convert a `BigInt` long to a number when this doesn't lose any precision.
+ *
+ * @param n {BigInt|Number} The long.
+ */
+function toAutoLong(n) {
+  if (typeof n == 'bigint' && isSafeInteger(n)) {
+    return Number(n);
+  }
+  return n;
+}
+
+/**
+ * Parse a JSON-encoded value of a given type.
+ *
+ * @param type {Type} The value's type.
+ * @param str {String} The JSON string.
+ *
+ * Integers outside of the safe range are only decoded as `BigInt`s when the
+ * type contains BigInt-backed longs, other types (e.g. abstract longs) keep
+ * receiving numbers as with `JSON.parse`.
+ */
+function parseTypedJSON(type, str) {
+  return hasBigIntLongs(type, new Set()) ?
+    utils.parseJSON(str) :
+    JSON.parse(str);
+}
+
+/**
+ * Check whether a type contains BigInt-backed longs, see `parseTypedJSON`.
+ *
+ * @param type {Type} The type to check.
+ * @param visited {Set} Record types already checked, for recursive schemas.
+ */
+function hasBigIntLongs(type, visited) {
+  if (type instanceof BigIntLongType) {
+    return true;
+  }
+  if (type instanceof LogicalType) {
+    return hasBigIntLongs(type.underlyingType, visited);
+  }
+  if (type instanceof UnionType) {
+    return type.types.some((t) => { return hasBigIntLongs(t, visited); });
+  }
+  if (type instanceof ArrayType) {
+    return hasBigIntLongs(type.itemsType, visited);
+  }
+  if (type instanceof MapType) {
+    return hasBigIntLongs(type.valuesType, visited);
+  }
+  if (type instanceof RecordType && !visited.has(type)) {
+    visited.add(type);
+    return type.fields.some((f) => { return hasBigIntLongs(f.type, visited); });
+  }
+  return false;
+}
+
+/**
+ * Copy a float or double, converting it from or to JSON if necessary.
+ *
+ * @param type {Type} The floating-point type.
+ * @param val {...} The value to copy.
+ * @param opts {Object} Copy options.
+ *
+ * When decoding from JSON, integer literals outside of the safe range are
+ * parsed as `BigInt`s (see `utils.parseJSON`) and converted back to numbers
+ * here. Avro's JSON encoding also represents non-finite values as strings
+ * (e.g. `"NaN"`), consistent with other implementations.
+ */
+function copyFloatingPoint(type, val, opts) {
+  let coerce = opts && opts.coerce;
+  let avroJSON = opts && opts.avroJSON;
+  if (coerce === 2) {
+    if (typeof val == 'bigint') {
+      val = Number(val);
+    } else if (avroJSON && /^(NaN|-?Infinity)$/.test(val)) {
+      val = Number(val);
+    }
+  }
+  type._check(val, undefined, throwInvalidError);
+  return coerce === 3 && avroJSON && !isFinite(val) ? '' + val : val;
+}
+
 /**
  * Check whether an object is the JSON representation of a buffer.
  */
@@ -3060,6 +6459,9 @@ function getValueBucket(val) {
     return 'null';
   }
   let bucket = typeof val;
+  if (bucket === 'bigint') {
+    return 'number';
+  }
   if (bucket === 'object') {
     // Could be bytes, fixed, array, map, or record.
     if (Array.isArray(val)) {
@@ -3264,6 +6666,484 @@ function combineObjects(types, opts) {
   return Type.forSchema(schema, opts);
 }
 
+/**
+ * Merger of types into a single type able to read values written by any of
+ * them (e.g. a reader type across a record's historical versions).
+ *
+ * Types are expected to be ordered from oldest to newest: when versions
+ * disagree (e.g. on a field's default), the latest one wins. Named types are
+ * merged by name, fields only present in some versions become optional,
+ * numbers are widened, and enums get the union of all symbols. Anything else
+ * which can't be reconciled (e.g. fixed types of different sizes) is a
+ * conflict: these are passed to `opts.conflictHook` if specified (in which
+ * case the latest version is used), and thrown otherwise.
+ */
+class TypeMerger {
+  constructor (opts) {
+    this._opts = opts;
+    this._conflicts = [];
+    this._versions = new Map(); // Named types' versions, keyed by name.
+    this._renames = new Map(); // Previous names of the top-level record.
+    this._emitted = new Set(); // Names of types already defined.
+  }
+
+  merge (types) {
+    let latest = types[types.length - 1];
+    if (types.every((t) => { return t.name && Type.isType(t, 'record'); })) {
+      // Top-level records are always merged, even if their name changed.
+      types.forEach((type) => {
+        if (type.name !== latest.name) {
+          this._renames.set(type.name, latest.name);
+        }
+      });
+    }
+    let visited = new Set();
+    types.forEach((type) => { this._collectVersions(type, visited); });
+    let schema = this._emit(types, '');
+    let conflicts = this._conflicts;
+    if (conflicts.length) {
+      let conflictHook = this._opts.conflictHook;
+      if (!conflictHook) {
+        throw new Error(`cannot merge types: ${conflicts.map((obj) => {
+          return `${obj.path || '<root>'} (${obj.message})`;
+        }).join(', ')}`);
+      }
+      conflicts.forEach((obj) => { conflictHook(obj); });
+    }
+    return Type.forSchema(schema, this._opts);
+  }
+
+  _collectVersions (type, visited) {
+    if (visited.has(type)) {
+      return;
+    }
+    visited.add(type);
+    if (type.name !== undefined && !Type.isType(type, 'logical')) {
+      let name = this._getName(type);
+      let versions = this._versions.get(name);
+      if (!versions) {
+        versions = [];
+        this._versions.set(name, versions);
+      }
+      versions.push(type);
+    }
+    switch (type.typeName) {
+      case 'union:unwrapped':
+      case 'union:wrapped':
+        type.types.forEach((t) => { this._collectVersions(t, visited); });
+        break;
+      case 'array':
+        this._collectVersions(type.itemsType, visited);
+        break;
+      case 'map':
+        this._collectVersions(type.valuesType, visited);
+        break;
+      case 'record':
+      case 'error':
+        type.fields.forEach((f) => { this._collectVersions(f.type, visited); });
+        break;
+    }
+  }
+
+  _getName (type) {
+    let name = type.name;
+    return this._renames.has(name) ? this._renames.get(name) : name;
+  }
+
+  /** Group types by the branch they'd fall into in a merged union. */
+  _getBranchKey (type) {
+    if (Type.isType(type, 'logical')) {
+      return this._getBranchKey(type.underlyingType);
+    }
+    switch (type.typeName) {
+      case 'int':
+      case 'long':
+      case 'float':
+      case 'double':
+        return 'number';
+      case 'enum':
+      case 'fixed':
+      case 'record':
+      case 'error':
+        // Anonymous types (e.g. inferred ones) are merged by position.
+        return type.name === undefined ?
+          type.typeName :
+          `name:${this._getName(type)}`;
+      default:
+        return type.typeName;
+    }
+  }
+
+  _emit (types, path) {
+    let branches = this._emitBranches(types, path);
+    return branches.length === 1 ?
+      branches[0].schema :
+      branches.map((obj) => { return obj.schema; });
+  }
+
+  _emitBranches (types, path) {
+    let groups = new Map();
+    types.forEach((type) => {
+      let branchTypes = Type.isType(type, 'union') ? type.types : [type];
+      branchTypes.forEach((branchType) => {
+        let key = this._getBranchKey(branchType);
+        let group = groups.get(key);
+        if (!group) {
+          group = [];
+          groups.set(key, group);
+        }
+        group.push(branchType);
+      });
+    });
+    let branches = [];
+    groups.forEach((group, key) => {
+      branches.push({key, schema: this._emitGroup(key, group, path)});
+    });
+    return branches;
+  }
+
+  _emitGroup (key, types, path) {
+    let latest = types[types.length - 1];
+    if (types.some((t) => { return Type.isType(t, 'logical'); })) {
+      // Logical types can't be evolved, all versions must be identical.
+      let str = j(latest.schema({exportAttrs: true}));
+      if (types.some((t) => {
+        return j(t.schema({exportAttrs: true})) !== str;
+      })) {
+        this._addConflict(path, 'inconsistent logical types');
+      }
+      return latest;
+    }
+    if (key.indexOf('name:') === 0) {
+      let name = key.slice(5);
+      if (this._emitted.has(name)) {
+        return getAbsoluteName(name);
+      }
+      this._emitted.add(name);
+      return this._emitDefinition(this._versions.get(name), path, name);
+    }
+    switch (key) {
+      case 'number':
+        return combineNumbers(types);
+      case 'array':
+        return {
+          type: 'array',
+          items: this._emit(
+            types.map((t) => { return t.itemsType; }),
+            `${path}[]`
+          )
+        };
+      case 'map':
+        return {
+          type: 'map',
+          values: this._emit(
+            types.map((t) => { return t.valuesType; }),
+            `${path}{}`
+          )
+        };
+      case 'enum':
+      case 'fixed':
+      case 'record':
+      case 'error':
+        return this._emitDefinition(types, path);
+      default:
+        return latest;
+    }
+  }
+
+  _emitDefinition (types, path, name) {
+    let latest = types[types.length - 1];
+    let typeName = latest.typeName;
+    if (types.some((t) => { return t.typeName !== typeName; })) {
+      this._addConflict(path, `inconsistent ${name} types`);
+      types = types.filter((t) => { return t.typeName === typeName; });
+    }
+    let schema = {type: typeName};
+    if (name !== undefined) {
+      schema.name = getAbsoluteName(name);
+      let aliases = [];
+      types.forEach((t) => {
+        [t.name].concat(t.aliases || []).forEach((alias) => {
+          if (alias !== name && !~aliases.indexOf(alias)) {
+            aliases.push(alias);
+          }
+        });
+      });
+      if (aliases.length) {
+        schema.aliases = aliases.map(getAbsoluteName);
+      }
+    }
+    let doc = getLatestAttribute(types, 'doc');
+    if (doc !== undefined) {
+      schema.doc = doc;
+    }
+    switch (typeName) {
+      case 'enum': {
+        let symbols = [];
+        for (let i = types.length - 1; i >= 0; i--) {
+          types[i].symbols.forEach((symbol) => {
+            if (!~symbols.indexOf(symbol)) {
+              symbols.push(symbol);
+            }
+          });
+        }
+        schema.symbols = symbols;
+        let symbol = getLatestAttribute(types, 'default');
+        if (symbol !== undefined) {
+          schema['default'] = symbol;
+        }
+        break;
+      }
+      case 'fixed':
+        if (types.some((t) => { return t.size !== latest.size; })) {
+          this._addConflict(path, `inconsistent ${name} sizes`);
+        }
+        schema.size = latest.size;
+        break;
+      default: // Records and errors.
+        schema.fields = this._emitFields(types, path);
+    }
+    return schema;
+  }
+
+  _emitFields (types, path) {
+    // Fields are ordered as in the latest version, followed by any previous
+    // ones.
+    let names = [];
+    for (let i = types.length - 1; i >= 0; i--) {
+      types[i].fields.forEach((field) => {
+        if (!~names.indexOf(field.name)) {
+          names.push(field.name);
+        }
+      });
+    }
+    return names.map((name) => {
+      let fields = [];
+      types.forEach((type) => {
+        let field = type.field(name);
+        if (field) {
+          fields.push(field);
+        }
+      });
+      let fieldPath = path ? `${path}.${name}` : name;
+      let branches = this._emitBranches(
+        fields.map((f) => { return f.type; }),
+        fieldPath
+      );
+      let schema = {name};
+      let defaultKey, defaultVal;
+      let field = getLatestFieldWithDefault(fields);
+      if (field) {
+        let type = field.type;
+        defaultVal = type._copy(field.defaultValue(), {coerce: 3, wrap: 3});
+        defaultKey = this._getBranchKey(
+          Type.isType(type, 'union') ? type.types[0] : type
+        );
+      } else if (fields.length < types.length) {
+        // The field is missing from some versions, it must be optional.
+        defaultVal = null;
+        defaultKey = 'null';
+        if (!branches.some((obj) => { return obj.key === 'null'; })) {
+          branches.unshift({key: 'null', schema: 'null'});
+        }
+      }
+      if (defaultKey !== undefined) {
+        // Union defaults must match the first branch.
+        let index = branches.findIndex((obj) => {
+          return obj.key === defaultKey;
+        });
+        branches.unshift(branches.splice(index, 1)[0]);
+        schema['default'] = defaultVal;
+      }
+      schema.type = branches.length === 1 ?
+        branches[0].schema :
+        branches.map((obj) => { return obj.schema; });
+      let aliases = [];
+      fields.forEach((f) => {
+        f.aliases.forEach((alias) => {
+          if (!~aliases.indexOf(alias)) {
+            aliases.push(alias);
+          }
+        });
+      });
+      if (aliases.length) {
+        schema.aliases = aliases;
+      }
+      let doc = getLatestAttribute(fields, 'doc');
+      if (doc !== undefined) {
+        schema.doc = doc;
+      }
+      let latest = fields[fields.length - 1];
+      if (latest.order !== 'ascending') {
+        schema.order = latest.order;
+      }
+      return schema;
+    });
+  }
+
+  _addConflict (path, message) {
+    this._conflicts.push({path, message});
+  }
+}
+
+/** Get the latest defined attribute from a list of versions. */
+function getLatestAttribute(objs, key) {
+  for (let i = objs.length - 1; i >= 0; i--) {
+    if (objs[i][key] !== undefined) {
+      return objs[i][key];
+    }
+  }
+  return undefined;
+}
+
+function getLatestFieldWithDefault(fields) {
+  for (let i = fields.length - 1; i >= 0; i--) {
+    if (fields[i].defaultValue() !== undefined) {
+      return fields[i];
+    }
+  }
+  return undefined;
+}
+
+function getAbsoluteName(name) {
+  return ~name.indexOf('.') ? name : `.${name}`;
+}
+
+/**
+ * Find the logical type class to use for a given logical type name.
+ *
+ * Explicitly passed logical types take precedence over standard ones.
+ */
+function getLogicalTypeClass(name, opts) {
+  let DerivedType = opts.logicalTypes && opts.logicalTypes[name];
+  if (
+    !DerivedType &&
+    opts.standardLogicalTypes &&
+    Object.prototype.hasOwnProperty.call(LOGICAL_TYPES, name)
+  ) {
+    DerivedType = LOGICAL_TYPES[name];
+  }
+  return DerivedType;
+}
+
+/**
+ * Generate a standard logical type's resolution function.
+ *
+ * @param reader {LogicalType} The reader's type.
+ * @param writer {Type} The writer's type.
+ * @param isCompatible {Function} Predicate used to check whether a logical
+ * writer type can be read.
+ * @param convert {Function} Optional function to transform underlying values
+ * from the writer's representation to the reader's.
+ *
+ * Writer logical types' values are first converted back to their underlying
+ * representation (this makes it possible to resolve logical types implemented
+ * by other classes). Non-logical writer types can be read if they match the
+ * reader's underlying type.
+ */
+function resolveStandardType(reader, writer, isCompatible, convert) {
+  if (Type.isType(writer, 'logical')) {
+    if (!isCompatible(writer)) {
+      return undefined;
+    }
+    return function (val) {
+      let any = writer._toValue(val);
+      return reader._fromValue(convert ? convert(any) : any);
+    };
+  }
+  let type = reader.underlyingType;
+  if (
+    (writer.typeName === type.typeName && writer.size === type.size) ||
+    (writer.typeName === 'int' && type.typeName === 'long')
+  ) {
+    return function (val) { return reader._fromValue(val); };
+  }
+  return undefined;
+}
+
+/** Check whether a value is a valid (i.e. not `NaN`) date. */
+function isValidDate(any) {
+  return any instanceof Date && !isNaN(any.getTime());
+}
+
+/** Check whether a value is a valid time of day, in the given units. */
+function isTimeOfDay(any, unitsPerDay) {
+  return (
+    typeof any == 'number' && any % 1 === 0 && any >= 0 && any < unitsPerDay
+  );
+}
+
+/** Check whether a value is an unsigned 32-bit integer. */
+function isUint32(any) {
+  return typeof any == 'number' && any >>> 0 === any;
+}
+
+/**
+ * Decode a big-endian two's-complement integer.
+ *
+ * @param buf {Buffer} The encoded integer. Empty buffers represent zero.
+ */
+function readTwosComplement(buf) {
+  if (!buf.length) {
+    return BigInt(0);
+  }
+  let n = BigInt('0x' + buf.toString('hex'));
+  if (buf[0] & 0x80) {
+    n -= BigInt(1) << BigInt(8 * buf.length);
+  }
+  return n;
+}
+
+/**
+ * Encode an integer as big-endian two's-complement.
+ *
+ * @param n {BigInt} The integer.
+ * @param size {Number} Optional size of the output buffer (the integer will be
+ * sign-extended). If unspecified, the minimal size is used. If the integer
+ * doesn't fit, `undefined` is returned.
+ */
+function writeTwosComplement(n, size) {
+  let len = 1;
+  let bound = BigInt(128);
+  while (n >= bound || n < -bound) {
+    len++;
+    bound <<= BigInt(8);
+  }
+  if (size !== undefined) {
+    if (len > size) {
+      return undefined;
+    }
+    len = size;
+  }
+  if (n < 0) {
+    n += BigInt(1) << BigInt(8 * len);
+  }
+  let hex = n.toString(16);
+  while (hex.length < 2 * len) {
+    hex = '0' + hex;
+  }
+  return utils.bufferFrom(hex, 'hex');
+}
+
+/**
+ * Format an unscaled decimal value.
+ *
+ * @param unscaled {BigInt} The decimal's unscaled value.
+ * @param scale {Number} Number of fractional digits.
+ */
+function formatDecimal(unscaled, scale) {
+  let neg = unscaled < 0;
+  let digits = (neg ? -unscaled : unscaled).toString();
+  if (scale) {
+    while (digits.length <= scale) {
+      digits = '0' + digits;
+    }
+    let pos = digits.length - scale;
+    digits = digits.slice(0, pos) + '.' + digits.slice(pos);
+  }
+  return neg ? '-' + digits : digits;
+}
+
 TYPES = {
   'array': ArrayType,
   'boolean': BooleanType,
@@ -3281,11 +7161,29 @@ TYPES = {
   'string': StringType
 };
 
+LOGICAL_TYPES = {
+  'date': DateType,
+  'decimal': DecimalType,
+  'duration': DurationType,
+  'local-timestamp-micros': LocalTimestampMicrosType,
+  'local-timestamp-millis': LocalTimestampMillisType,
+  'time-micros': TimeMicrosType,
+  'time-millis': TimeMillisType,
+  'timestamp-micros': TimestampMicrosType,
+  'timestamp-millis': TimestampMillisType,
+  'uuid': UuidType
+};
+
 module.exports = {
+  SINGLE_OBJECT_HEADER_LENGTH,
   Type,
+  createDecodeError,
+  getLongRepresentation,
   getTypeBucket,
   getValueBucket,
   isPrimitive,
+  logicalTypes: LOGICAL_TYPES,
+  readSingleObjectFingerprint,
   builtins: (function () {
     let types = {
       LogicalType,
@@ -0,0 +1,264 @@
+'use strict';
+
+/**
+ * TypeScript declarations generation.
+ *
+ * Declarations describe values as represented by this library, using the same
+ * options (e.g. `wrapUnions`) as when instantiating the corresponding types.
+ */
+
+let types = require('./types'),
+    utils = require('./utils');
+
+
+let Type = types.Type;
+let j = utils.printJSON;
+
+// Default TypeScript types of the standard logical types' values.
+let LOGICAL_TYPE_MAPPINGS = {
+  'date': 'Date',
+  'decimal': 'string',
+  'duration': '{months: number; days: number; millis: number}',
+  'local-timestamp-micros': 'Date',
+  'local-timestamp-millis': 'Date',
+  'time-micros': 'number',
+  'time-millis': 'number',
+  'timestamp-micros': 'Date',
+  'timestamp-millis': 'Date',
+  'uuid': 'string'
+};
+
+/**
+ * Generate TypeScript declarations.
+ *
+ * @param schema {Object|Type} A type, schema, or protocol (e.g. as returned by
+ * `assembleProtocol`).
+ * @param opts {Object} Options passed to `Type.forSchema`. The following
+ * options are also supported:
+ *
+ * + `logicalTypeMappings`, TypeScript types to use for logical types' values,
+ *   keyed by logical type name. Logical types without a mapping (and which
+ *   aren't standard) are declared as `unknown`.
+ * + `rootName`, name to declare anonymous top-level types under. Defaults to
+ *   `'Root'`.
+ */
+function generateDeclarations(schema, opts) {
+  opts = Object.assign({}, opts);
+  let generator = new DeclarationsGenerator(Object.assign(
+    {},
+    LOGICAL_TYPE_MAPPINGS,
+    opts.logicalTypeMappings
+  ));
+  if (isProtocol(schema)) {
+    let forSchemaOpts = Object.assign({}, opts, {
+      namespace: schema.namespace,
+      registry: {}
+    });
+    (schema.types || []).forEach((obj) => {
+      generator.declare(Type.forSchema(obj, forSchemaOpts));
+    });
+    let messages = schema.messages || {};
+    Object.keys(messages).forEach((name) => {
+      generator.declareMessage(name, messages[name], forSchemaOpts);
+    });
+  } else {
+    let type = Type.forSchema(schema, opts);
+    if (type.name) {
+      generator.declare(type);
+    } else {
+      generator.declareAlias(
+        opts.rootName || 'Root',
+        generator.getTypeExpression(type)
+      );
+    }
+  }
+  return generator.getDeclarations();
+}
+
+/** Helper to accumulate declarations for named types and messages. */
+class DeclarationsGenerator {
+  constructor (mappings) {
+    this._mappings = mappings;
+    this._names = new Map(); // Declared names, keyed by type.
+    this._usedNames = new Set();
+    this._declarations = [];
+  }
+
+  getDeclarations () {
+    return [
+      '// Generated by avsc, do not edit.',
+      ''
+    ].concat(this._declarations.map((s) => { return s + '\n'; })).join('\n');
+  }
+
+  declare (type) {
+    this.getTypeExpression(type);
+  }
+
+  declareAlias (name, expr, doc) {
+    this._declarations.push(
+      `${getDocComment(doc, '')}export type ${name} = ${expr};`
+    );
+  }
+
+  declareMessage (name, message, opts) {
+    let base = utils.capitalize(name);
+    let fields = (message.request || []).map((obj) => {
+      return {
+        name: obj.name,
+        type: Type.forSchema(obj.type, opts),
+        doc: obj.doc
+      };
+    });
+    this._declarations.push(
+      `${getDocComment(message.doc, '')}export interface ${base}Request ` +
+      this._getFieldsExpression(fields)
+    );
+    let response = message.response === undefined ?
+      'null' :
+      message.response;
+    this.declareAlias(
+      `${base}Response`,
+      this.getTypeExpression(Type.forSchema(response, opts))
+    );
+    if (message.errors && message.errors.length) {
+      this.declareAlias(
+        `${base}Error`,
+        this.getTypeExpression(Type.forSchema(message.errors, opts))
+      );
+    }
+  }
+
+  getTypeExpression (type) {
+    if (Type.isType(type, 'logical')) {
+      let mapping = this._mappings[type._logicalTypeName];
+      return mapping === undefined ? 'unknown' : mapping;
+    }
+    switch (type.typeName) {
+      case 'null':
+        return 'null';
+      case 'boolean':
+        return 'boolean';
+      case 'int':
+      case 'float':
+      case 'double':
+        return 'number';
+      case 'long':
+        switch (types.getLongRepresentation(type)) {
+          case 'auto':
+            return 'number | bigint';
+          case 'bigint':
+            return 'bigint';
+          default:
+            return 'number';
+        }
+      case 'abstract:long':
+        return 'unknown';
+      case 'string':
+        return 'string';
+      case 'bytes':
+        return 'Buffer';
+      case 'array':
+        return `${parenthesize(this.getTypeExpression(type.itemsType))}[]`;
+      case 'map':
+        return `{[key: string]: ${this.getTypeExpression(type.valuesType)}}`;
+      case 'union:unwrapped':
+        return type.types.map((t) => {
+          return this.getTypeExpression(t);
+        }).join(' | ');
+      case 'union:wrapped':
+        return type.types.map((t) => {
+          if (t.typeName === 'null') {
+            return 'null';
+          }
+          let key = t.branchName;
+          if (~key.indexOf('.')) {
+            key = `'${key}'`;
+          }
+          return `{${key}: ${this.getTypeExpression(t)}}`;
+        }).join(' | ');
+      case 'enum':
+      case 'fixed':
+      case 'record':
+      case 'error':
+        return this._getNamedTypeExpression(type);
+      default:
+        throw new Error(`unsupported type: ${j(type.typeName)}`);
+    }
+  }
+
+  _getNamedTypeExpression (type) {
+    let name = this._names.get(type);
+    if (name !== undefined) {
+      return name;
+    }
+    name = this._createName(type);
+    this._names.set(type, name);
+    switch (type.typeName) {
+      case 'enum':
+        this.declareAlias(name, type.symbols.map((s) => {
+          return `'${s}'`;
+        }).join(' | '), type.doc);
+        break;
+      case 'fixed':
+        this.declareAlias(name, 'Buffer', type.doc);
+        break;
+      default: {
+        // Reserve the declaration's position before generating the fields'
+        // types, so that records appear before the types they reference.
+        let index = this._declarations.length;
+        this._declarations.push(undefined);
+        this._declarations[index] =
+          `${getDocComment(type.doc, '')}export interface ${name} ` +
+          this._getFieldsExpression(type.fields);
+      }
+    }
+    return name;
+  }
+
+  _getFieldsExpression (fields) {
+    if (!fields.length) {
+      return '{}';
+    }
+    let lines = fields.map((field) => {
+      return getDocComment(field.doc, '  ') +
+        `  ${field.name}: ${this.getTypeExpression(field.type)};`;
+    });
+    return `{\n${lines.join('\n')}\n}`;
+  }
+
+  _createName (type) {
+    // Unqualified names are used unless they conflict.
+    let name = utils.unqualify(type.name);
+    if (this._usedNames.has(name)) {
+      name = type.name.replace(/\./g, '_');
+    }
+    while (this._usedNames.has(name)) {
+      name += '_';
+    }
+    this._usedNames.add(name);
+    return name;
+  }
+}
+
+function isProtocol(schema) {
+  return !!schema && typeof schema == 'object' && !Type.isType(schema) &&
+    typeof schema.protocol == 'string';
+}
+
+/** Wrap union expressions in parentheses (e.g. inside array types). */
+function parenthesize(expr) {
+  return ~expr.indexOf(' | ') ? `(${expr})` : expr;
+}
+
+function getDocComment(doc, indent) {
+  if (!doc) {
+    return '';
+  }
+  return `${indent}/** ${doc.replace(/\*\//g, '*\\/')} */\n`;
+}
+
+
+module.exports = {
+  generateDeclarations
+};
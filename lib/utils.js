@@ -13,6 +13,18 @@ let Buffer = buffer.Buffer;
 // Valid (field, type, and symbol) name regex.
 const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
 
+// Halves of the CRC-64-AVRO empty fingerprint (`0xc15d213aa4d7a795`), and the
+// corresponding lookup table (see `getRabinTable`).
+const RABIN_EMPTY_HI = 0xc15d213a | 0;
+const RABIN_EMPTY_LO = 0xa4d7a795 | 0;
+let RABIN_TABLE = null;
+
+// Constants used when encoding `BigInt` longs, only defined in environments
+// which support them.
+const BIG_1 = typeof BigInt == 'function' ? BigInt(1) : undefined;
+const BIG_28 = typeof BigInt == 'function' ? BigInt(28) : undefined;
+const BIG_MASK_28 = typeof BigInt == 'function' ? BigInt(0xfffffff) : undefined;
+
 /**
  * Create a new empty buffer.
  *
@@ -295,7 +307,10 @@ class Lcg {
     let a = 1103515245;
     let c = 12345;
     let m = Math.pow(2, 31);
-    let state = Math.floor(seed || Math.random() * (m - 1));
+    // Any integer is a valid seed (including 0), normalized into `[0, m)`.
+    let state = seed === undefined ?
+      Math.floor(Math.random() * (m - 1)) :
+      (Math.floor(seed) % m + m) % m;
 
     this._max = m;
     this._nextInt = function () {
@@ -449,6 +464,9 @@ class Tap {
     if (this.pos < 0) {
       throw new Error('negative offset');
     }
+    // When set, decoded bytes and fixed values are slices sharing `buf`
+    // (rather than copies), so they are only valid until it is modified.
+    this.noCopy = false;
   }
 
   /**
@@ -463,6 +481,17 @@ class Tap {
 
   _invalidate () { this.pos = this.buf.length + 1; }
 
+  // Hooks called when decoding arrays, maps, and unions. They don't do
+  // anything here but are used to enforce decoding limits, see `LimitedTap`.
+
+  resetLimits () {}
+
+  enterNested () {}
+
+  exitNested () {}
+
+  claimItems (/* n, total */) {}
+
   // Read, skip, write methods.
   //
   // These should fail silently when the buffer overflows. Note this is only
@@ -505,6 +534,40 @@ class Tap {
     return (n >> 1) ^ -(n & 1);
   }
 
+  /**
+   * Read a long as a `BigInt`, without any loss of precision.
+   *
+   * The first 28 bits are accumulated using integer arithmetic and the
+   * remaining ones (at most 36) using float arithmetic, which is exact in this
+   * range; we only switch to `BigInt`s to combine both halves.
+   */
+  readBigLong () {
+    let lo = 0;
+    let k = 0;
+    let buf = this.buf;
+    let b, h, hi, fk, n;
+
+    do {
+      b = buf[this.pos++];
+      h = b & 0x80;
+      lo |= (b & 0x7f) << k;
+      k += 7;
+    } while (h && k < 28);
+
+    if (!h) {
+      return BigInt((lo >> 1) ^ -(lo & 1));
+    }
+    hi = 0;
+    fk = 1;
+    do {
+      b = buf[this.pos++];
+      hi += (b & 0x7f) * fk;
+      fk *= 128;
+    } while (b & 0x80);
+    n = (BigInt(hi) << BIG_28) | BigInt(lo);
+    return (n >> BIG_1) ^ -(n & BIG_1);
+  }
+
   skipLong () {
     let buf = this.buf;
     while (buf[this.pos++] & 0x80) {}
@@ -532,6 +595,27 @@ class Tap {
     this.pos++;
   }
 
+  /** Write a `BigInt` long, the counterpart of `readBigLong` above. */
+  writeBigLong (n) {
+    if (n >= -1073741824 && n < 1073741824) {
+      this.writeLong(Number(n));
+      return;
+    }
+    let buf = this.buf;
+    let m = n >= 0 ? n << BIG_1 : ((-n) << BIG_1) - BIG_1;
+    let lo = Number(m & BIG_MASK_28);
+    let hi = Number(m >> BIG_28); // Non-zero given the bounds above.
+    for (let i = 0; i < 4; i++) {
+      buf[this.pos++] = (lo & 0x7f) | 0x80;
+      lo >>= 7;
+    }
+    do {
+      buf[this.pos] = hi & 0x7f;
+      hi = Math.floor(hi / 128);
+    } while (hi && (buf[this.pos++] |= 0x80));
+    this.pos++;
+  }
+
   readFloat () {
     let buf = this.buf;
     let pos = this.pos;
@@ -582,6 +666,9 @@ class Tap {
     if (this.pos > this.buf.length) {
       return;
     }
+    if (this.noCopy) {
+      return this.buf.slice(pos, this.pos);
+    }
     let fixed = POOL.alloc(len);
     this.buf.copy(fixed, 0, pos, pos + len);
     return fixed;
@@ -882,8 +969,485 @@ if (typeof Buffer.prototype.latin1Write == 'function') {
   };
 }
 
+/**
+ * Tap which enforces limits on the data it decodes.
+ *
+ * Lengths and counts are checked as soon as they are read from the input,
+ * before any corresponding allocation, to guard against hostile inputs (e.g.
+ * a few bytes claiming to contain a billion-item array). Supported limits:
+ *
+ * + `maxBytesLength`, maximum length of each bytes value.
+ * + `maxStringLength`, maximum length (in bytes) of each string.
+ * + `maxItems`, maximum number of items of each array (or entries of each
+ *   map).
+ * + `maxDepth`, maximum nesting depth of arrays, maps, and unions (recursive
+ *   schemas can only nest through these).
+ * + `maxTotalBytes`, maximum combined length of all strings and bytes, where
+ *   each array item and map entry also counts as 8 bytes.
+ *
+ * Violations throw a `LimitExceededError`. Depth and total size are tracked
+ * until `resetLimits` is called (typically before decoding each value).
+ */
+class LimitedTap extends Tap {
+  constructor (buf, pos, limits) {
+    super(buf, pos);
+    if (!limits || typeof limits != 'object') {
+      throw new Error(`invalid limits: ${printJSON(limits)}`);
+    }
+    Object.keys(limits).forEach((key) => {
+      if (LIMITS.indexOf(key) < 0) {
+        throw new Error(`unknown limit: ${key}`);
+      }
+      let max = limits[key];
+      if (typeof max != 'number' || max < 0 || isNaN(max)) {
+        throw new Error(`invalid ${key} limit: ${printJSON(max)}`);
+      }
+    });
+    this._maxBytesLength = getOption(limits, 'maxBytesLength', Infinity);
+    this._maxStringLength = getOption(limits, 'maxStringLength', Infinity);
+    this._maxItems = getOption(limits, 'maxItems', Infinity);
+    this._maxDepth = getOption(limits, 'maxDepth', Infinity);
+    this._maxTotalBytes = getOption(limits, 'maxTotalBytes', Infinity);
+    this._depth = 0;
+    this._totalBytes = 0;
+  }
+
+  resetLimits () {
+    this._depth = 0;
+    this._totalBytes = 0;
+  }
+
+  enterNested () {
+    if (++this._depth > this._maxDepth) {
+      throw new LimitExceededError('maxDepth', this._depth, this._maxDepth);
+    }
+  }
+
+  exitNested () { this._depth--; }
+
+  claimItems (n, total) {
+    if (total > this._maxItems) {
+      throw new LimitExceededError('maxItems', total, this._maxItems);
+    }
+    this._claimBytes(8 * n);
+  }
+
+  readBytes () {
+    this._claimLength('maxBytesLength', this._maxBytesLength);
+    return super.readBytes();
+  }
+
+  readString () {
+    this._claimLength('maxStringLength', this._maxStringLength);
+    return super.readString();
+  }
+
+  _claimLength (limit, max) {
+    // We peek at the length, the parent method will read it again.
+    let pos = this.pos;
+    let len = this.readLong();
+    this.pos = pos;
+    if (len > max) {
+      throw new LimitExceededError(limit, len, max);
+    }
+    if (len > 0) {
+      this._claimBytes(len);
+    }
+  }
+
+  _claimBytes (len) {
+    this._totalBytes += len;
+    if (this._totalBytes > this._maxTotalBytes) {
+      throw new LimitExceededError(
+        'maxTotalBytes',
+        this._totalBytes,
+        this._maxTotalBytes
+      );
+    }
+  }
+}
+
+// Names of all limits supported by `LimitedTap`.
+const LIMITS = [
+  'maxBytesLength',
+  'maxStringLength',
+  'maxItems',
+  'maxDepth',
+  'maxTotalBytes'
+];
+
+/**
+ * Error thrown when decoding invalid data.
+ *
+ * Besides why decoding failed, it describes where: the offset of the value
+ * which couldn't be decoded (within the buffer, or within the block's
+ * decompressed data for container files) and its path (e.g.
+ * `order.items[3].price`). Errors raised when decoding container files also
+ * include the block's index and its offset within the file.
+ */
+class DecodeError extends Error {
+  constructor (reason, info) {
+    let details = [`offset ${info.offset}`];
+    if (info.blockIndex !== undefined) {
+      details.push(`block ${info.blockIndex}`);
+      details.push(`file offset ${info.fileOffset}`);
+    }
+    let where = info.path ? ` at ${info.path}` : '';
+    super(`${reason}${where} (${details.join(', ')})`);
+    this.name = 'DecodeError';
+    this.reason = reason;
+    this.offset = info.offset;
+    this.path = info.path;
+    this.blockIndex = info.blockIndex;
+    this.fileOffset = info.fileOffset;
+    if (info.cause) {
+      this.cause = info.cause;
+    }
+  }
+}
+
+/** Error thrown when a decoding limit is exceeded, see `LimitedTap`. */
+class LimitExceededError extends Error {
+  constructor (limit, value, max) {
+    super(`${limit} exceeded: ${value} > ${max}`);
+    this.name = 'LimitExceededError';
+    this.limit = limit;
+    this.value = value;
+    this.max = max;
+  }
+}
+
+/**
+ * Order-preserving ("memcomparable") encoder and decoder.
+ *
+ * Unlike `Tap`, the bytes written here are meant to be compared directly
+ * (e.g. using `Buffer.compare`): numbers are written big-endian with their
+ * sign flipped and variable-length data is escaped and terminated, so that
+ * byte order matches value order. Every byte is XOR-ed with `mask`, which can
+ * be set to `0xff` to write (and read) data in descending order.
+ *
+ * The buffer grows as needed when writing. Reads past the end throw.
+ */
+class KeyTap {
+  constructor (buf) {
+    this.buf = buf || newBuffer(64);
+    this.pos = 0;
+    this.mask = 0;
+  }
+
+  /** Copy of the bytes written so far. */
+  getBuffer () {
+    return Uint8Array.prototype.slice.call(this.buf, 0, this.pos);
+  }
+
+  _reserve (len) {
+    let buf = this.buf;
+    if (this.pos + len > buf.length) {
+      this.buf = newBuffer(Math.max(2 * buf.length, this.pos + len));
+      buf.copy(this.buf, 0, 0, this.pos);
+    }
+  }
+
+  readByte () {
+    if (this.pos >= this.buf.length) {
+      throw new Error('truncated key');
+    }
+    return this.buf[this.pos++] ^ this.mask;
+  }
+
+  writeByte (b) {
+    this._reserve(1);
+    this.buf[this.pos++] = b ^ this.mask;
+  }
+
+  /** Unsigned big-endian integer of `width` bytes (at most 4). */
+  readUInt (width) {
+    let n = 0;
+    for (let i = 0; i < width; i++) {
+      n = n * 256 + this.readByte();
+    }
+    return n;
+  }
+
+  writeUInt (n, width) {
+    for (let i = width - 1; i >= 0; i--) {
+      this.writeByte(Math.floor(n / Math.pow(2, 8 * i)) & 0xff);
+    }
+  }
+
+  /** Signed 32-bit integer, written with its sign bit flipped. */
+  readInt () { return (this.readUInt(4) ^ 0x80000000) | 0; }
+
+  writeInt (n) { this.writeUInt((n ^ 0x80000000) >>> 0, 4); }
+
+  readFloat () {
+    KEY_VIEW.setUint32(0, unflipFloatBits(this.readUInt(4)));
+    return KEY_VIEW.getFloat32(0);
+  }
+
+  writeFloat (f) {
+    KEY_VIEW.setFloat32(0, f === 0 ? 0 : f); // Normalize negative zero.
+    this.writeUInt(flipFloatBits(KEY_VIEW.getUint32(0)), 4);
+  }
+
+  readDouble () {
+    let hi = this.readUInt(4);
+    let lo = this.readUInt(4);
+    if (hi & 0x80000000) {
+      KEY_VIEW.setUint32(0, hi ^ 0x80000000);
+      KEY_VIEW.setUint32(4, lo);
+    } else {
+      KEY_VIEW.setUint32(0, ~hi);
+      KEY_VIEW.setUint32(4, ~lo);
+    }
+    return KEY_VIEW.getFloat64(0);
+  }
+
+  writeDouble (d) {
+    KEY_VIEW.setFloat64(0, d === 0 ? 0 : d);
+    let hi = KEY_VIEW.getUint32(0);
+    let lo = KEY_VIEW.getUint32(4);
+    if (hi & 0x80000000) {
+      this.writeUInt(~hi >>> 0, 4);
+      this.writeUInt(~lo >>> 0, 4);
+    } else {
+      this.writeUInt((hi | 0x80000000) >>> 0, 4);
+      this.writeUInt(lo, 4);
+    }
+  }
+
+  readFixed (len) {
+    let buf = newBuffer(len);
+    for (let i = 0; i < len; i++) {
+      buf[i] = this.readByte();
+    }
+    return buf;
+  }
+
+  writeFixed (buf) {
+    for (let i = 0, l = buf.length; i < l; i++) {
+      this.writeByte(buf[i]);
+    }
+  }
+
+  /**
+   * Variable-length bytes.
+   *
+   * Zero bytes are escaped as `0x00 0xff` and the end is marked by `0x00
+   * 0x01`, so that a prefix sorts before any longer sequence.
+   */
+  readBytes () {
+    let bytes = [];
+    let b;
+    while (true) {
+      if ((b = this.readByte()) === 0 && this._readEscape()) {
+        break;
+      }
+      bytes.push(b);
+    }
+    return bufferFrom(bytes);
+  }
+
+  writeBytes (buf) {
+    for (let i = 0, l = buf.length; i < l; i++) {
+      this._writeEscaped(buf[i]);
+    }
+    this._writeEnd();
+  }
+
+  /**
+   * Strings, encoded as CESU-8 (i.e. UTF-8 applied to each UTF-16 code unit,
+   * including surrogates) to preserve JavaScript's string ordering. Zeros are
+   * escaped similar to bytes.
+   */
+  readString () {
+    let codes = [];
+    let parts = [];
+    let b;
+    while (true) {
+      if ((b = this.readByte()) === 0 && this._readEscape()) {
+        break;
+      }
+      if (b >= 0xe0) {
+        b = (b & 0x0f) << 12 | (this.readByte() & 0x3f) << 6 |
+          (this.readByte() & 0x3f);
+      } else if (b >= 0xc0) {
+        b = (b & 0x1f) << 6 | (this.readByte() & 0x3f);
+      }
+      codes.push(b);
+      if (codes.length >= 4096) { // Avoid exceeding argument limits.
+        parts.push(String.fromCharCode.apply(null, codes));
+        codes = [];
+      }
+    }
+    parts.push(String.fromCharCode.apply(null, codes));
+    return parts.join('');
+  }
+
+  writeString (s) {
+    for (let i = 0, l = s.length; i < l; i++) {
+      let c = s.charCodeAt(i);
+      if (c < 0x80) {
+        this._writeEscaped(c);
+      } else if (c < 0x800) {
+        this.writeByte(c >> 6 | 0xc0);
+        this.writeByte(c & 0x3f | 0x80);
+      } else {
+        this.writeByte(c >> 12 | 0xe0);
+        this.writeByte(c >> 6 & 0x3f | 0x80);
+        this.writeByte(c & 0x3f | 0x80);
+      }
+    }
+    this._writeEnd();
+  }
+
+  _readEscape () {
+    // Called after reading a zero, returns true if it marked the end.
+    switch (this.readByte()) {
+      case 0x01:
+        return true;
+      case 0xff:
+        return false;
+      default:
+        throw new Error('invalid key escape');
+    }
+  }
+
+  _writeEscaped (b) {
+    this.writeByte(b);
+    if (!b) {
+      this.writeByte(0xff);
+    }
+  }
+
+  _writeEnd () {
+    this.writeByte(0);
+    this.writeByte(1);
+  }
+}
+
+// Scratch space used to access the bits of floating point numbers.
+const KEY_VIEW = new DataView(new ArrayBuffer(8));
+
+/**
+ * Map a float's bits to an unsigned integer with the same ordering.
+ *
+ * Positive numbers have their sign bit set, negative ones all their bits
+ * flipped (since their magnitude increases with their bits).
+ *
+ * @param bits {Number} The float's bits, as unsigned 32-bit integer.
+ */
+function flipFloatBits(bits) {
+  return (bits & 0x80000000 ? ~bits : bits | 0x80000000) >>> 0;
+}
+
+/**
+ * Inverse of `flipFloatBits`.
+ *
+ * @param bits {Number} Flipped bits.
+ */
+function unflipFloatBits(bits) {
+  return (bits & 0x80000000 ? bits ^ 0x80000000 : ~bits) >>> 0;
+}
+
 // Helpers.
 
+/**
+ * Get the length of a long's (zig-zag varint) encoding, see `Tap#writeLong`.
+ *
+ * @param n {Number} The long.
+ */
+function getLongSize(n) {
+  let f = n >= 0 ? n * 2 : (-n * 2) - 1;
+  let size = 1;
+  while (f >= 128) {
+    f /= 128;
+    size++;
+  }
+  return size;
+}
+
+/**
+ * Get the length of a `BigInt` long's encoding, see `Tap#writeBigLong`.
+ *
+ * @param n {BigInt} The long.
+ */
+function getBigLongSize(n) {
+  if (n >= -1073741824 && n < 1073741824) {
+    return getLongSize(Number(n));
+  }
+  let m = n >= 0 ? n << BIG_1 : ((-n) << BIG_1) - BIG_1;
+  // The lowest 28 bits always take 4 bytes, the rest is non-zero.
+  let hi = Number(m >> BIG_28);
+  let size = 5;
+  while (hi >= 128) {
+    hi = Math.floor(hi / 128);
+    size++;
+  }
+  return size;
+}
+
+/**
+ * Compute a string's hash.
+ *
+ * @param str {String} The string to hash.
+ * @param algorithm {String} The algorithm used. Defaults to MD5. Besides the
+ * platform's algorithms, `'CRC-64-AVRO'` (alias `'rabin'`) is also supported
+ * everywhere, including in the browser.
+ */
+function getHash(str, algorithm) {
+  if (/^(crc-64-avro|rabin)$/i.test(algorithm)) {
+    return getRabinFingerprint(str);
+  }
+  return platform.getHash(str, algorithm);
+}
+
+/**
+ * Compute a string's 64-bit Rabin fingerprint, as defined by the Avro spec.
+ *
+ * @param str {String} The string to fingerprint, encoded as UTF-8.
+ *
+ * The fingerprint is returned as an 8-byte buffer, in little-endian order (the
+ * format used for example by single-object encoding). Since JavaScript numbers
+ * can't represent 64-bit integers exactly, we operate on both 32-bit halves.
+ */
+function getRabinFingerprint(str) {
+  let table = getRabinTable();
+  let buf = bufferFrom(str, 'utf8');
+  let hi = RABIN_EMPTY_HI;
+  let lo = RABIN_EMPTY_LO;
+  for (let i = 0, l = buf.length; i < l; i++) {
+    let index = (lo ^ buf[i]) & 0xff;
+    lo = ((lo >>> 8) | (hi << 24)) ^ table.lo[index];
+    hi = (hi >>> 8) ^ table.hi[index];
+  }
+  let fp = newBuffer(8);
+  fp.writeUInt32LE(lo >>> 0, 0);
+  fp.writeUInt32LE(hi >>> 0, 4);
+  return fp;
+}
+
+/** Lazily compute the table used to speed up Rabin fingerprints. */
+function getRabinTable() {
+  if (!RABIN_TABLE) {
+    let hiTable = new Int32Array(256);
+    let loTable = new Int32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let hi = 0;
+      let lo = i;
+      for (let j = 0; j < 8; j++) {
+        let mask = -(lo & 1);
+        lo = ((lo >>> 1) | (hi << 31)) ^ (RABIN_EMPTY_LO & mask);
+        hi = (hi >>> 1) ^ (RABIN_EMPTY_HI & mask);
+      }
+      hiTable[i] = hi;
+      loTable[i] = lo;
+    }
+    RABIN_TABLE = {hi: hiTable, lo: loTable};
+  }
+  return RABIN_TABLE;
+}
+
 /**
  * Invert all bits in a buffer.
  *
@@ -907,8 +1471,7 @@ function printJSON (obj) {
     return JSON.stringify(obj, (key, value) => {
       if (seen.has(value)) return '[Circular]';
       if (typeof value === 'object' && value !== null) seen.add(value);
-      // eslint-disable-next-line no-undef
-      if (typeof BigInt !== 'undefined' && (value instanceof BigInt)) {
+      if (typeof value == 'bigint') {
         return `[BigInt ${value.toString()}n]`;
       }
       return value;
@@ -918,12 +1481,182 @@ function printJSON (obj) {
   }
 }
 
+/**
+ * Serialize a value to JSON, with support for `BigInt`s.
+ *
+ * `BigInt`s are written as JSON numbers, without losing any precision. We only
+ * fall back to the (slower) custom serializer when the native one fails.
+ *
+ * @param any {...} The value to serialize.
+ */
+function stringifyJSON(any) {
+  try {
+    return JSON.stringify(any);
+  } catch (err) {
+    if (!(err instanceof TypeError)) {
+      throw err;
+    }
+  }
+  return serialize(any);
+
+  function serialize(val) {
+    if (typeof val == 'bigint') {
+      return val.toString();
+    }
+    if (val && typeof val.toJSON == 'function') {
+      val = val.toJSON();
+    }
+    if (val === null || typeof val != 'object') {
+      return JSON.stringify(val);
+    }
+    if (Array.isArray(val)) {
+      let items = val.map((v) => {
+        let s = serialize(v);
+        return s === undefined ? 'null' : s;
+      });
+      return `[${items.join(',')}]`;
+    }
+    let entries = [];
+    Object.keys(val).forEach((key) => {
+      let s = serialize(val[key]);
+      if (s !== undefined) {
+        entries.push(`${JSON.stringify(key)}:${s}`);
+      }
+    });
+    return `{${entries.join(',')}}`;
+  }
+}
+
+/**
+ * Parse a JSON string, decoding unsafe integers as `BigInt`s.
+ *
+ * Integers (i.e. numbers without a fraction or exponent) outside of the safe
+ * range are returned as `BigInt`s rather than silently losing precision. Since
+ * these require at least 16 digits, we can use the (faster) native parser when
+ * no such sequence exists in the string.
+ *
+ * @param str {String} The JSON string.
+ */
+function parseJSON(str) {
+  if (!/\d{16}/.test(str)) {
+    return JSON.parse(str);
+  }
+  let pattern = new RegExp(
+    '\\s*(?:("(?:[^"\\\\]|\\\\.)*")|' + // String.
+    '(-?(?:0|[1-9]\\d*)(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)|' + // Number.
+    '(true|false|null|[[\\]{}:,])|$)', // Literal, punctuation, or end.
+    'y'
+  );
+  let match;
+  advance();
+  let val = readValue();
+  if (!isEnd()) {
+    fail();
+  }
+  return val;
+
+  function advance() {
+    let pos = pattern.lastIndex;
+    match = pattern.exec(str);
+    if (!match) {
+      pattern.lastIndex = pos;
+      fail();
+    }
+  }
+
+  function isEnd() {
+    return match[1] === undefined && match[2] === undefined && !match[3];
+  }
+
+  function isSymbol(s) { return match[3] === s; }
+
+  function expect(s) {
+    if (!isSymbol(s)) {
+      fail();
+    }
+    advance();
+  }
+
+  function fail() {
+    let pos = pattern.lastIndex;
+    throw new SyntaxError(`unexpected token in JSON at position ${pos}`);
+  }
+
+  function readValue() {
+    let s;
+    if ((s = match[1]) !== undefined) {
+      advance();
+      return JSON.parse(s);
+    }
+    if ((s = match[2]) !== undefined) {
+      advance();
+      let n = Number(s);
+      if (Math.abs(n) > 9007199254740991 && /^-?\d+$/.test(s)) {
+        return BigInt(s);
+      }
+      return n;
+    }
+    switch (match[3]) {
+      case 'true':
+        advance();
+        return true;
+      case 'false':
+        advance();
+        return false;
+      case 'null':
+        advance();
+        return null;
+      case '[': {
+        advance();
+        let arr = [];
+        while (!isSymbol(']')) {
+          if (arr.length) {
+            expect(',');
+          }
+          arr.push(readValue());
+        }
+        expect(']');
+        return arr;
+      }
+      case '{': {
+        advance();
+        let obj = {};
+        let first = true;
+        while (!isSymbol('}')) {
+          if (!first) {
+            expect(',');
+          }
+          first = false;
+          if ((s = match[1]) === undefined) {
+            fail();
+          }
+          advance();
+          expect(':');
+          // Defined explicitly to be safe with keys such as `__proto__`.
+          Object.defineProperty(obj, JSON.parse(s), {
+            value: readValue(),
+            enumerable: true,
+            configurable: true,
+            writable: true
+          });
+        }
+        expect('}');
+        return obj;
+      }
+      default:
+        fail();
+    }
+  }
+}
+
 module.exports = {
   abstractFunction,
   bufferFrom,
   capitalize,
   copyOwnProperties,
-  getHash: platform.getHash,
+  getBigLongSize,
+  getHash,
+  getLongSize,
   compare,
   getOption,
   impliedNamespace,
@@ -937,8 +1670,14 @@ module.exports = {
   hasDuplicates,
   unqualify,
   BufferPool,
+  DecodeError,
+  KeyTap,
   Lcg,
+  LimitExceededError,
+  LimitedTap,
   OrderedQueue,
   Tap,
-  printJSON
+  parseJSON,
+  printJSON,
+  stringifyJSON
 };
@@ -0,0 +1,141 @@
+'use strict';
+
+let codegen = require('../lib/codegen'),
+    types = require('../lib/types'),
+    utils = require('../lib/utils'),
+    assert = require('assert'),
+    buffer = require('buffer');
+
+
+let Buffer = buffer.Buffer;
+let Type = types.Type;
+
+suite('codegen', () => {
+
+  let schema = {
+    type: 'record',
+    name: 'test.Event',
+    fields: [
+      {name: 'ok', type: 'boolean'},
+      {name: 'count', type: 'int'},
+      {name: 'total', type: 'long', 'default': -1},
+      {name: 'ratio', type: 'float'},
+      {name: 'score', type: 'double'},
+      {name: 'label', type: 'string'},
+      {name: 'payload', type: 'bytes'},
+      {name: 'hash', type: {type: 'fixed', name: 'Hash', size: 4}},
+      {name: 'kind', type: {type: 'enum', name: 'Kind', symbols: ['A', 'B']}},
+      {name: 'tags', type: {type: 'array', items: 'string'}},
+      {name: 'attrs', type: {type: 'map', values: ['null', 'Kind']}},
+      {name: 'parent', type: ['null', 'Event'], 'default': null}
+    ]
+  };
+
+  let val = {
+    ok: true,
+    count: -3,
+    total: 1234567890123,
+    ratio: 0.5,
+    score: -1e100,
+    label: 'héllo',
+    payload: utils.bufferFrom([1, 2]),
+    hash: utils.bufferFrom('abcd'),
+    kind: 'B',
+    tags: ['a', 'bc'],
+    attrs: {x: null, y: 'A'},
+    parent: null
+  };
+
+  test('unwrapped unions', () => {
+    let t = Type.forSchema(schema);
+    let mod = loadModule(codegen.generateModule(schema));
+    let child = Object.assign({}, val, {parent: val});
+    let buf = t.toBuffer(child);
+    assert.deepEqual(mod.encode(child), buf);
+    assert.deepEqual(mod.decode(buf), t.fromBuffer(buf));
+    assert(mod.isValid(child));
+    assert(!mod.isValid(Object.assign({}, val, {kind: 'C'})));
+    assert(!mod.isValid(Object.assign({}, val, {attrs: {a: 1}})));
+    assert.equal(mod.skip(buf, 0), buf.length);
+    assert.equal(mod.skip(buf.slice(0, 10), 0), -1);
+  });
+
+  test('wrapped unions', () => {
+    let t = Type.forSchema(schema, {wrapUnions: true});
+    let mod = loadModule(codegen.generateModule(t));
+    let child = Object.assign({}, val, {
+      attrs: {x: null, y: {'test.Kind': 'A'}},
+      parent: {'test.Event': Object.assign({}, val, {attrs: {}})}
+    });
+    let buf = t.toBuffer(child);
+    assert.deepEqual(mod.encode(child), buf);
+    assert.deepEqual(mod.decode(buf), child);
+    assert(mod.isValid(child));
+    assert(!mod.isValid(Object.assign({}, val, {attrs: {y: 'A'}})));
+    assert.throws(() => {
+      mod.encode(Object.assign({}, val, {parent: {Event: val}}));
+    }, /invalid/);
+  });
+
+  test('random values', () => {
+    let t = Type.forSchema(schema);
+    let mod = loadModule(codegen.generateModule(t));
+    for (let i = 0; i < 20; i++) {
+      let v = t.random();
+      let buf = t.toBuffer(v);
+      assert.deepEqual(mod.encode(v), buf);
+      assert.deepEqual(mod.decode(buf), t.fromBuffer(buf));
+      assert.equal(mod.skip(buf), buf.length);
+    }
+  });
+
+  test('defaults', () => {
+    let t = Type.forSchema(schema);
+    let mod = loadModule(codegen.generateModule(t));
+    let v = Object.assign({}, val);
+    delete v.total;
+    delete v.parent;
+    assert.deepEqual(mod.encode(v), t.toBuffer(v));
+    assert(mod.isValid(v));
+  });
+
+  test('logical types', () => {
+    let t = Type.forSchema({
+      type: 'long',
+      logicalType: 'timestamp-millis'
+    }, {standardLogicalTypes: true});
+    let mod = loadModule(codegen.generateModule(t));
+    let buf = t.toBuffer(new Date(1000));
+    assert.equal(mod.decode(buf), 1000);
+    assert.deepEqual(mod.encode(1000), buf);
+  });
+
+  test('invalid values', () => {
+    let mod = loadModule(codegen.generateModule(schema));
+    assert.throws(() => {
+      mod.encode(Object.assign({}, val, {count: 1.5}));
+    }, /invalid int: 1.5/);
+    assert.throws(() => { mod.encode(null); }, /invalid test.Event: null/);
+    let buf = mod.encode(val);
+    assert.throws(() => { mod.decode(buf.slice(0, 5)); }, /truncated/);
+    assert.throws(() => {
+      mod.decode(Buffer.concat([buf, utils.bufferFrom([0])]));
+    }, /trailing/);
+  });
+
+  test('large values', () => {
+    let t = Type.forSchema({type: 'array', items: 'string'});
+    let mod = loadModule(codegen.generateModule(t));
+    let v = ['a'.repeat(3000), 'b'];
+    assert.deepEqual(mod.encode(v), t.toBuffer(v));
+  });
+
+});
+
+/** Evaluate a generated module's source. */
+function loadModule(src) {
+  let mod = {exports: {}};
+  // eslint-disable-next-line no-new-func
+  new Function('module', src)(mod);
+  return mod.exports;
+}
@@ -124,6 +124,56 @@ suite('containers', () => {
         encoder.write('hi');
       });
 
+      test('json', (cb) => {
+        let t = Type.forSchema(['string', 'double', 'bytes']);
+        let chunks = [];
+        let encoder = new RawEncoder(t, {json: true})
+          .on('data', (chunk) => { chunks.push(chunk); })
+          .on('end', () => {
+            assert.equal(
+              Buffer.concat(chunks).toString(),
+              '{"string":"a"}\n{"double":"NaN"}\n{"bytes":"\\u0000ÿ"}\n'
+            );
+            cb();
+          });
+        encoder.write('a');
+        encoder.write(NaN);
+        encoder.end(utils.bufferFrom([0, 255]));
+      });
+
+      test('fill defaults', (cb) => {
+        let t = Type.forSchema({
+          type: 'record',
+          name: 'Outer',
+          fields: [
+            {name: 'id', type: 'int'},
+            {
+              name: 'inner',
+              type: {
+                type: 'record',
+                name: 'Inner',
+                fields: [{name: 'n', type: 'int', 'default': 3}]
+              }
+            }
+          ]
+        });
+        let chunks = [];
+        let encoder = new RawEncoder(t, {fillDefaults: true})
+          .on('data', (chunk) => { chunks.push(chunk); })
+          .on('end', () => {
+            assert.deepEqual(Buffer.concat(chunks), utils.bufferFrom([2, 6]));
+            cb();
+          });
+        encoder.end({id: 1});
+      });
+
+      test('json invalid object', (cb) => {
+        let t = Type.forSchema('int');
+        let encoder = new RawEncoder(t, {json: true})
+          .on('error', () => { cb(); });
+        encoder.write('hi');
+      });
+
     });
 
     suite('RawDecoder', () => {
@@ -173,6 +223,24 @@ suite('containers', () => {
         decoder.end(bufs[1]);
       });
 
+      test('reader type', (cb) => {
+        let t = Type.forSchema({
+          type: 'record',
+          name: 'Point',
+          fields: [{name: 'x', type: 'int'}, {name: 'y', type: 'string'}]
+        });
+        let objs = [];
+        let p = t.createProjection(['y']);
+        let decoder = new RawDecoder(t, {readerSchema: p})
+          .on('data', (obj) => { objs.push(obj); })
+          .on('end', () => {
+            assert.deepEqual(objs, [{y: 'a'}, {y: 'b'}]);
+            cb();
+          });
+        decoder.write(t.toBuffer({x: 1, y: 'a'}));
+        decoder.end(t.toBuffer({x: 2, y: 'b'}));
+      });
+
       test('write partial', (cb) => {
         let t = Type.forSchema('bytes');
         let objs = [];
@@ -201,6 +269,119 @@ suite('containers', () => {
         }, 50);
       });
 
+      test('json', (cb) => {
+        let t = Type.forSchema({
+          type: 'record',
+          name: 'Point',
+          fields: [
+            {name: 'x', type: 'long'},
+            {name: 'tag', type: ['null', 'string']}
+          ]
+        });
+        let objs = [];
+        let decoder = new RawDecoder(t, {json: true})
+          .on('data', (obj) => { objs.push(obj); })
+          .on('end', () => {
+            assert.deepEqual(objs, [
+              {x: 1, tag: null},
+              {x: 23, tag: 'a\n{'},
+              {x: -4, tag: null}
+            ]);
+            cb();
+          });
+        decoder.write(utils.bufferFrom('{"x": 1, "tag": null}\n{"x": 2'));
+        decoder.write(utils.bufferFrom('3, "tag": {"string": "a\\n{"}}\n'));
+        decoder.end(utils.bufferFrom('{\n  "x": -4,\n  "tag": null\n}\n\n'));
+      });
+
+      test('json numbers across chunks', (cb) => {
+        let t = Type.forSchema('int');
+        let objs = [];
+        let decoder = new RawDecoder(t, {json: true})
+          .on('data', (obj) => { objs.push(obj); })
+          .on('end', () => {
+            assert.deepEqual(objs, [12, 345]);
+            cb();
+          });
+        decoder.write(utils.bufferFrom('1'));
+        decoder.write(utils.bufferFrom('2 3'));
+        decoder.end(utils.bufferFrom('45'));
+      });
+
+      test('json no decoding', (cb) => {
+        let t = Type.forSchema('string');
+        let objs = [];
+        let decoder = new RawDecoder(t, {json: true, noDecode: true})
+          .on('data', (obj) => { objs.push(obj.toString()); })
+          .on('end', () => {
+            assert.deepEqual(objs, ['"a"', '"b"']);
+            cb();
+          });
+        decoder.end(utils.bufferFrom('"a"\n"b"\n'));
+      });
+
+      test('json truncated', (cb) => {
+        let t = Type.forSchema({type: 'array', items: 'int'});
+        new RawDecoder(t, {json: true})
+          .on('data', () => { assert(false); })
+          .on('error', (err) => {
+            assert(/truncated/.test(err.message));
+            cb();
+          })
+          .end(utils.bufferFrom('[1, 2'));
+      });
+
+      test('json invalid', (cb) => {
+        let t = Type.forSchema('int');
+        new RawDecoder(t, {json: true})
+          .on('data', () => { assert(false); })
+          .on('error', () => { cb(); })
+          .end(utils.bufferFrom('"a"'));
+      });
+
+      test('json invalid releases write', (cb) => {
+        let t = Type.forSchema('int');
+        let decoder = new RawDecoder(t, {json: true})
+          .on('data', () => {})
+          .on('error', () => {});
+        decoder.write(utils.bufferFrom('1 "a" 2'), (err) => {
+          assert(/invalid/.test(err.message));
+          cb();
+        });
+      });
+
+      test('limits', (cb) => {
+        let t = Type.forSchema('string');
+        // The total only applies to each value, so the second one is fine.
+        let limits = {maxStringLength: 3, maxTotalBytes: 3};
+        new RawDecoder(t, {limits})
+          .on('data', () => {})
+          .on('error', (err) => {
+            assert(err instanceof utils.LimitExceededError);
+            assert.deepEqual([err.limit, err.value], ['maxStringLength', 4]);
+            cb();
+          })
+          .end(Buffer.concat(['abc', 'de', 'fghi'].map((s) => {
+            return t.toBuffer(s);
+          })));
+      });
+
+      test('noCopy', (cb) => {
+        let t = Type.forSchema('bytes');
+        let bufs = [];
+        new RawDecoder(t, {noCopy: true})
+          .on('data', (buf) => { bufs.push(buf); })
+          .on('end', () => {
+            assert.deepEqual(bufs, [
+              utils.bufferFrom([1]),
+              utils.bufferFrom([2, 3])
+            ]);
+            assert.equal(bufs[0].buffer, bufs[1].buffer);
+            cb();
+          })
+          .end(utils.bufferFrom([2, 1, 4, 2, 3]));
+      });
+
     });
 
     suite('BlockEncoder', () => {
@@ -304,6 +485,61 @@ suite('containers', () => {
         }
       });
 
+      test('rewrite overflowing value', (cb) => {
+        let n = 0;
+        class GrowingType extends builtins.LogicalType {
+          _fromValue (val) { return val; }
+          _toValue () { return 'a'.repeat(++n); } // Larger on each call.
+        }
+        let t = Type.forSchema(
+          {type: 'string', logicalType: 'growing'},
+          {logicalTypes: {growing: GrowingType}}
+        );
+        let vals = [];
+        let encoder = new BlockEncoder(t, {blockSize: 4});
+        encoder.pipe(new streams.BlockDecoder())
+          .on('data', (val) => { vals.push(val); })
+          .on('end', () => {
+            // The second value doesn't fit in the first block, so it is
+            // written again (and converted again) in a new one.
+            assert.deepEqual(vals, ['a', 'aaa']);
+            cb();
+          });
+        encoder.write('');
+        encoder.end('');
+      });
+
+      test('write error', (cb) => {
+        let n = 0;
+        class FlakyType extends builtins.LogicalType {
+          _fromValue (val) { return val; }
+          _toValue (any) {
+            if (n++ === 0) {
+              throw new Error('flaky');
+            }
+            return any;
+          }
+        }
+        let t = Type.forSchema(
+          {type: 'int', logicalType: 'flaky'},
+          {logicalTypes: {flaky: FlakyType}}
+        );
+        let errs = [];
+        let vals = [];
+        let encoder = new BlockEncoder(t)
+          .removeAllListeners('typeError')
+          .on('typeError', (err) => { errs.push(err.message); });
+        encoder.pipe(new streams.BlockDecoder())
+          .on('data', (val) => { vals.push(val); })
+          .on('end', () => {
+            assert.deepEqual(errs, ['flaky']);
+            assert.deepEqual(vals, [2]);
+            cb();
+          });
+        encoder.write(1);
+        encoder.end(2);
+      });
+
       test('flush when full', (cb) => {
         let chunks = [];
         let encoder = new BlockEncoder(Type.forSchema('int'), {
@@ -497,6 +733,59 @@ suite('containers', () => {
         ).toBuffer());
       });
 
+      test('corrupt data location', (cb) => {
+        let type = Type.forSchema({
+          type: 'record',
+          name: 'Tags',
+          fields: [{name: 'tags', type: {type: 'array', items: 'string'}}]
+        });
+        let header = new Header(
+          MAGIC_BYTES,
+          {'avro.schema': utils.bufferFrom(JSON.stringify(type.schema()))},
+          SYNC
+        ).toBuffer();
+        let block = new Block(1, type.toBuffer({tags: ['a']}), SYNC).toBuffer();
+        let decoder = new BlockDecoder()
+          .on('data', () => {})
+          .on('error', (err) => {
+            assert(err instanceof utils.DecodeError);
+            assert.equal(err.path, 'tags[1]');
+            assert.equal(err.offset, 3);
+            assert.equal(err.blockIndex, 1);
+            assert.equal(err.fileOffset, header.length + block.length);
+            cb();
+          });
+        decoder.write(header);
+        decoder.write(block);
+        decoder.end(new Block(
+          1,
+          utils.bufferFrom([4, 2, 0x61, 77]), // Negative string length.
+          SYNC
+        ).toBuffer());
+      });
+
+      test('limits', (cb) => {
+        let type = Type.forSchema({type: 'array', items: 'int'});
+        let decoder = new BlockDecoder({limits: {maxItems: 2}})
+          .on('data', () => {})
+          .on('error', (err) => {
+            assert(err instanceof utils.LimitExceededError);
+            assert.deepEqual([err.limit, err.value], ['maxItems', 3]);
+            cb();
+          });
+        let header = new Header(
+          MAGIC_BYTES,
+          {'avro.schema': utils.bufferFrom(JSON.stringify(type.schema()))},
+          SYNC
+        );
+        decoder.write(header.toBuffer());
+        decoder.end(new Block(
+          2,
+          Buffer.concat([type.toBuffer([1, 2]), type.toBuffer([1, 2, 3])]),
+          SYNC
+        ).toBuffer());
+      });
+
     });
 
   });
@@ -713,6 +1002,35 @@ suite('containers', () => {
       encoder.end();
     });
 
+    test('projection', (cb) => {
+      let t = Type.forSchema({
+        name: 'Person',
+        type: 'record',
+        fields: [
+          {name: 'name', type: 'string'},
+          {name: 'friends', type: {type: 'array', items: 'Person'}}
+        ]
+      });
+      let persons = [];
+      let encoder = new streams.BlockEncoder(t);
+      let decoder = new streams.BlockDecoder({
+        readerSchema: t.createProjection(['friends[].name'])
+      }).on('data', (val) => { persons.push(val); })
+        .on('end', () => {
+          // Recursive records are projected once, so the union of their
+          // selected fields is decoded at all levels.
+          assert.deepEqual(persons, [
+            {name: 'Ann', friends: [{name: 'Bob', friends: []}]},
+            {name: 'Jane', friends: []}
+          ]);
+          cb();
+        });
+      encoder.pipe(decoder);
+      encoder.write({name: 'Ann', friends: [{name: 'Bob', friends: []}]});
+      encoder.write({name: 'Jane', friends: []});
+      encoder.end();
+    });
+
     test('ignore serialization error', (cb) => {
       let data = [];
       let numErrs = 0;
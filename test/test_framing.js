@@ -0,0 +1,285 @@
+'use strict';
+
+let framing = require('../lib/framing'),
+    types = require('../lib/types'),
+    utils = require('../lib/utils'),
+    assert = require('assert'),
+    buffer = require('buffer');
+
+
+let Buffer = buffer.Buffer;
+let Type = types.Type;
+
+suite('framing', () => {
+
+  let v1 = Type.forSchema({
+    type: 'record',
+    name: 'Event',
+    fields: [{name: 'id', type: 'int'}]
+  });
+
+  let v2 = Type.forSchema({
+    type: 'record',
+    name: 'Event',
+    fields: [
+      {name: 'id', type: 'long'},
+      {name: 'source', type: 'string', 'default': 'unknown'}
+    ]
+  });
+
+  suite('single object', () => {
+
+    test('roundtrip', () => {
+      let buf = v1.toSingleObject({id: 3});
+      assert.deepEqual(
+        buf,
+        Buffer.concat([
+          utils.bufferFrom([0xc3, 0x01]),
+          v1.fingerprint('CRC-64-AVRO'),
+          utils.bufferFrom([6])
+        ])
+      );
+      assert.deepEqual(v1.fromSingleObject(buf), {id: 3});
+    });
+
+    test('fingerprint mismatch', () => {
+      let buf = v1.toSingleObject({id: 3});
+      assert.throws(() => { v2.fromSingleObject(buf); }, /mismatch/);
+    });
+
+    test('invalid header', () => {
+      assert.throws(() => {
+        v1.fromSingleObject(utils.bufferFrom([0xc3, 0x02, 0, 0]));
+      }, /invalid single-object header/);
+      let buf = v1.toSingleObject({id: 3});
+      buf[0] = 0;
+      assert.throws(() => { v1.fromSingleObject(buf); }, /header/);
+    });
+
+  });
+
+  suite('SingleObjectDecoder', () => {
+
+    let SingleObjectDecoder = framing.SingleObjectDecoder;
+
+    test('same schema', () => {
+      let decoder = new SingleObjectDecoder(v1, {});
+      assert.deepEqual(decoder.decode(v1.toSingleObject({id: 1})), {id: 1});
+    });
+
+    test('resolve from map', () => {
+      let store = new Map();
+      let decoder = new SingleObjectDecoder(v2, store);
+      let buf = v1.toSingleObject({id: 2});
+      assert.throws(() => { decoder.decode(buf); }, /unknown fingerprint/);
+      store.set(v1.fingerprint('rabin').toString('hex'), v1.schema());
+      assert.deepEqual(decoder.decode(buf), {id: 2, source: 'unknown'});
+      store.clear(); // Resolvers are cached.
+      assert.deepEqual(decoder.decode(buf), {id: 2, source: 'unknown'});
+    });
+
+    test('resolve from object', () => {
+      let store = {};
+      store[v1.fingerprint('rabin').toString('hex')] = v1;
+      let schema = v2.schema({exportAttrs: true});
+      let decoder = new SingleObjectDecoder(schema, store);
+      assert.deepEqual(
+        decoder.decode(v1.toSingleObject({id: 5})),
+        {id: 5, source: 'unknown'}
+      );
+      assert.throws(() => {
+        decoder.decode(utils.bufferFrom('c3010000000000000000', 'hex'));
+      }, /unknown fingerprint: 0000000000000000/);
+    });
+
+    test('incompatible schema', () => {
+      let store = {};
+      store[v2.fingerprint('rabin').toString('hex')] = v2;
+      let decoder = new SingleObjectDecoder(v1, store);
+      let buf = v2.toSingleObject({id: 5, source: 'a'});
+      assert.throws(() => { decoder.decode(buf); });
+    });
+
+    test('invalid store', () => {
+      assert.throws(() => { new SingleObjectDecoder(v1); });
+    });
+
+  });
+
+  suite('registry', () => {
+
+    let MemoryRegistry = framing.MemoryRegistry;
+    let RegistryDeserializer = framing.RegistryDeserializer;
+    let RegistrySerializer = framing.RegistrySerializer;
+
+    test('memory registry', (done) => {
+      let registry = new MemoryRegistry();
+      let id = registry.register(v1);
+      assert.equal(id, 1);
+      assert.equal(registry.register(v1.schema()), 1);
+      assert.equal(registry.register(v2), 2);
+      registry.getSchema(1, (err, str) => {
+        assert.ifError(err);
+        assert(Type.forSchema(JSON.parse(str)).equals(v1));
+        registry.getSchema(3, (err) => {
+          assert(/unknown schema id/.test(err.message));
+          done();
+        });
+      });
+    });
+
+    test('serialize', () => {
+      let serializer = new RegistrySerializer(v1, 258);
+      assert.deepEqual(
+        serializer.serialize({id: 1}),
+        utils.bufferFrom([0, 0, 0, 1, 2, 2])
+      );
+      assert.throws(() => { new RegistrySerializer(v1, -1); }, /invalid/);
+      assert.throws(() => { new RegistrySerializer(v1, 1.5); }, /invalid/);
+    });
+
+    test('deserialize with resolution', (done) => {
+      let registry = new MemoryRegistry();
+      let serializer = new RegistrySerializer(v1, registry.register(v1));
+      let numLookups = 0;
+      let deserializer = new RegistryDeserializer(v2, (id, cb) => {
+        numLookups++;
+        registry.getSchema(id, cb);
+      });
+      let buf = serializer.serialize({id: 3});
+      let n = 3;
+      for (let i = 0; i < n; i++) {
+        deserializer.deserialize(buf, onValue); // Concurrent lookups.
+      }
+
+      function onValue(err, val) {
+        assert.ifError(err);
+        assert.deepEqual(val, {id: 3, source: 'unknown'});
+        if (--n) {
+          return;
+        }
+        assert.equal(numLookups, 1);
+        // Cached entries are also used asynchronously.
+        let sync = true;
+        deserializer.deserialize(buf, (err, val) => {
+          assert.ifError(err);
+          assert.deepEqual(val, {id: 3, source: 'unknown'});
+          assert(!sync);
+          assert.equal(numLookups, 1);
+          done();
+        });
+        sync = false;
+      }
+    });
+
+    [false, true].forEach((usePromise) => {
+      let desc = usePromise ? 'promise' : 'callback';
+      test(`deserialize throwing callback with ${desc} lookup`, (done) => {
+        let deserializer = new RegistryDeserializer(v1, (id, cb) => {
+          if (usePromise) {
+            return Promise.resolve(v1.schema());
+          }
+          cb(null, v1.schema());
+        });
+        let buf = new RegistrySerializer(v1, 1).serialize({id: 5});
+        // We temporarily replace mocha's handler to catch the exception.
+        let listeners = process.listeners('uncaughtException');
+        process.removeAllListeners('uncaughtException');
+        let errs = [];
+        let vals = [];
+        process.on('uncaughtException', onException);
+        for (let i = 0; i < 3; i++) {
+          deserializer.deserialize(buf, (err, val) => {
+            assert.ifError(err);
+            if (!vals.length) {
+              vals.push(val);
+              throw new Error('boom');
+            }
+            vals.push(val);
+            if (vals.length === 3) {
+              setImmediate(onDone);
+            }
+          });
+        }
+
+        function onException(err) { errs.push(err); }
+
+        function onDone() {
+          process.removeListener('uncaughtException', onException);
+          listeners.forEach((fn) => {
+            process.on('uncaughtException', fn);
+          });
+          assert.deepEqual(errs.map((err) => { return err.message; }), ['boom']);
+          assert.deepEqual(vals, [{id: 5}, {id: 5}, {id: 5}]);
+          done();
+        }
+      });
+    });
+
+    test('deserialize with writer type', (done) => {
+      let deserializer = new RegistryDeserializer(null, (id) => {
+        assert.equal(id, 7);
+        return Promise.resolve('"string"');
+      });
+      let buf = new RegistrySerializer('string', 7).serialize('hi');
+      deserializer.deserialize(buf, (err, val) => {
+        assert.ifError(err);
+        assert.equal(val, 'hi');
+        assert.strictEqual(deserializer.type, null);
+        done();
+      });
+    });
+
+    test('deserialize lookup errors', (done) => {
+      let fail = true;
+      let deserializer = new RegistryDeserializer(v1, (id, cb) => {
+        if (fail) {
+          fail = false;
+          cb(new Error('unavailable'));
+        } else {
+          cb(null, v1.schema());
+        }
+      });
+      let buf = new RegistrySerializer(v1, 1).serialize({id: 4});
+      deserializer.deserialize(buf, (err) => {
+        assert(/unavailable/.test(err.message));
+        // Errors aren't cached.
+        deserializer.deserialize(buf, (err, val) => {
+          assert.ifError(err);
+          assert.deepEqual(val, {id: 4});
+          done();
+        });
+      });
+    });
+
+    test('deserialize incompatible schema', (done) => {
+      let deserializer = new RegistryDeserializer(v1, (id, cb) => {
+        cb(null, 'string');
+      });
+      let buf = new RegistrySerializer('string', 1).serialize('a');
+      deserializer.deserialize(buf, (err) => {
+        assert(err);
+        done();
+      });
+    });
+
+    test('deserialize invalid header', (done) => {
+      let deserializer = new RegistryDeserializer(v1, () => {
+        assert(false); // Shouldn't be called.
+      });
+      deserializer.deserialize(utils.bufferFrom([1, 0, 0, 0, 1]), (err) => {
+        assert(/invalid registry wire format header/.test(err.message));
+        deserializer.deserialize(utils.bufferFrom([0, 0]), (err) => {
+          assert(err);
+          done();
+        });
+      });
+    });
+
+    test('invalid lookup', () => {
+      assert.throws(() => { new RegistryDeserializer(v1, {}); });
+    });
+
+  });
+
+});
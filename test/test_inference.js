@@ -0,0 +1,175 @@
+'use strict';
+
+let inference = require('../lib/inference'),
+    types = require('../lib/types'),
+    utils = require('../lib/utils'),
+    assert = require('assert');
+
+
+let SchemaInferrer = inference.SchemaInferrer;
+let Type = types.Type;
+
+suite('inference', () => {
+
+  function infer(vals, opts) {
+    let inferrer = new SchemaInferrer(opts);
+    vals.forEach((val) => { inferrer.add(val); });
+    return inferrer.getSchema();
+  }
+
+  test('primitives', () => {
+    assert.equal(infer([1, 2]), 'int');
+    assert.equal(infer([1, 1e12]), 'long');
+    assert.equal(infer([1, 2.5]), 'double');
+    assert.equal(infer([true]), 'boolean');
+    assert.equal(infer([null]), 'null');
+    assert.equal(infer([utils.bufferFrom([1])]), 'bytes');
+    assert.deepEqual(infer([null, 'a b', 3]), ['null', 'int', 'string']);
+  });
+
+  test('no values', () => {
+    assert.throws(() => { infer([]); }, /no values/);
+  });
+
+  test('logical types', () => {
+    let opts = {inferLogicalTypes: true};
+    assert.deepEqual(
+      infer(['2024-02-03', '2023-12-31'], opts),
+      {type: 'int', logicalType: 'date'}
+    );
+    assert.deepEqual(
+      infer(['2024-02-03T10:00:00Z', '2024-02-03T10:00:00.123+02:00'], opts),
+      {type: 'long', logicalType: 'timestamp-millis'}
+    );
+    assert.deepEqual(
+      infer(['2024-02-03T10:00:00'], opts),
+      {type: 'long', logicalType: 'local-timestamp-millis'}
+    );
+    assert.deepEqual(
+      infer(['a1ed33e4-6ec9-4b64-9b9e-6f9e0e3f8a31'], opts),
+      {type: 'string', logicalType: 'uuid'}
+    );
+    // Mixed formats, invalid dates, or clashing numbers aren't detected.
+    assert.equal(
+      infer(['2024-02-03', '2024-02-03T10:00:00Z'], opts),
+      'string'
+    );
+    assert.equal(infer(['2024-13-45'], opts), 'string');
+    assert.deepEqual(infer([1, '2024-02-03'], opts), ['int', 'string']);
+    // Detection is opt-in.
+    assert.equal(infer(['2024-02-03', '2023-12-31']), 'string');
+  });
+
+  test('enums', () => {
+    assert.deepEqual(infer(['B', 'A', 'B', 'A']), {
+      type: 'enum',
+      name: 'Enum',
+      symbols: ['A', 'B']
+    });
+    assert.equal(infer(['A', 'B']), 'string'); // Not enough samples.
+    assert.equal(infer(['a b', 'a b']), 'string'); // Invalid symbols.
+    assert.equal(infer(['A', 'A'], {maxEnumSymbols: 0}), 'string');
+    let vals = [];
+    for (let i = 0; i < 40; i++) {
+      vals.push(`S${i % 20}`);
+    }
+    assert.equal(infer(vals), 'string'); // Too many symbols.
+  });
+
+  test('records', () => {
+    let schema = infer([
+      {id: 1, kind: 'A', tags: [], meta: {kind: 'X'}},
+      {id: 2, kind: 'A', tags: ['a'], meta: {kind: 'X'}, extra: null},
+      {id: 3, kind: 'B', meta: {kind: 'Y'}, extra: 'e'},
+      {id: 4, kind: 'B', tags: [], meta: {kind: 'Y'}}
+    ]);
+    assert.deepEqual(schema, {
+      type: 'record',
+      fields: [
+        {name: 'id', type: 'int'},
+        {name: 'kind', type: {type: 'enum', name: 'Kind', symbols: ['A', 'B']}},
+        {
+          name: 'tags',
+          type: ['null', {type: 'array', items: 'string'}],
+          'default': null
+        },
+        {
+          name: 'meta',
+          type: {
+            type: 'record',
+            fields: [
+              {
+                name: 'kind',
+                type: {type: 'enum', name: 'Kind1', symbols: ['X', 'Y']}
+              }
+            ]
+          }
+        },
+        {name: 'extra', type: ['null', 'string'], 'default': null}
+      ]
+    });
+  });
+
+  test('maps', () => {
+    assert.deepEqual(
+      infer([{'a-b': 1}, {'c': 2.5}]),
+      {type: 'map', values: 'double'}
+    );
+    assert.deepEqual(infer([[]]), {type: 'array', items: 'null'});
+  });
+
+  test('report', () => {
+    let inferrer = new SchemaInferrer({inferLogicalTypes: true});
+    assert.deepEqual(
+      inferrer.getReport(),
+      {count: 0, confidence: 1, decisions: []}
+    );
+    inferrer
+      .add({day: '2024-01-01', kind: 'A'})
+      .add({day: '2024-01-02', kind: 'A'})
+      .add({day: '2024-01-03', kind: 'A', note: 'hi'});
+    assert.deepEqual(inferrer.getReport(), {
+      count: 3,
+      confidence: 1 - 1 / 3,
+      decisions: [
+        {path: 'day', kind: 'date', confidence: 0.75},
+        {path: 'kind', kind: 'enum', confidence: 1 - 1 / 3},
+        {path: 'note', kind: 'optional', confidence: 1}
+      ]
+    });
+  });
+
+  test('invalid value', () => {
+    let inferrer = new SchemaInferrer();
+    assert.throws(() => { inferrer.add(() => {}); }, /cannot infer/);
+  });
+
+  test('forValues', () => {
+    let vals = [
+      {at: '2024-02-03T10:00:00Z', id: 'a1ed33e4-6ec9-4b64-9b9e-6f9e0e3f8a31'},
+      {at: '2024-02-04T10:00:00', id: 'b1ed33e4-6ec9-4b64-9b9e-6f9e0e3f8a31'},
+      {at: '2024-02-05', id: 'c1ed33e4-6ec9-4b64-9b9e-6f9e0e3f8a31'},
+      {at: '2024-02-06T10:00:00.5+01:00', id: 'other'}
+    ];
+    let type = Type.forValues(vals);
+    vals.forEach((val) => { assert(type.isValid(val)); });
+    vals = vals.slice(0, 1).concat({
+      at: '2024-02-04T10:00:00Z',
+      id: 'b1ed33e4-6ec9-4b64-9b9e-6f9e0e3f8a31'
+    });
+    type = Type.forValues(vals, {inferLogicalTypes: true});
+    assert(Type.isType(type.field('at').type, 'logical:timestamp-millis'));
+    assert(Type.isType(type.field('id').type, 'logical:uuid'));
+    let val = {at: new Date(vals[0].at), id: vals[0].id};
+    assert.deepEqual(type.fromBuffer(type.toBuffer(val)), val);
+    // Custom logical types don't turn on detection.
+    class UpperCaseType extends types.builtins.LogicalType {
+      _fromValue (val) { return val.toUpperCase(); }
+      _toValue (val) { return val; }
+    }
+    type = Type.forValues(vals, {logicalTypes: {upper: UpperCaseType}});
+    assert(Type.isType(type.field('at').type, 'string'));
+    vals.forEach((val) => { assert(type.isValid(val)); });
+  });
+
+});
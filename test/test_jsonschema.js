@@ -0,0 +1,456 @@
+'use strict';
+
+let jsonschema = require('../lib/jsonschema'),
+    types = require('../lib/types'),
+    utils = require('../lib/utils'),
+    assert = require('assert');
+
+
+let Type = types.Type;
+
+suite('jsonschema', () => {
+
+  suite('toJSONSchema', () => {
+
+    test('primitives', () => {
+      assert.deepEqual(Type.forSchema('int').toJSONSchema(), {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        type: 'integer',
+        minimum: -2147483648,
+        maximum: 2147483647
+      });
+      assert.deepEqual(
+        getSchema(Type.forSchema('bytes')),
+        {type: 'string', format: 'binary'}
+      );
+      assert.deepEqual(getSchema(Type.forSchema('long')), {type: 'integer'});
+    });
+
+    test('record', () => {
+      let type = Type.forSchema({
+        type: 'record',
+        name: 'a.User',
+        doc: 'A user.',
+        fields: [
+          {name: 'id', type: 'long'},
+          {name: 'name', type: 'string', 'default': 'x', doc: 'Name.'},
+          {
+            name: 'kind',
+            type: {type: 'enum', name: 'Kind', symbols: ['A', 'B']}
+          },
+          {name: 'friends', type: {type: 'array', items: 'User'}}
+        ]
+      });
+      assert.deepEqual(type.toJSONSchema(), {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $ref: '#/$defs/a.User',
+        $defs: {
+          'a.User': {
+            title: 'a.User',
+            description: 'A user.',
+            type: 'object',
+            properties: {
+              id: {type: 'integer'},
+              name: {type: 'string', description: 'Name.', 'default': 'x'},
+              kind: {$ref: '#/$defs/a.Kind'},
+              friends: {type: 'array', items: {$ref: '#/$defs/a.User'}}
+            },
+            required: ['id', 'kind', 'friends'],
+            additionalProperties: false
+          },
+          'a.Kind': {title: 'a.Kind', type: 'string', 'enum': ['A', 'B']}
+        }
+      });
+    });
+
+    test('unwrapped union', () => {
+      let type = Type.forSchema(['null', 'int']);
+      assert.deepEqual(getSchema(type), {
+        oneOf: [
+          {type: 'null'},
+          {type: 'integer', minimum: -2147483648, maximum: 2147483647}
+        ]
+      });
+    });
+
+    test('wrapped union', () => {
+      let type = Type.forSchema(['null', 'string'], {wrapUnions: true});
+      assert.deepEqual(getSchema(type), {
+        oneOf: [
+          {type: 'null'},
+          {
+            type: 'object',
+            properties: {string: {type: 'string'}},
+            required: ['string'],
+            additionalProperties: false
+          }
+        ]
+      });
+    });
+
+    test('map and fixed', () => {
+      let type = Type.forSchema({
+        type: 'map',
+        values: {type: 'fixed', name: 'Id', size: 3}
+      });
+      assert.deepEqual(type.toJSONSchema().$defs, {
+        Id: {
+          title: 'Id',
+          type: 'string',
+          format: 'binary',
+          minLength: 3,
+          maxLength: 3
+        }
+      });
+      assert.deepEqual(
+        getSchema(type).additionalProperties,
+        {$ref: '#/$defs/Id'}
+      );
+    });
+
+    test('logical types', () => {
+      let opts = {standardLogicalTypes: true};
+      let type = Type.forSchema({type: 'string', logicalType: 'uuid'}, opts);
+      assert.deepEqual(getSchema(type), {type: 'string', format: 'uuid'});
+      type = Type.forSchema({type: 'int', logicalType: 'date'}, opts);
+      assert.equal(getSchema(type).type, 'integer');
+    });
+
+    test('defaults match string representation', () => {
+      let type = Type.forSchema({
+        type: 'record',
+        name: 'Data',
+        fields: [{name: 'b', type: 'bytes', 'default': 'ÿ'}]
+      });
+      let doc = type.toJSONSchema();
+      assert.deepEqual(
+        type.field('b').defaultValue(),
+        utils.bufferFrom([255])
+      );
+      assert.equal(doc.$defs.Data.properties.b['default'], 'ÿ');
+    });
+
+    [false, true].forEach((wrapUnions) => {
+      let desc = wrapUnions ? 'wrapped' : 'unwrapped';
+      test(`defaults are valid with ${desc} unions`, () => {
+        let type = Type.forSchema({
+          type: 'record',
+          name: 'Data',
+          fields: [
+            {name: 'a', type: ['string', 'null'], 'default': 'x'},
+            {name: 'b', type: ['null', 'string'], 'default': null},
+            {
+              name: 'c',
+              type: {type: 'array', items: ['bytes', 'null']},
+              'default': ['ÿ']
+            },
+            {
+              name: 'd',
+              type: {type: 'map', values: ['int', 'string']},
+              'default': {one: 1}
+            },
+            {
+              name: 'e',
+              type: {
+                type: 'record',
+                name: 'Inner',
+                fields: [
+                  {name: 'f', type: {type: 'fixed', name: 'Id', size: 2}},
+                  {name: 'g', type: ['long', 'null'], 'default': 3}
+                ]
+              },
+              'default': {f: 'ab', g: 2}
+            },
+            {
+              name: 'h',
+              type: {type: 'enum', name: 'Kind', symbols: ['A', 'B']},
+              'default': 'B'
+            },
+            {
+              name: 'i',
+              type: {type: 'string', logicalType: 'uuid'},
+              'default': 'a1ed33e4-6ec9-4b64-9b9e-6f9e0e3f8a31'
+            }
+          ]
+        }, {wrapUnions, standardLogicalTypes: true});
+        let doc = type.toJSONSchema();
+        let properties = doc.$defs.Data.properties;
+        Object.keys(properties).forEach((name) => {
+          let schema = properties[name];
+          assert(isValid(schema, schema['default'], doc.$defs), name);
+        });
+        let schema = doc.$defs.Inner.properties.g;
+        assert(isValid(schema, schema['default'], doc.$defs));
+        assert.deepEqual(
+          properties.a['default'],
+          wrapUnions ? {string: 'x'} : 'x'
+        );
+      });
+    });
+
+  });
+
+  suite('fromJSONSchema', () => {
+
+    test('object', () => {
+      let type = Type.fromJSONSchema({
+        title: 'Person',
+        description: 'A person.',
+        type: 'object',
+        properties: {
+          name: {type: 'string', description: 'Full name.'},
+          age: {type: 'integer', minimum: 0, maximum: 200},
+          score: {type: 'number', 'default': 1.5},
+          tags: {type: 'array', items: {type: 'string'}},
+          address: {
+            type: 'object',
+            properties: {city: {type: 'string'}},
+            required: ['city']
+          }
+        },
+        required: ['name']
+      });
+      assert.deepEqual(type.schema({exportAttrs: true}), {
+        name: 'Person',
+        type: 'record',
+        doc: 'A person.',
+        fields: [
+          {name: 'name', type: 'string', doc: 'Full name.'},
+          {name: 'age', type: ['null', 'int'], 'default': null},
+          {name: 'score', type: 'double', 'default': 1.5},
+          {
+            name: 'tags',
+            type: ['null', {type: 'array', items: 'string'}],
+            'default': null
+          },
+          {
+            name: 'address',
+            type: [
+              'null',
+              {
+                name: 'Address',
+                type: 'record',
+                fields: [{name: 'city', type: 'string'}]
+              }
+            ],
+            'default': null
+          }
+        ]
+      });
+    });
+
+    test('enum, fixed, and formats', () => {
+      let schema = jsonschema.fromJSONSchema({
+        type: 'object',
+        properties: {
+          kind: {'enum': ['A', 'B']},
+          hash: {type: 'string', format: 'binary', minLength: 4, maxLength: 4},
+          data: {type: 'string', format: 'binary'},
+          id: {type: 'string', format: 'uuid'},
+          ratio: {type: 'number', format: 'float'},
+          count: {type: 'integer', format: 'int32'},
+          total: {type: 'integer'},
+          attrs: {type: 'object', additionalProperties: {type: 'boolean'}}
+        },
+        required: [
+          'kind', 'hash', 'data', 'id', 'ratio', 'count', 'total', 'attrs'
+        ]
+      });
+      assert.deepEqual(schema.fields.map((f) => { return f.type; }), [
+        {type: 'enum', name: 'Kind', symbols: ['A', 'B']},
+        {type: 'fixed', name: 'Hash', size: 4},
+        'bytes',
+        {type: 'string', logicalType: 'uuid'},
+        'float',
+        'int',
+        'long',
+        {type: 'map', values: 'boolean'}
+      ]);
+      assert.equal(schema.name, 'Root');
+    });
+
+    test('unions', () => {
+      let type = Type.fromJSONSchema({
+        type: 'object',
+        properties: {
+          a: {type: ['string', 'null']},
+          b: {anyOf: [{type: 'integer'}, {oneOf: [{type: 'boolean'}]}]}
+        },
+        required: ['a', 'b']
+      });
+      assert.deepEqual(
+        type.fields.map((f) => { return f.type.schema(); }),
+        [['string', 'null'], ['long', 'boolean']]
+      );
+    });
+
+    test('references', () => {
+      let type = Type.fromJSONSchema({
+        $ref: '#/$defs/Node',
+        $defs: {
+          Node: {
+            type: 'object',
+            properties: {
+              value: {$ref: '#/$defs/Value'},
+              children: {type: 'array', items: {$ref: '#/$defs/Node'}}
+            },
+            required: ['value', 'children']
+          },
+          Value: {type: 'string'}
+        }
+      });
+      assert.equal(type.name, 'Node');
+      let val = {value: 'a', children: [{value: 'b', children: []}]};
+      assert(type.isValid(val));
+    });
+
+    test('recursive root reference', () => {
+      let type = Type.fromJSONSchema({
+        type: 'object',
+        properties: {next: {$ref: '#'}}
+      }, {namespace: 'list'});
+      assert.equal(type.name, 'list.Root');
+      assert(type.isValid({next: {next: null}}));
+    });
+
+    test('name collisions', () => {
+      let schema = jsonschema.fromJSONSchema({
+        type: 'object',
+        title: 'Item',
+        properties: {item: {type: 'object', properties: {}}},
+        required: ['item']
+      });
+      assert.equal(schema.fields[0].type.name, 'Item1');
+    });
+
+    test('roundtrip', () => {
+      let type = Type.forSchema({
+        type: 'record',
+        name: 'ns.Event',
+        fields: [
+          {name: 'id', type: 'int'},
+          {name: 'tag', type: ['null', 'string'], 'default': null},
+          {name: 'kind', type: {type: 'enum', name: 'Kind', symbols: ['X']}},
+          {name: 'hash', type: {type: 'fixed', name: 'Hash', size: 2}},
+          {name: 'parent', type: ['null', 'Event'], 'default': null},
+          {name: 'attrs', type: {type: 'map', values: 'Kind'}}
+        ]
+      });
+      assert(Type.fromJSONSchema(type.toJSONSchema()).equals(type));
+    });
+
+    test('unsupported constructs', () => {
+      assert.throws(() => {
+        Type.fromJSONSchema({allOf: [{type: 'string'}]});
+      }, /unsupported keyword at #: "allOf"/);
+      assert.throws(() => {
+        Type.fromJSONSchema({type: 'object'});
+      }, /unsupported free-form object at #/);
+      assert.throws(() => {
+        Type.fromJSONSchema({
+          type: 'object',
+          properties: {a: {type: 'object', properties: {}}},
+          additionalProperties: {type: 'string'}
+        });
+      }, /unsupported additionalProperties alongside properties at #/);
+      assert.throws(() => {
+        Type.fromJSONSchema({
+          type: 'object',
+          properties: {'a-b': {type: 'string'}}
+        });
+      }, /invalid field name at #\/properties\/a-b/);
+      assert.throws(() => {
+        Type.fromJSONSchema({'enum': ['a b']});
+      }, /unsupported enum symbols/);
+      assert.throws(() => {
+        Type.fromJSONSchema({type: 'integer', 'enum': [1, 2]});
+      }, /unsupported non-string enum/);
+      assert.throws(() => {
+        Type.fromJSONSchema({$ref: 'http://example.com/schema'});
+      }, /unsupported reference/);
+      assert.throws(() => {
+        Type.fromJSONSchema({$ref: '#/$defs/Missing'});
+      }, /missing reference/);
+      assert.throws(() => {
+        Type.fromJSONSchema({
+          $ref: '#/$defs/A',
+          $defs: {A: {type: 'array', items: {$ref: '#/$defs/A'}}}
+        });
+      }, /unsupported recursive reference/);
+      assert.throws(() => {
+        Type.fromJSONSchema({description: 'anything'});
+      }, /missing type at #/);
+      assert.throws(() => {
+        Type.fromJSONSchema({type: 'array', items: true});
+      }, /unsupported items/);
+    });
+
+  });
+
+});
+
+function getSchema(type) {
+  let doc = type.toJSONSchema();
+  delete doc.$schema;
+  delete doc.$defs;
+  return doc;
+}
+
+/**
+ * Check a value against a JSON schema, only supporting generated keywords.
+ */
+function isValid(schema, val, defs) {
+  if (schema.$ref) {
+    return isValid(defs[schema.$ref.slice('#/$defs/'.length)], val, defs);
+  }
+  if (schema.oneOf) {
+    return schema.oneOf.filter((s) => {
+      return isValid(s, val, defs);
+    }).length === 1;
+  }
+  if (schema['enum'] && schema['enum'].indexOf(val) < 0) {
+    return false;
+  }
+  switch (schema.type) {
+    case 'null':
+      return val === null;
+    case 'boolean':
+      return typeof val == 'boolean';
+    case 'string':
+      return (
+        typeof val == 'string' &&
+        !(val.length < schema.minLength) &&
+        !(val.length > schema.maxLength)
+      );
+    case 'integer':
+      return (
+        Number.isInteger(val) &&
+        !(val < schema.minimum) &&
+        !(val > schema.maximum)
+      );
+    case 'number':
+      return typeof val == 'number';
+    case 'array':
+      return Array.isArray(val) && val.every((item) => {
+        return isValid(schema.items, item, defs);
+      });
+    case 'object': {
+      if (!val || typeof val != 'object' || Array.isArray(val)) {
+        return false;
+      }
+      let properties = schema.properties || {};
+      let additional = schema.additionalProperties;
+      return (schema.required || []).every((key) => {
+        return val[key] !== undefined;
+      }) && Object.keys(val).every((key) => {
+        if (properties[key]) {
+          return isValid(properties[key], val[key], defs);
+        }
+        return additional !== false &&
+          (!additional || isValid(additional, val[key], defs));
+      });
+    }
+    default:
+      return true;
+  }
+}
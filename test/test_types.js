@@ -164,6 +164,161 @@ suite('types', () => {
       assert.throws(() => { builtins.LongType.__with(); });
     });
 
+    suite('bigint', () => {
+
+      let MAX = BigInt('9223372036854775807');
+      let MIN = BigInt('-9223372036854775808');
+
+      test('invalid option', () => {
+        assert.throws(() => { Type.forSchema('long', {longs: 'big'}); });
+      });
+
+      test('roundtrip', () => {
+        let t = Type.forSchema('long', {longs: 'bigint'});
+        assert.equal(t.typeName, 'long');
+        [MIN, BigInt(-1), BigInt(0), BigInt('9007199254740993'), MAX]
+          .forEach((n) => {
+            assert(t.isValid(n));
+            assert.strictEqual(t.fromBuffer(t.toBuffer(n)), n);
+            assert.strictEqual(t.fromString(t.toString(n)), n);
+            assert.strictEqual(t.clone(n), n);
+          });
+        assert.equal(t.toString(MAX), '9223372036854775807');
+        assert(t.isValid(t.random()));
+      });
+
+      test('numbers', () => {
+        let t = Type.forSchema('long', {longs: 'bigint'});
+        let n = 9007199254740991;
+        assert(t.isValid(n));
+        assert.strictEqual(t.fromBuffer(t.toBuffer(n)), BigInt(n));
+        assert.strictEqual(t.fromString('12'), BigInt(12));
+        assert(!t.isValid(n + 1));
+        assert(!t.isValid(1.5));
+        assert(!t.isValid(MAX + BigInt(1)));
+        assert(!t.isValid('1'));
+        assert.throws(() => { t.toBuffer(MIN - BigInt(1)); });
+      });
+
+      test('auto', () => {
+        let t = Type.forSchema('long', {longs: 'auto'});
+        let big = BigInt('1152921504606846976');
+        assert.strictEqual(t.fromBuffer(t.toBuffer(123)), 123);
+        assert.strictEqual(t.fromBuffer(t.toBuffer(BigInt(-5))), -5);
+        assert.strictEqual(t.fromBuffer(t.toBuffer(big)), big);
+        assert.strictEqual(
+          t.fromBuffer(t.toBuffer(9007199254740991)),
+          9007199254740991
+        );
+        let s = '-9007199254740992';
+        assert.strictEqual(t.fromString(s), BigInt(s));
+        assert.strictEqual(t.fromString('12'), 12);
+      });
+
+      test('compare', () => {
+        let t = Type.forSchema('long', {longs: 'auto'});
+        assert.equal(t.compare(BigInt(2), 2), 0);
+        assert.equal(t.compare(MIN, -1), -1);
+        assert.equal(t.compare(3, BigInt(1)), 1);
+        assert.equal(t.compareBuffers(t.toBuffer(MAX), t.toBuffer(MIN)), 1);
+        assert.equal(t.compareBuffers(t.toBuffer(MIN), t.toBuffer(MIN)), 0);
+      });
+
+      test('resolve', () => {
+        let t = Type.forSchema('long', {longs: 'bigint'});
+        let intType = Type.forSchema('int');
+        let doubleType = Type.forSchema('double');
+        let buf = intType.toBuffer(-12);
+        assert.strictEqual(
+          t.fromBuffer(buf, t.createResolver(intType)),
+          BigInt(-12)
+        );
+        buf = t.toBuffer(MAX);
+        assert.equal(
+          doubleType.fromBuffer(buf, doubleType.createResolver(t)),
+          Number(MAX)
+        );
+        assert.throws(() => {
+          Type.forSchema('long').fromBuffer(buf);
+        }, /precision loss/);
+      });
+
+      test('record and union', () => {
+        let t = Type.forSchema({
+          type: 'record',
+          name: 'Person',
+          fields: [
+            {name: 'id', type: 'long', default: 1},
+            {name: 'count', type: ['null', 'long']}
+          ]
+        }, {longs: 'bigint'});
+        let val = {id: MAX, count: BigInt(3)};
+        assert.deepEqual(t.fromBuffer(t.toBuffer(val)), val);
+        assert.equal(
+          t.toString(val),
+          '{"id":9223372036854775807,"count":{"long":3}}'
+        );
+        assert.deepEqual(t.fromString(t.toString(val)), val);
+        assert.deepEqual(t.fields[0].defaultValue(), BigInt(1));
+      });
+
+      test('fromString double', () => {
+        let t = Type.forSchema('double');
+        assert.strictEqual(
+          t.fromString('12345678901234567890'),
+          1.2345678901234567e19
+        );
+      });
+
+      test('fromString abstract long', () => {
+        let vals = [];
+        let longType = builtins.LongType.__with({
+          fromBuffer: function (buf) { return buf.readDoubleLE(); },
+          toBuffer: function (n) {
+            let buf = utils.newBuffer(8);
+            buf.writeDoubleLE(n);
+            return buf;
+          },
+          fromJSON: function (any) {
+            vals.push(any);
+            return any;
+          },
+          toJSON: function (n) { return n; },
+          isValid: function (n) { return typeof n == 'number'; },
+          compare: utils.compare
+        });
+        let t = Type.forSchema({type: 'array', items: 'long'}, {
+          registry: {long: longType}
+        });
+        assert.deepEqual(
+          t.fromString('[12345678901234567890]'),
+          [1.2345678901234567e19]
+        );
+        assert.strictEqual(typeof vals[0], 'number');
+      });
+
+      test('timestamp', () => {
+        let t = Type.forSchema(
+          {type: 'long', logicalType: 'timestamp-millis'},
+          {longs: 'bigint', standardLogicalTypes: true}
+        );
+        let date = new Date(1600000000000);
+        assert.deepEqual(t.fromBuffer(t.toBuffer(date)), date);
+      });
+
+      test('infer', () => {
+        let t = Type.forValue({id: BigInt(1), n: 2});
+        assert.deepEqual(
+          t.schema().fields.map((f) => { return f.type; }),
+          ['long', 'int']
+        );
+        assert.strictEqual(t.fromBuffer(t.toBuffer({id: MAX, n: 2})).id, MAX);
+        t = Type.forValue(BigInt(1), {longs: 'auto'});
+        assert.strictEqual(t.fromBuffer(t.toBuffer(BigInt(2))), 2);
+      });
+
+    });
+
   });
 
   suite('StringType', () => {
@@ -2464,6 +2619,247 @@ suite('types', () => {
       assert.strictEqual(v.toBuffer, undefined);
     });
 
+    test('no codegen', () => {
+      let schema = {
+        type: 'error',
+        name: 'Failure',
+        fields: [
+          {name: 'code', type: 'int', 'default': 7},
+          {name: 'stack', type: 'string'},
+          {name: 'tags', type: {type: 'map', values: ['null', 'string']}},
+          {name: 'cause', type: ['null', 'Failure'], 'default': null}
+        ]
+      };
+      let Function = global.Function;
+      let t1, t2;
+      global.Function = function () { throw new Error('codegen'); };
+      try {
+        t1 = Type.forSchema(schema, {
+          errorStackTraces: true,
+          noCodegen: true,
+          wrapUnions: true
+        });
+      } finally {
+        global.Function = Function;
+      }
+      t2 = Type.forSchema(schema, {wrapUnions: true});
+      let val = {code: 1, stack: 'foo', tags: {a: {string: 'b'}}, cause: null};
+      let buf = t2.toBuffer(val);
+      let Failure = t1.recordConstructor;
+      assert.equal(Failure.name, 'Failure');
+      let err = new Failure(undefined, undefined, {});
+      assert(err instanceof Error);
+      assert.equal(err.code, 7);
+      assert.equal(typeof err.stack, 'string');
+      assert.deepEqual(t1.toBuffer(val), buf);
+      assert.deepEqual(t1.toBuffer({stack: 'foo', tags: {}}), t2.toBuffer({
+        stack: 'foo',
+        tags: {}
+      }));
+      let decoded = t1.fromBuffer(buf);
+      assert(decoded instanceof Failure);
+      assert.deepEqual(decoded, t2.fromBuffer(buf));
+      assert.equal(t1.getField('tags').type.valuesType.types[1]
+        .wrap('a').unwrap(), 'a');
+      let paths = [];
+      assert(!t1.isValid(
+        {stack: 1, tags: {a: {string: 2}}, cause: null},
+        {errorHook: (path) => { paths.push(path.join()); }}
+      ));
+      assert.deepEqual(paths, ['stack', 'tags,a,string']);
+      assert(!t1.isValid({stack: 's', tags: {}, extra: 1}, {
+        noUndeclaredFields: true
+      }));
+      assert(t1.isValid({stack: 's', tags: {}}));
+      let nested = new Failure(3, 'a', {}, {Failure: new Failure(4, 'b', {})});
+      assert.deepEqual(t1.fromBuffer(t1.toBuffer(nested)), nested);
+      let tap = new utils.Tap(t1.toBuffer(nested));
+      t1._skip(tap);
+      assert.equal(tap.pos, tap.buf.length);
+    });
+
+    test('codegen detection', () => {
+      // We load a fresh copy of the module, since detection results can be
+      // cached.
+      let schema = {
+        type: 'record',
+        name: 'Person',
+        fields: [{name: 'name', type: ['null', 'string']}]
+      };
+      let key = require.resolve('../lib/types');
+      let cached = require.cache[key];
+      let Function = global.Function;
+      let attempts = 0;
+      let freshTypes, t;
+      delete require.cache[key];
+      global.Function = function () {
+        attempts++;
+        throw new Error('codegen');
+      };
+      try {
+        freshTypes = require('../lib/types');
+        t = freshTypes.Type.forSchema(schema, {wrapUnions: true});
+        freshTypes.Type.forSchema(schema);
+      } finally {
+        global.Function = Function;
+        require.cache[key] = cached;
+      }
+      assert.equal(attempts, 1); // Failures are cached.
+      assert.equal(t._read.name, ''); // Interpreted.
+      let val = {name: {string: 'Ann'}};
+      assert.deepEqual(t.fromBuffer(t.toBuffer(val)), val);
+    });
+
+    test('no codegen resolver', () => {
+      let t1 = Type.forSchema({
+        type: 'record',
+        name: 'Person',
+        fields: [
+          {name: 'age', type: 'int'},
+          {name: 'name', type: 'string'},
+          {name: 'address', type: 'string'}
+        ]
+      });
+      let t2 = Type.forSchema({
+        type: 'record',
+        name: 'Person',
+        fields: [
+          {name: 'name', type: 'string'},
+          {name: 'alias', aliases: ['name'], type: 'string'},
+          {name: 'age', type: 'long'},
+          {name: 'phone', type: ['null', 'string'], 'default': null}
+        ]
+      }, {noCodegen: true});
+      let buf = t1.toBuffer({age: 23, name: 'Ann', address: 'here'});
+      let resolver = t2.createResolver(t1);
+      assert.deepEqual(
+        t2.fromBuffer(buf, resolver),
+        {name: 'Ann', alias: 'Ann', age: 23, phone: null}
+      );
+      // Trailing fields are skipped when not checking.
+      assert.deepEqual(
+        t2.fromBuffer(buf.slice(0, 5), resolver, true),
+        {name: 'Ann', alias: 'Ann', age: 23, phone: null}
+      );
+      let t3 = Type.forSchema(t2.schema({exportAttrs: true}));
+      resolver = t3.createResolver(t1, {noCodegen: true});
+      assert.deepEqual(
+        t3.fromBuffer(buf, resolver),
+        {name: 'Ann', alias: 'Ann', age: 23, phone: null}
+      );
+    });
+
+    suite('lazy decoding', () => {
+
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Message',
+        fields: [
+          {name: 'id', type: 'int'},
+          {name: 'body', type: 'string'},
+          {
+            name: 'meta',
+            type: {
+              type: 'record',
+              name: 'Meta',
+              fields: [
+                {name: 'source', type: 'string'},
+                {name: 'hops', type: 'int', 'default': 0}
+              ]
+            }
+          }
+        ]
+      });
+
+      test('decode on access', () => {
+        let buf = t.toBuffer({id: 1, body: 'hi', meta: {source: 'a', hops: 2}});
+        let v = t.fromBuffer(buf, undefined, {lazy: true});
+        assert(v instanceof t.recordConstructor);
+        assert.deepEqual(Object.keys(v), ['id', 'body', 'meta']);
+        buf[buf.length - 1] = 6; // Fields aren't decoded yet.
+        assert.equal(v.id, 1);
+        assert.equal(v.meta.hops, 3);
+        assert(v.meta instanceof t.getField('meta').type.recordConstructor);
+        assert.deepEqual(v, {id: 1, body: 'hi', meta: {source: 'a', hops: 3}});
+        assert(t.isValid(v));
+        assert.equal(v.toString(), t.toString(v));
+      });
+
+      test('verbatim re-encoding', () => {
+        // Non-minimal encoding of `id`, which wouldn't survive a decoding
+        // round-trip.
+        let buf = utils.bufferFrom([0x82, 0x00, 4, 104, 105, 2, 97, 4]);
+        let v = t.fromBuffer(buf, undefined, {lazy: true});
+        assert.deepEqual(t.toBuffer(v), buf);
+        assert.equal(v.body, 'hi'); // Accessed fields are re-encoded.
+        assert.deepEqual(t.toBuffer(v), buf);
+        v.meta.hops = 5;
+        assert.deepEqual(
+          t.toBuffer(v),
+          utils.bufferFrom([0x82, 0x00, 4, 104, 105, 2, 97, 10])
+        );
+        v.id = 3;
+        assert.deepEqual(
+          t.toBuffer(v),
+          utils.bufferFrom([6, 4, 104, 105, 2, 97, 10])
+        );
+        assert.deepEqual(t.clone(v), {id: 3, body: 'hi', meta: v.meta});
+      });
+
+      [true, false].forEach((codegen) => {
+        let desc = codegen ? 'with' : 'without';
+        test(`deleted fields ${desc} codegen`, () => {
+          let schema = t.schema({exportAttrs: true});
+          let u = Type.forSchema(schema, {noCodegen: !codegen});
+          let buf = utils.bufferFrom([0x82, 0x00, 4, 104, 105, 2, 97, 4]);
+          let v = u.fromBuffer(buf, undefined, {lazy: true});
+          delete v.meta.hops; // Fields with defaults use them.
+          let expected = utils.bufferFrom([0x82, 0x00, 4, 104, 105, 2, 97, 0]);
+          assert.deepEqual(u.toBuffer(v), expected);
+          assert.equal(u.encodedSize(v), expected.length);
+          v = u.fromBuffer(buf, undefined, {lazy: true});
+          delete v.body; // Others are invalid.
+          assert.throws(() => { u.toBuffer(v); }, /invalid "string"/);
+          assert.throws(() => { u.encodedSize(v); }, /invalid "string"/);
+        });
+      });
+
+      test('writers check lazy values once needed', () => {
+        let u = Type.forSchema(t.schema());
+        let write = u._write;
+        let encodedSize = u._encodedSize;
+        let buf = utils.bufferFrom([0x82, 0x00, 4, 104, 105, 2, 97, 4]);
+        assert.deepEqual(
+          u.toBuffer(u.fromBuffer(buf)),
+          utils.bufferFrom([2, 4, 104, 105, 2, 97, 4])
+        );
+        assert.strictEqual(u._write, write);
+        let v = u.fromBuffer(buf, undefined, {lazy: true});
+        assert.notStrictEqual(u._write, write);
+        assert.notStrictEqual(u._encodedSize, encodedSize);
+        assert.deepEqual(u.toBuffer(v), buf);
+        assert.equal(u.encodedSize(v), buf.length);
+        assert.throws(() => { u._read = null; });
+      });
+
+      test('invalid', () => {
+        let buf = t.toBuffer({id: 1, body: 'hi', meta: {source: 'a'}});
+        assert.throws(() => {
+          t.fromBuffer(buf.slice(0, 3), undefined, {lazy: true});
+        }, /truncated/);
+        assert.throws(() => {
+          t.fromBuffer(buf, t.createResolver(t), {lazy: true});
+        }, /resolvers/);
+        assert.deepEqual(
+          Type.forSchema('int').fromBuffer(utils.bufferFrom([2]), null, {
+            lazy: true
+          }),
+          1
+        );
+      });
+
+    });
+
   });
 
   suite('AbstractLongType', () => {
@@ -2626,6 +3022,13 @@ suite('types', () => {
         assert(slowLongType.isValid(slowLongType.random()));
       });
 
+      test('boundary values', () => {
+        slowLongType.boundaryValues().forEach((n) => {
+          assert(slowLongType.isValid(n));
+          assert.equal(slowLongType.fromBuffer(slowLongType.toBuffer(n)), n);
+        });
+      });
+
       test('evolution to/from', () => {
         let t1 = Type.forSchema({
           type: 'record',
@@ -3200,6 +3603,255 @@ suite('types', () => {
 
     });
 
+    suite('standard logical types', () => {
+
+      let opts = {standardLogicalTypes: true};
+
+      test('opt-in', () => {
+        let schema = {type: 'int', logicalType: 'date'};
+        assert(Type.forSchema(schema) instanceof builtins.IntType);
+        let t = Type.forSchema(schema, opts);
+        assert(t instanceof types.logicalTypes.date);
+        assert.equal(t.typeName, 'logical:date');
+      });
+
+      test('explicit logical types take precedence', () => {
+        class CustomDateType extends LogicalType {
+          _fromValue (val) { return val; }
+          _toValue (val) { return val; }
+        }
+        let t = Type.forSchema({type: 'int', logicalType: 'date'}, {
+          logicalTypes: {date: CustomDateType},
+          standardLogicalTypes: true
+        });
+        assert(t instanceof CustomDateType);
+      });
+
+      test('invalid underlying types', () => {
+        [
+          {type: 'string', logicalType: 'date'},
+          {type: 'long', logicalType: 'time-millis'},
+          {type: 'int', logicalType: 'timestamp-millis'},
+          {type: 'bytes', logicalType: 'uuid'},
+          {type: 'fixed', name: 'Id', size: 8, logicalType: 'uuid'},
+          {type: 'bytes', logicalType: 'decimal'},
+          {type: 'bytes', logicalType: 'decimal', precision: 2, scale: 3},
+          {type: 'fixed', name: 'Dec', size: 2, logicalType: 'decimal', precision: 5},
+          {type: 'string', logicalType: 'decimal', precision: 2},
+          {type: 'fixed', name: 'Dur', size: 8, logicalType: 'duration'}
+        ].forEach((schema) => {
+          let t = Type.forSchema(schema, opts);
+          assert(!Type.isType(t, 'logical'), JSON.stringify(schema));
+          assert.throws(() => {
+            Type.forSchema(schema, {
+              assertLogicalTypes: true,
+              standardLogicalTypes: true
+            });
+          });
+        });
+      });
+
+      test('date', () => {
+        let t = Type.forSchema({type: 'int', logicalType: 'date'}, opts);
+        let d = new Date(Date.UTC(2020, 1, 29));
+        assert.deepEqual(t.toBuffer(d), Type.forSchema('int').toBuffer(18321));
+        assert.deepEqual(t.fromBuffer(t.toBuffer(d)), d);
+        assert(!t.isValid(new Date(NaN)));
+        assert(!t.isValid(18321));
+        assert(t.isValid(t.random()));
+      });
+
+      test('time', () => {
+        let millis = Type.forSchema({type: 'int', logicalType: 'time-millis'}, opts);
+        let micros = Type.forSchema(
+          {type: 'long', logicalType: 'time-micros'},
+          opts
+        );
+        assert(millis.isValid(86399999));
+        assert(!millis.isValid(86400000));
+        assert(!millis.isValid(-1));
+        assert(micros.isValid(86399999999));
+        assert(!micros.isValid(1.5));
+        assert.equal(millis.fromBuffer(millis.toBuffer(123)), 123);
+        let resolver = micros.createResolver(millis);
+        assert.equal(micros.fromBuffer(millis.toBuffer(123), resolver), 123000);
+        resolver = millis.createResolver(micros);
+        assert.equal(millis.fromBuffer(micros.toBuffer(123999), resolver), 123);
+      });
+
+      test('timestamps', () => {
+        let millis = Type.forSchema(
+          {type: 'long', logicalType: 'timestamp-millis'},
+          opts
+        );
+        let micros = Type.forSchema(
+          {type: 'long', logicalType: 'timestamp-micros'},
+          opts
+        );
+        let d = new Date(1577836800123);
+        let longType = Type.forSchema('long');
+        assert.equal(longType.fromBuffer(millis.toBuffer(d)), 1577836800123);
+        assert.equal(longType.fromBuffer(micros.toBuffer(d)), 1577836800123000);
+        let early = new Date(-1);
+        assert.deepEqual(micros.fromBuffer(micros.toBuffer(early)), early);
+        assert.deepEqual(
+          micros.fromBuffer(millis.toBuffer(d), micros.createResolver(millis)),
+          d
+        );
+        assert.deepEqual(
+          millis.fromBuffer(micros.toBuffer(d), millis.createResolver(micros)),
+          d
+        );
+        let resolver = millis.createResolver(longType);
+        let buf = longType.toBuffer(5);
+        assert.deepEqual(millis.fromBuffer(buf, resolver), new Date(5));
+        assert.deepEqual(millis.clone(d), d);
+        assert.equal(millis.compare(d, new Date(0)), 1);
+      });
+
+      test('local timestamps', () => {
+        let local = Type.forSchema(
+          {type: 'long', logicalType: 'local-timestamp-millis'},
+          opts
+        );
+        let localMicros = Type.forSchema(
+          {type: 'long', logicalType: 'local-timestamp-micros'},
+          opts
+        );
+        let instant = Type.forSchema(
+          {type: 'long', logicalType: 'timestamp-millis'},
+          opts
+        );
+        let d = new Date(1000);
+        let resolver = local.createResolver(localMicros);
+        let buf = localMicros.toBuffer(d);
+        assert.deepEqual(local.fromBuffer(buf, resolver), d);
+        assert.throws(() => { local.createResolver(instant); });
+        assert.throws(() => { instant.createResolver(local); });
+      });
+
+      test('uuid', () => {
+        let str = Type.forSchema({type: 'string', logicalType: 'uuid'}, opts);
+        let fixed = Type.forSchema(
+          {type: 'fixed', name: 'Id', size: 16, logicalType: 'uuid'},
+          opts
+        );
+        let id = 'f81d4fae-7dec-11d0-a765-00a0c91e6bf6';
+        assert(str.isValid(id));
+        assert(!str.isValid('f81d4fae7dec11d0a76500a0c91e6bf6'));
+        assert.equal(str.fromBuffer(str.toBuffer(id)), id);
+        assert.equal(
+          fixed.toBuffer(id).toString('hex'),
+          'f81d4fae7dec11d0a76500a0c91e6bf6'
+        );
+        assert.equal(fixed.fromBuffer(fixed.toBuffer(id)), id);
+        assert.equal(
+          str.fromBuffer(fixed.toBuffer(id), str.createResolver(fixed)),
+          id
+        );
+        assert.equal(
+          fixed.fromBuffer(str.toBuffer(id), fixed.createResolver(str)),
+          id
+        );
+        let val = fixed.random();
+        assert(/^[0-9a-f]{8}-[0-9a-f]{4}-4/.test(val));
+        assert(str.isValid(str.random()));
+      });
+
+      test('decimal', () => {
+        let t = Type.forSchema(
+          {type: 'bytes', logicalType: 'decimal', precision: 6, scale: 2},
+          opts
+        );
+        assert.deepEqual(t.schema({exportAttrs: true}), {
+          type: 'bytes',
+          logicalType: 'decimal',
+          precision: 6,
+          scale: 2
+        });
+        let bytesType = Type.forSchema('bytes');
+        [
+          ['0', '0.00', '00'],
+          ['-0.01', '-0.01', 'ff'],
+          ['1.28', '1.28', '0080'],
+          ['-1.29', '-1.29', 'ff7f'],
+          ['-1.28', '-1.28', '80'],
+          ['-12.3', '-12.30', 'fb32'],
+          ['+9999.99', '9999.99', '0f423f']
+        ].forEach((arr) => {
+          let buf = t.toBuffer(arr[0]);
+          assert.equal(bytesType.fromBuffer(buf).toString('hex'), arr[2]);
+          assert.equal(t.fromBuffer(buf), arr[1]);
+        });
+        ['1.234', '12345.6', 1.5, '1e3', '.5', null].forEach((any) => {
+          assert(!t.isValid(any), '' + any);
+        });
+        assert.equal(t.compare('-2', '1.5'), -1);
+        assert.equal(t.compare('1.50', '1.5'), 0);
+        for (let i = 0; i < 20; i++) {
+          assert(t.isValid(t.random()));
+        }
+      });
+
+      test('decimal fixed', () => {
+        let t = Type.forSchema({
+          type: 'fixed',
+          name: 'Money',
+          size: 4,
+          logicalType: 'decimal',
+          precision: 9,
+          scale: 3
+        }, opts);
+        assert.equal(t.toBuffer('-1').toString('hex'), 'fffffc18');
+        assert.equal(t.fromBuffer(t.toBuffer('123456.789')), '123456.789');
+        let other = Type.forSchema(
+          {type: 'bytes', logicalType: 'decimal', precision: 9, scale: 3},
+          opts
+        );
+        assert.equal(
+          other.fromBuffer(t.toBuffer('-5.5'), other.createResolver(t)),
+          '-5.500'
+        );
+        let mismatch = Type.forSchema(
+          {type: 'bytes', logicalType: 'decimal', precision: 9, scale: 2},
+          opts
+        );
+        assert.throws(() => { mismatch.createResolver(t); });
+      });
+
+      test('duration', () => {
+        let t = Type.forSchema(
+          {type: 'fixed', name: 'Duration', size: 12, logicalType: 'duration'},
+          opts
+        );
+        let val = {months: 1, days: 2, millis: 3};
+        assert.equal(t.toBuffer(val).toString('hex'), '010000000200000003000000');
+        assert.deepEqual(t.fromBuffer(t.toBuffer(val)), val);
+        assert(!t.isValid({months: -1, days: 0, millis: 0}));
+        assert(!t.isValid({months: 1, days: 2}));
+        assert(t.isValid(t.random()));
+      });
+
+      test('nested in record', () => {
+        let t = Type.forSchema({
+          type: 'record',
+          name: 'Event',
+          fields: [
+            {name: 'id', type: {type: 'string', logicalType: 'uuid'}},
+            {
+              name: 'time',
+              type: ['null', {type: 'long', logicalType: 'timestamp-millis'}]
+            }
+          ]
+        }, opts);
+        let val = {id: 'f81d4fae-7dec-11d0-a765-00a0c91e6bf6', time: new Date(3)};
+        assert.deepEqual(t.fromBuffer(t.toBuffer(val)), val);
+        assert.deepEqual(t.fromString(t.toString(val)), val);
+        assert(t.isValid(t.random()));
+      });
+
+    });
+
   });
 
   suite('Type.forSchema', () => {
@@ -3431,6 +4083,62 @@ suite('types', () => {
       assert.deepEqual(t.fingerprint(), buf);
     });
 
+    test('fingerprint rabin', () => {
+      let t = Type.forSchema('int');
+      let buf = utils.bufferFrom('8f5c393f1ad57572', 'hex');
+      assert.deepEqual(t.fingerprint('CRC-64-AVRO'), buf);
+      assert.deepEqual(t.fingerprint('rabin'), buf);
+      t = Type.forSchema({type: 'fixed', name: 'foo', size: 15, doc: 'Foo.'});
+      assert.equal(
+        t.fingerprint('rabin').readBigInt64LE(0),
+        BigInt('1756455273707447556')
+      );
+    });
+
+    test('canonical schema', () => {
+      let t = Type.forSchema({
+        type: 'error',
+        name: 'Failure',
+        namespace: 'com.example',
+        doc: 'A failure.',
+        aliases: ['Error'],
+        fields: [
+          {
+            name: 'code',
+            type: {type: 'enum', name: 'Code', symbols: ['A'], default: 'A'},
+            order: 'descending',
+            'default': 'A'
+          },
+          {name: 'at', type: {type: 'long', logicalType: 'timestamp-millis'}},
+          {name: 'retry', type: ['null', 'Failure']},
+          {name: 'tags', type: {type: 'map', values: {type: 'string'}}}
+        ]
+      }, {standardLogicalTypes: true});
+      let str = JSON.stringify(t.schema({canonical: true, exportAttrs: true}));
+      assert.equal(str, [
+        '{"name":"com.example.Failure","type":"record","fields":[',
+        '{"name":"code","type":{"name":"com.example.Code","type":"enum",',
+        '"symbols":["A"]}},{"name":"at","type":"long"},',
+        '{"name":"retry","type":["null","com.example.Failure"]},',
+        '{"name":"tags","type":{"type":"map","values":"string"}}]}'
+      ].join(''));
+      assert.deepEqual(
+        t.fingerprint(undefined, {canonical: true}),
+        utils.getHash(str)
+      );
+      assert.deepEqual(
+        t.fingerprint('sha256', {canonical: true}),
+        utils.getHash(str, 'sha256')
+      );
+      assert.deepEqual(t.fingerprint('rabin'), utils.getHash(str, 'rabin'));
+      // The default fingerprint is unchanged, to keep stored ones valid.
+      assert.deepEqual(
+        t.fingerprint(),
+        utils.getHash(JSON.stringify(t.schema()))
+      );
+      assert(!t.fingerprint().equals(utils.getHash(str)));
+    });
+
     test('getSchema default', () => {
       let type = Type.forSchema({
         type: 'record',
@@ -3540,55 +4248,1971 @@ suite('types', () => {
 
   });
 
-  suite('resolve', () => {
+  suite('hash', () => {
 
-    test('non type', () => {
-      let t = Type.forSchema({type: 'map', values: 'int'});
-      let obj = {type: 'map', values: 'int'};
-      assert.throws(() => { t.createResolver(obj); });
+    test('primitives', () => {
+      let t = Type.forSchema('double');
+      assert.equal(t.hash(0), t.hash(-0));
+      assert.equal(t.hash(NaN), t.hash(NaN));
+      assert.notEqual(t.hash(1.5), t.hash(2.5));
+      t = Type.forSchema('string');
+      assert.equal(t.hash('abc'), t.hash('abc'));
+      assert.notEqual(t.hash('abc'), t.hash('acb'));
+      t = Type.forSchema('bytes');
+      assert.notEqual(
+        t.hash(utils.bufferFrom([1, 2])),
+        t.hash(utils.bufferFrom([2, 1]))
+      );
+      let h = t.hash(utils.bufferFrom([]));
+      assert(h >= 0 && h === (h >>> 0));
     });
 
-    test('union to valid wrapped union', () => {
-      let t1 = Type.forSchema(['int', 'string']);
-      let t2 = Type.forSchema(['null', 'string', 'long'], {wrapUnions: true});
-      let resolver = t2.createResolver(t1);
-      let buf = t1.toBuffer(12);
-      assert.deepEqual(t2.fromBuffer(buf, resolver), {'long': 12});
+    test('longs', () => {
+      let t = Type.forSchema('long', {longs: 'auto'});
+      assert.equal(t.hash(123), t.hash(BigInt(123)));
+      assert.notEqual(
+        t.hash(BigInt('9223372036854775807')),
+        t.hash(BigInt('-9223372036854775808'))
+      );
+      t = Type.forSchema('long');
+      assert.notEqual(t.hash(Math.pow(2, 40)), t.hash(Math.pow(2, 41)));
     });
 
-    test('union to invalid union', () => {
-      let t1 = Type.forSchema(['int', 'string']);
-      let t2 = Type.forSchema(['null', 'long']);
-      assert.throws(() => { t2.createResolver(t1); });
+    test('record ignored fields', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Item',
+        fields: [
+          {name: 'id', type: 'int'},
+          {name: 'note', type: 'string', order: 'ignore'},
+          {name: 'rank', type: 'int', order: 'descending'}
+        ]
+      });
+      let v1 = {id: 1, note: 'a', rank: 2};
+      let v2 = {id: 1, note: 'b', rank: 2};
+      assert.equal(t.compare(v1, v2), 0);
+      assert.equal(t.hash(v1), t.hash(v2));
+      assert.notEqual(t.hash(v1), t.hash({id: 1, note: 'a', rank: 3}));
     });
 
-    test('wrapped union to non union', () => {
-      let t1 = Type.forSchema(['int', 'long'], {wrapUnions: true});
-      let t2 = Type.forSchema('long');
-      let resolver = t2.createResolver(t1);
-      let buf = t1.toBuffer({'int': 12});
-      assert.equal(t2.fromBuffer(buf, resolver), 12);
-      buf = utils.bufferFrom([4, 0]);
-      assert.throws(() => { t2.fromBuffer(buf, resolver); });
+    test('map key order', () => {
+      let t = Type.forSchema({type: 'map', values: 'int'});
+      assert.equal(t.hash({a: 1, b: 2}), t.hash({b: 2, a: 1}));
+      assert.notEqual(t.hash({a: 1, b: 2}), t.hash({a: 2, b: 1}));
+      assert.notEqual(t.hash({a: 1}), t.hash({a: 1, b: 0}));
     });
 
-    test('union to non union', () => {
-      let t1 = Type.forSchema(['bytes', 'string']);
-      let t2 = Type.forSchema('bytes');
-      let resolver = t2.createResolver(t1);
-      let buf = t1.toBuffer('\x01\x02');
-      assert.deepEqual(t2.fromBuffer(buf, resolver), utils.bufferFrom([1, 2]));
+    test('union branches', () => {
+      let t = Type.forSchema(['null', 'int']);
+      assert.notEqual(t.hash(null), t.hash(0));
+      t = Type.forSchema(['int', 'long'], {wrapUnions: true});
+      assert.notEqual(t.hash({'int': 1}), t.hash({'long': 1}));
+      assert.equal(t.hash({'int': 1}), t.hash({'int': 1}));
+      assert.throws(() => { t.hash({'string': 'a'}); });
+      t = Type.forSchema(['null', 'string']);
+      assert.throws(() => { t.hash(1); });
     });
 
-    test('union to invalid non union', () => {
-      let t1 = Type.forSchema(['int', 'long'], {wrapUnions: true});
-      let t2 = Type.forSchema('int');
-      assert.throws(() => { t2.createResolver(t1); });
+    test('logical types', () => {
+      let opts = {standardLogicalTypes: true};
+      let t = Type.forSchema({
+        type: 'bytes',
+        logicalType: 'decimal',
+        precision: 5,
+        scale: 2
+      }, opts);
+      assert.equal(t.compare('1.5', '1.50'), 0);
+      assert.equal(t.hash('1.5'), t.hash('1.50'));
+      assert.notEqual(t.hash('1.5'), t.hash('-1.5'));
+      t = Type.forSchema({type: 'long', logicalType: 'timestamp-millis'}, opts);
+      assert.equal(t.hash(new Date(1000)), t.hash(new Date(1000)));
+    });
+
+    test('consistent with compare', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Event',
+        fields: [
+          {name: 'kind', type: {type: 'enum', name: 'Kind', symbols: ['A', 'B']}},
+          {name: 'tags', type: {type: 'array', items: 'string'}},
+          {name: 'score', type: ['null', 'double']},
+          {name: 'id', type: {type: 'fixed', name: 'Id', size: 1}}
+        ]
+      });
+      let vals = [];
+      for (let i = 0; i < 50; i++) {
+        vals.push(t.random({seed: i, arrayLength: 1, stringLength: 1}));
+      }
+      vals = vals.concat(t.boundaryValues());
+      vals.forEach((v1) => {
+        vals.forEach((v2) => {
+          if (t.compare(v1, v2) === 0) {
+            assert.equal(t.hash(v1), t.hash(v2));
+          }
+        });
+        assert.equal(t.hash(v1), t.hash(t.fromBuffer(t.toBuffer(v1))));
+      });
     });
 
-    test('anonymous types', () => {
-      let t1 = Type.forSchema({type: 'fixed', size: 2});
-      let t2 = Type.forSchema(
+  });
+
+  suite('keys', () => {
+
+    // Check that keys roundtrip and sort like the (increasing) values.
+    function assertOrdered(type, vals) {
+      let keys = vals.map((val) => {
+        let key = type.toKey(val);
+        assert.equal(type.compare(type.fromKey(key), val), 0);
+        return key;
+      });
+      for (let i = 0; i < vals.length; i++) {
+        for (let j = 0; j < vals.length; j++) {
+          assert.equal(
+            Math.sign(Buffer.compare(keys[i], keys[j])),
+            Math.sign(type.compare(vals[i], vals[j])),
+            `${type.toString(vals[i])} vs ${type.toString(vals[j])}`
+          );
+        }
+      }
+    }
+
+    test('numbers', () => {
+      assertOrdered(Type.forSchema('int'), [-2147483648, -1, 0, 1, 2147483647]);
+      assertOrdered(
+        Type.forSchema('long'),
+        [-4503599627370496, -4294967296, -1, 0, 4294967296, 4503599627370496]
+      );
+      assertOrdered(
+        Type.forSchema('long', {longs: 'bigint'}),
+        [
+          BigInt('-9223372036854775808'), BigInt(-4294967297), BigInt(0),
+          BigInt(4294967296), BigInt('9223372036854775807')
+        ]
+      );
+      assertOrdered(
+        Type.forSchema('double'),
+        [-Infinity, -1e300, -1.5, -Number.MIN_VALUE, 0, 1e-300, 2, Infinity]
+      );
+      assertOrdered(Type.forSchema('float'), [-Infinity, -1.5, 0, 0.5, 3]);
+      let t = Type.forSchema('double');
+      assert.deepEqual(t.toKey(-0), t.toKey(0));
+    });
+
+    test('strings and bytes', () => {
+      assertOrdered(
+        Type.forSchema('string'),
+        ['', '\u0000', 'a', 'a\u0000', 'a\u0000b', 'ab', '\u00e9', '\ud83d\ude00', '\uffff']
+      );
+      assertOrdered(
+        Type.forSchema('bytes'),
+        [[], [0], [0, 0], [0, 1], [1], [1, 0], [255]].map(utils.bufferFrom)
+      );
+      assertOrdered(
+        Type.forSchema({type: 'fixed', name: 'Id', size: 2}),
+        [[0, 0], [0, 255], [1, 0]].map(utils.bufferFrom)
+      );
+    });
+
+    test('enums and unions', () => {
+      assertOrdered(
+        Type.forSchema({type: 'enum', name: 'Kind', symbols: ['B', 'A']}),
+        ['B', 'A']
+      );
+      assertOrdered(Type.forSchema(['null', 'string']), [null, '', 'a']);
+      assertOrdered(
+        Type.forSchema(['int', 'string'], {wrapUnions: true}),
+        [{'int': -1}, {'int': 2}, {string: 'a'}]
+      );
+    });
+
+    test('arrays', () => {
+      assertOrdered(
+        Type.forSchema({type: 'array', items: 'int'}),
+        [[], [-1, 5], [0], [0, 0], [1]]
+      );
+    });
+
+    test('record order', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Entry',
+        fields: [
+          {name: 'tags', type: {type: 'array', items: 'string'}, order: 'descending'},
+          {name: 'note', type: 'string', order: 'ignore', 'default': '-'},
+          {name: 'id', type: 'int'}
+        ]
+      });
+      assertOrdered(t, [
+        {tags: ['b'], note: '', id: 0},
+        {tags: ['a', ''], note: '', id: 0},
+        {tags: ['a'], note: '', id: 1},
+        {tags: [], note: '', id: -1},
+        {tags: [], note: '', id: 0}
+      ]);
+      assert.deepEqual(
+        t.fromKey(t.toKey({tags: [], note: 'x', id: 1})),
+        {tags: [], note: '-', id: 1}
+      );
+    });
+
+    test('logical types', () => {
+      let opts = {standardLogicalTypes: true};
+      assertOrdered(
+        Type.forSchema({type: 'long', logicalType: 'timestamp-millis'}, opts),
+        [new Date(-1000), new Date(0), new Date(1e12)]
+      );
+      assertOrdered(
+        Type.forSchema({
+          type: 'bytes',
+          logicalType: 'decimal',
+          precision: 5,
+          scale: 2
+        }, opts),
+        ['-999.99', '-0.01', '0.00', '1.50', '999.99']
+      );
+      assertOrdered(
+        Type.forSchema({
+          type: 'fixed',
+          name: 'Amount',
+          size: 4,
+          logicalType: 'decimal',
+          precision: 4
+        }, opts),
+        ['-9999', '-1', '0', '1', '9999']
+      );
+    });
+
+    test('random values', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Event',
+        fields: [
+          {name: 'kind', type: {type: 'enum', name: 'Kind', symbols: ['A', 'B']}},
+          {name: 'name', type: 'string', order: 'descending'},
+          {name: 'score', type: ['null', 'double']},
+          {name: 'data', type: {type: 'array', items: 'bytes'}}
+        ]
+      });
+      let vals = [];
+      for (let i = 0; i < 50; i++) {
+        vals.push(t.random({seed: i, arrayLength: 2, stringLength: 2}));
+      }
+      vals.sort((v1, v2) => { return t.compare(v1, v2); });
+      assertOrdered(t, vals);
+    });
+
+    test('invalid', () => {
+      let t = Type.forSchema('int');
+      assert.throws(() => { t.toKey('a'); }, /invalid "int"/);
+      assert.throws(() => {
+        t.fromKey(utils.bufferFrom([1, 2, 3]));
+      }, /truncated key/);
+      assert.throws(() => {
+        t.fromKey(utils.bufferFrom([1, 2, 3, 4, 5]));
+      }, /trailing data/);
+      t = Type.forSchema({type: 'enum', name: 'Kind', symbols: ['A']});
+      assert.throws(() => {
+        t.fromKey(utils.bufferFrom([1]));
+      }, /invalid key index/);
+      t = Type.forSchema({type: 'map', values: 'int'});
+      assert.throws(() => { t.toKey({}); }, /maps cannot be compared/);
+    });
+
+  });
+
+  suite('limits', () => {
+
+    let LimitExceededError = utils.LimitExceededError;
+
+    function assertExceeded(fn, limit) {
+      assert.throws(fn, (err) => {
+        return err instanceof LimitExceededError && err.limit === limit;
+      });
+    }
+
+    test('lengths', () => {
+      let t = Type.forSchema({type: 'map', values: 'bytes'});
+      let buf = t.toBuffer({abc: utils.bufferFrom([1, 2])});
+      let limits = {maxStringLength: 3, maxBytesLength: 2};
+      assert.deepEqual(
+        t.fromBuffer(buf, undefined, {limits}),
+        {abc: utils.bufferFrom([1, 2])}
+      );
+      assertExceeded(() => {
+        t.fromBuffer(buf, undefined, {limits: {maxStringLength: 2}});
+      }, 'maxStringLength');
+      assertExceeded(() => {
+        t.fromBuffer(buf, undefined, {limits: {maxBytesLength: 1}});
+      }, 'maxBytesLength');
+    });
+
+    test('items checked before allocation', () => {
+      let t = Type.forSchema({type: 'array', items: 'null'});
+      // Claims to contain a billion items, in a few bytes.
+      let buf = utils.bufferFrom([0x80, 0xa8, 0xd6, 0xb9, 0x07, 0x00]);
+      assert.throws(
+        () => { t.fromBuffer(buf, undefined, {limits: {maxItems: 100}}); },
+        (err) => {
+          assert(err instanceof LimitExceededError);
+          assert.equal(err.name, 'LimitExceededError');
+          assert.equal(err.message, 'maxItems exceeded: 1000000000 > 100');
+          assert.deepEqual(
+            [err.limit, err.value, err.max],
+            ['maxItems', 1e9, 100]
+          );
+          return true;
+        }
+      );
+      // Items are counted across blocks.
+      buf = utils.bufferFrom([4, 4, 0]);
+      assert.deepEqual(
+        t.fromBuffer(buf, undefined, {limits: {maxItems: 4}}),
+        [null, null, null, null]
+      );
+      assertExceeded(() => {
+        t.fromBuffer(buf, undefined, {limits: {maxItems: 3}});
+      }, 'maxItems');
+    });
+
+    test('depth', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Node',
+        fields: [{name: 'next', type: ['null', 'Node'], 'default': null}]
+      });
+      let buf = t.toBuffer({next: {next: {next: null}}});
+      let limits = {maxDepth: 3};
+      assert.doesNotThrow(() => { t.fromBuffer(buf, undefined, {limits}); });
+      limits = {maxDepth: 2};
+      assertExceeded(() => {
+        t.fromBuffer(buf, undefined, {limits});
+      }, 'maxDepth');
+      let resolver = t.createResolver(t);
+      assertExceeded(() => {
+        t.fromBuffer(buf, resolver, {limits});
+      }, 'maxDepth');
+      t = Type.forSchema({type: 'array', items: {type: 'map', values: 'int'}});
+      buf = t.toBuffer([{a: 1}]);
+      assert.deepEqual(
+        t.fromBuffer(buf, undefined, {limits: {maxDepth: 2}}),
+        [{a: 1}]
+      );
+      assertExceeded(() => {
+        t.fromBuffer(buf, undefined, {limits: {maxDepth: 1}});
+      }, 'maxDepth');
+    });
+
+    test('skipped values', () => {
+      let writerType = Type.forSchema({
+        type: 'record',
+        name: 'Node',
+        fields: [
+          {name: 'v', type: 'int'},
+          {name: 'children', type: {type: 'array', items: 'Node'}}
+        ]
+      });
+      let readerType = Type.forSchema({
+        type: 'record',
+        name: 'Node',
+        fields: [{name: 'v', type: 'int'}]
+      });
+      let resolver = readerType.createResolver(writerType);
+      // Twenty-one nested nodes, each with a single child but the last.
+      let bytes = [];
+      for (let i = 0; i < 20; i++) {
+        bytes.push(0, 2);
+      }
+      bytes.push(0, 0);
+      for (let i = 0; i < 20; i++) {
+        bytes.push(0);
+      }
+      let buf = utils.bufferFrom(bytes);
+      assert.deepEqual(
+        readerType.fromBuffer(buf, resolver, {limits: {maxDepth: 21}}),
+        {v: 0}
+      );
+      assertExceeded(() => {
+        readerType.fromBuffer(buf, resolver, {limits: {maxDepth: 10}});
+      }, 'maxDepth');
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Pair',
+        fields: [
+          {name: 'id', type: 'int'},
+          {name: 'tags', type: {type: 'map', values: ['null', 'string']}}
+        ]
+      });
+      buf = t.toBuffer({id: 1, tags: {a: null, b: 'b'}});
+      readerType = Type.forSchema({
+        type: 'record',
+        name: 'Pair',
+        fields: [{name: 'id', type: 'int'}]
+      });
+      resolver = readerType.createResolver(t);
+      assertExceeded(() => {
+        readerType.fromBuffer(buf, resolver, {limits: {maxItems: 1}});
+      }, 'maxItems');
+      assertExceeded(() => {
+        readerType.fromBuffer(buf, resolver, {limits: {maxDepth: 1}});
+      }, 'maxDepth');
+    });
+
+    test('total bytes', () => {
+      let t = Type.forSchema({type: 'array', items: 'string'});
+      let buf = t.toBuffer(['abc', 'def']);
+      // Each item counts for 8 bytes, on top of its contents.
+      assert.deepEqual(
+        t.fromBuffer(buf, undefined, {limits: {maxTotalBytes: 22}}),
+        ['abc', 'def']
+      );
+      assertExceeded(() => {
+        t.fromBuffer(buf, undefined, {limits: {maxTotalBytes: 21}});
+      }, 'maxTotalBytes');
+    });
+
+    test('decode', () => {
+      let t = Type.forSchema('string');
+      let buf = Buffer.concat([t.toBuffer('ab'), t.toBuffer('abcd')]);
+      let limits = {maxStringLength: 2, maxTotalBytes: 2};
+      assert.deepEqual(
+        t.decode(buf, 0, undefined, {limits}),
+        {value: 'ab', offset: 3}
+      );
+      assertExceeded(() => {
+        t.decode(buf, 3, undefined, {limits});
+      }, 'maxStringLength');
+    });
+
+    test('invalid limits', () => {
+      let t = Type.forSchema('int');
+      let buf = t.toBuffer(1);
+      assert.throws(() => {
+        t.fromBuffer(buf, undefined, {limits: {maxSize: 1}});
+      }, /unknown limit: maxSize/);
+      assert.throws(() => {
+        t.fromBuffer(buf, undefined, {limits: {maxDepth: -1}});
+      }, /invalid maxDepth limit/);
+      assert.throws(() => {
+        t.fromBuffer(buf, undefined, {limits: {}, lazy: true});
+      }, /lazy decoding does not support limits/);
+    });
+
+  });
+
+  suite('decode errors', () => {
+
+    let DecodeError = utils.DecodeError;
+
+    let orderType = Type.forSchema({
+      type: 'record',
+      name: 'Order',
+      fields: [
+        {name: 'id', type: 'int'},
+        {
+          name: 'items',
+          type: {
+            type: 'array',
+            items: {
+              type: 'record',
+              name: 'Item',
+              fields: [
+                {name: 'name', type: 'string'},
+                {name: 'price', type: 'double'}
+              ]
+            }
+          }
+        }
+      ]
+    });
+
+    function assertDecodeError(fn, attrs) {
+      assert.throws(fn, (err) => {
+        assert(err instanceof DecodeError);
+        Object.keys(attrs).forEach((key) => {
+          assert.equal(err[key], attrs[key]);
+        });
+        return true;
+      });
+    }
+
+    test('truncated', () => {
+      let buf = orderType.toBuffer({
+        id: 1,
+        items: [{name: 'a', price: 1}, {name: 'b', price: 2}]
+      });
+      assertDecodeError(() => {
+        orderType.fromBuffer(buf.slice(0, buf.length - 4));
+      }, {
+        message: 'truncated buffer at items[1].price (offset 14)',
+        reason: 'truncated buffer',
+        offset: 14,
+        path: 'items[1].price'
+      });
+      assertDecodeError(() => {
+        orderType.fromBuffer(buf.slice(0, 1), undefined, {lazy: true});
+      }, {offset: 1, path: 'items'});
+    });
+
+    test('truncated with resolver', () => {
+      let readerType = Type.forSchema({
+        type: 'record',
+        name: 'Order',
+        fields: [
+          {
+            name: 'items',
+            type: {
+              type: 'array',
+              items: {
+                type: 'record',
+                name: 'Item',
+                fields: [{name: 'price', type: 'double'}]
+              }
+            }
+          }
+        ]
+      });
+      let resolver = readerType.createResolver(orderType);
+      let buf = orderType.toBuffer({id: 1, items: [{name: 'a', price: 1}]});
+      assertDecodeError(() => {
+        readerType.fromBuffer(buf.slice(0, 3), resolver);
+      }, {offset: 2, path: 'items[0].name'});
+    });
+
+    test('invalid data', () => {
+      let t = Type.forSchema({type: 'map', values: ['null', 'int']});
+      let buf = utils.bufferFrom([2, 2, 0x61, 6, 0]);
+      assertDecodeError(() => { t.fromBuffer(buf); }, {
+        message: 'invalid union index: 3 at ["a"] (offset 3)',
+        offset: 3,
+        path: '["a"]'
+      });
+      try {
+        t.fromBuffer(buf);
+      } catch (err) {
+        assert.equal(err.cause.message, 'invalid union index: 3');
+      }
+    });
+
+    test('trailing data', () => {
+      let t = Type.forSchema('int');
+      assertDecodeError(() => {
+        t.fromBuffer(utils.bufferFrom([2, 0]));
+      }, {message: 'trailing data (offset 1)', offset: 1, path: ''});
+    });
+
+    test('huge block count', () => {
+      let t = Type.forSchema({type: 'array', items: 'null'});
+      let buf = Buffer.concat([
+        Type.forSchema('long').toBuffer(Math.pow(2, 40)),
+        utils.bufferFrom([0])
+      ]);
+      assertDecodeError(() => { t.fromBuffer(buf); }, {offset: 0, path: ''});
+    });
+
+    test('limits', () => {
+      let t = Type.forSchema('string');
+      assert.throws(() => {
+        t.fromBuffer(t.toBuffer('abc'), undefined, {limits: {maxTotalBytes: 1}});
+      }, utils.LimitExceededError);
+    });
+
+  });
+
+  suite('explain', () => {
+
+    let pairType = Type.forSchema({
+      type: 'record',
+      name: 'Pair',
+      fields: [
+        {name: 'key', type: 'string'},
+        {name: 'value', type: ['null', 'long']}
+      ]
+    });
+
+    // Simplified representation of spans' trees.
+    function summarize(span) {
+      let obj = {
+        kind: span.kind,
+        offset: span.offset,
+        length: span.length,
+        path: span.path
+      };
+      if (span.children.length) {
+        obj.children = span.children.map(summarize);
+      } else {
+        obj.value = span.value;
+      }
+      if (span.readerPath !== undefined) {
+        obj.readerPath = span.readerPath;
+      }
+      return obj;
+    }
+
+    test('record', () => {
+      let span = pairType.explain(pairType.toBuffer({key: 'ab', value: 3}));
+      assert.strictEqual(span.type, pairType);
+      assert.deepEqual(span.value, {key: 'ab', value: 3});
+      assert.deepEqual(summarize(span), {
+        kind: 'record',
+        offset: 0,
+        length: 5,
+        path: '',
+        children: [
+          {
+            kind: 'string',
+            offset: 0,
+            length: 3,
+            path: 'key',
+            children: [
+              {kind: 'length', offset: 0, length: 1, path: 'key', value: 2},
+              {kind: 'data', offset: 1, length: 2, path: 'key', value: 'ab'}
+            ]
+          },
+          {
+            kind: 'union',
+            offset: 3,
+            length: 2,
+            path: 'value',
+            children: [
+              {kind: 'index', offset: 3, length: 1, path: 'value', value: 1},
+              {kind: 'long', offset: 4, length: 1, path: 'value', value: 3}
+            ]
+          }
+        ]
+      });
+    });
+
+    test('blocks', () => {
+      let t = Type.forSchema({type: 'array', items: 'int'});
+      // A block with a negative count, followed by its size.
+      let span = t.explain(utils.bufferFrom([3, 4, 2, 4, 0]));
+      assert.deepEqual(span.value, [1, 2]);
+      assert.deepEqual(span.children.map((s) => {
+        return [s.kind, s.offset, s.path, s.value];
+      }), [
+        ['count', 0, '', -2],
+        ['size', 1, '', 2],
+        ['int', 2, '[0]', 1],
+        ['int', 3, '[1]', 2],
+        ['count', 4, '', 0]
+      ]);
+      t = Type.forSchema({type: 'map', values: 'boolean'});
+      span = t.explain(t.toBuffer({a: true}));
+      assert.deepEqual(span.children.map((s) => {
+        return [s.kind, s.offset, s.path, s.value];
+      }), [
+        ['count', 0, '', 1],
+        ['key', 1, '["a"]', 'a'],
+        ['boolean', 3, '["a"]', true],
+        ['count', 4, '', 0]
+      ]);
+    });
+
+    test('logical type', () => {
+      let t = Type.forSchema(
+        {type: 'int', logicalType: 'date'},
+        {standardLogicalTypes: true}
+      );
+      let date = new Date(Date.UTC(1970, 0, 2));
+      let span = t.explain(t.toBuffer(date));
+      assert.equal(span.kind, 'int');
+      assert.strictEqual(span.type, t);
+      assert.deepEqual(span.value, date);
+    });
+
+    test('hex dump', () => {
+      let span = pairType.explain(pairType.toBuffer({key: 'ab', value: 3}));
+      assert.equal(span.toHexDump(), [
+        '00000000                           record',
+        '00000000                             string key',
+        '00000000  04                           length key = 2',
+        '00000001  61 62                        data key = "ab"',
+        '00000003                             union value',
+        '00000003  02                           index value = 1',
+        '00000004  06                           long value = 3'
+      ].join('\n'));
+      let t = Type.forSchema('bytes');
+      span = t.explain(t.toBuffer(utils.bufferFrom('0123456789')));
+      assert.deepEqual(span.children[1].toHexDump().split('\n'), [
+        '00000001  30 31 32 33 34 35 36 37  data = "0123456789"',
+        '00000009  38 39'
+      ]);
+    });
+
+    test('resolver', () => {
+      let readerType = Type.forSchema({
+        type: 'record',
+        name: 'Pair',
+        fields: [
+          {name: 'val', aliases: ['value'], type: ['null', 'string', 'double']}
+        ]
+      });
+      let resolver = readerType.createResolver(pairType);
+      let buf = pairType.toBuffer({key: 'a', value: 3});
+      let span = readerType.explain(buf, resolver);
+      let obj = summarize(span);
+      assert.equal(obj.readerPath, '');
+      assert.deepEqual(
+        obj.children[0].children.map((o) => { return o.readerPath; }),
+        [null, null]
+      );
+      assert.deepEqual(obj.children[1], {
+        kind: 'union',
+        offset: 2,
+        length: 2,
+        path: 'value',
+        readerPath: 'val',
+        children: [
+          {
+            kind: 'index',
+            offset: 2,
+            length: 1,
+            path: 'value',
+            value: 1,
+            readerPath: 'val'
+          },
+          {
+            kind: 'long',
+            offset: 3,
+            length: 1,
+            path: 'value',
+            value: 3,
+            readerPath: 'val'
+          }
+        ]
+      });
+      assert(/union value -> val$/m.test(span.toHexDump()));
+      assert(/string key -> \(ignored\)$/m.test(span.toHexDump()));
+    });
+
+    test('values', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Node',
+        fields: [
+          {
+            name: 'tags',
+            type: {type: 'map', values: {type: 'array', items: 'int'}}
+          },
+          {name: 'next', type: ['null', 'Node'], 'default': null}
+        ]
+      }, {wrapUnions: true});
+      let val = {
+        tags: {a: [1, 2], b: []},
+        next: {Node: {tags: {}, next: null}}
+      };
+      let buf = t.toBuffer(val);
+      let span = t.explain(buf);
+      assert.deepEqual(span.value, t.fromBuffer(buf));
+      assert(span.value instanceof t.recordConstructor);
+      let next = span.children[span.children.length - 1];
+      assert.strictEqual(next.value, span.value.next);
+      assert.strictEqual(next.children[1].value, span.value.next.Node);
+    });
+
+    test('deeply nested', () => {
+      // Each value should only be decoded once, we count conversions.
+      let conversions = 0;
+      class CountedType extends LogicalType {
+        _fromValue (val) {
+          conversions++;
+          return val;
+        }
+        _toValue (val) { return val; }
+      }
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Node',
+        fields: [
+          {name: 'v', type: {type: 'int', logicalType: 'counted'}},
+          {name: 'next', type: ['null', 'Node']}
+        ]
+      }, {logicalTypes: {counted: CountedType}});
+      let depth = 500;
+      let bytes = [];
+      for (let i = 0; i < depth; i++) {
+        bytes.push(0, 2);
+      }
+      bytes.push(0, 0);
+      let span = t.explain(utils.bufferFrom(bytes));
+      assert.equal(conversions, depth + 1);
+      let val = span.value;
+      for (let i = 0; i < depth; i++) {
+        val = val.next;
+      }
+      assert.strictEqual(val.next, null);
+    });
+
+    test('huge block count', () => {
+      let t = Type.forSchema({type: 'array', items: 'null'});
+      let buf = Buffer.concat([
+        Type.forSchema('long').toBuffer(Math.pow(2, 40)),
+        utils.bufferFrom([0])
+      ]);
+      assert.throws(() => { t.explain(buf); }, utils.DecodeError);
+    });
+
+    test('resolver options', () => {
+      function createType(namespace, wrap) {
+        let inner = {
+          type: 'record',
+          name: 'S',
+          fields: [{name: 'z', type: 'string'}]
+        };
+        return Type.forSchema({
+          type: 'record',
+          name: 'R',
+          namespace,
+          fields: [{name: 'y', type: wrap ? ['null', inner] : inner}]
+        });
+      }
+      let writerType = createType('a');
+      let readerType = createType('b', true);
+      let resolver = readerType.createResolver(writerType, {
+        ignoreNamespaces: true
+      });
+      let buf = writerType.toBuffer({y: {z: 'hi'}});
+      assert.deepEqual(readerType.fromBuffer(buf, resolver), {y: {z: 'hi'}});
+      let span = readerType.explain(buf, resolver);
+      assert.equal(span.children[0].children[0].readerPath, 'y.z');
+      assert(/string y\.z -> y\.z$/m.test(span.toHexDump()));
+    });
+
+    test('invalid', () => {
+      let buf = pairType.toBuffer({key: 'ab', value: 3});
+      assert.throws(() => {
+        pairType.explain(buf.slice(0, 4));
+      }, /truncated buffer at value \(offset 4\)/);
+      assert.throws(() => {
+        pairType.explain(Buffer.concat([buf, utils.bufferFrom([0])]));
+      }, /trailing data/);
+      let t = Type.forSchema('int');
+      assert.throws(() => {
+        pairType.explain(buf, t.createResolver(t));
+      }, /invalid resolver/);
+    });
+
+  });
+
+  suite('encodedSize', () => {
+
+    function assertSizes(type, vals) {
+      vals.forEach((val) => {
+        assert.equal(type.encodedSize(val), type.toBuffer(val).length);
+      });
+    }
+
+    test('boundary values', () => {
+      [
+        'null',
+        'boolean',
+        'int',
+        'long',
+        'float',
+        'double',
+        'string',
+        'bytes',
+        {type: 'fixed', name: 'Id', size: 3},
+        {type: 'enum', name: 'Letter', symbols: ['A', 'B']},
+        {type: 'array', items: ['null', 'string']},
+        {type: 'map', values: {type: 'array', items: 'long'}},
+        {
+          type: 'record',
+          name: 'Node',
+          fields: [
+            {name: 'label', type: 'string', 'default': 'abc'},
+            {name: 'children', type: {type: 'array', items: 'Node'}}
+          ]
+        },
+        {type: 'string', logicalType: 'uuid'},
+        {type: 'bytes', logicalType: 'decimal', precision: 10, scale: 2}
+      ].forEach((schema) => {
+        let opts = {standardLogicalTypes: true};
+        let type = Type.forSchema(schema, opts);
+        assertSizes(type, type.boundaryValues());
+        opts.noCodegen = true;
+        type = Type.forSchema(schema, opts);
+        assertSizes(type, type.boundaryValues());
+        opts.wrapUnions = true;
+        type = Type.forSchema(schema, opts);
+        assertSizes(type, type.boundaryValues());
+      });
+    });
+
+    test('long sizes', () => {
+      let t = Type.forSchema('long');
+      let vals = [];
+      for (let i = 0; i < 54; i++) {
+        vals.push(Math.pow(2, i) - 1, -Math.pow(2, i));
+      }
+      assertSizes(t, vals.filter((n) => { return t.isValid(n); }));
+      t = Type.forSchema('long', {longs: 'bigint'});
+      vals = [BigInt(0), BigInt(-1)];
+      for (let i = 0; i < 63; i++) {
+        let n = BigInt(1) << BigInt(i);
+        vals.push(n, n - BigInt(1), -n);
+      }
+      assertSizes(t, vals);
+    });
+
+    test('record defaults', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Person',
+        fields: [
+          {name: 'name', type: 'string'},
+          {name: 'age', type: ['null', 'int'], 'default': null},
+          {
+            name: 'address',
+            type: {
+              type: 'record',
+              name: 'Address',
+              fields: [{name: 'city', type: 'string', 'default': 'Paris'}]
+            }
+          }
+        ]
+      });
+      assert.equal(t.encodedSize({name: 'Ann', address: {}}), 11);
+      assert.throws(() => { t.encodedSize({name: 'Ann'}); });
+      assert.equal(t.encodedSize({name: 'Ann'}, {fillDefaults: true}), 11);
+    });
+
+    test('lazy record', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Pair',
+        fields: [
+          {name: 'key', type: 'string'},
+          {name: 'value', type: 'string'}
+        ]
+      });
+      let buf = t.toBuffer({key: 'ab', value: 'cd'});
+      let val = t.fromBuffer(buf, undefined, {lazy: true});
+      assert.equal(t.encodedSize(val), 6);
+      val.value = 'cdef';
+      assert.equal(t.encodedSize(val), 8);
+      assert.equal(t.toBuffer(val).length, 8);
+    });
+
+    test('abstract long', () => {
+      let slowLongType = builtins.LongType.__with({
+        fromBuffer: function (buf) { return buf.readInt32LE(0); },
+        toBuffer: function (n) {
+          let buf = Buffer.alloc(8);
+          buf.writeInt32LE(n, 0);
+          buf.writeInt32LE(n < 0 ? -1 : 0, 4);
+          return buf;
+        },
+        fromJSON: Number,
+        toJSON: function (n) { return n; },
+        isValid: function (n) { return typeof n == 'number'; },
+        compare: utils.compare
+      });
+      assertSizes(slowLongType, [0, -1, 64, 1e9, -1e9]);
+    });
+
+    test('invalid', () => {
+      let t = Type.forSchema({type: 'array', items: 'int'});
+      assert.throws(() => { t.encodedSize([1, 'a']); }, /invalid "int"/);
+      t = Type.forSchema(['null', 'int'], {wrapUnions: true});
+      assert.throws(() => { t.encodedSize({string: 'a'}); }, /invalid/);
+    });
+
+    test('fallback', () => {
+      // Used by types which don't implement it.
+      let t = Type.forSchema('string');
+      assert.equal(Type.prototype._encodedSize.call(t, 'abc'), 4);
+    });
+
+  });
+
+  suite('noCopy', () => {
+
+    test('bytes and fixed share the input', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Pair',
+        fields: [
+          {name: 'b', type: 'bytes'},
+          {name: 'f', type: {type: 'fixed', name: 'Id', size: 2}}
+        ]
+      });
+      let buf = t.toBuffer({
+        b: utils.bufferFrom([1, 2]),
+        f: utils.bufferFrom([3, 4])
+      });
+      let val = t.fromBuffer(buf, undefined, {noCopy: true});
+      assert.deepEqual(val.b, utils.bufferFrom([1, 2]));
+      assert.deepEqual(val.f, utils.bufferFrom([3, 4]));
+      buf[1] = 5;
+      buf[4] = 6;
+      assert.deepEqual(val.b, utils.bufferFrom([5, 2]));
+      assert.deepEqual(val.f, utils.bufferFrom([3, 6]));
+      // Values are copied by default.
+      val = t.fromBuffer(buf);
+      buf[1] = 7;
+      assert.deepEqual(val.b, utils.bufferFrom([5, 2]));
+    });
+
+    test('decode', () => {
+      let t = Type.forSchema('bytes');
+      let buf = utils.bufferFrom([0, 4, 1, 2]);
+      let obj = t.decode(buf, 1, undefined, {noCopy: true});
+      assert.equal(obj.offset, 4);
+      assert.equal(obj.value.buffer, buf.buffer);
+      obj = t.decode(buf, 1);
+      assert.notEqual(obj.value.buffer, buf.buffer);
+    });
+
+    test('with limits', () => {
+      let t = Type.forSchema('bytes');
+      let buf = t.toBuffer(utils.bufferFrom([1, 2, 3]));
+      let opts = {noCopy: true, limits: {maxBytesLength: 3}};
+      assert.equal(t.fromBuffer(buf, undefined, opts).buffer, buf.buffer);
+      opts.limits.maxBytesLength = 2;
+      assert.throws(() => {
+        t.fromBuffer(buf, undefined, opts);
+      }, utils.LimitExceededError);
+    });
+
+  });
+
+  suite('decodeInto', () => {
+
+    let schema = {
+      type: 'record',
+      name: 'Node',
+      fields: [
+        {name: 'id', type: 'int'},
+        {name: 'tags', type: {type: 'array', items: 'string'}},
+        {name: 'attrs', type: {type: 'map', values: 'Node'}},
+        {name: 'next', type: ['null', 'Node'], 'default': null}
+      ]
+    };
+
+    [true, false].forEach((codegen) => {
+      test(`reuse objects ${codegen ? 'with' : 'without'} codegen`, () => {
+        let t = Type.forSchema(schema, {noCodegen: !codegen});
+        let v1 = {
+          id: 1,
+          tags: ['a', 'b'],
+          attrs: {x: {id: 2, tags: [], attrs: {}, next: null}},
+          next: {id: 3, tags: ['c'], attrs: {}, next: null}
+        };
+        let v2 = {
+          id: 4,
+          tags: ['d'],
+          attrs: {x: {id: 5, tags: ['e'], attrs: {}, next: null}},
+          next: {id: 6, tags: [], attrs: {}, next: null}
+        };
+        v2.attrs.y = v2.attrs.x;
+        let val = t.fromBuffer(t.toBuffer(v1));
+        let tags = val.tags;
+        let attrs = val.attrs;
+        let x = val.attrs.x;
+        let next = val.next;
+        assert.strictEqual(t.decodeInto(t.toBuffer(v2), val), val);
+        assert.strictEqual(val.tags, tags);
+        assert.strictEqual(val.attrs, attrs);
+        assert.strictEqual(val.attrs.x, x);
+        assert.notStrictEqual(val.attrs.y, x);
+        assert.strictEqual(val.next, next);
+        assert.deepEqual(val, t.fromBuffer(t.toBuffer(v2)));
+        // Stale values are removed.
+        t.decodeInto(t.toBuffer(v1), val);
+        assert.deepEqual(val, t.fromBuffer(t.toBuffer(v1)));
+        assert.deepEqual(Object.keys(val.attrs), ['x']);
+        assert.strictEqual(val.next, next);
+      });
+    });
+
+    test('failed decoding', () => {
+      let t = Type.forSchema(schema);
+      let v1 = {id: 1, tags: ['a'], attrs: {}, next: null};
+      let v2 = {id: 2, tags: ['b', 'c'], attrs: {x: v1}, next: v1};
+      let val = t.fromBuffer(t.toBuffer(v1));
+      let buf = t.toBuffer(v2);
+      assert.throws(() => {
+        t.decodeInto(buf.slice(0, buf.length - 2), val);
+      }, utils.DecodeError);
+      // The target was partially overwritten.
+      assert.equal(val.id, 2);
+      // But it can still be decoded into.
+      assert.strictEqual(t.decodeInto(buf, val), val);
+      assert.deepEqual(val, t.fromBuffer(buf));
+    });
+
+    test('incompatible target', () => {
+      let t = Type.forSchema(schema);
+      let buf = t.toBuffer({id: 1, tags: [], attrs: {}, next: null});
+      [undefined, null, {id: 2}, 'abc'].forEach((target) => {
+        let val = t.decodeInto(buf, target);
+        assert.notStrictEqual(val, target);
+        assert(t.isValid(val));
+        assert.deepEqual(val, t.fromBuffer(buf));
+      });
+      let lazy = t.fromBuffer(buf, undefined, {lazy: true});
+      assert.notStrictEqual(t.decodeInto(buf, lazy), lazy);
+    });
+
+    test('arrays and maps', () => {
+      let t = Type.forSchema({type: 'array', items: 'int'});
+      let arr = [1, 2, 3];
+      assert.strictEqual(t.decodeInto(t.toBuffer([4]), arr), arr);
+      assert.deepEqual(arr, [4]);
+      t = Type.forSchema({type: 'map', values: 'int'});
+      let obj = {a: 1, b: 2};
+      assert.strictEqual(t.decodeInto(t.toBuffer({b: 3, c: 4}), obj), obj);
+      assert.deepEqual(obj, {b: 3, c: 4});
+    });
+
+    test('wrapped union', () => {
+      let t = Type.forSchema({
+        type: 'array',
+        items: ['null', 'string', {type: 'array', items: 'int'}]
+      }, {wrapUnions: true});
+      let val = t.fromBuffer(t.toBuffer([{array: [1]}, {string: 'a'}, null]));
+      let branch = val[0];
+      let items = val[0].array;
+      let buf = t.toBuffer([{array: [2, 3]}, null, {string: 'b'}]);
+      t.decodeInto(buf, val);
+      assert.strictEqual(val[0], branch);
+      assert.strictEqual(val[0].array, items);
+      assert.deepEqual(val, t.fromBuffer(buf));
+    });
+
+    test('options', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Data',
+        fields: [{name: 'b', type: 'bytes'}]
+      });
+      let buf = t.toBuffer({b: utils.bufferFrom([1])});
+      let val = t.decodeInto(buf, undefined, {noCopy: true});
+      assert.equal(val.b.buffer, buf.buffer);
+      assert.throws(() => {
+        t.decodeInto(buf, val, {limits: {maxBytesLength: 0}});
+      }, utils.LimitExceededError);
+      let longBuf = Buffer.concat([buf, utils.bufferFrom([0])]);
+      assert.throws(() => { t.decodeInto(longBuf, val); }, /trailing data/);
+      t.decodeInto(longBuf, val, {noCheck: true});
+      assert.throws(() => {
+        t.decodeInto(buf.slice(0, 1), val);
+      }, utils.DecodeError);
+    });
+
+  });
+
+  suite('random', () => {
+
+    let type = Type.forSchema({
+      type: 'record',
+      name: 'Node',
+      fields: [
+        {name: 'id', type: {type: 'string', logicalType: 'uuid'}},
+        {name: 'label', type: 'string'},
+        {name: 'children', type: {type: 'array', items: 'Node'}},
+        {name: 'attrs', type: {type: 'map', values: 'bytes'}},
+        {name: 'next', type: ['null', 'Node']}
+      ]
+    }, {standardLogicalTypes: true});
+
+    test('seed', () => {
+      let opts = {seed: 5, depthLimit: 3};
+      let val = type.random(opts);
+      assert(type.isValid(val));
+      assert.deepEqual(type.random(opts), val);
+      assert.deepEqual(type.random({seed: 0, depthLimit: 3}), type.random({
+        seed: 0,
+        depthLimit: 3
+      }));
+      let vals = [];
+      for (let i = 0; i < 5; i++) {
+        vals.push(type.toString(type.random({seed: i, depthLimit: 3})));
+      }
+      assert(new Set(vals).size > 1);
+    });
+
+    test('limits', () => {
+      let opts = {arrayLength: 2, stringLength: 3, depthLimit: 2};
+      for (let i = 0; i < 20; i++) {
+        opts.seed = i;
+        let val = type.random(opts);
+        assert(val.label.length <= 3);
+        assert(val.children.length <= 2);
+        assert(Object.keys(val.attrs).length <= 2);
+        val.children.forEach((child) => {
+          assert.deepEqual(child.children, []);
+          assert.deepEqual(child.attrs, {});
+          assert.strictEqual(child.next, null);
+        });
+      }
+      let val = type.random({seed: 1, depthLimit: 0});
+      assert.deepEqual(val.children, []);
+      assert.strictEqual(val.next, null);
+    });
+
+    test('wrapped union depth limit', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'List',
+        fields: [{name: 'tail', type: ['List', 'null']}]
+      }, {wrapUnions: true});
+      assert.deepEqual(t.random({depthLimit: 1}), {tail: null});
+    });
+
+    test('custom logical type', () => {
+      class EvenIntType extends LogicalType {
+        _fromValue (val) { return val; }
+        _toValue (any) { return any % 2 ? undefined : any; }
+        random (opts) { return 2 * Type.forSchema('int').random(opts); }
+      }
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Pair',
+        fields: [
+          {name: 'a', type: {type: 'int', logicalType: 'even'}},
+          {
+            name: 'b',
+            type: {type: 'array', items: ['null', 'Pair']}
+          }
+        ]
+      }, {logicalTypes: {even: EvenIntType}});
+      for (let i = 0; i < 10; i++) {
+        let val = t.random({seed: i, depthLimit: 2});
+        assert(t.isValid(val));
+        assert.equal(val.a % 2, 0);
+        // Options are passed through, so seeded values are reproducible.
+        assert.deepEqual(t.random({seed: i, depthLimit: 2}), val);
+      }
+      let vals = t.random({seed: 0, depthLimit: 3}).b.filter((v) => {
+        return v !== null;
+      }).map((v) => { return v.a; });
+      assert(vals.length > 1);
+      assert(vals.some((a) => { return a !== vals[0]; }));
+    });
+
+    test('invalid options', () => {
+      assert.throws(() => { type.random({seed: 'a'}); }, /invalid random seed/);
+      assert.throws(() => {
+        type.random({arrayLength: -1});
+      }, /invalid random arrayLength/);
+      assert.throws(() => {
+        type.random({stringLength: 1.5});
+      }, /invalid random stringLength/);
+    });
+
+  });
+
+  suite('boundaryValues', () => {
+
+    test('primitives', () => {
+      assert.deepEqual(Type.forSchema('null').boundaryValues(), [null]);
+      assert.deepEqual(
+        Type.forSchema('int').boundaryValues(),
+        [-2147483648, -1, 0, 1, 2147483647]
+      );
+      let longs = Type.forSchema('long', {longs: 'bigint'}).boundaryValues();
+      assert.deepEqual(longs.map(String), [
+        '-9223372036854775808', '-1', '0', '1', '9223372036854775807'
+      ]);
+      let floats = Type.forSchema('float').boundaryValues();
+      assert(floats.some(Number.isNaN));
+      assert(floats.indexOf(Infinity) >= 0 && floats.indexOf(-Infinity) >= 0);
+      let strs = Type.forSchema('string').boundaryValues();
+      assert(strs.indexOf('') >= 0);
+      assert(strs.some((s) => { return s.length >= 1024; }));
+      assert.deepEqual(
+        Type.forSchema({type: 'fixed', name: 'Id', size: 2}).boundaryValues(),
+        [utils.bufferFrom([0, 0]), utils.bufferFrom([255, 255])]
+      );
+    });
+
+    test('valid', () => {
+      let types = [
+        'boolean', 'int', 'long', 'float', 'double', 'string', 'bytes',
+        {type: 'enum', name: 'Kind', symbols: ['A', 'B', 'C']},
+        {type: 'map', values: 'int'},
+        {type: 'array', items: ['null', 'string']},
+        {type: 'int', logicalType: 'date'},
+        {type: 'long', logicalType: 'timestamp-micros'},
+        {type: 'string', logicalType: 'uuid'},
+        {type: 'bytes', logicalType: 'decimal', precision: 5, scale: 2},
+        {type: 'fixed', name: 'D', size: 12, logicalType: 'duration'}
+      ];
+      types.forEach((schema) => {
+        let t = Type.forSchema(schema, {standardLogicalTypes: true});
+        let vals = t.boundaryValues();
+        assert(vals.length > 1);
+        vals.forEach((val) => {
+          assert(t.isValid(val), t.toString(val));
+          t.toBuffer(val);
+        });
+      });
+    });
+
+    test('enums and unions', () => {
+      let t = Type.forSchema({type: 'enum', name: 'Kind', symbols: ['A', 'B']});
+      assert.deepEqual(t.boundaryValues(), ['A', 'B']);
+      t = Type.forSchema(['null', 'boolean']);
+      assert.deepEqual(t.boundaryValues(), [null, false, true]);
+      t = Type.forSchema(['null', 'boolean'], {wrapUnions: true});
+      assert.deepEqual(
+        t.boundaryValues(),
+        [null, {'boolean': false}, {'boolean': true}]
+      );
+    });
+
+    test('arrays and maps', () => {
+      let vals = Type.forSchema({type: 'array', items: 'boolean'})
+        .boundaryValues();
+      assert.deepEqual(vals.slice(0, 3), [[], [false], [true]]);
+      assert.equal(vals[3].length, 1024);
+      vals = Type.forSchema({type: 'map', values: 'null'}).boundaryValues();
+      assert.deepEqual(vals.slice(0, 2), [{}, {'': null}]);
+      assert.equal(Object.keys(vals[2]).length, 1024);
+    });
+
+    test('record', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Pair',
+        fields: [
+          {name: 'a', type: 'boolean'},
+          {name: 'b', type: {type: 'enum', name: 'Kind', symbols: ['X', 'Y']}}
+        ]
+      });
+      assert.deepEqual(t.boundaryValues(), [
+        {a: false, b: 'X'},
+        {a: true, b: 'X'},
+        {a: false, b: 'Y'}
+      ]);
+    });
+
+    test('recursive record', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Node',
+        fields: [
+          {name: 'next', type: ['null', 'Node']},
+          {name: 'children', type: {type: 'array', items: 'Node'}}
+        ]
+      });
+      assert.deepEqual(t.boundaryValues(), [{next: null, children: []}]);
+      t = Type.forSchema({
+        type: 'record',
+        name: 'Loop',
+        fields: [{name: 'loop', type: 'Loop'}]
+      });
+      assert.deepEqual(t.boundaryValues(), []);
+    });
+
+    test('logical types out of range', () => {
+      let t = Type.forSchema(
+        {type: 'int', logicalType: 'date'},
+        {standardLogicalTypes: true}
+      );
+      assert.deepEqual(
+        t.boundaryValues(),
+        [new Date(-86400000), new Date(0), new Date(86400000)]
+      );
+    });
+
+  });
+
+  suite('defaults', () => {
+
+    let opts = {standardLogicalTypes: true};
+    let type = Type.forSchema({
+      type: 'record',
+      name: 'Event',
+      fields: [
+        {name: 'id', type: 'int'},
+        {name: 'tags', type: {type: 'array', items: 'string'}, 'default': []},
+        {
+          name: 'meta',
+          type: {
+            type: 'record',
+            name: 'Meta',
+            fields: [
+              {
+                name: 'at',
+                type: {type: 'long', logicalType: 'timestamp-millis'},
+                'default': 1000
+              },
+              {name: 'source', type: ['null', 'string'], 'default': null}
+            ]
+          }
+        },
+        {name: 'parent', type: ['null', 'Event'], 'default': null},
+        {name: 'extras', type: {type: 'map', values: 'Meta'}, 'default': {}}
+      ]
+    }, opts);
+
+    test('create default', () => {
+      let val = type.createDefault();
+      assert(val instanceof type.getRecordConstructor());
+      assert.deepEqual(val, {
+        id: undefined,
+        tags: [],
+        meta: {at: new Date(1000), source: null},
+        parent: null,
+        extras: {}
+      });
+      assert(val.meta instanceof type.field('meta').type.getRecordConstructor());
+      // Values are fresh.
+      val.tags.push('a');
+      assert.deepEqual(type.createDefault().tags, []);
+      assert.strictEqual(Type.forSchema('int').createDefault(), undefined);
+    });
+
+    test('create default recursive', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Node',
+        fields: [{name: 'next', type: 'Node'}]
+      });
+      // Recursive fields without defaults are left unset.
+      assert.deepEqual(t.createDefault(), {next: undefined});
+    });
+
+    test('fill defaults on write', () => {
+      assert.throws(() => { type.toBuffer({id: 1}); });
+      let buf = type.toBuffer({id: 1}, {fillDefaults: true});
+      assert.deepEqual(type.fromBuffer(buf), {
+        id: 1,
+        tags: [],
+        meta: {at: new Date(1000), source: null},
+        parent: null,
+        extras: {}
+      });
+    });
+
+    test('fill defaults nested', () => {
+      let val = {
+        id: 1,
+        meta: {source: 'a'},
+        parent: {id: 2},
+        extras: {foo: {}}
+      };
+      let buf = type.toBuffer(val, {fillDefaults: true});
+      assert.deepEqual(val, {
+        id: 1,
+        meta: {source: 'a'},
+        parent: {id: 2},
+        extras: {foo: {}}
+      }); // Not modified.
+      let decoded = type.fromBuffer(buf);
+      assert.equal(decoded.meta.source, 'a');
+      assert.deepEqual(decoded.parent.meta.at, new Date(1000));
+      assert.deepEqual(decoded.extras.foo, {at: new Date(1000), source: null});
+    });
+
+    test('fill defaults wrapped union', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Outer',
+        fields: [{
+          name: 'inner',
+          type: ['null', {
+            type: 'record',
+            name: 'Inner',
+            fields: [{name: 'n', type: 'int', 'default': 5}]
+          }]
+        }]
+      }, {wrapUnions: true});
+      let buf = t.toBuffer({inner: {Inner: {}}}, {fillDefaults: true});
+      assert.equal(t.fromBuffer(buf).inner.Inner.n, 5);
+    });
+
+    test('fill defaults when checking', () => {
+      let val = {id: 1, meta: {}, parent: {id: 2, meta: {}}};
+      assert(type.isValid(val));
+      assert(!type.isValid({id: 1}));
+      assert(type.isValid({id: 1}, {fillDefaults: true}));
+      assert.equal(type.validate({}).length, 2);
+      assert.deepEqual(
+        type.validate({}, {fillDefaults: true}).map((e) => { return e.path; }),
+        [['id']]
+      );
+      assert(!type.isValid({id: 1, parent: 3}, {fillDefaults: true}));
+    });
+
+    test('fill defaults preserves records', () => {
+      let Event = type.getRecordConstructor();
+      let val = new Event(1);
+      let filled = type._fillDefaults(val);
+      assert.notStrictEqual(filled, val);
+      assert(filled instanceof Event);
+      assert(filled.meta instanceof type.field('meta').type.recordConstructor);
+      assert.strictEqual(val.meta, undefined); // Not modified.
+      assert(type.isValid(filled));
+      // Plain objects keep their undeclared fields.
+      let opts = {fillDefaults: true, noUndeclaredFields: true};
+      assert(!type.isValid({id: 1, other: 2}, opts));
+      assert(type.isValid({id: 1}, opts));
+    });
+
+  });
+
+  suite('validate', () => {
+
+    let t = Type.forSchema({
+      type: 'record',
+      name: 'User',
+      fields: [
+        {name: 'id', type: 'long'},
+        {name: 'email', type: ['null', 'string'], 'default': null},
+        {
+          name: 'events',
+          type: {
+            type: 'array',
+            items: {
+              type: 'record',
+              name: 'Event',
+              fields: [
+                {name: 'ts', type: {type: 'long', logicalType: 'timestamp-millis'}},
+                {name: 'kind', type: {type: 'enum', name: 'Kind', symbols: ['A']}}
+              ]
+            }
+          }
+        }
+      ]
+    }, {standardLogicalTypes: true});
+
+    test('valid', () => {
+      assert.deepEqual(t.validate({id: 1, events: []}), []);
+    });
+
+    test('all errors', () => {
+      let events = [{ts: new Date(0), kind: 'B'}, {ts: 'now', kind: 'A'}];
+      let errors = t.validate({id: 1.5, email: 2, events});
+      assert.deepEqual(errors.map((err) => {
+        return [err.path, err.type, err.value];
+      }), [
+        [['id'], 'long', 1.5],
+        [['email'], 'null | string', 2],
+        [['events', '0', 'kind'], 'Kind', 'B'],
+        [['events', '1', 'ts'], 'timestamp-millis', 'now']
+      ]);
+      assert.equal(errors[0].message, 'id: expected long but got 1.5');
+      assert.deepEqual(
+        Type.forSchema('int').validate('a'),
+        [{path: [], type: 'int', value: 'a', message: 'expected int but got "a"'}]
+      );
+    });
+
+    test('stop at first error', () => {
+      let errors = t.validate({id: 'a'}, {stopAtFirstError: true});
+      assert.equal(errors.length, 1);
+      assert.deepEqual(errors[0].path, ['id']);
+    });
+
+    test('undeclared fields', () => {
+      let val = {id: 1, name: 'a', events: [{ts: new Date(), kind: 'C', b: 2}]};
+      assert.equal(t.validate(val).length, 1);
+      let errors = t.validate(val, {noUndeclaredFields: true});
+      assert.deepEqual(errors.map((err) => { return err.message; }), [
+        'name: undeclared field',
+        'events.0.b: undeclared field',
+        'events.0.kind: expected Kind but got "C"'
+      ]);
+      assert.equal(errors[0].type, 'User');
+      assert.equal(errors[0].value, 'a');
+    });
+
+  });
+
+  suite('createProjection', () => {
+
+    let t = Type.forSchema({
+      type: 'record',
+      name: 'a.Batch',
+      fields: [
+        {name: 'id', type: 'long'},
+        {
+          name: 'user',
+          type: [
+            'null',
+            {
+              type: 'record',
+              name: '.User',
+              fields: [
+                {name: 'id', type: 'string'},
+                {name: 'tags', type: {type: 'map', values: 'string'}},
+                {name: 'email', type: 'string'}
+              ]
+            }
+          ]
+        },
+        {
+          name: 'events',
+          type: {
+            type: 'array',
+            items: {
+              type: 'record',
+              name: 'Event',
+              fields: [
+                {name: 'ts', type: 'long'},
+                {name: 'user', type: '.User'},
+                {name: 'payload', type: 'bytes'}
+              ]
+            }
+          }
+        }
+      ]
+    }, {wrapUnions: true});
+
+    let user = {id: 'u1', tags: {a: 'b'}, email: 'x@y'};
+    let buf = t.toBuffer({
+      id: 1,
+      user: {User: user},
+      events: [{ts: 2, user, payload: utils.bufferFrom([3])}]
+    });
+
+    test('nested paths', () => {
+      let p = t.createProjection(['user.id', 'events[].ts']);
+      assert.deepEqual(p.fromBuffer(buf, p.createResolver(t)), {
+        user: {User: {id: 'u1'}},
+        events: [{ts: 2}]
+      });
+      // Projected unions keep the same representation.
+      assert(p.field('user').type instanceof builtins.WrappedUnionType);
+    });
+
+    test('shared records', () => {
+      let p = t.createProjection(['events[].user', 'user.tags[]']);
+      assert.deepEqual(p.fromBuffer(buf, p.createResolver(t)), {
+        user: {User: user},
+        events: [{user}]
+      });
+      assert.deepEqual(p.getFields().map((f) => { return f.name; }), [
+        'user',
+        'events'
+      ]);
+    });
+
+    test('top-level array', () => {
+      let a = Type.forSchema({type: 'array', items: t});
+      let p = a.createProjection(['[].id']);
+      let buf = a.toBuffer([{id: 3, user: null, events: []}]);
+      assert.deepEqual(p.fromBuffer(buf, p.createResolver(a)), [{id: 3}]);
+    });
+
+    test('invalid paths', () => {
+      assert.throws(() => { t.createProjection([]); }, /invalid/);
+      assert.throws(() => { t.createProjection(['id.']); }, /invalid/);
+      assert.throws(() => { t.createProjection(['a-b']); }, /invalid/);
+      assert.throws(
+        () => { t.createProjection(['events[].foo']); },
+        /no such projection path: events\[\]\.foo/
+      );
+      assert.throws(() => { t.createProjection(['id[]']); }, /no such/);
+    });
+
+  });
+
+  suite('Avro JSON', () => {
+
+    test('primitives', () => {
+      let t = Type.forSchema('double');
+      [[1.5, '1.5'], [NaN, '"NaN"'], [-Infinity, '"-Infinity"']]
+        .forEach((arr) => {
+          assert.equal(t.toAvroJSON(arr[0]), arr[1]);
+          assert.deepEqual(t.fromAvroJSON(arr[1]), arr[0]);
+        });
+      assert.throws(() => { t.fromAvroJSON('"1"'); });
+      t = Type.forSchema('bytes');
+      let buf = utils.bufferFrom([0, 233, 255]);
+      assert.equal(t.toAvroJSON(buf), '"\\u0000éÿ"');
+      assert.deepEqual(t.fromAvroJSON('"\\u0000\\u00e9\\u00ff"'), buf);
+      t = Type.forSchema('long', {longs: 'bigint'});
+      let n = BigInt('-9223372036854775808');
+      assert.equal(t.toAvroJSON(n), '-9223372036854775808');
+      assert.strictEqual(t.fromAvroJSON('-9223372036854775808'), n);
+    });
+
+    test('unions', () => {
+      let schema = [
+        'null',
+        'string',
+        {type: 'fixed', name: 'a.Id', size: 2},
+        {type: 'map', values: 'float'}
+      ];
+      let t1 = Type.forSchema(schema, {wrapUnions: false});
+      let t2 = Type.forSchema(schema, {wrapUnions: true});
+      let id = utils.bufferFrom([1, 2]);
+      assert.equal(t1.toAvroJSON(null), 'null');
+      assert.equal(t1.toAvroJSON('a'), '{"string":"a"}');
+      assert.equal(t1.toAvroJSON(id), '{"a.Id":"\\u0001\\u0002"}');
+      assert.equal(t1.toAvroJSON({x: NaN}), '{"map":{"x":"NaN"}}');
+      assert.deepEqual(t1.fromAvroJSON('{"a.Id":"\\u0001\\u0002"}'), id);
+      assert.throws(() => { t1.fromAvroJSON('"a"'); });
+      assert.equal(t2.toAvroJSON({'a.Id': id}), '{"a.Id":"\\u0001\\u0002"}');
+      assert.deepEqual(
+        t2.fromAvroJSON('{"map":{"x":"Infinity"}}'),
+        {map: {x: Infinity}}
+      );
+    });
+
+    test('logical types', () => {
+      let t = Type.forSchema({
+        type: 'record',
+        name: 'Payment',
+        fields: [
+          {
+            name: 'amount',
+            type: {
+              type: 'bytes',
+              logicalType: 'decimal',
+              precision: 5,
+              scale: 2
+            }
+          },
+          {
+            name: 'at',
+            type: ['null', {type: 'long', logicalType: 'timestamp-millis'}]
+          }
+        ]
+      }, {standardLogicalTypes: true});
+      let val = {amount: '1.28', at: new Date(1000)};
+      let str = '{"amount":"\\u0000\u0080","at":{"long":1000}}';
+      assert.equal(t.toAvroJSON(val), str);
+      assert.deepEqual(t.fromAvroJSON(str), val);
+    });
+
+  });
+
+  suite('checkCompatibility', () => {
+
+    let v1 = {
+      type: 'record',
+      name: 'User',
+      fields: [
+        {name: 'id', type: 'int'},
+        {name: 'tags', type: {type: 'array', items: 'string'}},
+        {name: 'kind', type: {type: 'enum', name: 'Kind', symbols: ['A', 'B']}}
+      ]
+    };
+
+    test('compatible', () => {
+      let v2 = {
+        type: 'record',
+        name: 'User',
+        fields: [
+          {name: 'id', type: 'long'},
+          {name: 'tags', type: {type: 'array', items: 'string'}},
+          {name: 'kind', type: {type: 'enum', name: 'Kind', symbols: ['A', 'B', 'C']}},
+          {name: 'email', type: ['null', 'string'], 'default': null}
+        ]
+      };
+      assert.deepEqual(
+        Type.checkCompatibility(v2, v1),
+        {compatible: true, incompatibilities: []}
+      );
+      let report = Type.checkCompatibility(v2, v1, {mode: 'full'});
+      assert(!report.compatible);
+      assert.deepEqual(report.incompatibilities.map((obj) => {
+        return [obj.reason, obj.path, obj.direction, obj.version];
+      }), [
+        ['TYPE_MISMATCH', 'fields[0].type', 'forward', 0],
+        ['MISSING_ENUM_SYMBOLS', 'fields[2].type', 'forward', 0]
+      ]);
+    });
+
+    test('all incompatibilities', () => {
+      let v2 = {
+        type: 'record',
+        name: 'User',
+        fields: [
+          {name: 'id', type: 'int'},
+          {name: 'tags', type: {type: 'array', items: 'int'}},
+          {name: 'kind', type: {type: 'enum', name: 'Kind', symbols: ['A']}},
+          {name: 'email', type: 'string'}
+        ]
+      };
+      let report = Type.checkCompatibility(Type.forSchema(v2), v1);
+      assert(!report.compatible);
+      let incompatibilities = report.incompatibilities;
+      assert.equal(incompatibilities.length, 3);
+      assert.deepEqual(incompatibilities[0], {
+        reason: 'TYPE_MISMATCH',
+        message: 'cannot read string as int',
+        path: 'fields[1].type.items',
+        reader: 'int',
+        writer: 'string',
+        version: 0,
+        direction: 'backward'
+      });
+      assert.equal(incompatibilities[1].reason, 'MISSING_ENUM_SYMBOLS');
+      assert.deepEqual(incompatibilities[1].writer.symbols, ['A', 'B']);
+      assert.equal(incompatibilities[2].reason, 'READER_FIELD_MISSING_DEFAULT_VALUE');
+      assert.equal(incompatibilities[2].path, 'fields[3]');
+    });
+
+    test('names and sizes', () => {
+      let report = Type.checkCompatibility(
+        {type: 'map', values: {type: 'fixed', name: 'Id', size: 4}},
+        {type: 'map', values: {type: 'fixed', name: 'Key', size: 2}}
+      );
+      assert.deepEqual(report.incompatibilities.map((obj) => {
+        return [obj.reason, obj.path];
+      }), [
+        ['NAME_MISMATCH', 'values'],
+        ['FIXED_SIZE_MISMATCH', 'values.size']
+      ]);
+      report = Type.checkCompatibility(
+        {type: 'fixed', name: 'one.Id', size: 4},
+        {type: 'fixed', name: 'two.Id', size: 4},
+        {ignoreNamespaces: true}
+      );
+      assert(report.compatible);
+    });
+
+    test('unions', () => {
+      let report = Type.checkCompatibility(['null', 'int'], ['null', 'string']);
+      assert.deepEqual(report.incompatibilities.map((obj) => {
+        return [obj.reason, obj.path, obj.writer];
+      }), [['MISSING_UNION_BRANCH', '', 'string']]);
+      let reader = ['null', {
+        type: 'record',
+        name: 'Address',
+        fields: [{name: 'city', type: 'string'}, {name: 'zip', type: 'int'}]
+      }];
+      let writer = {
+        type: 'record',
+        name: 'Address',
+        fields: [{name: 'city', type: 'string'}]
+      };
+      report = Type.checkCompatibility(reader, writer);
+      assert.deepEqual(report.incompatibilities.map((obj) => {
+        return [obj.reason, obj.path];
+      }), [['READER_FIELD_MISSING_DEFAULT_VALUE', '[1].fields[1]']]);
+      assert(Type.checkCompatibility(['null', 'long'], 'int').compatible);
+    });
+
+    test('transitive', () => {
+      let versions = [
+        {type: 'record', name: 'A', fields: [{name: 'b', type: 'int'}]},
+        {
+          type: 'record',
+          name: 'A',
+          fields: [{name: 'b', type: 'int'}, {name: 'c', type: 'int'}]
+        },
+      ];
+      let reader = {
+        type: 'record',
+        name: 'A',
+        fields: [{name: 'c', type: 'int'}]
+      };
+      assert(Type.checkCompatibility(reader, versions).compatible);
+      let report = Type.checkCompatibility(reader, versions, {
+        mode: 'BACKWARD_TRANSITIVE'
+      });
+      assert.deepEqual(report.incompatibilities.map((obj) => {
+        return [obj.reason, obj.version];
+      }), [['READER_FIELD_MISSING_DEFAULT_VALUE', 0]]);
+      report = Type.checkCompatibility(reader, versions, {
+        mode: 'FORWARD_TRANSITIVE'
+      });
+      assert.deepEqual(report.incompatibilities.map((obj) => {
+        return [obj.reason, obj.version, obj.direction];
+      }), [
+        ['READER_FIELD_MISSING_DEFAULT_VALUE', 0, 'forward'],
+        ['READER_FIELD_MISSING_DEFAULT_VALUE', 1, 'forward']
+      ]);
+    });
+
+    test('recursive', () => {
+      let schema = {
+        type: 'record',
+        name: 'Node',
+        fields: [{name: 'next', type: ['null', 'Node']}]
+      };
+      let report = Type.checkCompatibility(schema, [schema, schema], {
+        mode: 'FULL_TRANSITIVE'
+      });
+      assert(report.compatible);
+    });
+
+    test('logical types', () => {
+      let opts = {standardLogicalTypes: true};
+      let reader = Type.forSchema(
+        {type: 'long', logicalType: 'timestamp-micros'},
+        opts
+      );
+      let writer = Type.forSchema(
+        {type: 'int', logicalType: 'date'},
+        opts
+      );
+      let report = Type.checkCompatibility(reader, writer);
+      assert.deepEqual(report.incompatibilities.map((obj) => {
+        return [obj.reason, obj.reader, obj.writer];
+      }), [[
+        'TYPE_MISMATCH',
+        {type: 'long', logicalType: 'timestamp-micros'},
+        {type: 'int', logicalType: 'date'}
+      ]]);
+      assert(Type.checkCompatibility('long', writer).compatible);
+    });
+
+    test('invalid mode', () => {
+      assert.throws(() => {
+        Type.checkCompatibility('int', 'int', {mode: 'SIDEWAYS'});
+      }, /invalid compatibility mode/);
+    });
+
+  });
+
+  suite('resolve', () => {
+
+    test('non type', () => {
+      let t = Type.forSchema({type: 'map', values: 'int'});
+      let obj = {type: 'map', values: 'int'};
+      assert.throws(() => { t.createResolver(obj); });
+    });
+
+    test('union to valid wrapped union', () => {
+      let t1 = Type.forSchema(['int', 'string']);
+      let t2 = Type.forSchema(['null', 'string', 'long'], {wrapUnions: true});
+      let resolver = t2.createResolver(t1);
+      let buf = t1.toBuffer(12);
+      assert.deepEqual(t2.fromBuffer(buf, resolver), {'long': 12});
+    });
+
+    test('union to invalid union', () => {
+      let t1 = Type.forSchema(['int', 'string']);
+      let t2 = Type.forSchema(['null', 'long']);
+      assert.throws(() => { t2.createResolver(t1); });
+    });
+
+    test('wrapped union to non union', () => {
+      let t1 = Type.forSchema(['int', 'long'], {wrapUnions: true});
+      let t2 = Type.forSchema('long');
+      let resolver = t2.createResolver(t1);
+      let buf = t1.toBuffer({'int': 12});
+      assert.equal(t2.fromBuffer(buf, resolver), 12);
+      buf = utils.bufferFrom([4, 0]);
+      assert.throws(() => { t2.fromBuffer(buf, resolver); });
+    });
+
+    test('union to non union', () => {
+      let t1 = Type.forSchema(['bytes', 'string']);
+      let t2 = Type.forSchema('bytes');
+      let resolver = t2.createResolver(t1);
+      let buf = t1.toBuffer('\x01\x02');
+      assert.deepEqual(t2.fromBuffer(buf, resolver), utils.bufferFrom([1, 2]));
+    });
+
+    test('union to invalid non union', () => {
+      let t1 = Type.forSchema(['int', 'long'], {wrapUnions: true});
+      let t2 = Type.forSchema('int');
+      assert.throws(() => { t2.createResolver(t1); });
+    });
+
+    test('anonymous types', () => {
+      let t1 = Type.forSchema({type: 'fixed', size: 2});
+      let t2 = Type.forSchema(
         {type: 'fixed', size: 2, namespace: 'foo', aliases: ['Id']}
       );
       let t3 = Type.forSchema({type: 'fixed', size: 2, name: 'foo.Id'});
@@ -4098,6 +6722,166 @@ suite('types', () => {
 
   });
 
+  suite('forTypes merge', () => {
+
+    function merge(types, opts) {
+      return Type.forTypes(types, Object.assign({merge: true}, opts));
+    }
+
+    let v1 = Type.forSchema({
+      type: 'record',
+      name: 'a.User',
+      fields: [
+        {name: 'id', type: 'int'},
+        {name: 'kind', type: {type: 'enum', name: 'Kind', symbols: ['A', 'B']}},
+        {name: 'legacy', type: 'string'},
+        {name: 'friends', type: {type: 'array', items: 'User'}}
+      ]
+    });
+
+    let v2 = Type.forSchema({
+      type: 'record',
+      name: 'a.Person',
+      doc: 'A person.',
+      fields: [
+        {name: 'id', type: 'long'},
+        {
+          name: 'kind',
+          type: {type: 'enum', name: 'Kind', symbols: ['B', 'C'], 'default': 'C'}
+        },
+        {name: 'nick', type: 'string', 'default': 'x'},
+        {name: 'score', type: ['float', 'null'], 'default': 1},
+        {name: 'friends', type: {type: 'array', items: 'Person'}}
+      ]
+    });
+
+    test('records', () => {
+      let type = merge([v1, v2]);
+      assert.deepEqual(type.schema(), {
+        name: 'a.Person',
+        type: 'record',
+        fields: [
+          {name: 'id', type: 'long'},
+          {
+            name: 'kind',
+            type: {name: 'a.Kind', type: 'enum', symbols: ['B', 'C', 'A']}
+          },
+          {name: 'nick', type: 'string'},
+          {name: 'score', type: ['float', 'null']},
+          {name: 'friends', type: {type: 'array', items: 'a.Person'}},
+          {name: 'legacy', type: ['null', 'string']}
+        ]
+      });
+      assert.deepEqual(type.aliases, ['a.User']);
+      assert.equal(type.doc, 'A person.');
+      assert.equal(type.field('kind').type.default, 'C');
+      assert.strictEqual(type.field('legacy').defaultValue(), null);
+      assert.equal(type.field('score').defaultValue(), 1);
+    });
+
+    test('read all versions', () => {
+      let type = merge([v1, v2]);
+      let val1 = {id: 1, kind: 'A', legacy: 'l', friends: []};
+      assert.deepEqual(
+        type.fromBuffer(v1.toBuffer(val1), type.createResolver(v1)),
+        {
+          id: 1,
+          kind: 'A',
+          nick: 'x',
+          score: 1,
+          friends: [],
+          legacy: 'l'
+        }
+      );
+      let val2 = {id: 2, kind: 'C', nick: 'n', score: null, friends: []};
+      assert.deepEqual(
+        type.fromBuffer(v2.toBuffer(val2), type.createResolver(v2)),
+        {id: 2, kind: 'C', nick: 'n', score: null, friends: [], legacy: null}
+      );
+    });
+
+    test('unions', () => {
+      let t1 = Type.forSchema({
+        type: 'record',
+        name: 'Rec',
+        fields: [{name: 'v', type: ['null', 'int', 'string']}]
+      });
+      let t2 = Type.forSchema({
+        type: 'record',
+        name: 'Rec',
+        fields: [{name: 'v', type: 'double'}]
+      });
+      let t3 = Type.forSchema({
+        type: 'record',
+        name: 'Rec',
+        fields: [{name: 'v', type: 'string', 'default': 'a'}]
+      });
+      assert.deepEqual(
+        merge([t1, t2]).field('v').type.schema(),
+        ['null', 'double', 'string']
+      );
+      let type = merge([t1, t2, t3]);
+      assert.deepEqual(
+        type.field('v').type.schema(),
+        ['string', 'null', 'double']
+      );
+      assert.equal(type.field('v').defaultValue(), 'a');
+    });
+
+    test('anonymous records', () => {
+      let t1 = Type.forValue({a: 1});
+      let t2 = Type.forValue({b: 'b'});
+      assert.deepEqual(merge([t1, t2]).schema(), {
+        type: 'record',
+        fields: [
+          {name: 'b', type: ['null', 'string']},
+          {name: 'a', type: ['null', 'int']}
+        ]
+      });
+    });
+
+    test('conflicts', () => {
+      let t1 = Type.forSchema({
+        type: 'record',
+        name: 'Rec',
+        fields: [{name: 'id', type: {type: 'fixed', name: 'Id', size: 2}}]
+      });
+      let t2 = Type.forSchema({
+        type: 'record',
+        name: 'Rec',
+        fields: [{name: 'id', type: {type: 'fixed', name: 'Id', size: 4}}]
+      });
+      assert.throws(() => { merge([t1, t2]); }, /id \(inconsistent Id sizes\)/);
+      let conflicts = [];
+      let type = merge([t1, t2], {
+        conflictHook: (conflict) => { conflicts.push(conflict); }
+      });
+      assert.deepEqual(conflicts, [{path: 'id', message: 'inconsistent Id sizes'}]);
+      assert.equal(type.field('id').type.size, 4);
+    });
+
+    test('inconsistent named types', () => {
+      let t1 = Type.forSchema(['null', {type: 'fixed', name: 'X', size: 1}]);
+      let t2 = Type.forSchema({type: 'enum', name: 'X', symbols: ['A']});
+      assert.throws(() => { merge([t1, t2]); }, /inconsistent X types/);
+    });
+
+    test('logical types', () => {
+      let opts = {standardLogicalTypes: true};
+      let t1 = Type.forSchema(
+        {type: 'long', logicalType: 'timestamp-millis'},
+        opts
+      );
+      let t2 = Type.forSchema(
+        {type: 'long', logicalType: 'timestamp-micros'},
+        opts
+      );
+      assert.strictEqual(merge([t1, t1]), t1);
+      assert.throws(() => { merge([t1, t2]); }, /inconsistent logical/);
+    });
+
+  });
+
   suite('forValue', () => {
 
     let infer = Type.forValue;
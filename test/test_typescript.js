@@ -0,0 +1,182 @@
+'use strict';
+
+let typescript = require('../lib/typescript'),
+    specs = require('../lib/specs'),
+    types = require('../lib/types'),
+    assert = require('assert');
+
+
+let generateDeclarations = typescript.generateDeclarations;
+let Type = types.Type;
+
+suite('typescript', () => {
+
+  let schema = {
+    type: 'record',
+    name: 'test.User',
+    doc: 'A user.',
+    fields: [
+      {name: 'id', type: 'long', doc: 'Identifier.'},
+      {name: 'name', type: ['null', 'string']},
+      {name: 'kind', type: {type: 'enum', name: 'Kind', symbols: ['A', 'B']}},
+      {name: 'tags', type: {type: 'array', items: ['int', 'string']}},
+      {name: 'attrs', type: {type: 'map', values: 'bytes'}},
+      {name: 'friend', type: ['null', 'User']}
+    ]
+  };
+
+  test('record unwrapped unions', () => {
+    assert.equal(generateDeclarations(schema), [
+      '// Generated by avsc, do not edit.',
+      '',
+      '/** A user. */',
+      'export interface User {',
+      '  /** Identifier. */',
+      '  id: number;',
+      '  name: null | string;',
+      '  kind: Kind;',
+      '  tags: (number | string)[];',
+      '  attrs: {[key: string]: Buffer};',
+      '  friend: null | User;',
+      '}',
+      '',
+      'export type Kind = \'A\' | \'B\';',
+      ''
+    ].join('\n'));
+  });
+
+  test('record wrapped unions', () => {
+    let str = generateDeclarations(schema, {wrapUnions: true});
+    assert(~str.indexOf('  name: null | {string: string};'));
+    assert(~str.indexOf('  tags: ({int: number} | {string: string})[];'));
+    assert(~str.indexOf('  friend: null | {\'test.User\': User};'));
+  });
+
+  test('type instance', () => {
+    let type = Type.forSchema({type: 'fixed', name: 'Id', size: 2});
+    assert(~generateDeclarations(type).indexOf('export type Id = Buffer;'));
+  });
+
+  test('anonymous root', () => {
+    let str = generateDeclarations({type: 'array', items: 'float'});
+    assert(~str.indexOf('export type Root = number[];'));
+    str = generateDeclarations('string', {rootName: 'Name'});
+    assert(~str.indexOf('export type Name = string;'));
+  });
+
+  test('bigint longs', () => {
+    let str = generateDeclarations('long', {longs: 'bigint'});
+    assert(~str.indexOf('export type Root = bigint;'));
+    str = generateDeclarations('long', {longs: 'auto'});
+    assert(~str.indexOf('export type Root = number | bigint;'));
+    str = generateDeclarations('long');
+    assert(~str.indexOf('export type Root = number;'));
+  });
+
+  test('logical types', () => {
+    let schema = {
+      type: 'record',
+      name: 'Event',
+      fields: [
+        {name: 'ts', type: {type: 'long', logicalType: 'timestamp-millis'}},
+        {name: 'id', type: {type: 'string', logicalType: 'uuid'}},
+        {name: 'day', type: {type: 'int', logicalType: 'date'}},
+        {name: 'x', type: {type: 'int', logicalType: 'custom'}}
+      ]
+    };
+    let opts = {
+      logicalTypes: {custom: types.builtins.LogicalType},
+      standardLogicalTypes: true
+    };
+    let str = generateDeclarations(schema, opts);
+    assert(~str.indexOf('  ts: Date;'));
+    assert(~str.indexOf('  id: string;'));
+    assert(~str.indexOf('  x: unknown;'));
+    opts.logicalTypeMappings = {date: 'string', custom: 'Custom'};
+    str = generateDeclarations(schema, opts);
+    assert(~str.indexOf('  day: string;'));
+    assert(~str.indexOf('  x: Custom;'));
+  });
+
+  test('name collisions', () => {
+    let str = generateDeclarations({
+      type: 'record',
+      name: 'a.Item',
+      fields: [
+        {
+          name: 'other',
+          type: {type: 'enum', name: 'b.Item', symbols: ['X']}
+        }
+      ]
+    });
+    assert(~str.indexOf('export interface Item {\n  other: b_Item;\n}'));
+    assert(~str.indexOf('export type b_Item = \'X\';'));
+  });
+
+  test('protocol IDL', () => {
+    let protocol = specs.readProtocol([
+      'protocol Echo {',
+      '  record Ping { union { null, string } msg; }',
+      '  void poke();',
+      '}'
+    ].join('\n'));
+    let str = generateDeclarations(protocol, {wrapUnions: true});
+    assert(~str.indexOf('  msg: null | {string: string};'));
+    assert(~str.indexOf('export interface PokeRequest {}'));
+    assert(~str.indexOf('export type PokeResponse = null;'));
+  });
+
+  test('protocol object', () => {
+    let str = generateDeclarations({
+      protocol: 'Echo',
+      namespace: 'test',
+      types: [
+        {type: 'record', name: 'Ping', fields: [{name: 'msg', type: 'string'}]},
+        {
+          type: 'error',
+          name: 'Failure',
+          fields: [{name: 'reason', type: 'string'}]
+        }
+      ],
+      messages: {
+        echo: {
+          doc: 'Echo.',
+          request: [
+            {name: 'ping', type: 'Ping'},
+            {name: 'count', type: 'int'}
+          ],
+          response: 'Ping',
+          errors: ['Failure']
+        },
+        poke: {request: [], response: 'null', 'one-way': true}
+      }
+    });
+    assert.equal(str, [
+      '// Generated by avsc, do not edit.',
+      '',
+      'export interface Ping {',
+      '  msg: string;',
+      '}',
+      '',
+      'export interface Failure {',
+      '  reason: string;',
+      '}',
+      '',
+      '/** Echo. */',
+      'export interface EchoRequest {',
+      '  ping: Ping;',
+      '  count: number;',
+      '}',
+      '',
+      'export type EchoResponse = Ping;',
+      '',
+      'export type EchoError = Failure;',
+      '',
+      'export interface PokeRequest {}',
+      '',
+      'export type PokeResponse = null;',
+      ''
+    ].join('\n'));
+  });
+
+});
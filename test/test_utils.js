@@ -87,6 +87,105 @@ suite('utils', () => {
 
   });
 
+  test('getHash rabin', () => {
+    // Test vectors from the Avro specification's test data.
+    [
+      ['"null"', '7195948357588979594'],
+      ['"boolean"', '-6970731678124411036'],
+      ['"int"', '8247732601305521295'],
+      ['{"name":"foo","type":"fixed","size":15}', '1756455273707447556']
+    ].forEach((arr) => {
+      let buf = utils.getHash(arr[0], 'CRC-64-AVRO');
+      assert.equal(buf.readBigInt64LE(0), BigInt(arr[1]));
+    });
+  });
+
+  suite('JSON', () => {
+
+    test('print bigint', () => {
+      assert.equal(utils.printJSON({n: BigInt(12)}), '{"n":"[BigInt 12n]"}');
+    });
+
+    test('stringify bigint', () => {
+      let obj = {a: [BigInt('9223372036854775807'), undefined], b: undefined};
+      assert.equal(
+        utils.stringifyJSON(obj),
+        '{"a":[9223372036854775807,null]}'
+      );
+      assert.equal(utils.stringifyJSON({c: [1]}), '{"c":[1]}');
+    });
+
+    test('parse unsafe integers', () => {
+      let str = '{"a": [1.5, -9223372036854775808], "b": "12345678901234567"}';
+      assert.deepEqual(utils.parseJSON(str), {
+        a: [1.5, BigInt('-9223372036854775808')],
+        b: '12345678901234567'
+      });
+      assert.strictEqual(
+        utils.parseJSON('12345678901234567e2'),
+        1.2345678901234568e18
+      );
+      assert.strictEqual(utils.parseJSON('1234567890123456'), 1234567890123456);
+    });
+
+    test('parse invalid', () => {
+      assert.throws(() => { utils.parseJSON('[12345678901234567,]'); });
+      assert.throws(() => { utils.parseJSON('{"12345678901234567"}'); });
+      assert.throws(() => { utils.parseJSON('12345678901234567 1'); });
+      // Leading zeros aren't allowed, consistent with `JSON.parse`.
+      assert.throws(() => { utils.parseJSON('012345678901234567'); });
+      assert.throws(() => { utils.parseJSON('[-012345678901234567]'); });
+      assert.throws(() => { utils.parseJSON('[0012345678901234567.5]'); });
+    });
+
+  });
+
+  suite('KeyTap', () => {
+
+    let KeyTap = utils.KeyTap;
+
+    test('grow', () => {
+      let tap = new KeyTap(utils.newBuffer(1));
+      tap.writeUInt(0x01020304, 4);
+      assert.deepEqual(tap.getBuffer(), utils.bufferFrom([1, 2, 3, 4]));
+    });
+
+    test('mask', () => {
+      let tap = new KeyTap();
+      tap.mask = 0xff;
+      tap.writeInt(-1);
+      tap.writeString('a');
+      let buf = tap.getBuffer();
+      assert.deepEqual(buf, utils.bufferFrom([128, 0, 0, 0, 158, 255, 254]));
+      tap = new KeyTap(buf);
+      tap.mask = 0xff;
+      assert.equal(tap.readInt(), -1);
+      assert.equal(tap.readString(), 'a');
+    });
+
+    test('escapes', () => {
+      let tap = new KeyTap();
+      tap.writeBytes(utils.bufferFrom([0, 1]));
+      let buf = tap.getBuffer();
+      assert.deepEqual(buf, utils.bufferFrom([0, 255, 1, 0, 1]));
+      assert.deepEqual(new KeyTap(buf).readBytes(), utils.bufferFrom([0, 1]));
+      assert.throws(() => {
+        new KeyTap(utils.bufferFrom([0, 2])).readBytes();
+      }, /invalid key escape/);
+      assert.throws(() => {
+        new KeyTap(utils.bufferFrom([1])).readBytes();
+      }, /truncated key/);
+    });
+
+    test('long string', () => {
+      let str = 'ab\u00e9\ud83d\ude00'.repeat(2000);
+      let tap = new KeyTap();
+      tap.writeString(str);
+      assert.equal(new KeyTap(tap.getBuffer()).readString(), str);
+    });
+
+  });
+
   suite('Lcg', () => {
 
     test('seed', () => {
@@ -95,6 +194,12 @@ suite('utils', () => {
       assert.equal(r1.nextInt(), r2.nextInt());
     });
 
+    test('zero and negative seeds', () => {
+      assert.equal(new utils.Lcg(0).nextInt(), new utils.Lcg(0).nextInt());
+      let i = new utils.Lcg(-3).nextInt();
+      assert(i >= 0 && i === new utils.Lcg(-3).nextInt());
+    });
+
     test('integer', () => {
       let r = new utils.Lcg(48);
       let i;
@@ -189,6 +294,31 @@ suite('utils', () => {
 
     });
 
+    suite('bigint long', () => {
+
+      testWriterReader({
+        elems: [
+          '0', '-1', '109213', '-1312411211', '1073741824', '-1073741825',
+          '9007199254740993', '-9223372036854775808', '9223372036854775807'
+        ].map((s) => { return BigInt(s); }),
+        reader: function () { return this.readBigLong(); },
+        skipper: function () { this.skipLong(); },
+        writer: function (n) { this.writeBigLong(n); }
+      });
+
+      test('consistent with numbers', () => {
+        let n = 1440756011948;
+        let tap = newTap(6);
+        tap.writeBigLong(BigInt(n));
+        assert.equal(tap.pos, 6);
+        tap.pos = 0;
+        assert.equal(tap.readLong(), n);
+        tap.pos = 0;
+        assert.strictEqual(tap.readBigLong(), BigInt(n));
+      });
+
+    });
+
     suite('boolean', () => {
 
       testWriterReader({
@@ -85,13 +85,24 @@ interface DecoderOptions {
   noDecode: boolean;
   readerSchema: string | object | Type;
   codecs: CodecOptions;
-  parseHook: (schema: Schema) => Type
+  parseHook: (schema: Schema) => Type;
+  limits: Partial<DecodeLimits>;
+  noCopy: boolean;
+}
+
+interface DecodeLimits {
+  maxBytesLength: number;
+  maxStringLength: number;
+  maxItems: number;
+  maxDepth: number;
+  maxTotalBytes: number;
 }
 
 interface EncoderOptions {
   blockSize: number;
   codec: string;
   codecs: CodecOptions;
+  fillDefaults: boolean;
   writeHeader: boolean | 'always' | 'never' | 'auto';
   syncMarker: Buffer;
 }
@@ -99,23 +110,52 @@ interface EncoderOptions {
 interface ForSchemaOptions {
   assertLogicalTypes: boolean;
   logicalTypes: { [type: string]: new (schema: Schema, opts?: any) => types.LogicalType; };
+  longs: 'auto' | 'bigint' | 'number';
   namespace: string;
   noAnonymousTypes: boolean;
+  noCodegen: boolean;
   omitRecordMethods: boolean;
   registry: { [name: string]: Type };
+  standardLogicalTypes: boolean;
   typeHook: (schema: Schema, opts: ForSchemaOptions) => Type | undefined;
   wrapUnions: boolean | 'auto' | 'always' | 'never';
 }
 
 interface TypeOptions extends ForSchemaOptions {
+  conflictHook: (conflict: MergeConflict) => void;
+  merge: boolean;
   strictDefaults: boolean;
 }
 
+interface MergeConflict {
+  path: string;
+  message: string;
+}
+
 interface ForValueOptions extends TypeOptions {
   emptyArrayType: Type;
   valueHook: (val: any, opts: ForValueOptions) => Type;
 }
 
+interface InferenceOptions {
+  maxEnumSymbols: number;
+  inferLogicalTypes: boolean;
+}
+
+interface ForValuesOptions extends TypeOptions, InferenceOptions {}
+
+interface InferenceDecision {
+  path: string;
+  kind: 'date' | 'enum' | 'local-timestamp-millis' | 'optional' | 'timestamp-millis' | 'uuid';
+  confidence: number;
+}
+
+interface InferenceReport {
+  count: number;
+  confidence: number;
+  decisions: InferenceDecision[];
+}
+
 interface CloneOptions {
   coerceBuffers: boolean;
   fieldHook: (field: types.Field, value: any, type: Type) => any;
@@ -123,11 +163,78 @@ interface CloneOptions {
   skipMissingFields: boolean;
   wrapUnions: boolean;
 }
+type CompatibilityMode =
+  'BACKWARD' | 'BACKWARD_TRANSITIVE' |
+  'FORWARD' | 'FORWARD_TRANSITIVE' |
+  'FULL' | 'FULL_TRANSITIVE';
+
+interface CompatibilityOptions extends ForSchemaOptions {
+  ignoreNamespaces: boolean;
+  mode: CompatibilityMode;
+}
+
+interface Incompatibility {
+  reason: 'AMBIGUOUS_FIELD_ALIASES' | 'FIXED_SIZE_MISMATCH' |
+    'MISSING_ENUM_SYMBOLS' | 'MISSING_UNION_BRANCH' | 'NAME_MISMATCH' |
+    'READER_FIELD_MISSING_DEFAULT_VALUE' | 'TYPE_MISMATCH';
+  message: string;
+  path: string;
+  reader: Schema;
+  writer: Schema;
+  version: number;
+  direction: 'backward' | 'forward';
+}
+
+interface CompatibilityReport {
+  compatible: boolean;
+  incompatibilities: Incompatibility[];
+}
+
+interface FromBufferOptions {
+  noCheck: boolean;
+  lazy: boolean;
+  limits: Partial<DecodeLimits>;
+  noCopy: boolean;
+}
+
 interface IsValidOptions {
+  fillDefaults: boolean;
   noUndeclaredFields: boolean;
   errorHook: (path: string[], val: any, type: Type) => void
 }
 
+interface ValidateOptions {
+  fillDefaults: boolean;
+  noUndeclaredFields: boolean;
+  stopAtFirstError: boolean;
+}
+
+interface RandomOptions {
+  seed: number;
+  depthLimit: number;
+  arrayLength: number;
+  stringLength: number;
+}
+
+interface Span {
+  offset: number;
+  length: number;
+  kind: string;
+  path: string;
+  type?: Type;
+  value: any;
+  readerPath?: string | null;
+  children: Span[];
+  toHexDump(): string;
+}
+
+interface ValidationError {
+  path: string[];
+  type: string;
+  value: any;
+  message: string;
+}
+
 interface ImportHookPayload {
   path: string;
   type: 'idl' | 'protocol' | 'schema';
@@ -142,6 +249,7 @@ interface AssembleOptions {
 }
 
 interface SchemaOptions {
+  canonical: boolean;
   exportAttrs: boolean;
   noDeref: boolean;
 }
@@ -160,38 +268,116 @@ export function createBlobEncoder(schema: Schema, opts?: Partial<EncoderOptions>
 export function createBlobDecoder(blob: Blob, opts?: Partial<DecoderOptions>): streams.BlockDecoder;
 export function extractFileHeader(filePath: string, options?: any): any;
 export function parse(schemaOrProtocolIdl: string, options?: any): any; // TODO protocol literal or Type
+export interface DeclarationsOptions extends ForSchemaOptions {
+  logicalTypeMappings: { [logicalType: string]: string };
+  rootName: string;
+}
+export function generateDeclarations(schema: Schema | Type | any, opts?: Partial<DeclarationsOptions>): string;
+export function generateModule(schema: Schema | Type, opts?: Partial<ForSchemaOptions>): string;
 export function readProtocol(protocolIdl: string, options?: Partial<DecoderOptions>): any;
 export function readSchema(schemaIdl: string, options?: Partial<DecoderOptions>): Schema;
 
+export const logicalTypes: { [type: string]: new (schema: Schema, opts?: any) => types.LogicalType; };
+
 
 // TODO more specific types than `any`
+type SchemaStore = Map<string, Type | Schema> | { [fingerprint: string]: Type | Schema };
+
+export class DecodeError extends Error {
+  constructor(reason: string, info: { offset: number, path: string, blockIndex?: number, fileOffset?: number, cause?: any });
+  readonly reason: string;
+  readonly offset: number;
+  readonly path: string;
+  readonly blockIndex?: number;
+  readonly fileOffset?: number;
+  readonly cause?: any;
+}
+
+export class LimitExceededError extends Error {
+  constructor(limit: keyof DecodeLimits, value: number, max: number);
+  readonly limit: keyof DecodeLimits;
+  readonly value: number;
+  readonly max: number;
+}
+
+export class SchemaInferrer {
+  constructor(opts?: Partial<InferenceOptions>);
+  add(val: any): this;
+  getReport(): InferenceReport;
+  getSchema(): Schema;
+}
+
+export class SingleObjectDecoder {
+  constructor(type: Type | Schema, store: SchemaStore, opts?: Partial<ForSchemaOptions>);
+  decode(buf: Buffer): any;
+  readonly type: Type;
+}
+
+type SchemaLookup = (id: number, cb: Callback<Type | Schema | string>) => void | Promise<Type | Schema | string>;
+
+export class MemoryRegistry {
+  getSchema(id: number, cb: Callback<string>): void;
+  register(schema: Type | Schema): number;
+}
+
+export class RegistryDeserializer {
+  constructor(type: Type | Schema | null, lookup: SchemaLookup, opts?: Partial<ForSchemaOptions>);
+  deserialize(buf: Buffer, cb: Callback<any>): void;
+  readonly type: Type | null;
+}
+
+export class RegistrySerializer {
+  constructor(type: Type | Schema, id: number, opts?: Partial<ForSchemaOptions>);
+  serialize(value: any): Buffer;
+  readonly id: number;
+  readonly type: Type;
+}
+
 export class Type {
+  boundaryValues(): any[];
   clone(val: any, opts?: Partial<CloneOptions>): any;
   compare(val1: any, val2: any): number;
   compareBuffers(buf1: Buffer, buf2: Buffer): number;
+  createDefault(): any;
+  createProjection(paths: string[]): Type;
   createResolver(type: Type): Resolver;
-  decode(buf: Buffer, pos?: number, resolver?: Resolver): { value: any, offset: number};
+  decode(buf: Buffer, pos?: number, resolver?: Resolver, opts?: { limits?: Partial<DecodeLimits>, noCopy?: boolean }): { value: any, offset: number};
+  decodeInto(buf: Buffer, target: any, opts?: { noCheck?: boolean, limits?: Partial<DecodeLimits>, noCopy?: boolean }): any;
   encode(val: any, buf: Buffer, pos?: number): number;
+  encodedSize(val: any, opts?: { fillDefaults?: boolean }): number;
   equals(type: Type): boolean;
-  fingerprint(algorithm?: string): Buffer;
-  fromBuffer(buffer: Buffer, resolver?: Resolver, noCheck?: boolean): any;
+  explain(buf: Buffer, resolver?: Resolver): Span;
+  fingerprint(algorithm?: string, opts?: { canonical?: boolean }): Buffer;
+  fromBuffer(buffer: Buffer, resolver?: Resolver, opts?: boolean | Partial<FromBufferOptions>): any;
+  fromKey(buf: Buffer): any;
+  fromSingleObject(buffer: Buffer): any;
+  fromAvroJSON(str: string): any;
   fromString(str: string): any;
+  hash(val: any): number;
   inspect(): string;
   isValid(val: any, opts?: Partial<IsValidOptions>): boolean;
-  random(): Type;
+  random(opts?: Partial<RandomOptions>): any;
   schema(opts?: Partial<SchemaOptions>): Schema;
-  toBuffer(value: any): Buffer;
+  toAvroJSON(val: any): string;
+  toBuffer(value: any, opts?: { fillDefaults?: boolean }): Buffer;
   toJSON(): object;
+  toJSONSchema(): object;
+  toKey(value: any): Buffer;
+  toSingleObject(value: any): Buffer;
   toString(val?: any): string;
+  validate(val: any, opts?: Partial<ValidateOptions>): ValidationError[];
   wrap(val: any): any;
   readonly aliases: string[] | undefined;
   readonly doc: string | undefined;
   readonly name: string | undefined;
   readonly branchName: string | undefined;
   readonly typeName: string;
+  static checkCompatibility(reader: Type | Schema, writers: Type | Schema | (Type | Schema)[], opts?: Partial<CompatibilityOptions>): CompatibilityReport;
   static forSchema(schema: Schema, opts?: Partial<ForSchemaOptions>): Type;
   static forTypes(types: Type[], opts?: Partial<TypeOptions>): Type;
   static forValue(value: object, opts?: Partial<ForValueOptions>): Type;
+  static forValues(values: any[], opts?: Partial<ForValuesOptions>): Type;
+  static fromJSONSchema(doc: object, opts?: Partial<ForSchemaOptions>): Type;
   static isType(arg: any, ...prefix: string[]): boolean;
 }
 
@@ -213,11 +399,11 @@ export namespace streams {
   }
 
   class RawDecoder extends stream.Duplex {
-    constructor(schema: Schema, opts?: { decode?: boolean });
+    constructor(schema: Schema, opts?: { decode?: boolean, json?: boolean, readerSchema?: string | object | Type, limits?: Partial<DecodeLimits>, noCopy?: boolean });
   }
 
   class RawEncoder extends stream.Duplex {
-    constructor(schema: Schema, opts?: { batchSize?: number });
+    constructor(schema: Schema, opts?: { batchSize?: number, fillDefaults?: boolean, json?: boolean });
   }
 }
 
@@ -225,44 +411,44 @@ export namespace types {
   class ArrayType extends Type {
     constructor(schema: Schema, opts: any);
     readonly itemsType: Type;
-    random(): ArrayType;
+    random(opts?: Partial<RandomOptions>): any;
   }
 
   class BooleanType extends Type {  // TODO: Document this on the wiki
     constructor();
-    random(): BooleanType;
+    random(opts?: Partial<RandomOptions>): any;
   }
 
   class BytesType extends Type {  // TODO: Document this on the wiki
     constructor();
-    random(): BytesType;
+    random(opts?: Partial<RandomOptions>): any;
   }
 
   class DoubleType extends Type {  // TODO: Document this on the wiki
     constructor();
-    random(): DoubleType;
+    random(opts?: Partial<RandomOptions>): any;
   }
 
   class EnumType extends Type {
     constructor(schema: Schema, opts?: any);
     readonly symbols: string[];
-    random(): EnumType;
+    random(opts?: Partial<RandomOptions>): any;
   }
 
   class FixedType extends Type {
     constructor(schema: Schema, opts?: any);
     readonly size: number;
-    random(): FixedType;
+    random(opts?: Partial<RandomOptions>): any;
   }
 
   class FloatType extends Type {
     constructor();
-    random(): FloatType;
+    random(opts?: Partial<RandomOptions>): any;
   }
 
   class IntType extends Type {
     constructor();
-    random(): IntType;
+    random(opts?: Partial<RandomOptions>): any;
   }
 
   class LogicalType extends Type {
@@ -272,24 +458,24 @@ export namespace types {
     protected _fromValue(val: any): any;
     protected _resolve(type: Type): any;
     protected _toValue(any: any): any;
-    random(): LogicalType;
+    random(opts?: Partial<RandomOptions>): any;
   }
 
   class LongType extends Type {
     constructor();
-    random(): LongType;
+    random(opts?: Partial<RandomOptions>): any;
     static __with(methods: object, noUnpack?: boolean): LongType;
   }
 
   class MapType extends Type {
     constructor(schema: Schema, opts?: any);
     readonly valuesType: any;
-    random(): MapType;
+    random(opts?: Partial<RandomOptions>): any;
   }
 
   class NullType extends Type {  // TODO: Document this on the wiki
     constructor();
-    random(): NullType;
+    random(opts?: Partial<RandomOptions>): any;
   }
 
   class RecordType extends Type {
@@ -297,7 +483,7 @@ export namespace types {
     readonly fields: Field[];
     readonly recordConstructor: any;  // TODO: typeof Record once Record interface/class exists
     field(name: string): Field;
-    random(): RecordType;
+    random(opts?: Partial<RandomOptions>): any;
   }
 
   class Field {
@@ -310,18 +496,18 @@ export namespace types {
 
   class StringType extends Type {  // TODO: Document this on the wiki
     constructor();
-    random(): StringType;
+    random(opts?: Partial<RandomOptions>): any;
   }
 
   class UnwrappedUnionType extends Type {
     constructor(schema: Schema, opts: any);
-    random(): UnwrappedUnionType;
+    random(opts?: Partial<RandomOptions>): any;
     readonly types: Type[];
   }
 
   class WrappedUnionType extends Type {
     constructor(schema: Schema, opts: any);
-    random(): WrappedUnionType;
+    random(opts?: Partial<RandomOptions>): any;
     readonly types: Type[];
   }
 }